@@ -6,17 +6,32 @@
  */
 
 import StateManager from './services/StateManager.js';
+import ToastService from './services/ToastService.js';
+import EventBus from './utils/EventBus.js';
 import TutorialService from './services/TutorialService.js';
+import { formatDate, formatFiscalYear, getFiscalYearRange } from './services/DateService.js';
 import GoogleDriveService from './services/GoogleDriveService.js';
 import GoogleDriveSyncManager from './services/GoogleDriveSyncManager.js';
 import ViewManager from './ui/ViewManager.js';
 import HeaderMetrics from './ui/HeaderMetrics.js';
+import BudgetPanel from './ui/BudgetPanel.js';
 import ModalManager from './ui/ModalManager.js';
 import SettingsView from './ui/SettingsView.js';
 import TypeConfigModal from './ui/TypeConfigModal.js';
 import TypeDeletionModal from './ui/TypeDeletionModal.js';
 import TypeManagementModal from './ui/TypeManagementModal.js';
 import LocationManagementModal from './ui/LocationManagementModal.js';
+import ScenarioManagementModal from './ui/ScenarioManagementModal.js';
+import ScoringProfileModal from './ui/ScoringProfileModal.js';
+import PolicyRulesModal from './ui/PolicyRulesModal.js';
+import TripDetailPanel from './ui/TripDetailPanel.js';
+import YearRolloverModal from './ui/YearRolloverModal.js';
+import HolidayCalendarModal from './ui/HolidayCalendarModal.js';
+import FiscalCalendarModal from './ui/FiscalCalendarModal.js';
+import WorkWeekModal from './ui/WorkWeekModal.js';
+import CalendarImportModal from './ui/CalendarImportModal.js';
+import CsvImportModal from './ui/CsvImportModal.js';
+import MergeImportModal from './ui/MergeImportModal.js';
 import HelpModal from './ui/HelpModal.js';
 import GoogleDriveModal from './ui/GoogleDriveModal.js';
 import FirstSyncModal from './ui/FirstSyncModal.js';
@@ -31,12 +46,24 @@ class TravelPlannerApp {
         // UI Components
         this.viewManager = new ViewManager();
         this.headerMetrics = new HeaderMetrics();
+        this.budgetPanel = new BudgetPanel();
         this.modalManager = new ModalManager();
         this.settingsView = new SettingsView();
         this.typeConfigModal = new TypeConfigModal();
         this.typeDeletionModal = new TypeDeletionModal();
         this.typeManagementModal = new TypeManagementModal();
         this.locationManagementModal = new LocationManagementModal();
+        this.scenarioManagementModal = new ScenarioManagementModal();
+        this.scoringProfileModal = new ScoringProfileModal();
+        this.policyRulesModal = new PolicyRulesModal();
+        this.tripDetailPanel = new TripDetailPanel();
+        this.yearRolloverModal = new YearRolloverModal();
+        this.holidayCalendarModal = new HolidayCalendarModal();
+        this.fiscalCalendarModal = new FiscalCalendarModal();
+        this.workWeekModal = new WorkWeekModal();
+        this.calendarImportModal = new CalendarImportModal();
+        this.csvImportModal = new CsvImportModal();
+        this.mergeImportModal = new MergeImportModal();
         this.helpModal = new HelpModal();
         this.googleDriveModal = new GoogleDriveModal();
         this.firstSyncModal = new FirstSyncModal();
@@ -60,12 +87,24 @@ class TravelPlannerApp {
         // Initialize UI components (including Google Drive UI)
         this.viewManager.init(mainContent);
         this.headerMetrics.init(headerMetricsEl);
+        this.budgetPanel.init(document.getElementById('budgetPanel'));
         this.modalManager.init();
         this.settingsView.init();
         this.typeConfigModal.init();
         this.typeDeletionModal.init();
         this.typeManagementModal.init();
         this.locationManagementModal.init();
+        this.scenarioManagementModal.init();
+        this.scoringProfileModal.init();
+        this.policyRulesModal.init();
+        this.tripDetailPanel.init();
+        this.yearRolloverModal.init();
+        this.holidayCalendarModal.init();
+        this.fiscalCalendarModal.init();
+        this.workWeekModal.init();
+        this.calendarImportModal.init();
+        this.csvImportModal.init();
+        this.mergeImportModal.init();
         this.helpModal.init();
         this.googleDriveModal.init();  // Initialize UI even if service fails
         this.firstSyncModal.init();  // Initialize first-sync dialog
@@ -103,7 +142,13 @@ class TravelPlannerApp {
      * @private
      */
     setupHeaderControls() {
-        // Year navigation
+        // View toggle (calendar / timeline / dashboard)
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.viewManager.setView(btn.dataset.view));
+        });
+        EventBus.on('view:changed', () => this.updateViewButtons());
+
+        // Year navigation (fiscal years when a fiscal calendar is set)
         const btnYearPrev = document.getElementById('btnYearPrev');
         const btnYearNext = document.getElementById('btnYearNext');
 
@@ -123,6 +168,45 @@ class TravelPlannerApp {
             });
         }
 
+        // Keep the year label current when another view jumps to a year or the fiscal calendar changes
+        EventBus.on('year:changed', () => this.updateHeader());
+        EventBus.on('fiscal:updated', () => this.updateHeader());
+        EventBus.on('history:undo', () => this.updateHeader());
+        EventBus.on('history:redo', () => this.updateHeader());
+
+        // Undo/redo buttons
+        const btnUndo = document.getElementById('btnUndo');
+        const btnRedo = document.getElementById('btnRedo');
+
+        if (btnUndo) {
+            btnUndo.addEventListener('click', () => this.undo());
+        }
+
+        if (btnRedo) {
+            btnRedo.addEventListener('click', () => this.redo());
+        }
+
+        EventBus.on('history:changed', () => this.updateHistoryButtons());
+        this.updateHistoryButtons();
+
+        // Undo/redo keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z, Cmd on macOS)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+            // Leave native text undo alone inside form fields
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
         // Add plan button (using event delegation since it's dynamically created)
         document.addEventListener('click', (e) => {
             if (e.target.closest('#btnAddPlan')) {
@@ -148,14 +232,79 @@ class TravelPlannerApp {
     }
 
     /**
-     * Update header display (year)
+     * Undo last change and notify the user
+     * @private
+     */
+    undo() {
+        const { undo: label } = this.stateManager.getHistoryLabels();
+        if (this.stateManager.undo()) {
+            ToastService.info(`Undone: ${label}`, 2000);
+            this.updateHeader();
+        }
+    }
+
+    /**
+     * Redo last undone change and notify the user
+     * @private
+     */
+    redo() {
+        const { redo: label } = this.stateManager.getHistoryLabels();
+        if (this.stateManager.redo()) {
+            ToastService.info(`Redone: ${label}`, 2000);
+            this.updateHeader();
+        }
+    }
+
+    /**
+     * Enable/disable undo/redo buttons and refresh their tooltips
+     * @private
+     */
+    updateHistoryButtons() {
+        const btnUndo = document.getElementById('btnUndo');
+        const btnRedo = document.getElementById('btnRedo');
+        const labels = this.stateManager.getHistoryLabels();
+
+        if (btnUndo) {
+            btnUndo.disabled = !this.stateManager.canUndo();
+            btnUndo.dataset.tooltip = labels.undo ? `Undo ${labels.undo} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+
+        if (btnRedo) {
+            btnRedo.disabled = !this.stateManager.canRedo();
+            btnRedo.dataset.tooltip = labels.redo ? `Redo ${labels.redo} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        }
+    }
+
+    /**
+     * Highlight the active view's toggle button
+     * @private
+     */
+    updateViewButtons() {
+        const activeView = this.viewManager.getView();
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            const isActive = btn.dataset.view === activeView;
+            btn.classList.toggle('bg-white', isActive);
+            btn.classList.toggle('dark:bg-slate-600', isActive);
+            btn.classList.toggle('shadow-sm', isActive);
+            btn.classList.toggle('hover:bg-white', !isActive);
+            btn.classList.toggle('dark:hover:bg-slate-600', !isActive);
+        });
+    }
+
+    /**
+     * Update header display (year, with its dates when it is a fiscal year)
      * @private
      */
     updateHeader() {
         const displayYear = document.getElementById('displayYear');
         if (displayYear) {
             const year = this.stateManager.getYear();
-            displayYear.textContent = `${year}`;
+            const fiscalCalendar = this.stateManager.getFiscalCalendar();
+            const { startDate, endDate } = getFiscalYearRange(year, fiscalCalendar);
+            const dayLabel = (iso) => formatDate(`${iso}T12:00:00`, { month: 'short', day: 'numeric', year: 'numeric' });
+
+            displayYear.textContent = formatFiscalYear(year, fiscalCalendar);
+            displayYear.title = `${dayLabel(startDate)} - ${dayLabel(endDate)}`;
         }
     }
 }
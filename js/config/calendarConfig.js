@@ -6,6 +6,12 @@
  * Q2: Apr-Jun
  * Q3: Jul-Sep
  * Q4: Oct-Dec
+ *
+ * A fiscal calendar (DEFAULT_FISCAL_CALENDAR, set in StateManager) can move
+ * the year's start month and use week-based quarters instead.
+ *
+ * Weeks run from the work week's first working day (DEFAULT_WORK_WEEK,
+ * Monday unless set otherwise in StateManager).
  */
 
 export const QUARTERS = Object.freeze([
@@ -15,6 +21,31 @@ export const QUARTERS = Object.freeze([
     { id: 4, name: "Q4", months: [9, 10, 11], label: "Oct - Dec" } // Oct=9, Nov=10, Dec=11
 ]);
 
+// Week-based quarter layouts: weeks in each of a quarter's three periods
+export const FISCAL_WEEK_PATTERNS = Object.freeze({
+    '4-4-5': Object.freeze([4, 4, 5]),
+    '4-5-4': Object.freeze([4, 5, 4]),
+    '5-4-4': Object.freeze([5, 4, 4])
+});
+
+// Fiscal calendar used for quarters, budgets and year navigation (see FiscalCalendar).
+// startMonth 0 with no week pattern is the plain calendar year.
+export const DEFAULT_FISCAL_CALENDAR = Object.freeze({
+    startMonth: 0,      // Month index the fiscal year starts in (0 = January)
+    weekPattern: null   // null = quarters of whole months, or a FISCAL_WEEK_PATTERNS key
+});
+
+// Work week every week calculation uses (see WorkWeek and DateService.setWorkWeek).
+// Weekdays are numbered like Date.getDay(): 0 = Sunday ... 6 = Saturday.
+export const DEFAULT_WORK_WEEK = Object.freeze({
+    firstDay: 1,                                // First working day, where every week starts
+    workingDays: Object.freeze([1, 2, 3, 4, 5]) // Days trips and constraints count on
+});
+
+export const WEEKDAY_NAMES = Object.freeze([
+    "Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"
+]);
+
 export const MONTH_NAMES = Object.freeze([
     "Jan", "Feb", "Mar", "Apr", "May", "Jun",
     "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
@@ -131,6 +162,319 @@ export const DEFAULT_CONSTRAINT_TYPE_CONFIGS = Object.freeze({
     }
 });
 
+// Default scoring weights used by ScoringEngine (see ScoringProfile)
+export const DEFAULT_SCORING_WEIGHTS = Object.freeze({
+    base: 100,                          // Starting score for every week
+    hardConstraint: -1000,              // Score set when a hard-stop constraint overlaps
+    softConstraint: -20,                // Per overlapping soft constraint
+    consolidation: 500,                 // Same location as an existing/planned trip that week
+    locationConflict: -1000,            // Different location already booked that week
+    adjacentSameLocation: -50,          // Back-to-back week, same location
+    adjacentDifferentLocation: -100,    // Back-to-back week, different location (travel fatigue)
+    loadBalance: 20,                    // Max bonus/penalty for even/clustered trip spacing
+    // Travel penalties between back-to-back trips (need coordinates/timezones in the location registry)
+    distancePer1000Km: -5,              // Per 1000 km between the two trip locations
+    timezoneShiftPerHour: -10,          // Per hour of time shift between the two trip locations
+    jetLagRecovery: -200,               // Too few home days after a trip that crossed many time zones
+    jetLagThresholdHours: 6,            // Time shift (hours) after which recovery days are needed
+    recoveryDays: 3,                    // Home days needed after crossing that many time zones
+    longHaulAdjacent: -150,             // Long-haul trip next to another long-haul trip
+    longHaulKm: 4000,                   // Distance from the home office that counts as long-haul
+    // Multi-city chaining: a different location in an existing trip's week can extend that trip
+    chainRadiusHours: 4,                // Max travel time between the two cities (0 = chaining off)
+    chainBonus: 200,                    // Score for extending an existing trip into a multi-city trip
+    policyViolation: -300,              // Per travel policy rule a week would break (soft rules; hard rules disqualify)
+    overBudget: -250,                   // New trip pushes its quarter over the travel budget (0 = off)
+    destinationHoliday: -150            // Per public holiday in the destination's country that week (see HOLIDAY_CALENDARS)
+});
+
+// Human-readable labels for scoring weights (settings UI)
+export const SCORING_WEIGHT_LABELS = Object.freeze({
+    base: 'Base score',
+    hardConstraint: 'Hard constraint',
+    softConstraint: 'Soft constraint',
+    consolidation: 'Consolidation bonus',
+    locationConflict: 'Location conflict',
+    adjacentSameLocation: 'Adjacent week (same location)',
+    adjacentDifferentLocation: 'Adjacent week (different location)',
+    loadBalance: 'Load balance (±)',
+    distancePer1000Km: 'Distance between trips (per 1000 km)',
+    timezoneShiftPerHour: 'Time shift between trips (per hour)',
+    jetLagRecovery: 'Too little jet-lag recovery',
+    jetLagThresholdHours: 'Jet-lag threshold (hours)',
+    recoveryDays: 'Recovery days needed at home',
+    longHaulAdjacent: 'Long-haul next to long-haul',
+    longHaulKm: 'Long-haul distance (km)',
+    chainRadiusHours: 'Multi-city radius (travel hours, 0 = off)',
+    chainBonus: 'Multi-city trip bonus',
+    policyViolation: 'Breaks a soft policy rule',
+    overBudget: 'Pushes a quarter over budget (0 = off)',
+    destinationHoliday: 'Public holiday at the destination (per holiday)'
+});
+
+export const DEFAULT_SCORING_PROFILE_ID = 'default';
+
+// Default scoring profiles (built-in profile cannot be deleted)
+export const DEFAULT_SCORING_PROFILES = Object.freeze({
+    [DEFAULT_SCORING_PROFILE_ID]: {
+        name: 'Default',
+        weights: { ...DEFAULT_SCORING_WEIGHTS },
+        isBuiltIn: true
+    }
+});
+
+// Calendar periods travel policy rules can count over (weeks belong to the period of their Monday)
+export const POLICY_PERIODS = Object.freeze(['month', 'quarter', 'year']);
+
+// Travel policy rule types (see PolicyRule); defaults fill the editor for new rules
+export const POLICY_RULE_TYPES = Object.freeze({
+    'max-consecutive-weeks': {
+        label: 'Consecutive travel weeks cap',
+        defaults: { maxWeeks: 3 }
+    },
+    'max-trips': {
+        label: 'Trips per period cap',
+        defaults: { period: 'year', maxTrips: 12, scope: 'all' } // scope: 'all' or 'international'
+    },
+    'min-home-weeks': {
+        label: 'Minimum home weeks per period',
+        defaults: { period: 'month', minWeeks: 2 }
+    },
+    'blackout-position': {
+        label: 'No travel at start/end of period',
+        defaults: { period: 'quarter', position: 'last', weeks: 1 } // position: 'first' or 'last'
+    }
+});
+
+// Trip lifecycle statuses (see Event.status), in lifecycle order; transitions
+// lists the statuses a trip can move to next
+export const TRIP_STATUSES = Object.freeze({
+    idea: { label: 'Idea', icon: 'fa-lightbulb', transitions: ['tentative', 'approved', 'cancelled'] },
+    tentative: { label: 'Tentative', icon: 'fa-question', transitions: ['idea', 'approved', 'cancelled'] },
+    approved: { label: 'Approved', icon: 'fa-check', transitions: ['tentative', 'booked', 'cancelled'] },
+    booked: { label: 'Booked', icon: 'fa-ticket-alt', transitions: ['approved', 'completed', 'cancelled'] },
+    completed: { label: 'Completed', icon: 'fa-flag-checkered', transitions: [] },
+    cancelled: { label: 'Cancelled', icon: 'fa-ban', transitions: ['idea', 'tentative'] }
+});
+
+// Status of new trips and of trips saved before statuses existed
+export const DEFAULT_TRIP_STATUS = 'tentative';
+
+// Trips with these statuses keep their weeks when a batch is re-optimized
+export const IMMOVABLE_TRIP_STATUSES = Object.freeze(['booked', 'completed']);
+
+// Trips with these statuses no longer take up travel weeks (like archived trips)
+export const INACTIVE_TRIP_STATUSES = Object.freeze(['cancelled']);
+
+// Currency for budgets and cost estimates that don't name one (ISO 4217 code)
+export const DEFAULT_CURRENCY = 'USD';
+
+// Booking segment kinds (see BookingSegment) and their fields; input is the
+// form input type ('date' = YYYY-MM-DD, 'datetime-local' = YYYY-MM-DDTHH:mm in
+// local time at that place). Every kind also has a confirmation number.
+export const BOOKING_SEGMENT_KINDS = Object.freeze({
+    flight: {
+        label: 'Flight',
+        icon: 'fa-plane',
+        fields: {
+            carrier: { label: 'Carrier', input: 'text' },
+            number: { label: 'Flight No.', input: 'text' },
+            departAirport: { label: 'From (airport)', input: 'text' },
+            arriveAirport: { label: 'To (airport)', input: 'text' },
+            departAt: { label: 'Departs', input: 'datetime-local', required: true },
+            arriveAt: { label: 'Arrives', input: 'datetime-local' }
+        }
+    },
+    lodging: {
+        label: 'Lodging',
+        icon: 'fa-hotel',
+        fields: {
+            name: { label: 'Name', input: 'text', required: true },
+            address: { label: 'Address', input: 'text' },
+            checkIn: { label: 'Check-in', input: 'date', required: true },
+            checkOut: { label: 'Check-out', input: 'date' }
+        }
+    },
+    ground: {
+        label: 'Ground Transport',
+        icon: 'fa-car',
+        fields: {
+            mode: { label: 'Mode (e.g. Train)', input: 'text' },
+            provider: { label: 'Provider', input: 'text' },
+            from: { label: 'From', input: 'text' },
+            to: { label: 'To', input: 'text' },
+            departAt: { label: 'Departs', input: 'datetime-local', required: true },
+            arriveAt: { label: 'Arrives', input: 'datetime-local' }
+        }
+    }
+});
+
+// Offline public holiday calendars by country code (national holidays only, see HolidayService).
+// Rules: { month, day } fixed date; { month, weekday, nth } nth weekday of the month (nth -1 = last,
+// weekday 0 = Sunday); { month, day, weekday } first such weekday on or after the date;
+// { easter } days from Easter Sunday. fromYear limits a rule to later years.
+// observed: how fixed dates on a weekend are made up - 'nearest-weekday' (Sat -> Fri, Sun -> Mon)
+// or 'next-weekday' (next free weekday); null when they are not. A rule's own observed overrides it.
+export const HOLIDAY_CALENDARS = Object.freeze({
+    US: {
+        name: 'United States',
+        observed: 'nearest-weekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+            { name: "Presidents' Day", month: 2, weekday: 1, nth: 3 },
+            { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+            { name: 'Juneteenth', month: 6, day: 19, fromYear: 2021 },
+            { name: 'Independence Day', month: 7, day: 4 },
+            { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+            { name: 'Veterans Day', month: 11, day: 11 },
+            { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    CA: {
+        name: 'Canada',
+        observed: 'next-weekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Victoria Day', month: 5, day: 18, weekday: 1 },
+            { name: 'Canada Day', month: 7, day: 1 },
+            { name: 'Labour Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'National Day for Truth and Reconciliation', month: 9, day: 30, fromYear: 2021 },
+            { name: 'Thanksgiving', month: 10, weekday: 1, nth: 2 },
+            { name: 'Remembrance Day', month: 11, day: 11 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    GB: {
+        name: 'United Kingdom (England & Wales)',
+        observed: 'next-weekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Early May Bank Holiday', month: 5, weekday: 1, nth: 1 },
+            { name: 'Spring Bank Holiday', month: 5, weekday: 1, nth: -1 },
+            { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    DE: {
+        name: 'Germany',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Ascension Day', easter: 39 },
+            { name: 'Whit Monday', easter: 50 },
+            { name: 'German Unity Day', month: 10, day: 3 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Second Day of Christmas', month: 12, day: 26 }
+        ]
+    },
+    FR: {
+        name: 'France',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Victory in Europe Day', month: 5, day: 8 },
+            { name: 'Ascension Day', easter: 39 },
+            { name: 'Whit Monday', easter: 50 },
+            { name: 'Bastille Day', month: 7, day: 14 },
+            { name: 'Assumption Day', month: 8, day: 15 },
+            { name: "All Saints' Day", month: 11, day: 1 },
+            { name: 'Armistice Day', month: 11, day: 11 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    NL: {
+        name: 'Netherlands',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: "King's Day", month: 4, day: 27 },
+            { name: 'Ascension Day', easter: 39 },
+            { name: 'Whit Monday', easter: 50 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Second Day of Christmas', month: 12, day: 26 }
+        ]
+    },
+    ES: {
+        name: 'Spain',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Epiphany', month: 1, day: 6 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Assumption Day', month: 8, day: 15 },
+            { name: 'National Day', month: 10, day: 12 },
+            { name: "All Saints' Day", month: 11, day: 1 },
+            { name: 'Constitution Day', month: 12, day: 6 },
+            { name: 'Immaculate Conception', month: 12, day: 8 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    IT: {
+        name: 'Italy',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Epiphany', month: 1, day: 6 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Liberation Day', month: 4, day: 25 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Republic Day', month: 6, day: 2 },
+            { name: 'Assumption Day', month: 8, day: 15 },
+            { name: "All Saints' Day", month: 11, day: 1 },
+            { name: 'Immaculate Conception', month: 12, day: 8 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: "St Stephen's Day", month: 12, day: 26 }
+        ]
+    },
+    PL: {
+        name: 'Poland',
+        observed: null,
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Epiphany', month: 1, day: 6 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Constitution Day', month: 5, day: 3 },
+            { name: 'Corpus Christi', easter: 60 },
+            { name: 'Assumption Day', month: 8, day: 15 },
+            { name: "All Saints' Day", month: 11, day: 1 },
+            { name: 'Independence Day', month: 11, day: 11 },
+            { name: 'Christmas Eve', month: 12, day: 24, fromYear: 2025 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Second Day of Christmas', month: 12, day: 26 }
+        ]
+    },
+    AU: {
+        name: 'Australia (national)',
+        observed: 'next-weekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Australia Day', month: 1, day: 26 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Anzac Day', month: 4, day: 25, observed: null },
+            { name: "King's Birthday", month: 6, weekday: 1, nth: 2 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    }
+});
+
 // Built-in locations (empty - users add their own locations)
 export const BUILT_IN_LOCATIONS = Object.freeze([]);
 
@@ -0,0 +1,167 @@
+/**
+ * BookingSegment - One booked part of a trip (flight, lodging or ground transport)
+ *
+ * Each segment has a kind (see BOOKING_SEGMENT_KINDS) and that kind's fields:
+ * - flight: carrier, number, departAirport, arriveAirport, departAt, arriveAt
+ * - lodging: name, address, checkIn, checkOut
+ * - ground: mode, provider, from, to, departAt, arriveAt
+ * plus an optional confirmation number. Times are local to where they happen
+ * (YYYY-MM-DDTHH:mm, no timezone), so a flight may land "before" it departs.
+ * Unset fields are null.
+ */
+
+import { BOOKING_SEGMENT_KINDS } from '../config/calendarConfig.js';
+
+const AIRPORT_FIELDS = ['departAirport', 'arriveAirport'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+export class BookingSegment {
+    constructor({ id, kind, confirmation = null, ...details }) {
+        this.kind = kind;
+
+        this.#validateInput();
+
+        this.id = id || `segment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        Object.assign(this, this.#normalizeFields(details));
+        this.confirmation = this.#toText(confirmation);
+
+        this.#validate();
+    }
+
+    /**
+     * Validate input data before processing
+     * @private
+     */
+    #validateInput() {
+        if (!BOOKING_SEGMENT_KINDS[this.kind]) {
+            throw new Error(`Invalid booking segment kind: ${this.kind}`);
+        }
+    }
+
+    /**
+     * Keep only the fields of this segment's kind
+     * Text is trimmed, airport codes uppercased and datetimes cut to minutes.
+     * @private
+     * @param {object} details - Field values
+     * @returns {object} Fields (null when unset)
+     */
+    #normalizeFields(details) {
+        return Object.fromEntries(Object.entries(this.#getFieldSpecs()).map(([field, spec]) => {
+            let value = this.#toText(details[field]);
+            if (value !== null && AIRPORT_FIELDS.includes(field)) value = value.toUpperCase();
+            if (value !== null && spec.input === 'datetime-local') value = value.slice(0, 16);
+            return [field, value];
+        }));
+    }
+
+    /**
+     * Convert a form value to trimmed text
+     * @private
+     * @param {*} value - Value
+     * @returns {string|null} Text, or null when empty
+     */
+    #toText(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text === '' ? null : text;
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        const kindLabel = BOOKING_SEGMENT_KINDS[this.kind].label.toLowerCase();
+
+        Object.entries(this.#getFieldSpecs()).forEach(([field, spec]) => {
+            const value = this[field];
+            if (value === null) {
+                if (spec.required) {
+                    throw new Error(`${spec.label} is required for a ${kindLabel}`);
+                }
+                return;
+            }
+
+            if (spec.input === 'date' && !DATE_PATTERN.test(value)) {
+                throw new Error(`Invalid ${spec.label.toLowerCase()} date: ${value}`);
+            }
+            if (spec.input === 'datetime-local' && !DATETIME_PATTERN.test(value)) {
+                throw new Error(`Invalid ${spec.label.toLowerCase()} time: ${value}`);
+            }
+            if (AIRPORT_FIELDS.includes(field) && !/^[A-Z]{3}$/.test(value)) {
+                throw new Error(`Invalid airport code: ${value} (use a three-letter code, e.g. LHR)`);
+            }
+        });
+
+        if (this.kind === 'lodging' && this.checkOut && this.checkOut < this.checkIn) {
+            throw new Error('Check-out must be on or after check-in');
+        }
+
+        if (this.kind === 'ground' && this.arriveAt && this.arriveAt < this.departAt) {
+            throw new Error('Arrival must be after departure');
+        }
+    }
+
+    /**
+     * Get the field definitions of this segment's kind
+     * @private
+     * @returns {object} { [field]: { label, input, required } }
+     */
+    #getFieldSpecs() {
+        return BOOKING_SEGMENT_KINDS[this.kind].fields;
+    }
+
+    /**
+     * Get when the segment starts
+     * @returns {string} Departure time (YYYY-MM-DDTHH:mm) or check-in date (YYYY-MM-DD)
+     */
+    getStart() {
+        return this.kind === 'lodging' ? this.checkIn : this.departAt;
+    }
+
+    /**
+     * Describe the segment in a few words
+     * @returns {string} Description, e.g. "LH 901 FRA → LHR" or "Train Berlin → Hamburg"
+     */
+    describe() {
+        const route = (from, to) => (from || to ? `${from || '?'} → ${to || '?'}` : '');
+        const join = (...parts) => parts.filter(Boolean).join(' ');
+
+        switch (this.kind) {
+            case 'flight':
+                return join(this.carrier, this.number, route(this.departAirport, this.arriveAirport)) || 'Flight';
+            case 'lodging':
+                return this.name;
+            case 'ground':
+                return join(this.mode || 'Ground transport', route(this.from, this.to), this.provider ? `(${this.provider})` : '');
+            default:
+                return this.kind;
+        }
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            ...Object.fromEntries(Object.keys(this.#getFieldSpecs()).map(field => [field, this[field]])),
+            confirmation: this.confirmation
+        };
+    }
+
+    /**
+     * Create BookingSegment from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {BookingSegment} BookingSegment instance
+     */
+    static fromJSON(data) {
+        return new BookingSegment(data);
+    }
+}
+
+export default BookingSegment;
@@ -0,0 +1,85 @@
+/**
+ * Budget - Travel budget for one year
+ *
+ * A year can have a total budget, a budget per quarter, or both; unset
+ * amounts (null) are not tracked. All amounts are in the budget's currency.
+ * Years and quarters are fiscal ones when a fiscal calendar is set.
+ */
+
+import { QUARTERS, DEFAULT_CURRENCY } from '../config/calendarConfig.js';
+
+export class Budget {
+    constructor({ year, currency = DEFAULT_CURRENCY, total = null, quarters = {} }) {
+        this.year = Number(year);
+        this.currency = currency ? String(currency).trim().toUpperCase() : DEFAULT_CURRENCY;
+        this.total = this.#toAmount(total);
+        this.quarters = Object.fromEntries(QUARTERS.map(q => [q.id, this.#toAmount(quarters?.[q.id])]));
+
+        this.#validate();
+    }
+
+    /**
+     * Convert an amount from a number or form input
+     * @private
+     * @param {number|string|null} value - Amount
+     * @returns {number|null} Number, null when empty, NaN when invalid
+     */
+    #toAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        return Number(value);
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        if (!Number.isInteger(this.year) || this.year < 1900 || this.year > 9999) {
+            throw new Error(`Invalid budget year: ${this.year}`);
+        }
+
+        if (!/^[A-Z]{3}$/.test(this.currency)) {
+            throw new Error(`Invalid currency: ${this.currency} (use a three-letter code, e.g. EUR)`);
+        }
+
+        [['total', this.total], ...Object.entries(this.quarters).map(([id, amount]) => [`Q${id}`, amount])]
+            .forEach(([label, amount]) => {
+                if (amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+                    throw new Error(`Invalid ${label} budget: must be a number of at least 0`);
+                }
+            });
+    }
+
+    /**
+     * Check if no amount is set
+     * @returns {boolean} True if neither the year nor any quarter has a budget
+     */
+    isEmpty() {
+        return this.total === null && Object.values(this.quarters).every(amount => amount === null);
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            year: this.year,
+            currency: this.currency,
+            total: this.total,
+            quarters: { ...this.quarters }
+        };
+    }
+
+    /**
+     * Create Budget from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {Budget} Budget instance
+     */
+    static fromJSON(data) {
+        return new Budget(data);
+    }
+}
+
+export default Budget;
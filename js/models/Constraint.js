@@ -12,15 +12,19 @@
 
 import { BUILT_IN_CONSTRAINT_TYPES } from '../config/calendarConfig.js';
 import { dateToISO } from '../services/DateService.js';
+import { RecurrenceRule } from './RecurrenceRule.js';
 
 // Counter to ensure unique IDs
 let idCounter = 0;
 
 export class Constraint {
-    constructor({ id, title, type, startDate, endDate = null }) {
+    constructor({ id, title, type, startDate, endDate = null, sourceUid = null, recurrence = null, exceptions = {} }) {
         this.id = id || `${Date.now()}-${idCounter++}`;
         this.title = title;
         this.type = type;
+        this.sourceUid = sourceUid || null; // UID of the calendar entry this constraint was imported from
+        this.recurrence = recurrence ? RecurrenceRule.fromJSON(recurrence) : null;
+        this.exceptions = recurrence ? this.#normalizeExceptions(exceptions) : {}; // Per-occurrence changes keyed by original date
 
         // Validate input before processing
         this.#validateInput(startDate);
@@ -73,6 +77,35 @@ export class Constraint {
         }
     }
 
+    /**
+     * Keep only well-formed occurrence exceptions
+     * @private
+     * @param {object} exceptions - { [originalDate]: { skipped: true } | overrides }
+     * @returns {object} Normalized exceptions
+     */
+    #normalizeExceptions(exceptions) {
+        const overridable = ['title', 'type', 'startDate', 'endDate'];
+        const normalized = {};
+
+        Object.entries(exceptions || {}).forEach(([date, exception]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !exception || typeof exception !== 'object') return;
+
+            if (exception.skipped) {
+                normalized[date] = { skipped: true };
+                return;
+            }
+
+            const overrides = Object.fromEntries(
+                Object.entries(exception).filter(([key, value]) => overridable.includes(key) && value)
+            );
+            if (Object.keys(overrides).length > 0) {
+                normalized[date] = overrides;
+            }
+        });
+
+        return normalized;
+    }
+
     /**
      * Validate constraint data after processing
      * @private
@@ -116,7 +149,9 @@ export class Constraint {
             title: this.title,
             type: this.type,
             startDate: this.startDate,
-            endDate: this.endDate
+            endDate: this.endDate,
+            ...(this.sourceUid ? { sourceUid: this.sourceUid } : {}),
+            ...(this.recurrence ? { recurrence: this.recurrence.toJSON(), exceptions: structuredClone(this.exceptions) } : {})
         };
     }
 
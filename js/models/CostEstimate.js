@@ -0,0 +1,105 @@
+/**
+ * CostEstimate - Estimated travel cost of a trip or location
+ *
+ * All amounts are optional (null = unknown):
+ * - airfare: return airfare for the whole trip
+ * - hotelNightly: hotel rate per night
+ * - nights: hotel nights (null = derived from the trip's dates)
+ * - perDiem: meals and incidentals per travel day
+ * - currency: ISO 4217 code, e.g. "EUR" (null = the budget's currency)
+ *
+ * Trips keep their own estimate; registered locations keep defaults that
+ * fill in whatever a trip leaves unknown (see BudgetService).
+ */
+
+const AMOUNT_FIELDS = ['airfare', 'hotelNightly', 'perDiem'];
+
+export class CostEstimate {
+    constructor({ airfare = null, hotelNightly = null, nights = null, perDiem = null, currency = null } = {}) {
+        this.airfare = this.#toAmount(airfare);
+        this.hotelNightly = this.#toAmount(hotelNightly);
+        this.nights = this.#toAmount(nights);
+        this.perDiem = this.#toAmount(perDiem);
+        this.currency = currency ? String(currency).trim().toUpperCase() : null;
+
+        this.#validate();
+    }
+
+    /**
+     * Convert an amount from a number or form input
+     * @private
+     * @param {number|string|null} value - Amount
+     * @returns {number|null} Number, null when empty, NaN when invalid
+     */
+    #toAmount(value) {
+        if (value === null || value === undefined || value === '') return null;
+        return Number(value);
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        AMOUNT_FIELDS.forEach(field => {
+            const value = this[field];
+            if (value !== null && (!Number.isFinite(value) || value < 0)) {
+                throw new Error(`Invalid ${field} cost: must be a number of at least 0`);
+            }
+        });
+
+        if (this.nights !== null && (!Number.isInteger(this.nights) || this.nights < 0)) {
+            throw new Error('Hotel nights must be a whole number');
+        }
+
+        if (this.currency && !/^[A-Z]{3}$/.test(this.currency)) {
+            throw new Error(`Invalid currency: ${this.currency} (use a three-letter code, e.g. EUR)`);
+        }
+    }
+
+    /**
+     * Check if no amount is known
+     * @returns {boolean} True if airfare, hotel rate and per diem are all unknown
+     */
+    isEmpty() {
+        return AMOUNT_FIELDS.every(field => this[field] === null);
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            airfare: this.airfare,
+            hotelNightly: this.hotelNightly,
+            nights: this.nights,
+            perDiem: this.perDiem,
+            currency: this.currency
+        };
+    }
+
+    /**
+     * Create CostEstimate from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {CostEstimate} CostEstimate instance
+     */
+    static fromJSON(data) {
+        return new CostEstimate(data);
+    }
+
+    /**
+     * Build an estimate from optional data, dropping estimates without amounts
+     * @static
+     * @param {object|null} data - Plain object data
+     * @returns {CostEstimate|null} CostEstimate, or null if nothing is known
+     */
+    static fromOptional(data) {
+        if (!data) return null;
+        const estimate = data instanceof CostEstimate ? data : new CostEstimate(data);
+        return estimate.isEmpty() ? null : estimate;
+    }
+}
+
+export default CostEstimate;
@@ -1,28 +1,49 @@
 /**
  * Event - Travel event data model
+ *
+ * Multi-city trips keep ordered legs ({ location, days }); the first leg's
+ * location is the trip's location. See DateService.getEventLegs for leg dates.
+ * Trips may carry an estimated cost (see CostEstimate and BudgetService) and
+ * booking details (flights, lodging, ground transport; see BookingSegment),
+ * kept in start order.
+ *
+ * Every trip has a lifecycle status (see TRIP_STATUSES); status changes go
+ * through transitionTo, which only allows the configured transitions and
+ * records them in statusHistory ({ status, from, at }).
  */
 
-import { BUILT_IN_EVENT_TYPES } from '../config/calendarConfig.js';
+import { BUILT_IN_EVENT_TYPES, TRIP_STATUSES, DEFAULT_TRIP_STATUS, IMMOVABLE_TRIP_STATUSES, INACTIVE_TRIP_STATUSES } from '../config/calendarConfig.js';
 import { dateToISO, getMonday } from '../services/DateService.js';
+import { RecurrenceRule } from './RecurrenceRule.js';
+import { CostEstimate } from './CostEstimate.js';
+import { BookingSegment } from './BookingSegment.js';
 
 // Counter to ensure unique IDs
 let idCounter = 0;
 
 export class Event {
-    constructor({ id, title, type, location, startDate, endDate = null, duration = 1, isFixed = true, archived = false }) {
+    constructor({ id, title, type, location, startDate, endDate = null, duration = 1, isFixed = true, archived = false, sourceUid = null, recurrence = null, exceptions = {}, legs = null, cost = null, status = DEFAULT_TRIP_STATUS, statusHistory = [], segments = [] }) {
         this.id = id || `${Date.now()}-${idCounter++}`;
         this.title = title;
         this.type = type;
         this.location = location;
+        this.legs = this.#normalizeLegs(legs); // null unless the trip visits 2+ locations
         this.isFixed = isFixed;
         this.archived = archived || false;
         this.duration = duration;
+        this.cost = CostEstimate.fromOptional(cost); // null unless some cost is known
+        this.segments = this.#normalizeSegments(segments);
+        this.status = status || DEFAULT_TRIP_STATUS;
+        this.statusHistory = Array.isArray(statusHistory) ? statusHistory.map(entry => ({ ...entry })) : [];
+        this.sourceUid = sourceUid || null; // UID of the calendar entry this trip was imported from
+        this.recurrence = recurrence ? RecurrenceRule.fromJSON(recurrence) : null;
+        this.exceptions = recurrence ? this.#normalizeExceptions(exceptions) : {}; // Per-occurrence changes keyed by original date
 
         // Validate BEFORE processing dates
         this.#validateInput(startDate);
 
         // For fixed trips with specific dates, store actual dates
-        // For flexible trips, normalize to Monday of the week
+        // For flexible trips, normalize to the start of the work week
         if (isFixed && endDate) {
             this.startDate = this.#toISODate(startDate);
             this.endDate = this.#toISODate(endDate);
@@ -31,7 +52,7 @@ export class Event {
             this.startDate = this.#normalizeDate(startDate);
             this.endDate = null;
         } else {
-            // Flexible trip - normalize to Monday of the week
+            // Flexible trip - normalize to the start of the work week
             this.startDate = this.#normalizeDate(startDate);
             this.endDate = null;
         }
@@ -59,7 +80,7 @@ export class Event {
     }
 
     /**
-     * Normalize date to Monday of the week (for flexible trips)
+     * Normalize date to the start of its work week (for flexible trips, see DateService.setWorkWeek)
      * @private
      */
     #normalizeDate(date) {
@@ -95,6 +116,84 @@ export class Event {
         if (this.duration < 1) {
             throw new Error('Event duration must be at least 1 week');
         }
+
+        if (!TRIP_STATUSES[this.status]) {
+            throw new Error(`Invalid trip status: ${this.status}`);
+        }
+    }
+
+    /**
+     * Keep only well-formed occurrence exceptions
+     * @private
+     * @param {object} exceptions - { [originalDate]: { skipped: true } | overrides }
+     * @returns {object} Normalized exceptions
+     */
+    #normalizeExceptions(exceptions) {
+        const overridable = ['title', 'type', 'location', 'startDate', 'endDate'];
+        const normalized = {};
+
+        Object.entries(exceptions || {}).forEach(([date, exception]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !exception || typeof exception !== 'object') return;
+
+            if (exception.skipped) {
+                normalized[date] = { skipped: true };
+                return;
+            }
+
+            const overrides = Object.fromEntries(
+                Object.entries(exception).filter(([key, value]) => overridable.includes(key) && value)
+            );
+            if (Object.keys(overrides).length > 0) {
+                normalized[date] = overrides;
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate multi-city legs and keep the first leg in sync with the trip's location
+     * @private
+     * @param {Array<object>|null} legs - Ordered legs: { location, days }
+     * @returns {Array<object>|null} Normalized legs, or null for single-location trips
+     */
+    #normalizeLegs(legs) {
+        if (!Array.isArray(legs) || legs.length < 2) return null;
+
+        const normalized = legs.map(leg => {
+            const location = typeof leg?.location === 'string' ? leg.location.trim() : '';
+            const days = Number(leg?.days);
+            if (!location) {
+                throw new Error('Each trip leg needs a location');
+            }
+            if (!Number.isInteger(days) || days < 1) {
+                throw new Error(`Invalid number of days for the ${location} leg: ${leg.days}`);
+            }
+            return { location, days };
+        });
+
+        // The trip's location is the first leg's location (editing one renames the other)
+        if (this.location && this.location.trim() !== '') {
+            normalized[0].location = this.location;
+        } else {
+            this.location = normalized[0].location;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build booking segments and sort them by start
+     * @private
+     * @param {Array<object>} segments - Plain segments or BookingSegment instances
+     * @returns {Array<BookingSegment>} Segments in start order
+     */
+    #normalizeSegments(segments) {
+        if (!Array.isArray(segments)) return [];
+
+        return segments
+            .map(segment => (segment instanceof BookingSegment ? segment : BookingSegment.fromJSON(segment)))
+            .sort((a, b) => a.getStart().localeCompare(b.getStart()));
     }
 
     /**
@@ -108,6 +207,34 @@ export class Event {
         }
     }
 
+    /**
+     * Check if the trip can move to a status
+     * @param {string} status - Status id (see TRIP_STATUSES)
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransitionTo(status) {
+        return TRIP_STATUSES[this.status].transitions.includes(status);
+    }
+
+    /**
+     * Move the trip to another status and record the change
+     * @param {string} status - Status id (see TRIP_STATUSES)
+     * @param {string} at - ISO timestamp of the change (default now)
+     * @throws {Error} If the transition is not allowed
+     */
+    transitionTo(status, at = new Date().toISOString()) {
+        if (status === this.status) return;
+        if (!TRIP_STATUSES[status]) {
+            throw new Error(`Invalid trip status: ${status}`);
+        }
+        if (!this.canTransitionTo(status)) {
+            throw new Error(`Cannot change trip status from ${TRIP_STATUSES[this.status].label.toLowerCase()} to ${TRIP_STATUSES[status].label.toLowerCase()}`);
+        }
+
+        this.statusHistory.push({ status, from: this.status, at });
+        this.status = status;
+    }
+
     /**
      * Get plain object representation
      * @returns {object} Plain object
@@ -122,7 +249,14 @@ export class Event {
             endDate: this.endDate,
             duration: this.duration,
             isFixed: this.isFixed,
-            archived: this.archived
+            archived: this.archived,
+            status: this.status,
+            ...(this.statusHistory.length > 0 ? { statusHistory: this.statusHistory.map(entry => ({ ...entry })) } : {}),
+            ...(this.sourceUid ? { sourceUid: this.sourceUid } : {}),
+            ...(this.legs ? { legs: this.legs.map(leg => ({ ...leg })) } : {}),
+            ...(this.cost ? { cost: this.cost.toJSON() } : {}),
+            ...(this.segments.length > 0 ? { segments: this.segments.map(segment => segment.toJSON()) } : {}),
+            ...(this.recurrence ? { recurrence: this.recurrence.toJSON(), exceptions: structuredClone(this.exceptions) } : {})
         };
     }
 
@@ -145,4 +279,22 @@ export class Event {
     }
 }
 
+/**
+ * Check if a trip takes up travel time (not archived or cancelled)
+ * @param {object} event - Event, occurrence or plain event object
+ * @returns {boolean} True if the trip is active
+ */
+export function isTripActive(event) {
+    return !event.archived && !INACTIVE_TRIP_STATUSES.includes(event.status);
+}
+
+/**
+ * Check if a trip must keep its dates when trips are re-optimized
+ * @param {object} event - Event, occurrence or plain event object
+ * @returns {boolean} True if the trip is booked or completed
+ */
+export function isTripImmovable(event) {
+    return IMMOVABLE_TRIP_STATUSES.includes(event.status);
+}
+
 export default Event;
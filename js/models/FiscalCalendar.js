@@ -0,0 +1,66 @@
+/**
+ * FiscalCalendar - How the planning year and its quarters are laid out
+ *
+ * Fiscal years start on the first of startMonth and are named after the
+ * calendar year they end in (an October start makes Oct 2025 - Sep 2026
+ * FY2026). With a week pattern (e.g. 4-4-5) the year instead starts on the
+ * week start (Monday by default) nearest that date and quarters are 13
+ * whole weeks, the last one taking the 53rd week when there is one. See
+ * DateService for the dates.
+ */
+
+import { DEFAULT_FISCAL_CALENDAR, FISCAL_WEEK_PATTERNS } from '../config/calendarConfig.js';
+
+export class FiscalCalendar {
+    constructor({ startMonth = DEFAULT_FISCAL_CALENDAR.startMonth, weekPattern = DEFAULT_FISCAL_CALENDAR.weekPattern } = {}) {
+        this.startMonth = Number(startMonth);
+        this.weekPattern = weekPattern || null;
+
+        this.#validate();
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        if (!Number.isInteger(this.startMonth) || this.startMonth < 0 || this.startMonth > 11) {
+            throw new Error(`Invalid fiscal year start month: ${this.startMonth} (use 0-11)`);
+        }
+
+        if (this.weekPattern !== null && !FISCAL_WEEK_PATTERNS[this.weekPattern]) {
+            throw new Error(`Invalid fiscal week pattern: ${this.weekPattern} (use ${Object.keys(FISCAL_WEEK_PATTERNS).join(', ')})`);
+        }
+    }
+
+    /**
+     * Check if this is the plain calendar year (January start, month quarters)
+     * @returns {boolean} True for the default calendar
+     */
+    isCalendarYear() {
+        return this.startMonth === 0 && this.weekPattern === null;
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            startMonth: this.startMonth,
+            weekPattern: this.weekPattern
+        };
+    }
+
+    /**
+     * Create FiscalCalendar from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {FiscalCalendar} FiscalCalendar instance
+     */
+    static fromJSON(data) {
+        return new FiscalCalendar(data);
+    }
+}
+
+export default FiscalCalendar;
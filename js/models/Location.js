@@ -0,0 +1,190 @@
+/**
+ * Location - Registered travel destination
+ *
+ * Trips store their location as free text; the registry maps that text to
+ * a canonical location through its name or one of its aliases, so "NYC" and
+ * "New York" resolve to the same place while "London" and "New London" don't.
+ * Matching ignores case and repeated whitespace, never substrings.
+ *
+ * A default cost estimate (airfare, hotel rate, per diem) prices trips to the
+ * location that don't carry their own; its hotel nights are not used.
+ */
+
+import { CostEstimate } from './CostEstimate.js';
+
+/**
+ * Normalize location text for matching
+ * @param {string} text - Location name or alias
+ * @returns {string} Lowercase text with collapsed whitespace
+ */
+export function normalizeLocationName(text) {
+    return String(text ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export class Location {
+    constructor({ id, name, aliases = [], countryCode = null, timezone = null, lat = null, lon = null, isHomeOffice = false, defaultCost = null }) {
+        this.name = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : name;
+
+        this.#validateInput();
+
+        this.id = id || Location.createId(this.name);
+        this.aliases = this.#normalizeAliases(aliases);
+        this.countryCode = countryCode ? String(countryCode).trim().toUpperCase() : null;
+        this.timezone = timezone ? String(timezone).trim() : null;
+        this.lat = this.#toCoordinate(lat);
+        this.lon = this.#toCoordinate(lon);
+        this.isHomeOffice = Boolean(isHomeOffice);
+        this.defaultCost = CostEstimate.fromOptional(defaultCost ? { ...defaultCost, nights: null } : null);
+
+        this.#validate();
+    }
+
+    /**
+     * Validate input data before processing
+     * @private
+     */
+    #validateInput() {
+        if (!this.name || typeof this.name !== 'string') {
+            throw new Error('Location name is required');
+        }
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        if (this.countryCode && !/^[A-Z]{2}$/.test(this.countryCode)) {
+            throw new Error(`Invalid country code: ${this.countryCode} (use two letters, e.g. GB)`);
+        }
+
+        if (this.timezone && !Location.isValidTimezone(this.timezone)) {
+            throw new Error(`Invalid timezone: ${this.timezone} (use an IANA name, e.g. Europe/London)`);
+        }
+
+        if ((this.lat === null) !== (this.lon === null)) {
+            throw new Error('Latitude and longitude must be set together');
+        }
+
+        if (Number.isNaN(this.lat) || (this.lat !== null && Math.abs(this.lat) > 90)) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+
+        if (Number.isNaN(this.lon) || (this.lon !== null && Math.abs(this.lon) > 180)) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+    }
+
+    /**
+     * Clean up aliases: accept an array or comma-separated text, drop blanks,
+     * duplicates and aliases equal to the name
+     * @private
+     * @param {Array<string>|string} aliases - Aliases
+     * @returns {Array<string>} Aliases
+     */
+    #normalizeAliases(aliases) {
+        const list = typeof aliases === 'string' ? aliases.split(',') : (Array.isArray(aliases) ? aliases : []);
+        const seen = new Set([normalizeLocationName(this.name)]);
+
+        return list
+            .map(alias => String(alias ?? '').trim().replace(/\s+/g, ' '))
+            .filter(alias => {
+                const key = normalizeLocationName(alias);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Convert a coordinate from a number or form input
+     * @private
+     * @param {number|string|null} value - Coordinate
+     * @returns {number|null} Number, null when empty, NaN when invalid
+     */
+    #toCoordinate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        return Number(value);
+    }
+
+    /**
+     * Get the name followed by all aliases
+     * @returns {Array<string>} Names this location is known by
+     */
+    getNames() {
+        return [this.name, ...this.aliases];
+    }
+
+    /**
+     * Check if text refers to this location (name or alias, ignoring case)
+     * @param {string} text - Location text
+     * @returns {boolean} True if the text names this location
+     */
+    matches(text) {
+        const key = normalizeLocationName(text);
+        return key !== '' && this.getNames().some(name => normalizeLocationName(name) === key);
+    }
+
+    /**
+     * Check if coordinates are known
+     * @returns {boolean} True if lat/lon are set
+     */
+    hasCoordinates() {
+        return this.lat !== null && this.lon !== null;
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            aliases: [...this.aliases],
+            countryCode: this.countryCode,
+            timezone: this.timezone,
+            lat: this.lat,
+            lon: this.lon,
+            isHomeOffice: this.isHomeOffice,
+            defaultCost: this.defaultCost ? this.defaultCost.toJSON() : null
+        };
+    }
+
+    /**
+     * Create Location from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {Location} Location instance
+     */
+    static fromJSON(data) {
+        return new Location(data);
+    }
+
+    /**
+     * Build an ID from a location name
+     * @static
+     * @param {string} name - Location name
+     * @returns {string} Slug, e.g. "new-york"
+     */
+    static createId(name) {
+        return normalizeLocationName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'location';
+    }
+
+    /**
+     * Check if a string is an IANA timezone known to this runtime
+     * @static
+     * @param {string} timezone - Timezone name
+     * @returns {boolean} True if valid
+     */
+    static isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+export default Location;
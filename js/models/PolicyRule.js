@@ -0,0 +1,151 @@
+/**
+ * PolicyRule - Declarative company travel policy rule
+ *
+ * Each rule has a type (see POLICY_RULE_TYPES) and type-specific params:
+ * - max-consecutive-weeks: { maxWeeks } travel weeks in a row
+ * - max-trips: { period, maxTrips, scope } trips starting in a month/quarter/year
+ *   (scope 'international' only counts trips outside the home office's country)
+ * - min-home-weeks: { period, minWeeks } weeks without travel in each period
+ * - blackout-position: { period, position, weeks } no travel in the first/last
+ *   weeks of each period
+ *
+ * Hard rules disqualify weeks that would break them; soft rules only
+ * lower their score. PolicyService evaluates rules against a plan.
+ */
+
+import { POLICY_RULE_TYPES, POLICY_PERIODS } from '../config/calendarConfig.js';
+
+const SCOPES = ['all', 'international'];
+const POSITIONS = ['first', 'last'];
+const SEVERITIES = ['hard', 'soft'];
+
+export class PolicyRule {
+    constructor({ id, name = '', type, params = {}, severity = 'soft', enabled = true }) {
+        this.type = type;
+
+        this.#validateInput(params);
+
+        this.id = id || `policy-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.params = this.#normalizeParams(params);
+        this.severity = severity;
+        this.enabled = Boolean(enabled);
+        this.name = typeof name === 'string' && name.trim() !== '' ? name.trim() : this.describe();
+
+        this.#validate();
+    }
+
+    /**
+     * Validate input data before processing
+     * @private
+     * @param {object} params - Rule params
+     */
+    #validateInput(params) {
+        if (!POLICY_RULE_TYPES[this.type]) {
+            throw new Error(`Invalid policy rule type: ${this.type}`);
+        }
+
+        if (typeof params !== 'object' || params === null) {
+            throw new Error('Policy rule params must be an object');
+        }
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        const { period, maxWeeks, maxTrips, minWeeks, weeks, scope, position } = this.params;
+
+        if (!SEVERITIES.includes(this.severity)) {
+            throw new Error(`Invalid policy severity: ${this.severity} (use hard or soft)`);
+        }
+
+        if (period !== undefined && !POLICY_PERIODS.includes(period)) {
+            throw new Error(`Invalid policy period: ${period}`);
+        }
+
+        if (scope !== undefined && !SCOPES.includes(scope)) {
+            throw new Error(`Invalid trip scope: ${scope}`);
+        }
+
+        if (position !== undefined && !POSITIONS.includes(position)) {
+            throw new Error(`Invalid period position: ${position} (use first or last)`);
+        }
+
+        const counts = { maxWeeks, maxTrips, weeks };
+        Object.entries(counts).forEach(([key, value]) => {
+            if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+                throw new Error(`Policy ${key} must be a whole number of at least 1`);
+            }
+        });
+
+        if (minWeeks !== undefined && (!Number.isInteger(minWeeks) || minWeeks < 0)) {
+            throw new Error('Policy minWeeks must be a whole number');
+        }
+    }
+
+    /**
+     * Keep only the params this rule type uses, falling back to type defaults
+     * Numeric values from form inputs are converted to numbers.
+     * @private
+     * @param {object} params - Rule params
+     * @returns {object} Params
+     */
+    #normalizeParams(params) {
+        const defaults = POLICY_RULE_TYPES[this.type].defaults;
+
+        return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+            const value = params[key] === undefined || params[key] === '' ? fallback : params[key];
+            return [key, typeof fallback === 'number' ? Number(value) : value];
+        }));
+    }
+
+    /**
+     * Describe the rule in plain words
+     * @returns {string} Description, e.g. "At most 3 consecutive travel weeks"
+     */
+    describe() {
+        const { period, maxWeeks, maxTrips, minWeeks, weeks, scope, position } = this.params;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        switch (this.type) {
+            case 'max-consecutive-weeks':
+                return `At most ${plural(maxWeeks, 'consecutive travel week')}`;
+            case 'max-trips':
+                return `At most ${plural(maxTrips, scope === 'international' ? 'international trip' : 'trip')} per ${period}`;
+            case 'min-home-weeks':
+                return `At least ${plural(minWeeks, 'home week')} per ${period}`;
+            case 'blackout-position':
+                return `No travel in the ${position} ${weeks === 1 ? 'week' : `${weeks} weeks`} of each ${period}`;
+            default:
+                return this.type;
+        }
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            type: this.type,
+            params: { ...this.params },
+            severity: this.severity,
+            enabled: this.enabled
+        };
+    }
+
+    /**
+     * Create PolicyRule from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {PolicyRule} PolicyRule instance
+     */
+    static fromJSON(data) {
+        return new PolicyRule(data);
+    }
+}
+
+export default PolicyRule;
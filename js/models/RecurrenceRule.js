@@ -0,0 +1,237 @@
+/**
+ * RecurrenceRule - Repeat pattern for events and constraints
+ *
+ * A subset of iCalendar RRULE:
+ * - freq: 'weekly' | 'monthly' | 'yearly'
+ * - interval: every N weeks/months/years (default 1)
+ * - byMonthDay: day of month (1-31, or -1 for the last day) - monthly/yearly only
+ * - byNthWeekday: { nth: 1-5 or -1 (last), weekday: 0-6 (Sunday-Saturday) } - monthly/yearly only
+ * - until: last possible occurrence date (ISO, inclusive)
+ * - count: total number of occurrences
+ *
+ * Occurrences are generated from an anchor date (the series' start date).
+ * Monthly/yearly rules without byMonthDay/byNthWeekday repeat on the
+ * anchor's day of month; months without that day are skipped. Pattern
+ * dates before the anchor are never generated.
+ */
+
+import { dateToISO } from '../services/DateService.js';
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// Safety cap on generated periods for rules without an end
+const MAX_PERIODS = 5000;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+export class RecurrenceRule {
+    constructor({ freq, interval = 1, byMonthDay = null, byNthWeekday = null, until = null, count = null }) {
+        this.freq = freq;
+        this.interval = Number(interval) || 1;
+        this.byMonthDay = byMonthDay === null || byMonthDay === '' ? null : Number(byMonthDay);
+        this.byNthWeekday = byNthWeekday
+            ? { nth: Number(byNthWeekday.nth), weekday: Number(byNthWeekday.weekday) }
+            : null;
+        this.until = until || null;
+        this.count = count === null || count === '' ? null : Number(count);
+
+        this.#validate();
+    }
+
+    /**
+     * Validate rule data
+     * @private
+     */
+    #validate() {
+        if (!RECURRENCE_FREQUENCIES.includes(this.freq)) {
+            throw new Error(`Invalid recurrence frequency: ${this.freq}`);
+        }
+
+        if (!Number.isInteger(this.interval) || this.interval < 1) {
+            throw new Error('Recurrence interval must be a whole number of at least 1');
+        }
+
+        if (this.freq === 'weekly' && (this.byMonthDay !== null || this.byNthWeekday)) {
+            throw new Error('Weekly recurrence cannot use a day of month or nth weekday');
+        }
+
+        if (this.byMonthDay !== null && this.byNthWeekday) {
+            throw new Error('Recurrence cannot use both a day of month and an nth weekday');
+        }
+
+        if (this.byMonthDay !== null
+            && (!Number.isInteger(this.byMonthDay) || this.byMonthDay === 0 || this.byMonthDay < -1 || this.byMonthDay > 31)) {
+            throw new Error('Recurrence day of month must be 1-31 or -1 (last day)');
+        }
+
+        if (this.byNthWeekday) {
+            const { nth, weekday } = this.byNthWeekday;
+            if (!(Number.isInteger(nth) && ((nth >= 1 && nth <= 5) || nth === -1))) {
+                throw new Error('Recurrence nth weekday must be 1-5 or -1 (last)');
+            }
+            if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+                throw new Error('Recurrence weekday must be 0-6 (Sunday-Saturday)');
+            }
+        }
+
+        if (this.until && !/^\d{4}-\d{2}-\d{2}$/.test(this.until)) {
+            throw new Error('Recurrence end date must be an ISO date (YYYY-MM-DD)');
+        }
+
+        if (this.count !== null && (!Number.isInteger(this.count) || this.count < 1)) {
+            throw new Error('Recurrence count must be a whole number of at least 1');
+        }
+
+        if (this.until && this.count !== null) {
+            throw new Error('Recurrence cannot have both an end date and a count');
+        }
+    }
+
+    /**
+     * Get occurrence dates of the rule
+     * @param {string} anchorDate - Series start date (ISO)
+     * @param {object} options - { from, to } ISO bounds (inclusive); occurrences before
+     *   `from` still count towards `count`
+     * @returns {Array<string>} Occurrence dates (ISO) in chronological order
+     */
+    getOccurrences(anchorDate, { from = null, to = null } = {}) {
+        const [year, month, day] = anchorDate.split('-').map(Number);
+        const anchor = new Date(year, month - 1, day);
+        const occurrences = [];
+        let generated = 0;
+
+        for (let period = 0; period < MAX_PERIODS; period++) {
+            const date = this.#getPeriodDate(anchor, period);
+            if (!date) continue;
+
+            const iso = dateToISO(date);
+            if (iso < anchorDate) continue;
+            if (this.until && iso > this.until) break;
+            if (to && iso > to) break;
+
+            generated++;
+            if (this.count !== null && generated > this.count) break;
+
+            if (!from || iso >= from) {
+                occurrences.push(iso);
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Check whether a date is an occurrence of the rule
+     * @param {string} anchorDate - Series start date (ISO)
+     * @param {string} date - Candidate date (ISO)
+     * @returns {boolean} True if the rule generates the date
+     */
+    includes(anchorDate, date) {
+        return this.getOccurrences(anchorDate, { from: date, to: date }).includes(date);
+    }
+
+    /**
+     * Get the pattern date for the nth period after the anchor
+     * @private
+     * @param {Date} anchor - Anchor date
+     * @param {number} period - Period index (0 = anchor's week/month/year)
+     * @returns {Date|null} Date, or null when the period has no matching day
+     */
+    #getPeriodDate(anchor, period) {
+        const step = period * this.interval;
+
+        if (this.freq === 'weekly') {
+            return new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + step * 7);
+        }
+
+        if (this.freq === 'monthly') {
+            return this.#resolveDayInMonth(anchor.getFullYear(), anchor.getMonth() + step, anchor.getDate());
+        }
+
+        return this.#resolveDayInMonth(anchor.getFullYear() + step, anchor.getMonth(), anchor.getDate());
+    }
+
+    /**
+     * Resolve the rule's day within a month
+     * @private
+     * @param {number} year - Year
+     * @param {number} monthIndex - Month index (may overflow past 11)
+     * @param {number} anchorDay - Anchor day of month (used without byMonthDay/byNthWeekday)
+     * @returns {Date|null} Date, or null if the month has no such day
+     */
+    #resolveDayInMonth(year, monthIndex, anchorDay) {
+        const first = new Date(year, monthIndex, 1);
+        const y = first.getFullYear();
+        const m = first.getMonth();
+        const daysInMonth = new Date(y, m + 1, 0).getDate();
+
+        let day;
+        if (this.byNthWeekday) {
+            const { nth, weekday } = this.byNthWeekday;
+            if (nth === -1) {
+                const lastWeekday = new Date(y, m, daysInMonth).getDay();
+                day = daysInMonth - ((lastWeekday - weekday + 7) % 7);
+            } else {
+                day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+            }
+        } else {
+            day = this.byMonthDay ?? anchorDay;
+            if (day === -1) day = daysInMonth;
+        }
+
+        return day > daysInMonth ? null : new Date(y, m, day);
+    }
+
+    /**
+     * Get a short human-readable description
+     * @returns {string} e.g. "Every 3 months on the first Monday"
+     */
+    describe() {
+        const unit = { weekly: 'week', monthly: 'month', yearly: 'year' }[this.freq];
+        let text = this.interval === 1 ? `Every ${unit}` : `Every ${this.interval} ${unit}s`;
+
+        if (this.byNthWeekday) {
+            text += ` on the ${ORDINALS[this.byNthWeekday.nth]} ${WEEKDAY_NAMES[this.byNthWeekday.weekday]}`;
+        } else if (this.byMonthDay === -1) {
+            text += ' on the last day';
+        } else if (this.byMonthDay !== null) {
+            text += ` on day ${this.byMonthDay}`;
+        }
+
+        if (this.count !== null) {
+            text += `, ${this.count} ${this.count === 1 ? 'time' : 'times'}`;
+        } else if (this.until) {
+            text += `, until ${this.until}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            freq: this.freq,
+            interval: this.interval,
+            byMonthDay: this.byMonthDay,
+            byNthWeekday: this.byNthWeekday ? { ...this.byNthWeekday } : null,
+            until: this.until,
+            count: this.count
+        };
+    }
+
+    /**
+     * Create RecurrenceRule from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {RecurrenceRule} RecurrenceRule instance
+     */
+    static fromJSON(data) {
+        return new RecurrenceRule(data);
+    }
+}
+
+export default RecurrenceRule;
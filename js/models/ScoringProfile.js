@@ -0,0 +1,71 @@
+/**
+ * ScoringProfile - Named set of ScoringEngine weights
+ *
+ * Profiles let each planner tune how strongly the engine rewards
+ * consolidation or punishes back-to-back travel. Missing weights fall
+ * back to DEFAULT_SCORING_WEIGHTS so older saved profiles keep working
+ * when new weights are added.
+ */
+
+import { DEFAULT_SCORING_WEIGHTS } from '../config/calendarConfig.js';
+
+export class ScoringProfile {
+    constructor({ name, weights = {}, isBuiltIn = false }) {
+        this.name = typeof name === 'string' ? name.trim() : name;
+        this.weights = { ...DEFAULT_SCORING_WEIGHTS };
+        this.isBuiltIn = Boolean(isBuiltIn);
+
+        this.#validateInput(weights);
+
+        Object.keys(DEFAULT_SCORING_WEIGHTS).forEach(key => {
+            if (weights[key] !== undefined && weights[key] !== '') {
+                this.weights[key] = Number(weights[key]);
+            }
+        });
+    }
+
+    /**
+     * Validate input data
+     * @private
+     */
+    #validateInput(weights) {
+        if (!this.name) {
+            throw new Error('Scoring profile name is required');
+        }
+
+        if (typeof weights !== 'object' || weights === null) {
+            throw new Error('Scoring weights must be an object');
+        }
+
+        Object.keys(DEFAULT_SCORING_WEIGHTS).forEach(key => {
+            const value = weights[key];
+            if (value !== undefined && value !== '' && !Number.isFinite(Number(value))) {
+                throw new Error(`Invalid scoring weight "${key}": ${value}`);
+            }
+        });
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            weights: { ...this.weights },
+            isBuiltIn: this.isBuiltIn
+        };
+    }
+
+    /**
+     * Create ScoringProfile from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {ScoringProfile} ScoringProfile instance
+     */
+    static fromJSON(data) {
+        return new ScoringProfile(data);
+    }
+}
+
+export default ScoringProfile;
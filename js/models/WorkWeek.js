@@ -0,0 +1,77 @@
+/**
+ * WorkWeek - Which days of the week are working days
+ *
+ * Every week starts on firstDay, the first working day (Monday for a
+ * Monday-Friday week, Sunday for Sunday-Thursday). Flexible trips span the
+ * week's working days, and only working days count when checking whether a
+ * trip or constraint touches a week. Weekdays are numbered like
+ * Date.getDay() (0 = Sunday). See DateService.setWorkWeek.
+ */
+
+import { DEFAULT_WORK_WEEK } from '../config/calendarConfig.js';
+
+export class WorkWeek {
+    constructor({ firstDay = DEFAULT_WORK_WEEK.firstDay, workingDays = DEFAULT_WORK_WEEK.workingDays } = {}) {
+        this.firstDay = Number(firstDay);
+        this.workingDays = Array.isArray(workingDays)
+            ? [...new Set(workingDays.map(Number))].sort((a, b) => a - b)
+            : workingDays;
+
+        this.#validate();
+    }
+
+    /**
+     * Validate processed fields
+     * @private
+     */
+    #validate() {
+        if (!Number.isInteger(this.firstDay) || this.firstDay < 0 || this.firstDay > 6) {
+            throw new Error(`Invalid first working day: ${this.firstDay} (use 0-6, 0 = Sunday)`);
+        }
+
+        if (!Array.isArray(this.workingDays) || this.workingDays.length === 0) {
+            throw new Error('A work week needs at least one working day');
+        }
+
+        const invalid = this.workingDays.find(day => !Number.isInteger(day) || day < 0 || day > 6);
+        if (invalid !== undefined) {
+            throw new Error(`Invalid working day: ${invalid} (use 0-6, 0 = Sunday)`);
+        }
+
+        if (!this.workingDays.includes(this.firstDay)) {
+            throw new Error('The first working day must be one of the working days');
+        }
+    }
+
+    /**
+     * Check if this is the default Monday-Friday week
+     * @returns {boolean} True for the default work week
+     */
+    isDefault() {
+        return this.firstDay === DEFAULT_WORK_WEEK.firstDay &&
+            this.workingDays.join() === DEFAULT_WORK_WEEK.workingDays.join();
+    }
+
+    /**
+     * Get plain object representation
+     * @returns {object} Plain object
+     */
+    toJSON() {
+        return {
+            firstDay: this.firstDay,
+            workingDays: [...this.workingDays]
+        };
+    }
+
+    /**
+     * Create WorkWeek from plain object
+     * @static
+     * @param {object} data - Plain object data
+     * @returns {WorkWeek} WorkWeek instance
+     */
+    static fromJSON(data) {
+        return new WorkWeek(data);
+    }
+}
+
+export default WorkWeek;
@@ -0,0 +1,234 @@
+/**
+ * AnalyticsService - Travel statistics for the dashboard
+ *
+ * Works on any date periods (fiscal months, quarters or years, see
+ * DateService). A trip counts towards the period it starts in; days away
+ * count towards the period they fall in (see TravelAccountingService).
+ * Recurring trips are expanded; archived and cancelled trips are ignored.
+ * Locations compare by name, ignoring case and spacing (multi-city trips
+ * count for each of their legs).
+ */
+
+import { dateToISO, addDays, getEventDateRange, getEventLegs, getEventWeeks, getFiscalYear, getFiscalYearRange } from './DateService.js';
+import { expandEvents } from './RecurrenceService.js';
+import { getTravelSummary } from './TravelAccountingService.js';
+import { isTripActive } from '../models/Event.js';
+import { normalizeLocationName } from '../models/Location.js';
+
+/**
+ * Filter trips by event type and location
+ * @param {Array} events - Events (plain objects or models)
+ * @param {object} filters - Filters (empty values match everything)
+ * @param {string|null} filters.type - Event type ID
+ * @param {string|null} filters.location - Location name (matches any leg)
+ * @returns {Array} Matching events
+ */
+export function filterTrips(events, { type = null, location = null } = {}) {
+    const wanted = location ? normalizeLocationName(location) : null;
+
+    return events.filter(event =>
+        (!type || event.type === type) &&
+        (!wanted || getEventLegs(event).some(leg => normalizeLocationName(leg.location) === wanted))
+    );
+}
+
+/**
+ * Count trips and days away per period
+ * @param {Array} events - Events
+ * @param {Array<object>} periods - Periods with ISO startDate/endDate (other fields are kept)
+ * @returns {Array<object>} Periods with trips and daysAway added
+ */
+export function getPeriodStats(events, periods) {
+    return periods.map(period => ({
+        ...period,
+        trips: getActiveTrips(events, period).filter(trip => startsIn(trip, period)).length,
+        daysAway: getTravelSummary(events, period).daysAway
+    }));
+}
+
+/**
+ * Break trips and days away in a period down by event type or location
+ * @param {Array} events - Events
+ * @param {object} range - { startDate, endDate } ISO dates
+ * @param {string} by - 'type' or 'location'
+ * @returns {Array<object>} { key, trips, daysAway } sorted by days away, then trips
+ */
+export function getBreakdown(events, range, by) {
+    const groups = new Map(); // normalized key -> { key, trips: Set, days: Set }
+
+    getActiveTrips(events, range).forEach(trip => {
+        const parts = by === 'location'
+            ? getEventLegs(trip).map(leg => ({ key: leg.location, ...leg }))
+            : [{ key: trip.type, ...getEventDateRange(trip) }];
+
+        parts.forEach(part => {
+            const id = by === 'location' ? normalizeLocationName(part.key) : part.key;
+            if (!groups.has(id)) groups.set(id, { key: part.key, trips: new Set(), days: new Set() });
+
+            const group = groups.get(id);
+            if (startsIn(trip, range)) group.trips.add(trip.id);
+            eachDay(part.startDate, part.endDate, range).forEach(day => group.days.add(day));
+        });
+    });
+
+    return [...groups.values()]
+        .map(group => ({ key: group.key, trips: group.trips.size, daysAway: group.days.size }))
+        .filter(group => group.trips > 0 || group.daysAway > 0)
+        .sort((a, b) => b.daysAway - a.daysAway || b.trips - a.trips);
+}
+
+/**
+ * Get the share of trips combined with another trip to the same location
+ * A trip is consolidated when it shares a work week with another trip
+ * that visits one of its locations.
+ * @param {Array} events - Events
+ * @param {object} range - { startDate, endDate } ISO dates (trips starting in it count)
+ * @returns {object} { trips, consolidated, rate } where rate is 0-1 (0 without trips)
+ */
+export function getConsolidationRate(events, range) {
+    const active = getActiveTrips(events, { startDate: dateToISO(addDays(range.startDate, -7)), endDate: dateToISO(addDays(range.endDate, 7)) });
+    const visits = active.map(trip => ({
+        trip,
+        weeks: new Set(getEventWeeks(trip)),
+        locations: new Set(getEventLegs(trip).map(leg => normalizeLocationName(leg.location)))
+    }));
+
+    const trips = visits.filter(visit => startsIn(visit.trip, range));
+    const consolidated = trips.filter(visit => visits.some(other =>
+        other !== visit &&
+        [...other.weeks].some(week => visit.weeks.has(week)) &&
+        [...other.locations].some(location => visit.locations.has(location))
+    )).length;
+
+    return { trips: trips.length, consolidated, rate: trips.length ? consolidated / trips.length : 0 };
+}
+
+/**
+ * Count conflicts per period
+ * Conflicts count towards the period their (first) trip starts in.
+ * @param {Array<object>} conflicts - Conflicts (see ScoringEngine.detectConflicts)
+ * @param {Array<object>} periods - Periods with ISO startDate/endDate (other fields are kept)
+ * @returns {Array<object>} Periods with conflicts added
+ */
+export function getConflictTrend(conflicts, periods) {
+    return periods.map(period => ({
+        ...period,
+        conflicts: conflicts.filter(conflict => startsIn(conflict.event || conflict.event1, period)).length
+    }));
+}
+
+/**
+ * Find the longest run of days without travel in a period
+ * @param {Array} events - Events
+ * @param {object} range - { startDate, endDate } ISO dates
+ * @returns {object} { days, startDate, endDate } (dates null when every day has travel)
+ */
+export function getLongestHomeStretch(events, range) {
+    const away = new Set();
+    getActiveTrips(events, range).forEach(trip => {
+        const { startDate, endDate } = getEventDateRange(trip);
+        eachDay(startDate, endDate, range).forEach(day => away.add(day));
+    });
+
+    let best = { days: 0, startDate: null, endDate: null };
+    let current = null;
+    eachDay(range.startDate, range.endDate, range).forEach(day => {
+        if (away.has(day)) {
+            current = null;
+            return;
+        }
+
+        current = current ? { ...current, days: current.days + 1, endDate: day } : { days: 1, startDate: day, endDate: day };
+        if (current.days > best.days) best = current;
+    });
+
+    return best;
+}
+
+/**
+ * Get the fiscal years with trips, from the first to the last
+ * @param {Array} events - Events
+ * @param {object} fiscal - Fiscal calendar (see FiscalCalendar)
+ * @returns {Array<number>} Fiscal years in order (empty without trips)
+ */
+export function getTripYears(events, fiscal) {
+    const years = events.filter(isTripActive).map(event => getFiscalYear(event.startDate, fiscal));
+    if (years.length === 0) return [];
+
+    const first = Math.min(...years);
+    return Array.from({ length: Math.max(...years) - first + 1 }, (_, i) => first + i);
+}
+
+/**
+ * Compare fiscal years
+ * @param {Array} events - Events
+ * @param {Array<number>} years - Fiscal years
+ * @param {object} fiscal - Fiscal calendar (see FiscalCalendar)
+ * @returns {Array<object>} { year, startDate, endDate, trips, daysAway, weeksTraveling }
+ */
+export function getYearOverYear(events, years, fiscal) {
+    return years.map(year => {
+        const range = getFiscalYearRange(year, fiscal);
+        const summary = getTravelSummary(events, range);
+
+        return {
+            year,
+            ...range,
+            trips: getActiveTrips(events, range).filter(trip => startsIn(trip, range)).length,
+            daysAway: summary.daysAway,
+            weeksTraveling: summary.travelWeeks.length
+        };
+    });
+}
+
+/**
+ * Get the active trips (and recurring occurrences) overlapping a period
+ * @param {Array} events - Events
+ * @param {object} range - { startDate, endDate } ISO dates
+ * @returns {Array} Trips
+ */
+function getActiveTrips(events, range) {
+    return expandEvents(events, range.startDate, range.endDate).filter(trip => {
+        if (!isTripActive(trip)) return false;
+        const { startDate, endDate } = getEventDateRange(trip);
+        return startDate <= range.endDate && endDate >= range.startDate;
+    });
+}
+
+/**
+ * Check if a trip starts in a period
+ * @param {object} trip - Event or occurrence
+ * @param {object} range - { startDate, endDate } ISO dates
+ * @returns {boolean} True if the trip's first day is in the period
+ */
+function startsIn(trip, range) {
+    const { startDate } = getEventDateRange(trip);
+    return startDate >= range.startDate && startDate <= range.endDate;
+}
+
+/**
+ * List the days of a date range that fall in a period
+ * @param {string} startDate - First ISO date
+ * @param {string} endDate - Last ISO date
+ * @param {object} range - { startDate, endDate } period to clip to
+ * @returns {Array<string>} ISO dates
+ */
+function eachDay(startDate, endDate, range) {
+    const days = [];
+    const last = endDate < range.endDate ? endDate : range.endDate;
+    for (let day = startDate > range.startDate ? startDate : range.startDate; day <= last; day = dateToISO(addDays(day, 1))) {
+        days.push(day);
+    }
+    return days;
+}
+
+export default {
+    filterTrips,
+    getPeriodStats,
+    getBreakdown,
+    getConsolidationRate,
+    getConflictTrend,
+    getLongestHomeStretch,
+    getTripYears,
+    getYearOverYear
+};
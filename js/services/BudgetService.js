@@ -0,0 +1,185 @@
+/**
+ * BudgetService - Estimate trip costs and track planned spend against budgets
+ *
+ * A trip's cost is airfare + hotel rate × nights + per diem × travel days.
+ * Amounts the trip doesn't carry itself (see Event.cost) come from the
+ * default cost of its locations: airfare from the first leg's location,
+ * hotel and per diem from each leg's location for the days spent there.
+ * Defaults in another currency than the trip's are not used. Hotel nights
+ * default to one less than the trip's days.
+ *
+ * Spend counts towards the quarter a trip starts in (fiscal quarters when a
+ * fiscal calendar is passed); recurring trips are expanded and archived or
+ * cancelled trips ignored.
+ */
+
+import { QUARTERS, DEFAULT_CURRENCY, DEFAULT_FISCAL_CALENDAR } from '../config/calendarConfig.js';
+import { daysBetween, getEventDateRange, getEventLegs, getFiscalYearRange } from './DateService.js';
+import { expandEvents } from './RecurrenceService.js';
+import { getPeriodKey } from './PolicyService.js';
+import { isTripActive } from '../models/Event.js';
+
+// Intl formatters are expensive to create; reuse one per currency
+const moneyFormatters = new Map();
+
+/**
+ * Estimate the cost of a trip
+ * @param {object} event - Event (or occurrence) with optional cost
+ * @param {Function} getDefaultCost - (location text) => default cost estimate or null
+ * @returns {object|null} { airfare, hotel, perDiem, total, currency } (unknown parts are null),
+ *   or null if nothing about the trip's cost is known
+ */
+export function estimateTripCost(event, getDefaultCost = () => null) {
+    const own = event.cost || {};
+    const legs = getEventLegs(event);
+    const days = countTripDays(event);
+    let currency = own.currency || null;
+
+    // Location defaults, if they are in the trip's currency (the first one used sets it)
+    const defaultsFor = (location) => {
+        const defaults = getDefaultCost(location);
+        if (!defaults || (currency && defaults.currency && defaults.currency !== currency)) return null;
+        currency = currency || defaults.currency || null;
+        return defaults;
+    };
+
+    const airfare = own.airfare ?? defaultsFor(legs[0].location)?.airfare ?? null;
+
+    let hotel;
+    if (own.hotelNightly != null || own.nights != null || legs.length === 1) {
+        const rate = own.hotelNightly ?? defaultsFor(legs[0].location)?.hotelNightly ?? null;
+        hotel = rate === null ? null : rate * (own.nights ?? Math.max(0, days - 1));
+    } else {
+        // Sleep at each leg's location; the last leg ends with the trip home
+        hotel = sumKnown(legs.map((leg, index) => {
+            const rate = defaultsFor(leg.location)?.hotelNightly ?? null;
+            const nights = index === legs.length - 1 ? leg.days - 1 : leg.days;
+            return rate === null ? null : rate * nights;
+        }));
+    }
+
+    const perDiem = own.perDiem != null
+        ? own.perDiem * days
+        : sumKnown(legs.map(leg => {
+            const rate = defaultsFor(leg.location)?.perDiem ?? null;
+            return rate === null ? null : rate * leg.days;
+        }));
+
+    const total = sumKnown([airfare, hotel, perDiem]);
+    if (total === null) return null;
+
+    return { airfare, hotel, perDiem, total, currency };
+}
+
+/**
+ * Get the planned travel spend of a year by quarter and trip type
+ * @param {Array<object>} events - Events (recurring trips are expanded)
+ * @param {number} year - Fiscal year (the calendar year by default)
+ * @param {object} options - Options
+ * @param {string} options.currency - Currency to total in (trips priced in others are listed, not added)
+ * @param {Function} options.getDefaultCost - (location text) => default cost estimate or null
+ * @param {object} options.fiscalCalendar - Fiscal calendar for the year and its quarters
+ * @returns {object} { year, currency, total, quarters: { 1-4: amount },
+ *   byType: { [type]: { total, quarters } }, unpriced: [trips], otherCurrency: [trips] }
+ */
+export function getPlannedSpend(events, year, { currency = DEFAULT_CURRENCY, getDefaultCost = () => null, fiscalCalendar = DEFAULT_FISCAL_CALENDAR } = {}) {
+    const spend = { year, currency, total: 0, quarters: emptyQuarters(), byType: {}, unpriced: [], otherCurrency: [] };
+    const { startDate, endDate } = getFiscalYearRange(year, fiscalCalendar);
+
+    expandEvents(events, startDate, endDate)
+        .filter(isTripActive)
+        .forEach(trip => {
+            const quarterKey = getPeriodKey(getEventDateRange(trip).startDate, 'quarter', fiscalCalendar);
+            if (!quarterKey.startsWith(`${year}-`)) return;
+
+            const estimate = estimateTripCost(trip, getDefaultCost);
+            if (!estimate) {
+                spend.unpriced.push(trip);
+                return;
+            }
+            if (estimate.currency && estimate.currency !== currency) {
+                spend.otherCurrency.push(trip);
+                return;
+            }
+
+            const quarterId = Number(quarterKey.slice(6));
+            if (!spend.byType[trip.type]) {
+                spend.byType[trip.type] = { total: 0, quarters: emptyQuarters() };
+            }
+            [spend, spend.byType[trip.type]].forEach(bucket => {
+                bucket.total += estimate.total;
+                bucket.quarters[quarterId] += estimate.total;
+            });
+        });
+
+    return spend;
+}
+
+/**
+ * Compare planned spend with a budget
+ * @param {object} spend - Planned spend (see getPlannedSpend)
+ * @param {object|null} budget - Budget of the same year (see Budget), or null
+ * @returns {object} { quarters: [{ id, label, planned, budget, remaining, isOver }], year: { planned, budget, remaining, isOver } }
+ *   (budget and remaining are null where no budget is set)
+ */
+export function getBudgetStatus(spend, budget) {
+    const compare = (planned, amount) => ({
+        planned,
+        budget: amount ?? null,
+        remaining: amount == null ? null : amount - planned,
+        isOver: amount != null && planned > amount
+    });
+
+    return {
+        quarters: QUARTERS.map(q => ({ id: q.id, label: q.name, ...compare(spend.quarters[q.id], budget?.quarters?.[q.id]) })),
+        year: compare(spend.total, budget?.total)
+    };
+}
+
+/**
+ * Format an amount of money for display (whole units)
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code (default DEFAULT_CURRENCY)
+ * @returns {string} Formatted amount, e.g. "$26,400"
+ */
+export function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    if (!moneyFormatters.has(currency)) {
+        moneyFormatters.set(currency, new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }));
+    }
+    return moneyFormatters.get(currency).format(amount);
+}
+
+/**
+ * Count the calendar days of a trip
+ * @param {object} event - Event
+ * @returns {number} Days including the first and last
+ */
+function countTripDays(event) {
+    const { startDate, endDate } = getEventDateRange(event);
+    return daysBetween(startDate, endDate) + 1;
+}
+
+/**
+ * Sum the known amounts of a list
+ * @param {Array<number|null>} amounts - Amounts (null = unknown)
+ * @returns {number|null} Sum, or null if no amount is known
+ */
+function sumKnown(amounts) {
+    const known = amounts.filter(amount => amount !== null);
+    return known.length === 0 ? null : known.reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * Get zero amounts for every quarter
+ * @returns {object} { 1: 0, 2: 0, 3: 0, 4: 0 }
+ */
+function emptyQuarters() {
+    return Object.fromEntries(QUARTERS.map(q => [q.id, 0]));
+}
+
+export default {
+    estimateTripCost,
+    getPlannedSpend,
+    getBudgetStatus,
+    formatMoney
+};
@@ -1,7 +1,40 @@
 /**
- * DataService - Import/Export functionality for JSON data
+ * DataService - Import/Export functionality for JSON, iCalendar and CSV data
  */
 
+import { Event, isTripActive } from '../models/Event.js';
+import { Constraint } from '../models/Constraint.js';
+import { getEventDateRange, getMonday, dateToISO, getFiscalYearRange } from './DateService.js';
+import { expandEvents, expandConstraints } from './RecurrenceService.js';
+import { DEFAULT_FISCAL_CALENDAR } from '../config/calendarConfig.js';
+
+// Product identifier written into exported calendars
+const ICS_PRODID = '-//Travel Planner//Travel Plan Export//EN';
+
+// Domain suffix for VEVENT UIDs so IDs stay globally unique
+const ICS_UID_DOMAIN = 'travel-planner';
+
+// Safety cap on occurrences generated from a single RRULE
+const ICS_MAX_OCCURRENCES = 500;
+
+// iCalendar weekday codes indexed by Date.getDay()
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Column headers written by CSV export (also recognized when mapping imports)
+export const CSV_COLUMNS = Object.freeze({
+    kind: 'Kind',
+    title: 'Title',
+    type: 'Type',
+    location: 'Location',
+    startDate: 'Start',
+    endDate: 'End',
+    isFixed: 'Scheduling',
+    archived: 'Archived'
+});
+
+// Fields a CSV column can be mapped to during import
+export const CSV_IMPORT_FIELDS = Object.freeze(Object.keys(CSV_COLUMNS));
+
 export class DataService {
     /**
      * Export state to JSON string
@@ -34,13 +67,959 @@ export class DataService {
                 constraints: Array.isArray(data.constraints) ? data.constraints : [],
                 eventTypeConfigs: data.eventTypeConfigs || {},
                 constraintTypeConfigs: data.constraintTypeConfigs || {},
-                customLocations: Array.isArray(data.customLocations) ? data.customLocations : []
+                // Files saved before the location registry only have customLocations (names)
+                locations: Array.isArray(data.locations) ? data.locations : null,
+                customLocations: Array.isArray(data.customLocations) ? data.customLocations : [],
+                scoringProfiles: data.scoringProfiles || {},
+                activeScoringProfileId: data.activeScoringProfileId || null,
+                policyRules: Array.isArray(data.policyRules) ? data.policyRules : [],
+                budgets: Array.isArray(data.budgets) ? data.budgets : [],
+                fiscalCalendar: data.fiscalCalendar || null,
+                workWeek: data.workWeek || null
             };
         } catch (error) {
             throw new Error(`Failed to import JSON: ${error.message}`);
         }
     }
 
+    /**
+     * Export events and constraints to an iCalendar (.ics) string
+     * Every entry is an all-day range; flexible trips span the working days of their weeks.
+     * Recurring trips/constraints produce one entry per occurrence (within the year, if given).
+     * @param {object} state - State object (events, constraints, type configs)
+     * @param {object} options - Export filters
+     * @param {number|null} options.year - Only include entries overlapping this (fiscal) year
+     * @param {object} options.fiscal - Fiscal calendar the year follows (defaults to the calendar year)
+     * @param {Array<string>|null} options.eventTypes - Only include these event types (null = all)
+     * @param {boolean} options.includeConstraints - Include constraints as VEVENTs
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    exportToICS(state, { year = null, fiscal = DEFAULT_FISCAL_CALENDAR, eventTypes = null, includeConstraints = true } = {}) {
+        const eventTypeConfigs = state.eventTypeConfigs || {};
+        const constraintTypeConfigs = state.constraintTypeConfigs || {};
+        const stamp = this.#formatICSTimestamp(new Date());
+
+        const yearRange = year === null ? null : getFiscalYearRange(year, fiscal);
+        const inYear = (range) => yearRange === null
+            || (range.startDate <= yearRange.endDate && range.endDate >= yearRange.startDate);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICS_PRODID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        // Recurring trips/constraints are exported as one entry per occurrence
+        const rangeStart = yearRange?.startDate ?? null;
+        const rangeEnd = yearRange?.endDate ?? null;
+
+        expandEvents(state.events || [], rangeStart, rangeEnd)
+            .filter(isTripActive)
+            .filter(event => !eventTypes || eventTypes.includes(event.type))
+            .forEach(event => {
+                const range = getEventDateRange(event);
+                if (!inYear(range)) return;
+
+                lines.push(...this.#buildVEvent({
+                    uid: `${event.id}@${ICS_UID_DOMAIN}`,
+                    stamp,
+                    range,
+                    summary: event.title,
+                    location: event.location,
+                    category: eventTypeConfigs[event.type]?.label || event.type,
+                    transparent: false
+                }));
+            });
+
+        if (includeConstraints) {
+            expandConstraints(state.constraints || [], rangeStart, rangeEnd).forEach(constraint => {
+                const range = { startDate: constraint.startDate, endDate: constraint.endDate || constraint.startDate };
+                if (!inYear(range)) return;
+
+                lines.push(...this.#buildVEvent({
+                    uid: `constraint-${constraint.id}@${ICS_UID_DOMAIN}`,
+                    stamp,
+                    range,
+                    summary: constraint.title,
+                    location: null,
+                    category: constraintTypeConfigs[constraint.type]?.label || constraint.type,
+                    transparent: true
+                }));
+            });
+        }
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.#foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse an iCalendar (.ics) string into importable entries
+     * Supports all-day and timed VEVENTs, TZID/UTC/floating times, EXDATE,
+     * RECURRENCE-ID overrides and basic RRULE expansion (DAILY, WEEKLY with BYDAY,
+     * MONTHLY and YEARLY with BYDAY such as 2TU or -1FR and BYMONTH, with INTERVAL,
+     * COUNT and UNTIL). Cancelled events are skipped.
+     * @param {string} icsString - iCalendar text
+     * @param {object} options - Parse options
+     * @param {string} options.expandUntil - Last ISO date to expand open-ended recurrences to
+     *                                       (default: Dec 31 of next year)
+     * @returns {Array<object>} Entries sorted by start date:
+     *          { uid, title, location, categories, startDate, endDate, allDay }
+     * @throws {Error} If the text is not an iCalendar file
+     */
+    parseICS(icsString, { expandUntil = null } = {}) {
+        const lines = String(icsString)
+            .replace(/\r?\n[ \t]/g, '') // Unfold continuation lines
+            .split(/\r?\n/)
+            .filter(line => line.trim() !== '');
+
+        if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+            throw new Error('Failed to import calendar: not an iCalendar file');
+        }
+
+        const horizon = expandUntil || `${new Date().getFullYear() + 1}-12-31`;
+        const vevents = [];
+        const stack = [];
+        let current = null;
+
+        lines.forEach(line => {
+            const property = this.#parseICSProperty(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') {
+                    current = { exdates: new Set() };
+                }
+                return;
+            }
+
+            if (property.name === 'END') {
+                const component = stack.pop();
+                if (component === 'VEVENT' && current) {
+                    vevents.push(current);
+                    current = null;
+                }
+                return;
+            }
+
+            // Ignore properties of nested components such as VALARM
+            if (!current || stack[stack.length - 1] !== 'VEVENT') return;
+
+            switch (property.name) {
+                case 'UID':
+                case 'SUMMARY':
+                case 'LOCATION':
+                case 'STATUS':
+                case 'RRULE':
+                case 'DURATION':
+                    current[property.name] = property.name === 'SUMMARY' || property.name === 'LOCATION'
+                        ? this.#unescapeICSText(property.value)
+                        : property.value;
+                    break;
+                case 'CATEGORIES':
+                    current.CATEGORIES = property.value.split(/(?<!\\),/).map(c => this.#unescapeICSText(c).trim()).filter(Boolean);
+                    break;
+                case 'DTSTART':
+                case 'DTEND':
+                case 'RECURRENCE-ID':
+                    current[property.name] = this.#parseICSDateValue(property.value, property.params);
+                    break;
+                case 'EXDATE':
+                    property.value.split(',').forEach(value => {
+                        const parsed = this.#parseICSDateValue(value, property.params);
+                        if (parsed) current.exdates.add(parsed.wallDate);
+                    });
+                    break;
+            }
+        });
+
+        // Overrides of single occurrences replace the generated occurrence
+        const overrides = new Map();
+        vevents.filter(v => v.UID && v['RECURRENCE-ID']).forEach(v => {
+            overrides.set(`${v.UID}/${v['RECURRENCE-ID'].wallDate}`, v);
+        });
+
+        const entries = [];
+        vevents
+            .filter(v => !v['RECURRENCE-ID'] && v.DTSTART)
+            .forEach(vevent => {
+                const span = this.#getICSSpan(vevent);
+                const base = {
+                    title: vevent.SUMMARY || '(untitled)',
+                    location: vevent.LOCATION || '',
+                    categories: vevent.CATEGORIES || [],
+                    allDay: vevent.DTSTART.allDay
+                };
+                const uid = vevent.UID || `${base.title}-${vevent.DTSTART.wallDate}`;
+
+                if (!vevent.RRULE) {
+                    if (vevent.STATUS !== 'CANCELLED') {
+                        entries.push({ ...base, uid, ...this.#applyICSSpan(vevent.DTSTART, span) });
+                    }
+                    return;
+                }
+
+                // Occurrence UIDs are suffixed with their wall-clock date so they stay stable
+                this.#expandICSRule(vevent.DTSTART, vevent.RRULE, horizon).forEach(occurrence => {
+                    const key = occurrence.wallDate;
+                    if (vevent.exdates.has(key)) return;
+
+                    const override = overrides.get(`${uid}/${key}`);
+                    if (override) {
+                        if (override.STATUS === 'CANCELLED' || !override.DTSTART) return;
+                        entries.push({
+                            ...base,
+                            title: override.SUMMARY || base.title,
+                            location: override.LOCATION || base.location,
+                            uid: `${uid}/${key}`,
+                            ...this.#applyICSSpan(override.DTSTART, this.#getICSSpan(override))
+                        });
+                        return;
+                    }
+
+                    if (vevent.STATUS !== 'CANCELLED') {
+                        entries.push({ ...base, uid: `${uid}/${key}`, ...this.#applyICSSpan(occurrence, span) });
+                    }
+                });
+            });
+
+        return entries.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    /**
+     * Split a content line into name, parameters and value
+     * @private
+     * @param {string} line - Unfolded content line
+     * @returns {object|null} { name, params, value } or null if malformed
+     */
+    #parseICSProperty(line) {
+        // Find the first colon that is not inside a quoted parameter value
+        let inQuotes = false;
+        let colonIndex = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colonIndex = i;
+                break;
+            }
+        }
+        if (colonIndex === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1).trim() };
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value
+     * Keeps the wall-clock time (so recurrences step in the event's own time zone)
+     * alongside the resolved instant.
+     * @private
+     * @param {string} value - Raw value (YYYYMMDD, YYYYMMDDTHHMMSS, or ...Z)
+     * @param {object} params - Property parameters (VALUE, TZID)
+     * @returns {object|null} { allDay, wall, wallDate, zone, instant, date } where
+     *          wall is a Date whose UTC fields hold the wall-clock time and date is a local ISO date
+     */
+    #parseICSDateValue(value, params = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+
+        const [, y, mo, d, h, mi, sec = '00', utc] = match;
+        const allDay = params.VALUE === 'DATE' || h === undefined;
+        const wall = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d),
+            allDay ? 0 : Number(h), allDay ? 0 : Number(mi), allDay ? 0 : Number(sec)));
+
+        let zone = null; // Floating time - interpreted in the local time zone
+        if (!allDay && utc) zone = 'UTC';
+        else if (!allDay && params.TZID) zone = params.TZID;
+
+        return this.#atWallTime({ allDay, zone }, wall);
+    }
+
+    /**
+     * Build a parsed date value for another wall-clock time in the same zone
+     * @private
+     * @param {object} template - Parsed value providing allDay and zone
+     * @param {Date} wall - Wall-clock time (UTC fields)
+     * @returns {object} Parsed date value
+     */
+    #atWallTime({ allDay, zone }, wall) {
+        const fields = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()];
+
+        let instant;
+        if (allDay || !zone) {
+            instant = new Date(...fields);
+        } else if (zone === 'UTC') {
+            instant = new Date(wall.getTime());
+        } else {
+            instant = this.#zonedTimeToInstant(wall, zone);
+        }
+
+        const wallDate = wall.toISOString().slice(0, 10);
+        return { allDay, zone, wall, wallDate, instant, date: allDay ? wallDate : dateToISO(instant) };
+    }
+
+    /**
+     * Convert a wall-clock time in an IANA time zone to an instant
+     * Falls back to local time when the zone is unknown to the runtime.
+     * @private
+     * @param {Date} wall - Wall-clock time (UTC fields)
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Date} Instant
+     */
+    #zonedTimeToInstant(wall, timeZone) {
+        const wallMs = wall.getTime();
+
+        try {
+            const formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+            const offsetAt = (utcMs) => {
+                const parts = Object.fromEntries(formatter.formatToParts(new Date(utcMs)).map(p => [p.type, p.value]));
+                const zoned = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+                    Number(parts.hour), Number(parts.minute), Number(parts.second));
+                return zoned - utcMs;
+            };
+
+            // Two passes settle the offset around DST transitions
+            let utcMs = wallMs - offsetAt(wallMs);
+            utcMs = wallMs - offsetAt(utcMs);
+            return new Date(utcMs);
+        } catch {
+            return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+                wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+        }
+    }
+
+    /**
+     * Determine how long a VEVENT lasts
+     * @private
+     * @param {object} vevent - Parsed VEVENT properties
+     * @returns {object} { days } for all-day events or { ms } for timed events
+     */
+    #getICSSpan(vevent) {
+        const start = vevent.DTSTART;
+
+        if (start.allDay) {
+            const ms = vevent.DTEND
+                ? vevent.DTEND.wall - start.wall
+                : this.#parseICSDuration(vevent.DURATION);
+            return { days: Math.max(Math.round(ms / 86400000), 1) };
+        }
+
+        if (vevent.DTEND) {
+            return { ms: Math.max(vevent.DTEND.instant - start.instant, 0) };
+        }
+        return { ms: this.#parseICSDuration(vevent.DURATION) };
+    }
+
+    /**
+     * Compute the inclusive local start/end dates for an occurrence
+     * @private
+     * @param {object} start - Parsed start date value
+     * @param {object} span - Span from #getICSSpan
+     * @returns {object} { startDate, endDate }
+     */
+    #applyICSSpan(start, span) {
+        if (start.allDay) {
+            const end = new Date(start.wall);
+            end.setUTCDate(end.getUTCDate() + (span.days || 1) - 1);
+            return { startDate: start.date, endDate: end.toISOString().slice(0, 10) };
+        }
+
+        // Timed events end on the day of their last moment (DTEND is exclusive)
+        const endInstant = new Date(start.instant.getTime() + Math.max((span.ms || 0) - 1, 0));
+        return { startDate: start.date, endDate: dateToISO(endInstant) };
+    }
+
+    /**
+     * Parse an iCalendar DURATION (e.g. P1D, PT2H30M, P2W) into milliseconds
+     * @private
+     * @param {string} value - Duration value
+     * @returns {number} Milliseconds (0 if absent or invalid)
+     */
+    #parseICSDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+        if (!match) return 0;
+
+        const [, sign, w = 0, d = 0, h = 0, m = 0, sec = 0] = match;
+        const ms = ((Number(w) * 7 + Number(d)) * 86400 + Number(h) * 3600 + Number(m) * 60 + Number(sec)) * 1000;
+        return sign === '-' ? 0 : ms;
+    }
+
+    /**
+     * Expand an RRULE into occurrence start values
+     * Steps are taken on the wall clock so weekdays and times follow the event's time zone.
+     * @private
+     * @param {object} start - Parsed DTSTART
+     * @param {string} rrule - RRULE value
+     * @param {string} horizon - Last ISO date to generate for open-ended rules
+     * @returns {Array<object>} Parsed date values for each occurrence (including DTSTART)
+     */
+    #expandICSRule(start, rrule, horizon) {
+        const rule = Object.fromEntries(rrule.split(';').map(part => {
+            const [key, value = ''] = part.split('=');
+            return [key.toUpperCase(), value];
+        }));
+
+        const interval = Math.max(parseInt(rule.INTERVAL, 10) || 1, 1);
+        const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+        const until = rule.UNTIL ? this.#parseICSDateValue(rule.UNTIL) : null;
+        // BYDAY entries may carry an ordinal within the month or year (e.g. 2TU, -1FR)
+        const byDay = rule.BYDAY
+            ? rule.BYDAY.split(',')
+                .map(d => ({ weekday: ICS_WEEKDAYS.indexOf(d.slice(-2).toUpperCase()), nth: parseInt(d.slice(0, -2), 10) || null }))
+                .filter(d => d.weekday >= 0)
+            : null;
+        const byMonth = rule.BYMONTH
+            ? rule.BYMONTH.split(',').map(m => parseInt(m, 10) - 1).filter(m => m >= 0 && m < 12)
+            : null;
+
+        const occurrences = [];
+        const isPastEnd = (occurrence) => occurrence.wallDate > horizon
+            || (until && (until.allDay ? occurrence.wallDate > until.wallDate : occurrence.instant > until.instant));
+
+        // Returns false once expansion should stop
+        const accept = (wall) => {
+            const occurrence = this.#atWallTime(start, wall);
+            if (isPastEnd(occurrence) || occurrences.length >= count) return false;
+            occurrences.push(occurrence);
+            return occurrences.length < ICS_MAX_OCCURRENCES;
+        };
+
+        const shifted = (unit, amount) => {
+            const wall = new Date(start.wall);
+            if (unit === 'day') wall.setUTCDate(wall.getUTCDate() + amount);
+            if (unit === 'month') wall.setUTCMonth(wall.getUTCMonth() + amount);
+            if (unit === 'year') wall.setUTCFullYear(wall.getUTCFullYear() + amount);
+            return wall;
+        };
+
+        switch (rule.FREQ) {
+            case 'DAILY':
+                for (let i = 0; accept(shifted('day', i * interval)); i++);
+                break;
+
+            case 'WEEKLY': {
+                if (!byDay || byDay.length === 0) {
+                    for (let i = 0; accept(shifted('day', i * 7 * interval)); i++);
+                    break;
+                }
+                // Walk weeks (Monday-based) and emit each BYDAY weekday on/after DTSTART
+                const mondayIndex = (day) => (day + 6) % 7;
+                const startOffset = mondayIndex(start.wall.getUTCDay());
+                const days = byDay.map(d => d.weekday).sort((a, b) => mondayIndex(a) - mondayIndex(b));
+                let keepGoing = true;
+                for (let week = 0; keepGoing; week += interval) {
+                    for (const weekday of days) {
+                        const offset = week * 7 - startOffset + mondayIndex(weekday);
+                        if (offset < 0) continue;
+                        if (!accept(shifted('day', offset))) {
+                            keepGoing = false;
+                            break;
+                        }
+                    }
+                }
+                break;
+            }
+
+            case 'MONTHLY':
+            case 'YEARLY': {
+                const unit = rule.FREQ === 'MONTHLY' ? 'month' : 'year';
+                if (byDay && byDay.length > 0) {
+                    // Walk the months (or years) and emit their matching weekdays on/after DTSTART
+                    const startDate = start.wall.toISOString().slice(0, 10);
+                    let keepGoing = true;
+                    for (let i = 0; keepGoing; i += interval) {
+                        const year = start.wall.getUTCFullYear() + (unit === 'year' ? i : 0);
+                        const month = start.wall.getUTCMonth() + (unit === 'month' ? i : 0);
+                        const periods = unit === 'month'
+                            ? [[Date.UTC(year, month, 1), Date.UTC(year, month + 1, 0)]]
+                            : byMonth
+                                ? byMonth.map(m => [Date.UTC(year, m, 1), Date.UTC(year, m + 1, 0)])
+                                : [[Date.UTC(year, 0, 1), Date.UTC(year, 11, 31)]];
+                        if (new Date(periods[0][0]).toISOString().slice(0, 10) > horizon) break;
+
+                        const dates = periods
+                            .flatMap(([first, last]) => this.#getICSWeekdays(first, last, byDay))
+                            .sort((a, b) => a - b)
+                            .map(time => {
+                                const wall = new Date(start.wall);
+                                const day = new Date(time);
+                                wall.setUTCFullYear(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+                                return wall;
+                            })
+                            .filter(wall => wall.toISOString().slice(0, 10) >= startDate);
+
+                        for (const wall of dates) {
+                            if (!accept(wall)) {
+                                keepGoing = false;
+                                break;
+                            }
+                        }
+                    }
+                    break;
+                }
+                for (let i = 0; occurrences.length < ICS_MAX_OCCURRENCES; i++) {
+                    const wall = shifted(unit, i * interval);
+                    // Skip months without this day (e.g. the 31st or Feb 29)
+                    if (wall.getUTCDate() !== start.wall.getUTCDate()) {
+                        if (wall.toISOString().slice(0, 10) > horizon) break;
+                        continue;
+                    }
+                    if (!accept(wall)) break;
+                }
+                break;
+            }
+
+            default:
+                // Unsupported frequency - import the first occurrence only
+                occurrences.push(start);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Find the days of a month or year that match RRULE BYDAY entries
+     * @private
+     * @param {number} first - First day of the period (UTC midnight, ms)
+     * @param {number} last - Last day of the period (UTC midnight, ms)
+     * @param {Array<object>} byDay - { weekday, nth } entries; nth counts from the end when negative
+     *                                and null matches every such weekday
+     * @returns {Array<number>} Matching days (UTC midnight, ms), without duplicates
+     */
+    #getICSWeekdays(first, last, byDay) {
+        const matches = new Set();
+
+        byDay.forEach(({ weekday, nth }) => {
+            const days = [];
+            for (let time = first; time <= last; time += 86400000) {
+                if (new Date(time).getUTCDay() === weekday) days.push(time);
+            }
+
+            if (nth === null) {
+                days.forEach(time => matches.add(time));
+            } else {
+                const time = nth > 0 ? days[nth - 1] : days[days.length + nth];
+                if (time !== undefined) matches.add(time);
+            }
+        });
+
+        return [...matches];
+    }
+
+    /**
+     * Unescape TEXT property values per RFC 5545
+     * @private
+     * @param {string} text - Escaped text
+     * @returns {string} Raw text
+     */
+    #unescapeICSText(text) {
+        return String(text).replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+    }
+
+    /**
+     * Build the lines of a single all-day VEVENT
+     * @private
+     * @param {object} entry - Entry data (uid, stamp, range, summary, location, category, transparent)
+     * @returns {Array<string>} VEVENT lines
+     */
+    #buildVEvent({ uid, stamp, range, summary, location, category, transparent }) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${this.#formatICSDate(range.startDate)}`,
+            // DTEND is exclusive for all-day events
+            `DTEND;VALUE=DATE:${this.#formatICSDate(range.endDate, 1)}`,
+            `SUMMARY:${this.#escapeICSText(summary)}`
+        ];
+
+        if (location) {
+            lines.push(`LOCATION:${this.#escapeICSText(location)}`);
+        }
+        if (category) {
+            lines.push(`CATEGORIES:${this.#escapeICSText(category)}`);
+        }
+
+        lines.push(`TRANSP:${transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Format an ISO date (YYYY-MM-DD) as an iCalendar DATE, optionally shifted
+     * @private
+     * @param {string} isoDate - ISO date string
+     * @param {number} offsetDays - Days to add
+     * @returns {string} Date in YYYYMMDD form
+     */
+    #formatICSDate(isoDate, offsetDays = 0) {
+        const [y, m, d] = isoDate.split('-').map(Number);
+        const date = new Date(Date.UTC(y, m - 1, d + offsetDays));
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    /**
+     * Format a timestamp as an iCalendar UTC DATE-TIME
+     * @private
+     * @param {Date} date - Timestamp
+     * @returns {string} Timestamp in YYYYMMDDTHHMMSSZ form
+     */
+    #formatICSTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape TEXT property values per RFC 5545
+     * @private
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    #escapeICSText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 characters
+     * @private
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    #foldICSLine(line) {
+        if (line.length <= 75) return line;
+
+        const parts = [line.slice(0, 75)];
+        for (let i = 75; i < line.length; i += 74) {
+            parts.push(' ' + line.slice(i, i + 74));
+        }
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Export events and constraints to CSV
+     * Flexible trips export the working-day range they cover.
+     * @param {object} state - State object (events, constraints, type configs)
+     * @param {object} options - Export options
+     * @param {boolean} options.includeEvents - Include trips
+     * @param {boolean} options.includeConstraints - Include constraints
+     * @returns {string} CSV text with a header row and CRLF line endings
+     */
+    exportToCSV(state, { includeEvents = true, includeConstraints = true } = {}) {
+        const eventTypeConfigs = state.eventTypeConfigs || {};
+        const constraintTypeConfigs = state.constraintTypeConfigs || {};
+        const rows = [CSV_IMPORT_FIELDS.map(field => CSV_COLUMNS[field])];
+
+        if (includeEvents) {
+            (state.events || []).forEach(event => {
+                const range = getEventDateRange(event);
+                rows.push([
+                    'Trip',
+                    event.title,
+                    eventTypeConfigs[event.type]?.label || event.type,
+                    event.location,
+                    range.startDate,
+                    range.endDate,
+                    event.isFixed ? 'Fixed' : 'Flexible',
+                    event.archived ? 'Yes' : 'No'
+                ]);
+            });
+        }
+
+        if (includeConstraints) {
+            (state.constraints || []).forEach(constraint => {
+                rows.push([
+                    'Constraint',
+                    constraint.title,
+                    constraintTypeConfigs[constraint.type]?.label || constraint.type,
+                    '',
+                    constraint.startDate,
+                    constraint.endDate || constraint.startDate,
+                    'Fixed',
+                    'No'
+                ]);
+            });
+        }
+
+        return rows.map(row => row.map(value => this.#escapeCSVValue(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parse CSV text into a header row and data rows
+     * Handles quoted fields, escaped quotes, embedded newlines and a UTF-8 BOM.
+     * @param {string} csvString - CSV text
+     * @returns {object} { headers: Array<string>, rows: Array<Array<string>> }
+     * @throws {Error} If the text has no header row
+     */
+    parseCSV(csvString) {
+        const text = String(csvString).replace(/^\uFEFF/, '');
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        // Drop blank lines
+        const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('Failed to import CSV: file is empty');
+        }
+
+        const [headers, ...rows] = nonEmpty;
+        return { headers: headers.map(h => h.trim()), rows };
+    }
+
+    /**
+     * Guess a column mapping from header names
+     * @param {Array<string>} headers - Header row
+     * @returns {object} Mapping of field name to column index (null if not found)
+     */
+    guessCSVMapping(headers) {
+        const synonyms = {
+            kind: ['kind', 'record', 'category'],
+            title: ['title', 'name', 'summary', 'subject', 'description'],
+            type: ['type', 'trip type', 'constraint type'],
+            location: ['location', 'city', 'destination', 'place'],
+            startDate: ['start', 'start date', 'from', 'begin', 'date'],
+            endDate: ['end', 'end date', 'to', 'until'],
+            isFixed: ['scheduling', 'fixed', 'fixed/flexible', 'flexible'],
+            archived: ['archived', 'archive']
+        };
+
+        const normalized = headers.map(h => h.toLowerCase().trim());
+        const mapping = {};
+        CSV_IMPORT_FIELDS.forEach(field => {
+            const index = normalized.findIndex(h => synonyms[field].includes(h));
+            mapping[field] = index === -1 ? null : index;
+        });
+        return mapping;
+    }
+
+    /**
+     * Convert mapped CSV rows into validated Event and Constraint instances
+     * Each row is validated by the model constructors; invalid rows are reported
+     * individually instead of failing the whole file.
+     * @param {Array<Array<string>>} rows - Data rows (without header)
+     * @param {object} mapping - Field name to column index (null = not mapped)
+     * @param {object} options - Conversion options
+     * @param {string} options.defaultKind - 'event' or 'constraint' when no Kind column is mapped or the cell is blank
+     * @param {object} options.eventTypeConfigs - Event type configs (to resolve labels to IDs)
+     * @param {object} options.constraintTypeConfigs - Constraint type configs
+     * @returns {object} { events: Array<Event>, constraints: Array<Constraint>,
+     *                     errors: Array<{ row, message }> } where row is the spreadsheet row number
+     */
+    convertCSVRows(rows, mapping, { defaultKind = 'event', eventTypeConfigs = {}, constraintTypeConfigs = {} } = {}) {
+        const events = [];
+        const constraints = [];
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2; // 1-based, after the header row
+            const cell = (field) => {
+                const column = mapping[field];
+                return column === null || column === undefined ? '' : String(row[column] ?? '').trim();
+            };
+
+            try {
+                const kind = this.#parseCSVKind(cell('kind'), defaultKind);
+                const configs = kind === 'event' ? eventTypeConfigs : constraintTypeConfigs;
+                const type = this.#resolveCSVType(cell('type'), configs, kind);
+                const startDate = this.#parseCSVDate(cell('startDate'), 'start');
+                const endDate = cell('endDate') ? this.#parseCSVDate(cell('endDate'), 'end') : null;
+                if (endDate && endDate < startDate) {
+                    throw new Error('End date must be on or after start date');
+                }
+
+                if (kind === 'constraint') {
+                    constraints.push(new Constraint({ title: cell('title'), type, startDate, endDate }));
+                    return;
+                }
+
+                const isFixed = this.#parseCSVFixed(cell('isFixed'), !!endDate);
+                const eventData = {
+                    title: cell('title'),
+                    type,
+                    location: cell('location'),
+                    startDate,
+                    isFixed,
+                    archived: this.#parseCSVBoolean(cell('archived'), false)
+                };
+
+                if (isFixed) {
+                    eventData.endDate = endDate;
+                } else if (endDate) {
+                    // Flexible trips span whole weeks - derive the duration from the range
+                    eventData.duration = Math.round((getMonday(endDate) - getMonday(startDate)) / (7 * 86400000)) + 1;
+                }
+
+                events.push(new Event(eventData));
+            } catch (error) {
+                errors.push({ row: rowNumber, message: error.message });
+            }
+        });
+
+        return { events, constraints, errors };
+    }
+
+    /**
+     * Escape a value for CSV output
+     * @private
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    #escapeCSVValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse the Kind cell
+     * @private
+     * @param {string} value - Cell value
+     * @param {string} defaultKind - Kind used for blank cells
+     * @returns {string} 'event' or 'constraint'
+     */
+    #parseCSVKind(value, defaultKind) {
+        const normalized = value.toLowerCase();
+        if (!normalized) return defaultKind;
+        if (['trip', 'event', 'travel'].includes(normalized)) return 'event';
+        if (normalized === 'constraint') return 'constraint';
+        throw new Error(`Unknown kind "${value}" (expected Trip or Constraint)`);
+    }
+
+    /**
+     * Resolve a type cell (ID or label, case-insensitive) to a type ID
+     * @private
+     * @param {string} value - Cell value
+     * @param {object} configs - Type configs keyed by ID
+     * @param {string} kind - 'event' or 'constraint'
+     * @returns {string} Type ID
+     */
+    #resolveCSVType(value, configs, kind) {
+        const noun = kind === 'event' ? 'trip type' : 'constraint type';
+        if (!value) {
+            throw new Error(`Missing ${noun}`);
+        }
+
+        const wanted = value.toLowerCase();
+        const match = Object.entries(configs).find(([id, config]) =>
+            id.toLowerCase() === wanted || String(config.label || '').toLowerCase() === wanted
+        );
+        if (!match) {
+            throw new Error(`Unknown ${noun} "${value}"`);
+        }
+        return match[0];
+    }
+
+    /**
+     * Parse a date cell (YYYY-MM-DD, optionally with a time, or M/D/YYYY)
+     * @private
+     * @param {string} value - Cell value
+     * @param {string} label - Field label for error messages
+     * @returns {string} ISO date
+     */
+    #parseCSVDate(value, label) {
+        if (!value) {
+            throw new Error(`Missing ${label} date`);
+        }
+
+        let year;
+        let month;
+        let day;
+        let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/.exec(value);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value))) {
+            [, month, day, year] = match.map(Number);
+        } else {
+            throw new Error(`Invalid ${label} date "${value}" (use YYYY-MM-DD or M/D/YYYY)`);
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            throw new Error(`Invalid ${label} date "${value}"`);
+        }
+        return dateToISO(date);
+    }
+
+    /**
+     * Parse the Scheduling cell
+     * @private
+     * @param {string} value - Cell value
+     * @param {boolean} hasEndDate - Whether the row has an end date (default for blank cells)
+     * @returns {boolean} True for fixed trips
+     */
+    #parseCSVFixed(value, hasEndDate) {
+        const normalized = value.toLowerCase();
+        if (normalized === 'fixed') return true;
+        if (normalized === 'flexible') return false;
+        return this.#parseCSVBoolean(value, hasEndDate);
+    }
+
+    /**
+     * Parse a yes/no cell
+     * @private
+     * @param {string} value - Cell value
+     * @param {boolean} defaultValue - Value for blank cells
+     * @returns {boolean} Parsed value
+     */
+    #parseCSVBoolean(value, defaultValue) {
+        const normalized = value.toLowerCase();
+        if (!normalized) return defaultValue;
+        if (['yes', 'y', 'true', '1'].includes(normalized)) return true;
+        if (['no', 'n', 'false', '0'].includes(normalized)) return false;
+        throw new Error(`Invalid yes/no value "${value}"`);
+    }
+
     /**
      * Download JSON data as file
      * @param {object} state - State object
@@ -48,7 +1027,6 @@ export class DataService {
      */
     downloadJSON(state, filename = null) {
         const json = this.exportToJSON(state);
-        const blob = new Blob([json], { type: 'application/json' });
 
         // Generate filename with date
         if (!filename) {
@@ -56,6 +1034,53 @@ export class DataService {
             filename = `travel-plan-${date}.json`;
         }
 
+        this.#downloadFile(json, 'application/json', filename);
+    }
+
+    /**
+     * Download iCalendar data as file
+     * @param {object} state - State object
+     * @param {object} options - Export filters (see exportToICS)
+     * @param {string} filename - Filename (default: travel-plan-YYYY-MM-DD.ics)
+     */
+    downloadICS(state, options = {}, filename = null) {
+        const ics = this.exportToICS(state, options);
+
+        if (!filename) {
+            const date = new Date().toISOString().split('T')[0];
+            filename = `travel-plan-${date}.ics`;
+        }
+
+        this.#downloadFile(ics, 'text/calendar', filename);
+    }
+
+    /**
+     * Download CSV data as file
+     * @param {object} state - State object
+     * @param {object} options - Export options (see exportToCSV)
+     * @param {string} filename - Filename (default: travel-plan-YYYY-MM-DD.csv)
+     */
+    downloadCSV(state, options = {}, filename = null) {
+        const csv = this.exportToCSV(state, options);
+
+        if (!filename) {
+            const date = new Date().toISOString().split('T')[0];
+            filename = `travel-plan-${date}.csv`;
+        }
+
+        this.#downloadFile(csv, 'text/csv', filename);
+    }
+
+    /**
+     * Trigger a browser download for text content
+     * @private
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     * @param {string} filename - Filename
+     */
+    #downloadFile(content, mimeType, filename) {
+        const blob = new Blob([content], { type: mimeType });
+
         // Create download link
         const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
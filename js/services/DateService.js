@@ -1,13 +1,57 @@
 /**
  * DateService - Date utility functions for the travel planner
  *
- * All dates are normalized to Monday of the week for consistency
+ * All dates are normalized to the first day of the week for consistency.
+ * Weeks follow the work week set with setWorkWeek (StateManager keeps it in
+ * sync): they start on its first working day and span its working days.
+ * With the default Monday-Friday week "Monday" and "Friday" in the function
+ * names are literal; otherwise they stand for the week's first and last
+ * working day.
  */
 
+import { QUARTERS, MONTH_NAMES, DEFAULT_FISCAL_CALENDAR, FISCAL_WEEK_PATTERNS, DEFAULT_WORK_WEEK } from '../config/calendarConfig.js';
+
+// Work week used by every week calculation (see WorkWeek)
+let workWeek = DEFAULT_WORK_WEEK;
+
+/**
+ * Set the work week every week calculation uses
+ * @param {object} week - Work week ({ firstDay, workingDays }, see WorkWeek); omit for Monday-Friday
+ */
+export function setWorkWeek(week = DEFAULT_WORK_WEEK) {
+    workWeek = Object.freeze({ firstDay: week.firstDay, workingDays: Object.freeze([...week.workingDays]) });
+}
+
+/**
+ * Get the work week in use
+ * @returns {object} { firstDay, workingDays } (see WorkWeek)
+ */
+export function getWorkWeek() {
+    return { firstDay: workWeek.firstDay, workingDays: [...workWeek.workingDays] };
+}
+
+/**
+ * Get the weekdays in week order, starting with the first working day
+ * @returns {Array<number>} Weekday numbers (0 = Sunday)
+ */
+export function getWeekdayOrder() {
+    return Array.from({ length: 7 }, (_, i) => (workWeek.firstDay + i) % 7);
+}
+
 /**
- * Get the Monday of the week containing the given date
+ * Check if a date falls on a working day
+ * @param {Date|string} date - Date (ISO strings parsed in local time)
+ * @returns {boolean} True on working days
+ */
+export function isWorkingDay(date) {
+    return workWeek.workingDays.includes(addDays(date, 0).getDay());
+}
+
+/**
+ * Get the first day of the week containing the given date
+ * (Monday for the default work week, see setWorkWeek)
  * @param {Date|string} d - Date object or date string
- * @returns {Date} Monday of that week
+ * @returns {Date} First day of that week
  */
 export function getMonday(d) {
     // Handle ISO date strings (YYYY-MM-DD) to avoid timezone issues
@@ -18,22 +62,22 @@ export function getMonday(d) {
         d = new Date(d);
     }
 
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1);
+    const diff = d.getDate() - (d.getDay() - workWeek.firstDay + 7) % 7;
     const result = new Date(d);
     result.setDate(diff);
     return result;
 }
 
 /**
- * Get the Friday of the week containing the given date
+ * Get the last working day of the week containing the given date
+ * (Friday for the default work week, see setWorkWeek)
  * @param {Date|string} d - Date object or date string
- * @returns {Date} Friday of that week
+ * @returns {Date} Last working day of that week
  */
 export function getFriday(d) {
     const monday = getMonday(d);
     const friday = new Date(monday);
-    friday.setDate(monday.getDate() + 4);
+    friday.setDate(monday.getDate() + Math.max(...getWorkingDayOffsets()));
     return friday;
 }
 
@@ -62,7 +106,7 @@ export function getWeeksInYear(year) {
     // Calendar year ends Dec 31st
     const endDate = new Date(year, 11, 31); // Dec 31
 
-    // Align to Monday of first week
+    // Align to the start of the first week
     let current = getMonday(startDate);
 
     while (current <= endDate) {
@@ -101,10 +145,10 @@ export function formatDateWithOrdinal(date) {
 }
 
 /**
- * Get all Mondays in a specific month
+ * Get all week starts (Mondays by default) in a specific month
  * @param {number} year - Year
  * @param {number} monthIndex - Month index (0-11)
- * @returns {Array<Date>} Array of Monday dates
+ * @returns {Array<Date>} Array of week start dates
  */
 export function getMondaysInMonth(year, monthIndex) {
     const mondays = [];
@@ -112,7 +156,7 @@ export function getMondaysInMonth(year, monthIndex) {
 
     for (let d = 1; d <= daysInMonth; d++) {
         const date = new Date(year, monthIndex, d);
-        if (date.getDay() === 1) { // Monday
+        if (date.getDay() === workWeek.firstDay) {
             mondays.push(date);
         }
     }
@@ -170,7 +214,7 @@ export function getDaysInMonth(year, monthIndex) {
  * Get calendar grid (including leading/trailing days from adjacent months)
  * @param {number} year - Year
  * @param {number} monthIndex - Month index (0-11)
- * @returns {Array<Date>} Array of dates for calendar grid (always starts on Sunday)
+ * @returns {Array<Date>} Array of dates for calendar grid (weeks start on the first working day)
  */
 export function getCalendarGrid(year, monthIndex) {
     const firstDay = new Date(year, monthIndex, 1);
@@ -179,7 +223,7 @@ export function getCalendarGrid(year, monthIndex) {
     const grid = [];
 
     // Add leading days from previous month
-    const firstDayOfWeek = firstDay.getDay(); // 0 = Sunday
+    const firstDayOfWeek = (firstDay.getDay() - workWeek.firstDay + 7) % 7; // Days since the week started
     for (let i = firstDayOfWeek - 1; i >= 0; i--) {
         const date = new Date(year, monthIndex, 1 - (i + 1));
         grid.push(date);
@@ -192,7 +236,7 @@ export function getCalendarGrid(year, monthIndex) {
     }
 
     // Add trailing days from next month to complete the week
-    const lastDayOfWeek = lastDay.getDay();
+    const lastDayOfWeek = (lastDay.getDay() - workWeek.firstDay + 7) % 7;
     for (let i = 1; i < 7 - lastDayOfWeek; i++) {
         grid.push(new Date(year, monthIndex + 1, i));
     }
@@ -201,12 +245,12 @@ export function getCalendarGrid(year, monthIndex) {
 }
 
 /**
- * Check if a date range overlaps with any Monday-Friday week
+ * Check if a date range overlaps with any working day of a week
  * Used to determine if a constraint/trip affects a work week
  * @param {Date|string} startDate - Start date of the range
  * @param {Date|string} endDate - End date of the range
  * @param {Date|string} weekDate - Any date in the week to check
- * @returns {boolean} True if the date range overlaps with the Mon-Fri week
+ * @returns {boolean} True if the date range includes one of the week's working days
  */
 export function overlapsWithWeek(startDate, endDate, weekDate) {
     // Parse ISO date strings in local time to avoid timezone issues
@@ -221,48 +265,162 @@ export function overlapsWithWeek(startDate, endDate, weekDate) {
     const rangeStart = parseLocalDate(startDate);
     const rangeEnd = parseLocalDate(endDate);
     const weekMonday = getMonday(weekDate);
-    const weekFriday = getFriday(weekDate);
 
-    // Check if ranges overlap
-    return rangeStart <= weekFriday && rangeEnd >= weekMonday;
+    // Check if any working day falls in the range
+    return getWorkingDayOffsets().some(offset => {
+        const day = addDays(weekMonday, offset);
+        return rangeStart <= day && rangeEnd >= day;
+    });
+}
+
+/**
+ * Get the fiscal year a date falls in
+ * @param {Date|string} date - Date (ISO strings parsed in local time)
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {number} Fiscal year (named after the calendar year it ends in)
+ */
+export function getFiscalYear(date, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const iso = dateToISO(addDays(date, 0));
+    const year = Number(iso.slice(0, 4));
+
+    // Week-based years can start in late December or spill into early January
+    return [year - 1, year, year + 1].find(fiscalYear => {
+        const range = getFiscalYearRange(fiscalYear, fiscal);
+        return iso >= range.startDate && iso <= range.endDate;
+    });
+}
+
+/**
+ * Get the first and last day of a fiscal year
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {object} { startDate, endDate } as ISO strings
+ */
+export function getFiscalYearRange(fiscalYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    return {
+        startDate: dateToISO(getFiscalYearStart(fiscalYear, fiscal)),
+        endDate: dateToISO(addDays(getFiscalYearStart(fiscalYear + 1, fiscal), -1))
+    };
+}
+
+/**
+ * Get the twelve months of a fiscal year
+ * Month-based calendars use calendar months. Week-based calendars split
+ * each quarter into periods of whole weeks (e.g. 4, 4 and 5); the last
+ * period takes the 53rd week when the year has one.
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {Array<object>} { year, month, startDate, endDate } where year/month is the
+ *   calendar month the period stands for and the dates are ISO strings
+ */
+export function getFiscalMonths(fiscalYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const startYear = fiscal.startMonth === 0 ? fiscalYear : fiscalYear - 1;
+    const pattern = fiscal.weekPattern ? FISCAL_WEEK_PATTERNS[fiscal.weekPattern] : null;
+    const yearStart = getFiscalYearStart(fiscalYear, fiscal);
+    const yearEnd = getFiscalYearRange(fiscalYear, fiscal).endDate;
+
+    let weekOffset = 0;
+    return Array.from({ length: 12 }, (_, index) => {
+        const nominal = new Date(startYear, fiscal.startMonth + index, 1);
+        const month = { year: nominal.getFullYear(), month: nominal.getMonth() };
+
+        if (!pattern) {
+            return {
+                ...month,
+                startDate: dateToISO(nominal),
+                endDate: dateToISO(new Date(month.year, month.month + 1, 0))
+            };
+        }
+
+        const startDate = dateToISO(addWeeks(yearStart, weekOffset));
+        weekOffset += pattern[index % 3];
+        const endDate = index === 11 ? yearEnd : dateToISO(addDays(addWeeks(yearStart, weekOffset), -1));
+        return { ...month, startDate, endDate };
+    });
+}
+
+/**
+ * Get the quarters of a fiscal year
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {Array<object>} { id, name, label, startDate, endDate } (ISO dates), e.g.
+ *   { id: 1, name: 'Q1', label: 'Oct - Dec', ... } or label 'Sep 29 - Dec 28' when week-based
+ */
+export function getFiscalQuarters(fiscalYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const months = getFiscalMonths(fiscalYear, fiscal);
+    const dayLabel = (iso) => `${MONTH_NAMES[Number(iso.slice(5, 7)) - 1]} ${Number(iso.slice(8, 10))}`;
+
+    return QUARTERS.map((quarter, index) => {
+        const first = months[index * 3];
+        const last = months[index * 3 + 2];
+        return {
+            id: quarter.id,
+            name: quarter.name,
+            label: fiscal.weekPattern
+                ? `${dayLabel(first.startDate)} - ${dayLabel(last.endDate)}`
+                : `${MONTH_NAMES[first.month]} - ${MONTH_NAMES[last.month]}`,
+            startDate: first.startDate,
+            endDate: last.endDate
+        };
+    });
+}
+
+/**
+ * Get the fiscal quarter a date falls in
+ * @param {Date|string} date - Date (ISO strings parsed in local time)
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {object} Quarter (see getFiscalQuarters) with its fiscalYear
+ */
+export function getFiscalQuarter(date, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const iso = dateToISO(addDays(date, 0));
+    const fiscalYear = getFiscalYear(iso, fiscal);
+    const quarter = getFiscalQuarters(fiscalYear, fiscal).find(q => iso <= q.endDate);
+    return { fiscalYear, ...quarter };
+}
+
+/**
+ * Format a fiscal year for display
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} fiscal - Fiscal calendar ({ startMonth, weekPattern }, see FiscalCalendar)
+ * @returns {string} "2025" for the calendar year, otherwise "FY2025"
+ */
+export function formatFiscalYear(fiscalYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const isCalendarYear = fiscal.startMonth === 0 && !fiscal.weekPattern;
+    return isCalendarYear ? `${fiscalYear}` : `FY${fiscalYear}`;
 }
 
 /**
  * Get the current quarter (1-4)
  * @param {Date|null} referenceDate - Optional reference date (defaults to current date)
- * @returns {number} Current quarter (1=Jan-Mar, 2=Apr-Jun, 3=Jul-Sep, 4=Oct-Dec)
+ * @param {object} fiscal - Fiscal calendar (defaults to the calendar year)
+ * @returns {number} Current quarter (1=Jan-Mar, 2=Apr-Jun, 3=Jul-Sep, 4=Oct-Dec in a calendar year)
  */
-export function getCurrentQuarter(referenceDate = null) {
-    const date = referenceDate || new Date();
-    const month = date.getMonth(); // 0-11
-    return Math.floor(month / 3) + 1;
+export function getCurrentQuarter(referenceDate = null, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    return getFiscalQuarter(referenceDate || new Date(), fiscal).id;
 }
 
 /**
  * Get date range for a time range ID
  * @param {string} timeRangeId - Time range ID (current-year, current-quarter, next-3-months, etc.)
- * @param {number|Date} referenceYear - Reference year (number) or reference date (Date object)
+ * @param {number|Date} referenceYear - Reference (fiscal) year (number) or reference date (Date object)
+ * @param {object} fiscal - Fiscal calendar the year and quarter ranges follow (defaults to the calendar year)
  * @returns {object} Object with startDate and endDate as Date objects
  */
-export function getTimeRangeDates(timeRangeId, referenceYear) {
+export function getTimeRangeDates(timeRangeId, referenceYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
     // Handle Date object or year number for referenceYear
     const referenceDate = referenceYear instanceof Date ? referenceYear : new Date();
-    const year = referenceYear instanceof Date ? referenceYear.getFullYear() : referenceYear;
+    const year = referenceYear instanceof Date ? getFiscalYear(referenceYear, fiscal) : referenceYear;
+    const toDates = ({ startDate, endDate }) => ({ startDate: addDays(startDate, 0), endDate: addDays(endDate, 0) });
 
     let startDate, endDate;
 
     switch (timeRangeId) {
         case 'current-year':
-            startDate = new Date(year, 0, 1); // Jan 1
-            endDate = new Date(year, 11, 31); // Dec 31
+            ({ startDate, endDate } = toDates(getFiscalYearRange(year, fiscal)));
             break;
 
         case 'current-quarter':
-            const quarter = getCurrentQuarter(referenceDate);
-            const quarterStartMonth = (quarter - 1) * 3;
-            const quarterEndMonth = quarterStartMonth + 2;
-            startDate = new Date(referenceDate.getFullYear(), quarterStartMonth, 1);
-            endDate = new Date(referenceDate.getFullYear(), quarterEndMonth + 1, 0); // Last day of quarter
+            ({ startDate, endDate } = toDates(getFiscalQuarter(referenceDate, fiscal)));
             break;
 
         case 'next-3-months':
@@ -285,18 +443,17 @@ export function getTimeRangeDates(timeRangeId, referenceYear) {
 
         default:
             // Default to current year
-            startDate = new Date(year, 0, 1);
-            endDate = new Date(year, 11, 31);
+            ({ startDate, endDate } = toDates(getFiscalYearRange(year, fiscal)));
     }
 
     return { startDate, endDate };
 }
 
 /**
- * Get all Mondays within a date range
+ * Get all week starts (Mondays by default) within a date range
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
- * @returns {Array<Date>} Array of Monday dates
+ * @returns {Array<Date>} Array of week start dates
  */
 export function getMondaysInRange(startDate, endDate) {
     const mondays = [];
@@ -347,7 +504,169 @@ export function filterWeeksBySeasons(weeks, seasons) {
     });
 }
 
+/**
+ * Add a number of weeks to a date
+ * @param {Date|string} date - Start date (ISO strings parsed in local time)
+ * @param {number} weeks - Weeks to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addWeeks(date, weeks) {
+    let result;
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        const [year, month, day] = date.split('-').map(Number);
+        result = new Date(year, month - 1, day); // Use local timezone
+    } else {
+        result = new Date(date);
+    }
+    result.setDate(result.getDate() + weeks * 7);
+    return result;
+}
+
+/**
+ * Count the days from one ISO date to another
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Whole days (negative if to is earlier)
+ */
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date|string} date - Start date (ISO strings parsed in local time)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+    let result;
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        const [year, month, day] = date.split('-').map(Number);
+        result = new Date(year, month - 1, day); // Use local timezone
+    } else {
+        result = new Date(date);
+    }
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+/**
+ * Map a date to the same weekday and week of the month in another year
+ * E.g. the 2nd Tuesday of March 2025 becomes the 2nd Tuesday of March 2026.
+ * A 5th weekday that the target month doesn't have becomes its last one.
+ * @param {Date|string} date - Date (ISO strings parsed in local time)
+ * @param {number} year - Target year
+ * @returns {Date} Date in the target year
+ */
+export function mapToSameWeekdayInYear(date, year) {
+    const source = addDays(date, 0);
+    const month = source.getMonth();
+    const nth = Math.ceil(source.getDate() / 7); // 1-5
+
+    const firstWeekday = 1 + (source.getDay() - new Date(year, month, 1).getDay() + 7) % 7;
+    let day = firstWeekday + (nth - 1) * 7;
+    if (day > new Date(year, month + 1, 0).getDate()) {
+        day -= 7;
+    }
+
+    return new Date(year, month, day);
+}
+
+/**
+ * Get the date range an event occupies
+ * Fixed trips use their actual dates. Flexible trips (and legacy trips
+ * without endDate) span the first to the last working day of `duration`
+ * consecutive weeks starting with the week of startDate.
+ * @param {object} event - Event (or plain object) with startDate, endDate, isFixed, duration
+ * @returns {object} { startDate, endDate } as ISO strings
+ */
+export function getEventDateRange(event) {
+    if (event.isFixed && event.endDate) {
+        return { startDate: event.startDate, endDate: event.endDate };
+    }
+
+    const monday = getMonday(event.startDate);
+    const lastMonday = addWeeks(monday, Math.max(1, event.duration || 1) - 1);
+    return { startDate: dateToISO(monday), endDate: dateToISO(getFriday(lastMonday)) };
+}
+
+/**
+ * Get all weeks whose working days an event overlaps
+ * @param {object} event - Event (or plain object) with startDate, endDate, isFixed, duration
+ * @returns {Array<string>} Week start ISO dates in chronological order
+ */
+export function getEventWeeks(event) {
+    const { startDate, endDate } = getEventDateRange(event);
+    const weeks = [];
+
+    for (let monday = getMonday(startDate); dateToISO(monday) <= endDate; monday = addWeeks(monday, 1)) {
+        if (overlapsWithWeek(startDate, endDate, monday)) {
+            weeks.push(dateToISO(monday));
+        }
+    }
+
+    return weeks;
+}
+
+/**
+ * Get the ordered legs of a trip with their dates
+ * Multi-city trips store each leg's location and length in days; legs run
+ * back to back from the trip's start and the last leg runs to the trip's end.
+ * Single-location trips have one leg covering the whole trip.
+ * @param {object} event - Event (or plain object) with location, legs and dates
+ * @returns {Array<object>} Legs: { location, startDate, endDate, days } with ISO dates
+ */
+export function getEventLegs(event) {
+    const range = getEventDateRange(event);
+    if (!event.legs || event.legs.length === 0) {
+        return [{ location: event.location, ...range, days: daysBetween(range.startDate, range.endDate) + 1 }];
+    }
+
+    let startDate = range.startDate;
+    return event.legs.map((leg, index) => {
+        const isLast = index === event.legs.length - 1;
+        const plannedEnd = isLast ? range.endDate : dateToISO(addDays(startDate, leg.days - 1));
+        const endDate = plannedEnd < range.endDate ? plannedEnd : range.endDate;
+        const result = {
+            location: index === 0 ? event.location : leg.location,
+            startDate,
+            endDate,
+            days: daysBetween(startDate, endDate) + 1
+        };
+
+        // Legs that no longer fit (e.g. after shortening the trip) share its last day
+        const nextStart = dateToISO(addDays(endDate, 1));
+        startDate = nextStart < range.endDate ? nextStart : range.endDate;
+        return result;
+    });
+}
+
+/**
+ * Get the first day of a fiscal year
+ * Week-based years start on the week start (Monday by default) nearest the
+ * first of the start month.
+ * @param {number} fiscalYear - Fiscal year
+ * @param {object} fiscal - Fiscal calendar
+ * @returns {Date} First day
+ */
+function getFiscalYearStart(fiscalYear, fiscal) {
+    const first = new Date(fiscal.startMonth === 0 ? fiscalYear : fiscalYear - 1, fiscal.startMonth, 1);
+    return fiscal.weekPattern ? getMonday(addDays(first, 3)) : first;
+}
+
+/**
+ * Get the working days' offsets from the start of the week
+ * @returns {Array<number>} Offsets in days (0 = first working day), ascending
+ */
+function getWorkingDayOffsets() {
+    return workWeek.workingDays.map(day => (day - workWeek.firstDay + 7) % 7).sort((a, b) => a - b);
+}
+
 export default {
+    setWorkWeek,
+    getWorkWeek,
+    getWeekdayOrder,
+    isWorkingDay,
     getMonday,
     getFriday,
     dateToISO,
@@ -360,8 +679,20 @@ export default {
     getDaysInMonth,
     getCalendarGrid,
     overlapsWithWeek,
+    getFiscalYear,
+    getFiscalYearRange,
+    getFiscalMonths,
+    getFiscalQuarters,
+    getFiscalQuarter,
+    formatFiscalYear,
     getCurrentQuarter,
     getTimeRangeDates,
     getMondaysInRange,
-    filterWeeksBySeasons
+    filterWeeksBySeasons,
+    addWeeks,
+    daysBetween,
+    addDays,
+    getEventDateRange,
+    getEventWeeks,
+    getEventLegs
 };
@@ -0,0 +1,108 @@
+/**
+ * GeoService - Distance and timezone helpers for registered locations
+ *
+ * Works on plain location objects from the StateManager registry
+ * ({ lat, lon, timezone }); missing data yields null so callers can skip
+ * penalties they cannot compute.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Door-to-door travel time model: ground travel, or a flight plus airport time
+const GROUND_SPEED_KMH = 80;
+const FLIGHT_SPEED_KMH = 750;
+const FLIGHT_OVERHEAD_HOURS = 2;
+
+// Intl formatters are expensive to create; reuse one per timezone
+const offsetFormatters = new Map();
+
+/**
+ * Get the great-circle distance between two locations
+ * @param {object} from - Location with lat/lon
+ * @param {object} to - Location with lat/lon
+ * @returns {number|null} Distance in km, or null if either has no coordinates
+ */
+export function getDistanceKm(from, to) {
+    if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Estimate door-to-door travel time between two locations
+ * Uses the faster of ground travel and flying (with airport time).
+ * @param {object} from - Location with lat/lon
+ * @param {object} to - Location with lat/lon
+ * @returns {number|null} Hours, or null if either has no coordinates
+ */
+export function estimateTravelHours(from, to) {
+    const distance = getDistanceKm(from, to);
+    if (distance === null) return null;
+
+    return Math.min(distance / GROUND_SPEED_KMH, distance / FLIGHT_SPEED_KMH + FLIGHT_OVERHEAD_HOURS);
+}
+
+/**
+ * Get a timezone's UTC offset on a date (daylight saving aware)
+ * @param {string} timezone - IANA timezone, e.g. "Europe/London"
+ * @param {string} isoDate - Date (YYYY-MM-DD); the offset at noon UTC is used
+ * @returns {number} Offset in hours, e.g. 1 for BST, -4 for EDT, 5.5 for IST
+ */
+export function getUtcOffsetHours(timezone, isoDate) {
+    if (!offsetFormatters.has(timezone)) {
+        offsetFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    const instant = new Date(`${isoDate}T12:00:00Z`);
+    const parts = offsetFormatters.get(timezone).formatToParts(instant);
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+
+    return (wallClock - instant.getTime()) / 3600000;
+}
+
+/**
+ * Get how many hours the body clock shifts travelling between two locations
+ * Takes the shorter way around the clock, so London to Auckland is 11h, not 13h.
+ * @param {object} from - Location with timezone
+ * @param {object} to - Location with timezone
+ * @param {string} isoDate - Date of travel (YYYY-MM-DD)
+ * @returns {number|null} Shift in hours (0-12), or null if either has no timezone
+ */
+export function getTimezoneShiftHours(from, to, isoDate) {
+    if (!from?.timezone || !to?.timezone) return null;
+
+    const difference = Math.abs(getUtcOffsetHours(from.timezone, isoDate) - getUtcOffsetHours(to.timezone, isoDate)) % 24;
+    return Math.min(difference, 24 - difference);
+}
+
+/**
+ * Check if a location has coordinates
+ * @param {object} location - Location
+ * @returns {boolean} True if lat/lon are numbers
+ */
+export function hasCoordinates(location) {
+    return Number.isFinite(location?.lat) && Number.isFinite(location?.lon);
+}
+
+export default {
+    getDistanceKm,
+    estimateTravelHours,
+    getUtcOffsetHours,
+    getTimezoneShiftHours,
+    hasCoordinates
+};
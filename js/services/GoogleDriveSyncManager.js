@@ -234,7 +234,7 @@ class GoogleDriveSyncManager {
      * @private
      */
     async #pushToDrive() {
-        const localState = StateManager.getState();
+        const localState = StateManager.getPlanState();
         const todayFilename = this.#getTodayFilename();
 
         await this.#uploadToDrive(localState, todayFilename);
@@ -317,8 +317,8 @@ class GoogleDriveSyncManager {
             // Emit sync started event
             EventBus.emit('sync:started');
 
-            // Get current state
-            const localState = StateManager.getState();
+            // Get current main plan state (what-if scenarios stay local)
+            const localState = StateManager.getPlanState();
 
             // Get today's filename for upload
             const todayFilename = this.#getTodayFilename();
@@ -0,0 +1,229 @@
+/**
+ * HolidayService - Offline public holiday calendars by country
+ *
+ * Generates national public holidays from the rules in HOLIDAY_CALENDARS:
+ * fixed dates, nth weekdays of a month and days relative to Easter Sunday.
+ * Fixed dates on a weekend get an extra "(observed)" weekday where the
+ * country makes them up (e.g. a Saturday Christmas is observed on Monday
+ * in the UK and on Friday in the US).
+ *
+ * Used to add home-country holidays as constraints and by ScoringEngine to
+ * spot holidays in a destination's country.
+ */
+
+import { HOLIDAY_CALENDARS } from '../config/calendarConfig.js';
+import { dateToISO, addDays } from './DateService.js';
+
+/**
+ * Get Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday (local time)
+ */
+export function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the countries with a holiday calendar
+ * @returns {Array<object>} { code, name } sorted by name
+ */
+export function getHolidayCountries() {
+    return Object.entries(HOLIDAY_CALENDARS)
+        .map(([code, calendar]) => ({ code, name: calendar.name }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check if a country has a holiday calendar
+ * @param {string|null} countryCode - Two-letter country code
+ * @returns {boolean} True if supported
+ */
+export function hasHolidayCalendar(countryCode) {
+    return Boolean(countryCode && HOLIDAY_CALENDARS[String(countryCode).toUpperCase()]);
+}
+
+/**
+ * Get the public holidays of a country in a year
+ * @param {string} countryCode - Two-letter country code
+ * @param {number} year - Year
+ * @returns {Array<object>} { date, name, countryCode, isObserved } sorted by date;
+ *   empty for countries without a calendar
+ */
+export function getHolidays(countryCode, year) {
+    const code = String(countryCode || '').toUpperCase();
+    if (!HOLIDAY_CALENDARS[code]) return [];
+
+    // Observed days can cross into the year before (Sat Jan 1 -> Fri Dec 31)
+    return [year, year + 1]
+        .flatMap(y => generateYear(code, y))
+        .filter(holiday => holiday.date.startsWith(`${year}-`))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the public holidays of a country between two dates
+ * @param {string} countryCode - Two-letter country code
+ * @param {string} startDate - First ISO date
+ * @param {string} endDate - Last ISO date (inclusive)
+ * @returns {Array<object>} Holidays (see getHolidays)
+ */
+export function getHolidaysInRange(countryCode, startDate, endDate) {
+    const years = [];
+    for (let y = Number(startDate.slice(0, 4)); y <= Number(endDate.slice(0, 4)); y++) {
+        years.push(y);
+    }
+
+    return years
+        .flatMap(y => getHolidays(countryCode, y))
+        .filter(holiday => holiday.date >= startDate && holiday.date <= endDate);
+}
+
+/**
+ * Build holiday constraints for a country and year
+ * Each constraint carries a stable sourceUid so adding the same holidays
+ * again can skip the ones already there (see StateManager.getImportedSourceUids).
+ * @param {string} countryCode - Two-letter country code
+ * @param {number} year - Year
+ * @returns {Array<object>} Plain constraint data of type 'holiday'
+ */
+export function buildHolidayConstraints(countryCode, year) {
+    return getHolidays(countryCode, year).map(holiday => ({
+        title: `${holiday.name} (${holiday.countryCode})`,
+        type: 'holiday',
+        startDate: holiday.date,
+        endDate: holiday.date,
+        sourceUid: getHolidaySourceUid(holiday)
+    }));
+}
+
+/**
+ * Get the source UID of a generated holiday constraint
+ * @param {object} holiday - Holiday (see getHolidays)
+ * @returns {string} UID, e.g. "holiday:GB:2025-12-26"
+ */
+export function getHolidaySourceUid(holiday) {
+    return `holiday:${holiday.countryCode}:${holiday.date}`;
+}
+
+/**
+ * Generate the holidays of one calendar year from a country's rules
+ * @param {string} code - Country code with a calendar
+ * @param {number} year - Year
+ * @returns {Array<object>} Holidays including observed days (which may fall in another year)
+ */
+function generateYear(code, year) {
+    const calendar = HOLIDAY_CALENDARS[code];
+    const rules = calendar.rules.filter(rule => !rule.fromYear || year >= rule.fromYear);
+    const holidays = rules.map(rule => ({
+        date: dateToISO(getRuleDate(rule, year)),
+        name: rule.name,
+        countryCode: code,
+        isObserved: false,
+        observed: 'observed' in rule ? rule.observed : calendar.observed,
+        isFixed: rule.day !== undefined && rule.weekday === undefined
+    }));
+
+    // Make up fixed-date holidays that fall on a weekend, in date order so
+    // that back-to-back ones (Christmas and Boxing Day) take successive days
+    const taken = new Set(holidays.map(h => h.date));
+    const observed = [];
+    holidays
+        .filter(h => h.isFixed && h.observed && isWeekend(h.date))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(holiday => {
+            const date = getObservedDate(holiday.date, holiday.observed, taken);
+            taken.add(date);
+            observed.push({ date, name: `${holiday.name} (observed)`, countryCode: code, isObserved: true });
+        });
+
+    return [
+        ...holidays.map(({ date, name, countryCode, isObserved }) => ({ date, name, countryCode, isObserved })),
+        ...observed
+    ];
+}
+
+/**
+ * Get the date of a holiday rule in a year
+ * @param {object} rule - Holiday rule (see HOLIDAY_CALENDARS)
+ * @param {number} year - Year
+ * @returns {Date} Holiday date
+ */
+function getRuleDate(rule, year) {
+    if (rule.easter !== undefined) {
+        return addDays(getEasterSunday(year), rule.easter);
+    }
+
+    // First such weekday on or after a date
+    if (rule.day !== undefined && rule.weekday !== undefined) {
+        const from = new Date(year, rule.month - 1, rule.day);
+        return addDays(from, (rule.weekday - from.getDay() + 7) % 7);
+    }
+
+    if (rule.day !== undefined) {
+        return new Date(year, rule.month - 1, rule.day);
+    }
+
+    // nth weekday of the month, counted from the end when negative
+    if (rule.nth < 0) {
+        const last = new Date(year, rule.month, 0);
+        return addDays(last, -((last.getDay() - rule.weekday + 7) % 7) + (rule.nth + 1) * 7);
+    }
+    const first = new Date(year, rule.month - 1, 1);
+    return addDays(first, (rule.weekday - first.getDay() + 7) % 7 + (rule.nth - 1) * 7);
+}
+
+/**
+ * Get the weekday a weekend holiday is observed on
+ * @param {string} date - ISO date on a Saturday or Sunday
+ * @param {string} rule - 'nearest-weekday' or 'next-weekday'
+ * @param {Set<string>} taken - Dates that are already holidays
+ * @returns {string} ISO date of the observed day
+ */
+function getObservedDate(date, rule, taken) {
+    if (rule === 'nearest-weekday') {
+        return dateToISO(addDays(date, addDays(date, 0).getDay() === 6 ? -1 : 1));
+    }
+
+    let observed = dateToISO(addDays(date, 1));
+    while (isWeekend(observed) || taken.has(observed)) {
+        observed = dateToISO(addDays(observed, 1));
+    }
+    return observed;
+}
+
+/**
+ * Check if an ISO date is a Saturday or Sunday
+ * Only for the substitute-day rules of the bundled countries, which follow
+ * their statutory weekend rather than the user's work week.
+ * @param {string} date - ISO date
+ * @returns {boolean} True on weekends
+ */
+function isWeekend(date) {
+    const day = addDays(date, 0).getDay();
+    return day === 0 || day === 6;
+}
+
+export default {
+    getEasterSunday,
+    getHolidayCountries,
+    hasHolidayCalendar,
+    getHolidays,
+    getHolidaysInRange,
+    buildHolidayConstraints,
+    getHolidaySourceUid
+};
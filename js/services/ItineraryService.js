@@ -0,0 +1,124 @@
+/**
+ * ItineraryService - Day-by-day itinerary of a trip from its booking segments
+ *
+ * Covers every day of the trip plus any day a segment reaches outside it
+ * (e.g. an overnight flight the evening before). Each day lists where the
+ * trip is (its leg's location), where it sleeps (lodging checked into on or
+ * before that day and checked out after it) and the day's bookings:
+ * - flights and ground transport on their departure day (and an arrival on
+ *   a later arrival day)
+ * - lodging check-in and check-out
+ *
+ * Check-outs come first, then bookings by time, then check-ins.
+ */
+
+import { BOOKING_SEGMENT_KINDS } from '../config/calendarConfig.js';
+import { dateToISO, addDays, formatDate, getEventDateRange, getEventLegs } from './DateService.js';
+import { BookingSegment } from '../models/BookingSegment.js';
+
+/**
+ * Get the day-by-day itinerary of a trip
+ * @param {object} event - Event (or occurrence) with optional segments
+ * @returns {Array<object>} Days: { date, location, stay, items } where stay is the
+ *   lodging segment of that night (or null) and items are
+ *   { segment, kind, icon, time, title, detail, confirmation } in day order
+ */
+export function getItinerary(event) {
+    // Occurrences and state copies carry plain segments
+    const segments = (event.segments || []).map(s => (s instanceof BookingSegment ? s : BookingSegment.fromJSON(s)));
+    const range = getEventDateRange(event);
+    const legs = getEventLegs(event);
+
+    const segmentDates = segments.flatMap(getSegmentDates);
+    const first = [range.startDate, ...segmentDates].sort()[0];
+    const last = [range.endDate, ...segmentDates].sort().pop();
+
+    const days = [];
+    for (let date = first; date <= last; date = dateToISO(addDays(date, 1))) {
+        const leg = legs.find(l => date >= l.startDate && date <= l.endDate);
+        days.push({
+            date,
+            location: leg ? leg.location : null, // Outside the trip's own dates
+            stay: segments.find(s => s.kind === 'lodging' && isNightAt(s, date)) || null,
+            items: getDayItems(segments, date)
+        });
+    }
+
+    return days;
+}
+
+/**
+ * Check if the night after a date is spent at a lodging
+ * Lodging without a check-out date counts for its check-in night only.
+ * @param {BookingSegment} lodging - Lodging segment
+ * @param {string} date - ISO date
+ * @returns {boolean} True if checked in that night
+ */
+function isNightAt(lodging, date) {
+    return lodging.checkOut ? lodging.checkIn <= date && date < lodging.checkOut : date === lodging.checkIn;
+}
+
+/**
+ * Get the dates a segment touches
+ * @param {BookingSegment} segment - Booking segment
+ * @returns {Array<string>} ISO dates (start and, when set, end)
+ */
+function getSegmentDates(segment) {
+    const dates = segment.kind === 'lodging'
+        ? [segment.checkIn, segment.checkOut]
+        : [segment.departAt, segment.arriveAt].map(time => time?.slice(0, 10));
+    return dates.filter(Boolean);
+}
+
+/**
+ * Get the itinerary items of one day
+ * @param {Array<BookingSegment>} segments - Booking segments
+ * @param {string} date - ISO date
+ * @returns {Array<object>} Items in day order
+ */
+function getDayItems(segments, date) {
+    const items = [];
+
+    segments.forEach(segment => {
+        const item = (rank, time, title, detail) => items.push({
+            rank,
+            segment,
+            kind: segment.kind,
+            icon: BOOKING_SEGMENT_KINDS[segment.kind].icon,
+            time,
+            title,
+            detail,
+            confirmation: segment.confirmation
+        });
+
+        if (segment.kind === 'lodging') {
+            if (segment.checkOut === date && segment.checkOut !== segment.checkIn) {
+                item(0, null, `Check out: ${segment.name}`, segment.address);
+            }
+            if (segment.checkIn === date) {
+                item(2, null, `Check in: ${segment.name}`, segment.address);
+            }
+            return;
+        }
+
+        const description = segment.describe();
+        const departs = segment.departAt.slice(0, 10);
+        const arrives = segment.arriveAt?.slice(0, 10);
+        const times = `${segment.departAt.slice(11)}${segment.arriveAt ? `–${segment.arriveAt.slice(11)}` : ''}`;
+
+        if (departs === date) {
+            const otherDay = arrives && arrives !== departs ? ` (arrives ${formatDate(`${arrives}T12:00:00`)})` : '';
+            item(1, segment.departAt.slice(11), description, `${times}${otherDay}`);
+        } else if (arrives === date) {
+            item(1, segment.arriveAt.slice(11), `Arrive: ${description}`, null);
+        }
+    });
+
+    return items
+        .sort((a, b) => a.rank - b.rank || (a.time || '').localeCompare(b.time || ''))
+        .map(({ rank, ...rest }) => rest);
+}
+
+export default {
+    getItinerary
+};
@@ -0,0 +1,252 @@
+/**
+ * PolicyService - Evaluate travel policy rules against a plan
+ *
+ * Works on plain rule objects (see PolicyRule) and events; recurring trips
+ * are expanded and archived or cancelled trips ignored. A trip counts towards the period
+ * its first day falls in, and a travel week towards the period of its Monday.
+ * Quarters and years follow the fiscal calendar passed in (calendar year by default).
+ *
+ * Each violation has a stable key (rule + period, run or week) and an excess
+ * (how far past the limit it is), so callers can compare a plan before and
+ * after adding a trip to find the violations that trip would cause.
+ */
+
+import { MONTH_NAMES, DEFAULT_FISCAL_CALENDAR } from '../config/calendarConfig.js';
+import {
+    dateToISO, formatDate, addDays, addWeeks, getMondaysInRange, getEventDateRange, getEventWeeks,
+    getFiscalYear, getFiscalYearRange, getFiscalMonths, getFiscalQuarters, formatFiscalYear
+} from './DateService.js';
+import { expandEvents } from './RecurrenceService.js';
+import { isTripActive } from '../models/Event.js';
+
+/**
+ * Get the key of the fiscal period a date falls in
+ * Quarters and years follow the fiscal calendar; months are calendar months,
+ * or the week-based period standing for a month (see DateService.getFiscalMonths).
+ * @param {string} isoDate - Date (YYYY-MM-DD)
+ * @param {string} period - 'month', 'quarter' or 'year'
+ * @param {object} fiscal - Fiscal calendar (defaults to the calendar year)
+ * @returns {string} Period key, e.g. "2025-03", "2025-Q1" or "2025" (fiscal year for quarters and years)
+ */
+export function getPeriodKey(isoDate, period, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const fiscalYear = getFiscalYear(isoDate, fiscal);
+    if (period === 'year') return `${fiscalYear}`;
+
+    const months = getFiscalMonths(fiscalYear, fiscal);
+    const index = months.findIndex(month => isoDate <= month.endDate);
+    if (period === 'quarter') return `${fiscalYear}-Q${Math.floor(index / 3) + 1}`;
+
+    const { year, month } = months[index];
+    return `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the weeks (Mondays) that belong to a period
+ * @param {string} periodKey - Key from getPeriodKey
+ * @param {string} period - 'month', 'quarter' or 'year'
+ * @param {object} fiscal - Fiscal calendar the key was made with
+ * @returns {Array<string>} Monday ISO dates in order
+ */
+export function getPeriodWeeks(periodKey, period, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const year = Number(periodKey.slice(0, 4));
+    let range;
+
+    if (period === 'month') {
+        const monthIndex = Number(periodKey.slice(5, 7)) - 1;
+        const fiscalYear = fiscal.startMonth === 0 || monthIndex < fiscal.startMonth ? year : year + 1;
+        range = getFiscalMonths(fiscalYear, fiscal).find(month => month.year === year && month.month === monthIndex);
+    } else if (period === 'quarter') {
+        range = getFiscalQuarters(year, fiscal)[Number(periodKey.slice(6)) - 1];
+    } else {
+        range = getFiscalYearRange(year, fiscal);
+    }
+
+    return getMondaysInRange(addDays(range.startDate, 0), addDays(range.endDate, 0)).map(dateToISO);
+}
+
+/**
+ * Format a period key for display
+ * @param {string} periodKey - Key from getPeriodKey
+ * @param {string} period - 'month', 'quarter' or 'year'
+ * @param {object} fiscal - Fiscal calendar the key was made with
+ * @returns {string} Label, e.g. "Mar 2025", "Q1 2025" or "2025" ("Q1 FY2026" with a fiscal calendar)
+ */
+export function formatPeriod(periodKey, period, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const year = periodKey.slice(0, 4);
+
+    if (period === 'month') return `${MONTH_NAMES[Number(periodKey.slice(5, 7)) - 1]} ${year}`;
+    if (period === 'quarter') return `${periodKey.slice(5)} ${formatFiscalYear(Number(year), fiscal)}`;
+    return formatFiscalYear(Number(year), fiscal);
+}
+
+/**
+ * Find policy rule violations in a plan
+ * @param {Array<object>} events - Events (recurring trips are expanded)
+ * @param {Array<object>} rules - Policy rules (disabled rules are skipped)
+ * @param {object} options - Options
+ * @param {Function} options.isInternational - (event) => boolean, for international trip caps
+ * @param {object} options.fiscalCalendar - Fiscal calendar for quarter and year periods (default calendar year)
+ * @returns {Array<object>} Violations:
+ *   { type: 'policy', ruleId, ruleName, severity, key, excess, message, weeks, events }
+ */
+export function evaluatePolicies(events, rules, { isInternational = () => false, fiscalCalendar = DEFAULT_FISCAL_CALENDAR } = {}) {
+    const enabledRules = rules.filter(rule => rule.enabled !== false);
+    if (enabledRules.length === 0) return [];
+
+    const trips = expandEvents(events).filter(isTripActive);
+
+    // Travel weeks with the trips in each
+    const tripsByWeek = new Map();
+    trips.forEach(trip => {
+        getEventWeeks(trip).forEach(week => {
+            if (!tripsByWeek.has(week)) tripsByWeek.set(week, []);
+            tripsByWeek.get(week).push(trip);
+        });
+    });
+
+    const context = { trips, tripsByWeek, isInternational, fiscal: fiscalCalendar };
+
+    return enabledRules.flatMap(rule => {
+        const check = RULE_CHECKS[rule.type];
+        if (!check) return [];
+
+        return check(rule, context).map(violation => ({
+            type: 'policy',
+            ruleId: rule.id,
+            ruleName: rule.name,
+            severity: rule.severity,
+            ...violation,
+            key: `${rule.id}:${violation.key}`
+        }));
+    });
+}
+
+/**
+ * Get violations in `after` that are new or worse than in `before`
+ * @param {Array<object>} before - Violations of the plan as it is
+ * @param {Array<object>} after - Violations of the changed plan
+ * @returns {Array<object>} Violations the change causes
+ */
+export function getNewViolations(before, after) {
+    const previous = new Map(before.map(violation => [violation.key, violation.excess]));
+    return after.filter(violation => !(previous.get(violation.key) >= violation.excess));
+}
+
+// Violation finders per rule type: (rule, context) => [{ key, excess, message, weeks, events }]
+const RULE_CHECKS = {
+    'max-consecutive-weeks': (rule, { tripsByWeek }) => {
+        const { maxWeeks } = rule.params;
+        const runs = [];
+
+        [...tripsByWeek.keys()].sort().forEach(week => {
+            const run = runs[runs.length - 1];
+            if (run && dateToISO(addWeeks(run[run.length - 1], 1)) === week) {
+                run.push(week);
+            } else {
+                runs.push([week]);
+            }
+        });
+
+        return runs
+            .filter(run => run.length > maxWeeks)
+            .map(run => ({
+                key: run[0],
+                excess: run.length - maxWeeks,
+                message: `${run.length} consecutive travel weeks from ${formatDate(`${run[0]}T00:00:00`)} (max ${maxWeeks})`,
+                weeks: run,
+                events: tripsIn(run, tripsByWeek)
+            }));
+    },
+
+    'max-trips': (rule, { trips, isInternational, fiscal }) => {
+        const { period, maxTrips, scope } = rule.params;
+        const counted = scope === 'international' ? trips.filter(trip => isInternational(trip)) : trips;
+        const byPeriod = groupBy(counted, trip => getPeriodKey(getEventDateRange(trip).startDate, period, fiscal));
+        const label = scope === 'international' ? 'international trips' : 'trips';
+
+        return [...byPeriod.entries()]
+            .filter(([, periodTrips]) => periodTrips.length > maxTrips)
+            .map(([periodKey, periodTrips]) => ({
+                key: periodKey,
+                excess: periodTrips.length - maxTrips,
+                message: `${periodTrips.length} ${label} in ${formatPeriod(periodKey, period, fiscal)} (max ${maxTrips})`,
+                weeks: [...new Set(periodTrips.flatMap(trip => getEventWeeks(trip)))].sort(),
+                events: periodTrips
+            }));
+    },
+
+    'min-home-weeks': (rule, { tripsByWeek, fiscal }) => {
+        const { period, minWeeks } = rule.params;
+        const byPeriod = groupBy([...tripsByWeek.keys()].sort(), week => getPeriodKey(week, period, fiscal));
+
+        return [...byPeriod.entries()]
+            .map(([periodKey, travelWeeks]) => {
+                const homeWeeks = getPeriodWeeks(periodKey, period, fiscal).length - travelWeeks.length;
+                return { periodKey, travelWeeks, homeWeeks };
+            })
+            .filter(({ homeWeeks }) => homeWeeks < minWeeks)
+            .map(({ periodKey, travelWeeks, homeWeeks }) => ({
+                key: periodKey,
+                excess: minWeeks - homeWeeks,
+                message: `Only ${homeWeeks} home week${homeWeeks === 1 ? '' : 's'} in ${formatPeriod(periodKey, period, fiscal)} (min ${minWeeks})`,
+                weeks: travelWeeks,
+                events: tripsIn(travelWeeks, tripsByWeek)
+            }));
+    },
+
+    'blackout-position': (rule, { tripsByWeek, fiscal }) => {
+        const { period, position, weeks: count } = rule.params;
+
+        return [...tripsByWeek.keys()].sort()
+            .filter(week => {
+                const periodWeeks = getPeriodWeeks(getPeriodKey(week, period, fiscal), period, fiscal);
+                const index = periodWeeks.indexOf(week);
+                return position === 'first' ? index < count : index >= periodWeeks.length - count;
+            })
+            .map(week => {
+                const periodLabel = formatPeriod(getPeriodKey(week, period, fiscal), period, fiscal);
+                const weekTrips = tripsByWeek.get(week);
+                return {
+                    key: week,
+                    excess: 1,
+                    message: `${weekTrips.map(trip => trip.title).join(', ')} in the ${position} ${count === 1 ? 'week' : `${count} weeks`} of ${periodLabel}`,
+                    weeks: [week],
+                    events: weekTrips
+                };
+            });
+    }
+};
+
+/**
+ * Group items into a Map by key
+ * @param {Array} items - Items
+ * @param {Function} getKey - (item) => key
+ * @returns {Map} key => items
+ */
+function groupBy(items, getKey) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = getKey(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+/**
+ * Get the distinct trips in a set of weeks
+ * @param {Array<string>} weeks - Monday ISO dates
+ * @param {Map} tripsByWeek - week => trips
+ * @returns {Array<object>} Trips
+ */
+function tripsIn(weeks, tripsByWeek) {
+    return [...new Set(weeks.flatMap(week => tripsByWeek.get(week) || []))];
+}
+
+export default {
+    getPeriodKey,
+    getPeriodWeeks,
+    formatPeriod,
+    evaluatePolicies,
+    getNewViolations
+};
@@ -0,0 +1,226 @@
+/**
+ * RecurrenceService - Expand recurring events and constraints into occurrences
+ *
+ * Recurring items are stored once (the series) with a recurrence rule and
+ * per-occurrence exceptions keyed by the occurrence's original start date:
+ * - { skipped: true } removes that occurrence
+ * - { title, location, type, startDate, endDate } overrides its fields
+ *
+ * Expansion keeps non-recurring items untouched and replaces each series
+ * by plain-object occurrences with:
+ * - id: unique occurrence ID (`${seriesId}::${occurrenceDate}`)
+ * - seriesId: ID of the stored series
+ * - occurrenceDate: original (unmodified) start date of the occurrence
+ * Occurrences keep the series' span (days between start and end, or the
+ * duration in weeks for flexible trips).
+ */
+
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import { dateToISO, daysBetween, getMonday, getEventDateRange } from './DateService.js';
+
+export const OCCURRENCE_ID_SEPARATOR = '::';
+
+// Years after the current (or series start) year expanded when no range is given
+export const DEFAULT_EXPANSION_YEARS = 2;
+
+/**
+ * Check if an event or constraint repeats
+ * @param {object} item - Event or constraint (plain object or model)
+ * @returns {boolean} True if the item has a recurrence rule
+ */
+export function isRecurring(item) {
+    return Boolean(item?.recurrence);
+}
+
+/**
+ * Build the ID of a single occurrence
+ * @param {string} seriesId - Series ID
+ * @param {string} occurrenceDate - Original occurrence date (ISO)
+ * @returns {string} Occurrence ID
+ */
+export function getOccurrenceId(seriesId, occurrenceDate) {
+    return `${seriesId}${OCCURRENCE_ID_SEPARATOR}${occurrenceDate}`;
+}
+
+/**
+ * Split an occurrence ID into series ID and occurrence date
+ * @param {string} id - Occurrence ID
+ * @returns {object|null} { seriesId, occurrenceDate } or null if not an occurrence ID
+ */
+export function parseOccurrenceId(id) {
+    const index = String(id).lastIndexOf(OCCURRENCE_ID_SEPARATOR);
+    if (index === -1) return null;
+
+    const occurrenceDate = id.slice(index + OCCURRENCE_ID_SEPARATOR.length);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate)) return null;
+
+    return { seriesId: id.slice(0, index), occurrenceDate };
+}
+
+/**
+ * Expand recurring events into occurrences
+ * @param {Array} events - Events (plain objects or models)
+ * @param {string|null} rangeStart - First date of interest (ISO), null = series start
+ * @param {string|null} rangeEnd - Last date of interest (ISO), null = default horizon
+ * @returns {Array} Non-recurring events plus occurrences overlapping the range
+ */
+export function expandEvents(events, rangeStart = null, rangeEnd = null) {
+    return events.flatMap(event => isRecurring(event) ? expandSeries(event, rangeStart, rangeEnd) : [event]);
+}
+
+/**
+ * Expand recurring constraints into occurrences
+ * @param {Array} constraints - Constraints (plain objects or models)
+ * @param {string|null} rangeStart - First date of interest (ISO), null = series start
+ * @param {string|null} rangeEnd - Last date of interest (ISO), null = default horizon
+ * @returns {Array} Non-recurring constraints plus occurrences overlapping the range
+ */
+export function expandConstraints(constraints, rangeStart = null, rangeEnd = null) {
+    return constraints.flatMap(constraint => isRecurring(constraint) ? expandSeries(constraint, rangeStart, rangeEnd) : [constraint]);
+}
+
+/**
+ * Expand one series into its occurrences
+ * @param {object} series - Recurring event or constraint
+ * @param {string|null} rangeStart - First date of interest (ISO)
+ * @param {string|null} rangeEnd - Last date of interest (ISO)
+ * @returns {Array<object>} Occurrences overlapping the range, in chronological order
+ */
+export function expandSeries(series, rangeStart = null, rangeEnd = null) {
+    const rule = RecurrenceRule.fromJSON(series.recurrence);
+    const exceptions = series.exceptions || {};
+    const spanDays = getSpanDays(series);
+    const to = rangeEnd ?? getDefaultHorizon(series.startDate);
+
+    // Occurrences starting up to `spanDays` before the range can still overlap it,
+    // and week-based trips move back to the Monday of their occurrence date
+    const from = rangeStart ? shiftDate(rangeStart, -spanDays) : null;
+    const lastDate = isWeekBased(series) ? shiftDate(to, 6) : to;
+    const dates = new Set(rule.getOccurrences(series.startDate, { from, to: lastDate }));
+
+    // Overridden occurrences may have been moved into the range from outside it
+    Object.entries(exceptions).forEach(([date, exception]) => {
+        if (!exception.skipped && !dates.has(date) && rule.includes(series.startDate, date)) {
+            dates.add(date);
+        }
+    });
+
+    return [...dates]
+        .filter(date => !exceptions[date]?.skipped)
+        .map(date => buildOccurrence(series, date, spanDays))
+        .filter(occurrence => {
+            const range = 'isFixed' in occurrence
+                ? getEventDateRange(occurrence)
+                : { startDate: occurrence.startDate, endDate: occurrence.endDate };
+            return (!rangeStart || range.endDate >= rangeStart) && range.startDate <= to;
+        })
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+}
+
+/**
+ * Get a single occurrence of a series (with its exception applied)
+ * @param {object} series - Recurring event or constraint
+ * @param {string} occurrenceDate - Original occurrence date (ISO)
+ * @returns {object|null} Occurrence, or null if the date is not an occurrence or was skipped
+ */
+export function getOccurrence(series, occurrenceDate) {
+    if (!isRecurring(series)) return null;
+    if (series.exceptions?.[occurrenceDate]?.skipped) return null;
+
+    const rule = RecurrenceRule.fromJSON(series.recurrence);
+    if (!rule.includes(series.startDate, occurrenceDate)) return null;
+
+    return buildOccurrence(series, occurrenceDate, getSpanDays(series));
+}
+
+/**
+ * Build an occurrence object from a series
+ * @param {object} series - Recurring event or constraint
+ * @param {string} occurrenceDate - Original occurrence date (ISO)
+ * @param {number} spanDays - Days between the series' start and end dates
+ * @returns {object} Occurrence
+ */
+function buildOccurrence(series, occurrenceDate, spanDays) {
+    const data = typeof series.toJSON === 'function' ? series.toJSON() : { ...series };
+    const overrides = series.exceptions?.[occurrenceDate] || {};
+    delete data.recurrence;
+    delete data.exceptions;
+
+    const occurrence = {
+        ...data,
+        id: getOccurrenceId(series.id, occurrenceDate),
+        seriesId: series.id,
+        occurrenceDate,
+        isModified: Object.keys(overrides).length > 0
+    };
+
+    if (isWeekBased(series)) {
+        occurrence.startDate = dateToISO(getMonday(overrides.startDate || occurrenceDate));
+        occurrence.endDate = null;
+    } else {
+        occurrence.startDate = overrides.startDate || occurrenceDate;
+        occurrence.endDate = overrides.endDate || shiftDate(occurrence.startDate, spanDays);
+    }
+
+    ['title', 'location', 'type'].forEach(key => {
+        if (overrides[key]) occurrence[key] = overrides[key];
+    });
+
+    return occurrence;
+}
+
+/**
+ * Get how many days a series' occurrences span (flexible trips: whole weeks)
+ * @param {object} series - Event or constraint
+ * @returns {number} Days from start to end date
+ */
+function getSpanDays(series) {
+    if (isWeekBased(series)) {
+        return Math.max(1, series.duration || 1) * 7 - 1;
+    }
+    if (!series.endDate) return 0;
+
+    return Math.max(0, daysBetween(series.startDate, series.endDate));
+}
+
+/**
+ * Check if a series is a trip scheduled by whole weeks (flexible or legacy without end date)
+ * @param {object} series - Event or constraint
+ * @returns {boolean} True for week-based trips
+ */
+function isWeekBased(series) {
+    return 'isFixed' in series && !(series.isFixed && series.endDate);
+}
+
+/**
+ * Get the default last expansion date for a series
+ * @param {string} startDate - Series start date (ISO)
+ * @returns {string} ISO date (Dec 31 of the horizon year)
+ */
+function getDefaultHorizon(startDate) {
+    const baseYear = Math.max(new Date().getFullYear(), Number(startDate.slice(0, 4)));
+    return `${baseYear + DEFAULT_EXPANSION_YEARS}-12-31`;
+}
+
+/**
+ * Shift an ISO date by a number of days
+ * @param {string} isoDate - ISO date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} ISO date
+ */
+function shiftDate(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return dateToISO(new Date(year, month - 1, day + days));
+}
+
+export default {
+    OCCURRENCE_ID_SEPARATOR,
+    DEFAULT_EXPANSION_YEARS,
+    isRecurring,
+    getOccurrenceId,
+    parseOccurrenceId,
+    expandEvents,
+    expandConstraints,
+    expandSeries,
+    getOccurrence
+};
@@ -0,0 +1,73 @@
+/**
+ * RescheduleService - Move trips to new dates
+ *
+ * Backs drag-and-drop rescheduling. A moved trip keeps its length: fixed
+ * trips shift by whole days, flexible trips move to the work week of the
+ * new date. The new dates are scored with ScoringEngine.scoreWeek as if the
+ * trip were not in the plan yet (a recurring trip keeps its other occurrences).
+ */
+
+import { dateToISO, daysBetween, addDays, getMonday, getEventDateRange, getEventWeeks } from './DateService.js';
+import ScoringEngine from './ScoringEngine.js';
+
+/**
+ * Get a trip's dates after moving it
+ * @param {object} trip - Event or occurrence
+ * @param {string} startDate - New first day (ISO); flexible trips use its work week
+ * @returns {object} { startDate, endDate } ISO dates (endDate null for flexible trips, as stored)
+ */
+export function getMovedDates(trip, startDate) {
+    if (!trip.isFixed || !trip.endDate) {
+        return { startDate: dateToISO(getMonday(startDate)), endDate: null };
+    }
+
+    const shift = daysBetween(trip.startDate, startDate);
+    return { startDate, endDate: dateToISO(addDays(trip.endDate, shift)) };
+}
+
+/**
+ * Score a trip at new dates
+ * @param {object} trip - Event or occurrence being moved
+ * @param {string} startDate - New first day (ISO)
+ * @param {Array} events - Events of the plan (including the trip)
+ * @param {Array} constraints - Constraints of the plan
+ * @returns {object} scoreWeek result plus startDate/endDate (see getMovedDates) and
+ *   the work weeks (ISO) the moved trip covers
+ */
+export function scoreMove(trip, startDate, events, constraints) {
+    const moved = { ...trip, ...getMovedDates(trip, startDate) };
+    const weeks = getEventWeeks(moved);
+    const duration = moved.isFixed && moved.endDate ? Math.max(1, weeks.length) : Math.max(1, moved.duration || 1);
+    const firstWeek = weeks[0] || getEventDateRange(moved).startDate;
+
+    return {
+        ...ScoringEngine.scoreWeek(firstWeek, trip.location, withoutTrip(events, trip), constraints, [], duration),
+        startDate: moved.startDate,
+        endDate: moved.endDate,
+        weeks
+    };
+}
+
+/**
+ * Leave a trip out of the plan (a single occurrence is skipped in its series)
+ * @param {Array} events - Events
+ * @param {object} trip - Event or occurrence
+ * @returns {Array} Events without the trip
+ */
+function withoutTrip(events, trip) {
+    if (!trip.seriesId) {
+        return events.filter(event => event.id !== trip.id);
+    }
+
+    return events.map(event => {
+        if (event.id !== trip.seriesId) return event;
+
+        const data = typeof event.toJSON === 'function' ? event.toJSON() : event;
+        return { ...data, exceptions: { ...data.exceptions, [trip.occurrenceDate]: { skipped: true } } };
+    });
+}
+
+export default {
+    getMovedDates,
+    scoreMove
+};
@@ -0,0 +1,70 @@
+/**
+ * RolloverService - Plan next year from this year's trips
+ *
+ * Copies a year's trips into another year as a starting plan. Each copy
+ * moves to the same weekday and week of the month (see
+ * DateService.mapToSameWeekdayInYear). Copies are flexible: they take the
+ * work week of that date and keep the number of weeks, legs and cost estimate
+ * of the trip; they start tentative, without bookings or status history.
+ *
+ * Archived and cancelled trips are not copied. Repeating trips are left out
+ * too: they already continue into the next year. With a fiscal calendar the
+ * trips of a fiscal year move one calendar year on, into the next fiscal year.
+ */
+
+import { dateToISO, getMonday, getEventWeeks, mapToSameWeekdayInYear, getFiscalYear } from './DateService.js';
+import { isTripActive } from '../models/Event.js';
+import { DEFAULT_FISCAL_CALENDAR } from '../config/calendarConfig.js';
+
+// Status copies start with (still to be confirmed)
+export const ROLLOVER_STATUS = 'tentative';
+
+/**
+ * Copy a trip into another year as a flexible trip
+ * @param {object} event - Event (or plain object)
+ * @param {number} year - Target year
+ * @returns {object} Plain event data for the copy (no ID; a new one is assigned on creation)
+ */
+export function rollTripToYear(event, year) {
+    const startDate = dateToISO(getMonday(mapToSameWeekdayInYear(event.startDate, year)));
+
+    return {
+        title: event.title,
+        type: event.type,
+        location: event.location,
+        startDate,
+        endDate: null,
+        duration: Math.max(1, getEventWeeks(event).length),
+        isFixed: false,
+        status: ROLLOVER_STATUS,
+        ...(event.legs ? { legs: event.legs.map(leg => ({ ...leg })) } : {}),
+        ...(event.cost ? { cost: event.cost.toJSON ? event.cost.toJSON() : { ...event.cost } } : {})
+    };
+}
+
+/**
+ * Plan a year from the trips of the year before
+ * @param {Array} events - All events
+ * @param {number} fromYear - Year to copy from (trips starting in it)
+ * @param {object} fiscal - Fiscal calendar the years follow (defaults to the calendar year)
+ * @returns {object} { year, copies: [{ source, copy }], repeating } where repeating lists
+ *   the year's repeating trips, which are not copied
+ */
+export function planRollover(events, fromYear, fiscal = DEFAULT_FISCAL_CALENDAR) {
+    const trips = events.filter(e => isTripActive(e) && getFiscalYear(e.startDate, fiscal) === fromYear);
+    const repeating = trips.filter(e => e.recurrence);
+
+    return {
+        year: fromYear + 1,
+        copies: trips
+            .filter(e => !e.recurrence)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))
+            .map(source => ({ source, copy: rollTripToYear(source, Number(source.startDate.slice(0, 4)) + 1) })),
+        repeating
+    };
+}
+
+export default {
+    rollTripToYear,
+    planRollover
+};
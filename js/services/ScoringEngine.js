@@ -1,50 +1,87 @@
 /**
  * ScoringEngine - Optimization algorithm for suggesting best travel weeks
  *
- * Scoring logic:
+ * Scoring logic (default weights; each is configurable via the active
+ * scoring profile in StateManager, see DEFAULT_SCORING_WEIGHTS):
  * - Base score: 100 points
  * - Hard constraint (isHardStop=true): -1000 points (disqualified)
  * - Soft constraint (isHardStop=false): -20 points (discouraged)
  * - Location consolidation (same city): +500 points
+ *   (locations match through the StateManager location registry: name or alias)
  * - Location conflict (different city): -1000 points
- * - Adjacency penalty (±1 week, different location): -15 points (travel fatigue)
- * - Adjacency penalty (±1 week, same location): -7.5 points (extended visit)
- * - Filter viable: score > -500
+ * - Multi-city chaining: a different city within the profile's travel-time
+ *   radius of an existing trip that week extends that trip instead (+200,
+ *   action 'chain'); multi-city trips match on any of their legs
+ * - Adjacency penalty (±1 week, different location): -100 points (travel fatigue)
+ * - Adjacency penalty (±1 week, same location): -50 points (extended visit)
+ * - Load balancing: ±20 points (even vs clustered spacing, measured in days
+ *   at home between trips, see TravelAccountingService)
+ * - Travel penalties between back-to-back trips in different locations, using
+ *   registry coordinates/timezones (each adds its own reason line):
+ *   distance (-5 per 1000 km), time shift (-10 per hour), jet-lag recovery
+ *   (-200 when fewer than 3 home days follow a trip more than 6 hours away
+ *   from the home office) and long-haul next to long-haul (-150, both trips
+ *   more than 4000 km from the home office)
+ * - Travel policy rules (StateManager policy rules, see PolicyService): a new
+ *   trip that would break a hard rule is disqualified (-1000), each soft rule
+ *   it breaks costs -300; only violations the trip adds (or worsens) count
+ * - Travel budget (StateManager budgets, see BudgetService): -250 when the
+ *   new trip's estimated cost (location default costs) pushes the planned
+ *   spend of its (fiscal) quarter over that quarter's budget
+ * - Destination holidays: -150 per public holiday on a weekday of the block
+ *   in the country of the trip's location (registry country code, see
+ *   HolidayService)
+ * - Filter viable: not hard-blocked and no location conflict (flags, so
+ *   profile weights cannot make a disqualified week viable)
  * - Return top 3 weeks sorted by score
  *
+ * Every result includes the name of the profile that produced it.
+ *
+ * Archived and cancelled trips are ignored. When a batch is re-optimized,
+ * booked and completed trips keep their weeks.
+ *
  * Note: Hard vs Soft constraint determination now uses dynamic type
  * configurations from StateManager instead of hardcoded type list.
  */
 
-import { QUARTERS } from '../config/calendarConfig.js';
-import { dateToISO, getMonday, getFriday, formatDate, overlapsWithWeek, getTimeRangeDates, getMondaysInRange, filterWeeksBySeasons } from '../services/DateService.js';
+import { TRIP_STATUSES } from '../config/calendarConfig.js';
+import { dateToISO, daysBetween, getMonday, getFriday, isWorkingDay, formatDate, overlapsWithWeek, getTimeRangeDates, getFiscalQuarters, addDays, getMondaysInRange, filterWeeksBySeasons, addWeeks, getEventDateRange, getEventWeeks, getEventLegs } from '../services/DateService.js';
 import StateManager from './StateManager.js';
+import { expandEvents, expandConstraints } from './RecurrenceService.js';
+import { normalizeLocationName } from '../models/Location.js';
+import { isTripActive, isTripImmovable } from '../models/Event.js';
+import { getDistanceKm, getTimezoneShiftHours, estimateTravelHours } from './GeoService.js';
+import { evaluatePolicies, getNewViolations, getPeriodKey, formatPeriod } from './PolicyService.js';
+import { estimateTripCost, getPlannedSpend, formatMoney } from './BudgetService.js';
+import { getHolidaysInRange } from './HolidayService.js';
+import { getDaysBetweenTrips } from './TravelAccountingService.js';
 
 export class ScoringEngine {
     /**
      * Get suggestions for flexible trip in a specific quarter
-     * @param {number} quarterId - Quarter ID (1-4)
-     * @param {number} year - Calendar year
+     * @param {number} quarterId - Quarter ID (1-4) of the fiscal calendar in StateManager
+     * @param {number} year - Fiscal year (the calendar year by default)
      * @param {string} location - Desired location
      * @param {Array} events - Existing events
      * @param {Array} constraints - Existing constraints
+     * @param {number} duration - Trip length in weeks (default 1)
      * @returns {Array} Top 3 suggested weeks
      */
-    getSuggestionsForQuarter(quarterId, year, location, events, constraints) {
-        const quarter = QUARTERS.find(q => q.id === quarterId);
+    getSuggestionsForQuarter(quarterId, year, location, events, constraints, duration = 1) {
+        const quarter = getFiscalQuarters(year, StateManager.getFiscalCalendar()).find(q => q.id === quarterId);
         if (!quarter) {
             throw new Error(`Invalid quarter ID: ${quarterId}`);
         }
 
-        // Filter out archived events - they should not affect scheduling
-        const activeEvents = events.filter(e => !e.archived);
+        // Filter out archived and cancelled events - they should not affect scheduling
+        const activeEvents = events.filter(e => isTripActive(e));
 
         // Generate candidate weeks (all Mondays in the quarter)
-        const candidates = this.#generateCandidates(quarter, year);
+        const candidates = this.#generateCandidates(quarter);
 
         // Score each candidate week
         const scored = candidates.map(date => {
-            const score = this.scoreWeek(date, location, activeEvents, constraints);
+            const score = this.scoreWeek(date, location, activeEvents, constraints, [], duration);
             return {
                 date,
                 iso: dateToISO(date),
@@ -52,9 +89,9 @@ export class ScoringEngine {
             };
         });
 
-        // Filter viable (score > -500) and sort by score descending
+        // Filter viable and sort by score descending
         const viable = scored
-            .filter(s => s.score > -500)
+            .filter(s => this.#isViable(s))
             .sort((a, b) => b.score - a.score)
             .slice(0, 3);
 
@@ -71,31 +108,19 @@ export class ScoringEngine {
      * @param {Array<string>} excludeEventIds - Event IDs to exclude from scoring
      * @param {Array} batchSelections - Selected weeks from batch (for adjacency penalty)
      * @param {Array<string>} seasons - Optional array of seasons to filter by: 'winter', 'spring', 'summer', 'fall'
+     * @param {number} duration - Trip length in weeks; each suggestion is the first week of the block (default 1)
      * @returns {Array} Top 3 suggested weeks
      */
-    getSuggestionsForTimeRange(timeRangeId, referenceYear, location, events, constraints, excludeEventIds = [], batchSelections = [], seasons = []) {
-        // Get date range for the time range ID
-        // Handle Date object or year number for referenceYear
-        const { startDate, endDate } = getTimeRangeDates(timeRangeId, referenceYear);
+    getSuggestionsForTimeRange(timeRangeId, referenceYear, location, events, constraints, excludeEventIds = [], batchSelections = [], seasons = [], duration = 1) {
+        // Filter out archived and cancelled events AND excluded events
+        const activeEvents = events.filter(e => isTripActive(e) && !excludeEventIds.includes(e.id));
 
-        // Filter out archived events AND excluded events
-        const activeEvents = events.filter(e => !e.archived && !excludeEventIds.includes(e.id));
-
-        // Generate candidate weeks (all Mondays in the time range)
-        let candidates = getMondaysInRange(startDate, endDate);
-
-        // Filter by seasons if specified
-        if (seasons && seasons.length > 0) {
-            const seasonalCandidates = filterWeeksBySeasons(candidates, seasons);
-            // If no weeks match, ignore season filter (fallback to all weeks)
-            if (seasonalCandidates.length > 0) {
-                candidates = seasonalCandidates;
-            }
-        }
+        // Generate candidate weeks (all Mondays in the time range, season-filtered)
+        const candidates = this.#generateRangeCandidates(timeRangeId, referenceYear, seasons);
 
         // Score each candidate week (pass batchSelections for adjacency)
         const scored = candidates.map(date => {
-            const score = this.scoreWeek(date, location, activeEvents, constraints, batchSelections);
+            const score = this.scoreWeek(date, location, activeEvents, constraints, batchSelections, duration);
             return {
                 date,
                 iso: dateToISO(date),
@@ -103,9 +128,9 @@ export class ScoringEngine {
             };
         });
 
-        // Filter viable (score > -500) and sort by score descending
+        // Filter viable and sort by score descending
         const viable = scored
-            .filter(s => s.score > -500)
+            .filter(s => this.#isViable(s))
             .sort((a, b) => b.score - a.score)
             .slice(0, 3);
 
@@ -113,24 +138,229 @@ export class ScoringEngine {
     }
 
     /**
-     * Score a specific week for a location
-     * @param {Date|string} date - Date in the week
+     * Find the best complete plans for a batch of flexible trips
+     *
+     * Unlike the step-by-step wizard, which fixes one trip at a time, this
+     * searches week combinations for all trips together and maximizes the
+     * total plan score. Search is local search (hill climbing over single-trip
+     * moves and pairwise swaps) from the greedy wizard plan plus several spread
+     * and shuffled starting plans, so the result is never worse than greedy.
+     *
+     * Plan score = sum of each trip's week score against existing events and
+     * constraints, plus pairwise bonuses/penalties between batch trips
+     * (consolidation, adjacency, travel distance/jet lag), plus the travel
+     * load balancing bonus.
+     *
+     * Trips re-planning a booked or completed event (see getPinnedWeek) keep
+     * that event's week; the other trips are planned around them.
+     *
+     * @param {Array<object>} trips - Trips to place: { title, type, location, duration, seasons, originalEventId }
+     * @param {object} timeRange - { timeRangeId, referenceYear } (see getSuggestionsForTimeRange)
+     * @param {Array} events - Existing events
+     * @param {Array} constraints - Existing constraints
+     * @param {object} options - Optional settings
+     * @param {number} options.topN - Number of plans to return (default 3)
+     * @param {Array<string>} options.excludeEventIds - Event IDs to exclude from scoring
+     * @param {number} options.restarts - Number of shuffled starting plans (default 8)
+     * @returns {Array<object>} Plans sorted by totalScore: { totalScore, balanceScore, profile, assignments }
+     *   where assignments[i] = { tripIndex, title, type, location, originalEventId, week, score, reasons, action, isPinned }
+     */
+    optimizeBatch(trips, timeRange, events, constraints, options = {}) {
+        const { topN = 3, excludeEventIds = [], restarts = 8 } = options;
+
+        if (!trips || trips.length === 0) return [];
+
+        const { name: profile, weights } = StateManager.getActiveScoringProfile();
+        const home = this.#getHomeOffice();
+        const activeEvents = events.filter(e => isTripActive(e) && !excludeEventIds.includes(e.id));
+
+        // Score every week in range for each trip independently, keep the viable ones
+        const tripCandidates = trips.map(trip => {
+            const pinned = this.#findImmovableEvent(trip, events);
+            if (pinned) {
+                const week = dateToISO(getMonday(getEventDateRange(pinned).startDate));
+                const result = this.scoreWeek(week, trip.location, activeEvents, constraints, [], trip.duration);
+                const reasons = [`${TRIP_STATUSES[pinned.status].label}: keeps its week`, ...result.reasons];
+                return [{ week, ...result, reasons, isPinned: true }];
+            }
+
+            const weeks = this.#generateRangeCandidates(timeRange.timeRangeId, timeRange.referenceYear, trip.seasons || []);
+            return weeks
+                .map(date => ({ week: dateToISO(date), ...this.scoreWeek(date, trip.location, activeEvents, constraints, [], trip.duration) }))
+                .filter(c => this.#isViable(c));
+        });
+
+        // A trip without any viable week makes every plan infeasible
+        if (tripCandidates.some(candidates => candidates.length === 0)) {
+            return [];
+        }
+
+        const baseScores = tripCandidates.map(candidates => new Map(candidates.map(c => [c.week, c.score])));
+
+        // Every full plan evaluated is offered to the top-N list
+        const best = [];
+        const seen = new Set();
+        const consider = (weeks, totalScore, balanceScore) => {
+            const key = trips.map((t, i) => `${t.title}|${t.location}|${weeks[i]}`).sort().join(';');
+            if (seen.has(key)) return;
+            if (best.length >= topN && totalScore <= best[best.length - 1].totalScore) return;
+
+            seen.add(key);
+            best.push({ totalScore, balanceScore, weeks: [...weeks] });
+            best.sort((a, b) => b.totalScore - a.totalScore);
+            if (best.length > topN) best.pop();
+        };
+
+        const evaluate = (weeks) => {
+            let total = 0;
+            for (let i = 0; i < weeks.length; i++) {
+                total += baseScores[i].get(weeks[i]);
+                for (let j = 0; j < i; j++) {
+                    const pairing = this.#scorePairing(trips[i], weeks[i], trips[j], weeks[j], weights, home);
+                    if (pairing === null) return null;
+                    total += pairing.score;
+                }
+            }
+
+            const balanceScore = Math.round(this.#calculateTravelLoadPenalty(
+                weeks.map((week, i) => this.#blockRange(trips[i].location, week, trips[i].duration)),
+                weights.loadBalance
+            ));
+            const totalScore = total + balanceScore;
+            consider(weeks, totalScore, balanceScore);
+            return totalScore;
+        };
+
+        const climb = (weeks) => {
+            let current = evaluate(weeks) ?? -Infinity;
+            let improved = true;
+
+            while (improved) {
+                improved = false;
+
+                // Move one trip to another week
+                for (let i = 0; i < trips.length; i++) {
+                    for (const candidate of tripCandidates[i]) {
+                        if (candidate.week === weeks[i]) continue;
+                        const previous = weeks[i];
+                        weeks[i] = candidate.week;
+                        const score = evaluate(weeks);
+                        if (score !== null && score > current) {
+                            current = score;
+                            improved = true;
+                        } else {
+                            weeks[i] = previous;
+                        }
+                    }
+                }
+
+                // Swap the weeks of two trips
+                for (let i = 0; i < trips.length; i++) {
+                    for (let j = i + 1; j < trips.length; j++) {
+                        if (weeks[i] === weeks[j] || !baseScores[i].has(weeks[j]) || !baseScores[j].has(weeks[i])) continue;
+                        [weeks[i], weeks[j]] = [weeks[j], weeks[i]];
+                        const score = evaluate(weeks);
+                        if (score !== null && score > current) {
+                            current = score;
+                            improved = true;
+                        } else {
+                            [weeks[i], weeks[j]] = [weeks[j], weeks[i]];
+                        }
+                    }
+                }
+            }
+        };
+
+        // Start 1: the greedy plan the wizard would suggest
+        const greedy = [];
+        trips.forEach((trip, i) => {
+            const selections = greedy.map((week, j) => ({ week, location: trips[j].location, title: trips[j].title, duration: trips[j].duration }));
+            const ranked = tripCandidates[i]
+                .map(c => ({ week: c.week, score: this.scoreWeek(c.week, trip.location, activeEvents, constraints, selections, trip.duration).score }))
+                .sort((a, b) => b.score - a.score);
+            greedy.push(ranked[0].week);
+        });
+        climb(greedy);
+
+        // Start 2: trips spread evenly across their candidate weeks
+        climb(tripCandidates.map((candidates, i) =>
+            candidates[Math.floor(((i + 0.5) / trips.length) * candidates.length)].week
+        ));
+
+        // Remaining starts: deterministic pseudo-random plans
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        for (let r = 0; r < restarts; r++) {
+            climb(tripCandidates.map(candidates => candidates[Math.floor(random() * candidates.length)].week));
+        }
+
+        return best.map(plan => ({
+            totalScore: plan.totalScore,
+            balanceScore: plan.balanceScore,
+            profile,
+            assignments: this.#explainPlan(trips, plan.weeks, tripCandidates, weights, home)
+        }));
+    }
+
+    /**
+     * Score a specific week (or block of consecutive weeks) for a location
+     *
+     * Multi-week trips are scored as one contiguous block starting at the
+     * week of `date`: constraints and existing trips in any week of the block
+     * count, adjacency is checked against the weeks just before and after
+     * the block, and a hard-blocked week disqualifies the whole block.
+     * Recurring trips and constraints count with their occurrences near the block.
+     *
+     * A different location in the same week as an existing trip is a conflict,
+     * unless it is within the profile's chaining radius of that trip: then the
+     * result has action 'chain' and `chainEventId`, and accepting it should
+     * extend that trip with a new leg (StateManager.addTripLeg).
+     *
+     * New trips are checked against the travel policy rules over the whole
+     * plan (all events plus batch selections), not just the nearby weeks.
+     *
+     * @param {Date|string} date - Date in the (first) week
      * @param {string} location - Desired location
      * @param {Array} events - Existing events
      * @param {Array} constraints - Existing constraints
-     * @param {Array} batchSelections - Selected weeks from batch (for adjacency penalty)
-     * @returns {object} Score result with score, reasons, and action
+     * @param {Array} batchSelections - Selected weeks from batch (for adjacency penalty): { week, location, title, duration }
+     * @param {number} duration - Trip length in weeks (default 1)
+     * @returns {object} Score result with score, reasons, action ('schedule', 'consolidate' or 'chain'),
+     *   profile name, isBlocked (a hard constraint or hard policy rule disqualifies the block),
+     *   isConflict (the block overlaps a trip or batch selection elsewhere),
+     *   and chainEventId when action is 'chain'
      */
-    scoreWeek(date, location, events, constraints, batchSelections = []) {
+    scoreWeek(date, location, events, constraints, batchSelections = [], duration = 1) {
+        const { name: profile, weights } = StateManager.getActiveScoringProfile();
         const monday = getMonday(date);
         const iso = dateToISO(monday);
-        let score = 100; // Base score
+        const blockWeeks = this.#blockWeeks(iso, duration);
+        const weekBefore = dateToISO(addWeeks(iso, -1));
+        const weekAfter = dateToISO(addWeeks(blockWeeks[blockWeeks.length - 1], 1));
+        let score = weights.base;
         const reasons = [];
         let action = 'schedule';
+        let chainEventId = null;
+        let isBlocked = false;
+        let isConflict = false;
+        const home = this.#getHomeOffice();
+        const block = { location, startDate: iso, endDate: dateToISO(getFriday(blockWeeks[blockWeeks.length - 1])) };
 
-        // Check for constraints that overlap with this Mon-Fri week
+        // Policy rules look at the whole plan; everything else only at the weeks around the block
+        const planEvents = events;
+
+        // Expand recurring trips and constraints around the block
+        const rangeStart = weekBefore;
+        const rangeEnd = dateToISO(addWeeks(weekAfter, 1));
+        events = expandEvents(events, rangeStart, rangeEnd);
+        constraints = expandConstraints(constraints, rangeStart, rangeEnd);
+
+        // Check for constraints that overlap with any working day of the block
         const conflictingConstraints = constraints.filter(c =>
-            overlapsWithWeek(c.startDate, c.endDate, monday)
+            blockWeeks.some(week => overlapsWithWeek(c.startDate, c.endDate, week))
         );
 
         conflictingConstraints.forEach(constraint => {
@@ -139,89 +369,154 @@ export class ScoringEngine {
             const isHard = typeConfig?.isHardStop ?? false;
 
             if (isHard) {
-                score = -1000; // Disqualified
+                score = weights.hardConstraint; // Disqualified
+                isBlocked = true;
                 reasons.push(`Blocked: ${constraint.title}`);
             } else {
-                score -= 20; // Soft penalty
+                score += weights.softConstraint; // Soft penalty
                 reasons.push(`Preference: ${constraint.title}`);
             }
         });
 
-        // Check batch selections for same week (BEFORE existing trips check)
+        // Check batch selections for overlapping weeks (BEFORE existing trips check)
         for (const selection of batchSelections) {
-            if (selection.week === iso) {
+            const selectionWeeks = this.#blockWeeks(selection.week, selection.duration);
+            if (selectionWeeks.some(week => blockWeeks.includes(week))) {
                 const isSameLocation = this.#locationsMatch(location, selection.location);
                 if (isSameLocation) {
                     // Same location + same week = CONSOLIDATE
-                    score += 500;
+                    score += weights.consolidation;
                     reasons.push(`Consolidate with ${selection.title || selection.location} trip`);
                     action = 'consolidate';
-                    return { score, reasons, action }; // Early return, skip -1000 penalty
+                    // Early return, skip conflict penalty (a hard block still disqualifies the week)
+                    return { score: isBlocked ? Math.min(score, weights.hardConstraint) : score, reasons, action, profile, isBlocked, isConflict };
                 } else {
                     // Different location + same week = DISQUALIFY
-                    score = -1000;
+                    score = weights.locationConflict;
+                    isConflict = true;
                     reasons.push(`Week already selected for ${selection.title || selection.location}`);
-                    return { score, reasons, action };
+                    return { score: isBlocked ? Math.min(score, weights.hardConstraint) : score, reasons, action, profile, isBlocked, isConflict };
                 }
             }
         }
 
-        // Check for existing trips that overlap with this Mon-Fri week
+        // Check for existing trips that overlap with the block
         const existingTrips = events.filter(e => {
-            // For flexible trips (no endDate), check exact week match
-            if (!e.endDate) {
-                return e.startDate === iso;
-            }
-            // For fixed trips, check if they overlap with this week
-            return overlapsWithWeek(e.startDate, e.endDate, monday);
+            const range = getEventDateRange(e);
+            return blockWeeks.some(week => overlapsWithWeek(range.startDate, range.endDate, week));
         });
 
         existingTrips.forEach(trip => {
-            const locationMatch = this.#locationsMatch(location, trip.location);
+            const legs = getEventLegs(trip);
+            const locationMatch = legs.some(leg => this.#locationsMatch(location, leg.location));
+            const chain = !locationMatch && !chainEventId && this.#getChain(trip, legs, location, blockWeeks, weights);
 
             if (locationMatch) {
-                score += 500; // Consolidation bonus
+                score += weights.consolidation; // Consolidation bonus
                 reasons.push(`Existing trip to ${trip.location} (${trip.title}). Consolidate here!`);
                 action = 'consolidate';
+            } else if (chain) {
+                score += weights.chainBonus; // Extend into a multi-city trip
+                reasons.push(`Extend ${trip.title} into a multi-city trip (${chain.from} → ${location}, ~${chain.hours}h)`);
+                chainEventId = trip.id;
             } else {
-                score -= 1000; // Conflict penalty
+                score += weights.locationConflict; // Conflict penalty
+                isConflict = true;
                 reasons.push(`Already in ${trip.location}`);
             }
         });
 
+        if (chainEventId && action !== 'consolidate') {
+            action = 'chain';
+        }
+
+        // Public holidays in the destination's country (working days of the block)
+        if (weights.destinationHoliday !== 0) {
+            const country = StateManager.resolveLocation(location)?.countryCode;
+            getHolidaysInRange(country, block.startDate, block.endDate).filter(holiday => isWorkingDay(holiday.date)).forEach(holiday => {
+                score += weights.destinationHoliday;
+                reasons.push(`Holiday in ${location}: ${holiday.name} (${formatDate(`${holiday.date}T12:00:00`)})`);
+            });
+        }
+
+        // Travel policy rules (consolidating or chaining adds no new trip)
+        if (action === 'schedule') {
+            this.#getPolicyViolations(location, iso, duration, planEvents, batchSelections).forEach(violation => {
+                if (violation.severity === 'hard') {
+                    score = weights.hardConstraint;
+                    isBlocked = true;
+                    reasons.push(`Blocked by policy: ${violation.message}`);
+                } else {
+                    score += weights.policyViolation;
+                    reasons.push(`Policy: ${violation.message}`);
+                }
+            });
+
+            const overrun = weights.overBudget !== 0 && this.#getBudgetOverrun(location, iso, duration, planEvents, batchSelections);
+            if (overrun) {
+                score += weights.overBudget;
+                reasons.push(`${overrun.period} over budget: ${formatMoney(overrun.planned, overrun.currency)} planned of ${formatMoney(overrun.budget, overrun.currency)}`);
+            }
+        }
+
         // Adjacency penalties: Discourage back-to-back travel
-        // Check adjacency to existing events
+        // Check adjacency to existing events (trips in the week before/after the block)
         events.forEach(event => {
-            if (this.#weeksAreAdjacent(iso, event.startDate)) {
-                const isSameLocation = this.#locationsMatch(location, event.location);
-                const penalty = isSameLocation ? -50 : -100; // Increased from -7.5/-15
+            if (existingTrips.includes(event)) return;
+
+            const eventWeeks = getEventWeeks(event);
+            if (eventWeeks.includes(weekBefore) || eventWeeks.includes(weekAfter)) {
+                // Multi-city trips: the leg next to the block is where the traveller comes from or goes to
+                const legs = getEventLegs(event);
+                const nearestLeg = eventWeeks.includes(weekBefore) ? legs[legs.length - 1] : legs[0];
+                const isSameLocation = this.#locationsMatch(location, nearestLeg.location);
+                const penalty = isSameLocation ? weights.adjacentSameLocation : weights.adjacentDifferentLocation;
                 score += penalty;
                 reasons.push(
                     isSameLocation
-                        ? `Adjacent to ${event.location} trip (same location, light penalty)`
-                        : `Adjacent to ${event.location} trip (travel fatigue penalty)`
+                        ? `Adjacent to ${nearestLeg.location} trip (same location, light penalty)`
+                        : `Adjacent to ${nearestLeg.location} trip (travel fatigue penalty)`
                 );
+
+                if (!isSameLocation) {
+                    this.#travelPenalties(block, nearestLeg, `${nearestLeg.location} trip`, weights, home).forEach(penalty => {
+                        score += penalty.score;
+                        reasons.push(penalty.reason);
+                    });
+                }
             }
         });
 
         // Check adjacency to batch selections
         batchSelections.forEach(selection => {
-            if (this.#weeksAreAdjacent(iso, selection.week)) {
+            const selectionWeeks = this.#blockWeeks(selection.week, selection.duration);
+            if (selectionWeeks.includes(weekBefore) || selectionWeeks.includes(weekAfter)) {
                 const isSameLocation = this.#locationsMatch(location, selection.location);
-                const penalty = isSameLocation ? -50 : -100; // Increased from -7.5/-15
+                const penalty = isSameLocation ? weights.adjacentSameLocation : weights.adjacentDifferentLocation;
                 score += penalty;
                 reasons.push(
                     isSameLocation
                         ? `Adjacent to planned ${selection.location} trip (same location, light penalty)`
                         : `Adjacent to planned ${selection.location} trip (travel fatigue penalty)`
                 );
+
+                if (!isSameLocation) {
+                    const other = this.#blockRange(selection.location, selection.week, selection.duration);
+                    this.#travelPenalties(block, other, `planned ${selection.location} trip`, weights, home).forEach(penalty => {
+                        score += penalty.score;
+                        reasons.push(penalty.reason);
+                    });
+                }
             }
         });
 
         // Travel load balancing: prefer even distribution of trips
-        const loadPenalty = this.#calculateTravelLoadPenalty(iso, batchSelections);
+        const loadPenalty = this.#calculateTravelLoadPenalty(
+            [block, ...batchSelections.map(selection => this.#blockRange(selection.location, selection.week, selection.duration))],
+            weights.loadBalance
+        );
         score += loadPenalty;
-        if (Math.abs(loadPenalty) > 5) {
+        if (Math.abs(loadPenalty) > weights.loadBalance / 4) {
             reasons.push(
                 loadPenalty > 0
                     ? `Good distribution (balanced spacing)`
@@ -229,50 +524,416 @@ export class ScoringEngine {
             );
         }
 
+        // A hard-blocked week can never be outweighed by bonuses
+        if (isBlocked) {
+            score = Math.min(score, weights.hardConstraint);
+        }
+
         return {
             score: Math.round(score), // Round to clean integer for display
             reasons,
-            action
+            action,
+            profile,
+            isBlocked,
+            isConflict,
+            ...(action === 'chain' ? { chainEventId } : {})
         };
     }
 
     /**
-     * Calculate travel load penalty based on trip distribution
-     * @param {string} candidateWeek - ISO date of candidate week (Monday)
-     * @param {Array} batchSelections - Previously selected weeks
-     * @returns {number} Penalty: +20 (good distribution) to -20 (clustered)
+     * Check if a location can be added to an existing trip as a new leg
+     * The block must fall within the trip's weeks, the trip's last leg must have
+     * a day to spare, and the new city must be within the chaining radius of it.
+     * Recurring trip occurrences are never chained.
      * @private
+     * @param {object} trip - Existing trip in the block's weeks
+     * @param {Array<object>} legs - The trip's legs (see DateService.getEventLegs)
+     * @param {string} location - Candidate location
+     * @param {Array<string>} blockWeeks - Candidate block weeks (ISO Mondays)
+     * @param {object} weights - Scoring weights from the active profile
+     * @returns {object|null} { from, hours } travel from the trip's last leg, or null
      */
-    #calculateTravelLoadPenalty(candidateWeek, batchSelections) {
-        if (batchSelections.length === 0) return 0;
+    #getChain(trip, legs, location, blockWeeks, weights) {
+        if (!(weights.chainRadiusHours > 0) || trip.seriesId) return null;
 
-        // Get all selected weeks as dates
-        const selectedDates = batchSelections.map(s => new Date(s.week + 'T00:00:00'));
-        const candidateDate = new Date(candidateWeek + 'T00:00:00');
-        const allDates = [...selectedDates, candidateDate].sort((a, b) => a - b);
+        const tripWeeks = getEventWeeks(trip);
+        if (!blockWeeks.every(week => tripWeeks.includes(week))) return null;
 
-        if (allDates.length < 2) return 0;
+        const lastLeg = legs[legs.length - 1];
+        if (daysBetween(lastLeg.startDate, lastLeg.endDate) < 1) return null;
 
-        // Calculate spacings between consecutive trips (in days)
-        const spacings = [];
-        for (let i = 1; i < allDates.length; i++) {
-            const days = (allDates[i] - allDates[i-1]) / (1000 * 60 * 60 * 24);
-            spacings.push(days);
-        }
+        const hours = estimateTravelHours(StateManager.resolveLocation(lastLeg.location), StateManager.resolveLocation(location));
+        if (hours === null || hours > weights.chainRadiusHours) return null;
+
+        return { from: lastLeg.location, hours: Math.round(hours * 10) / 10 };
+    }
+
+    /**
+     * Calculate travel load penalty based on trip distribution
+     * @param {Array<object>} ranges - Date ranges of the candidate block and the
+     *   previously selected trips: { startDate, endDate } (see #blockRange)
+     * @param {number} maxPenalty - Load balance weight (default 20)
+     * @returns {number} Penalty: +maxPenalty (good distribution) to -maxPenalty (clustered)
+     * @private
+     */
+    #calculateTravelLoadPenalty(ranges, maxPenalty = 20) {
+        if (ranges.length < 2) return 0;
+
+        // Days at home between consecutive trips (trip lengths don't count as spacing)
+        const spacings = getDaysBetweenTrips(ranges);
 
         // Calculate variance (lower variance = more even distribution)
         const mean = spacings.reduce((sum, val) => sum + val, 0) / spacings.length;
         const variance = spacings.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / spacings.length;
 
-        // Normalize: variance 0-500 → penalty +20 to -20
+        // Normalize: variance 0-500 → penalty +maxPenalty to -maxPenalty
         const normalizedVariance = Math.min(variance, 500) / 500; // 0 to 1
-        const penalty = (normalizedVariance - 0.5) * 40; // -20 to +20
+        const penalty = (normalizedVariance - 0.5) * 2 * maxPenalty;
 
         return -penalty; // Flip sign: low variance = positive score
     }
 
+    /**
+     * Score the interaction between a trip and another planned batch trip
+     * @private
+     * @param {object} trip - Batch trip ({ location, duration })
+     * @param {string} week - Trip start week (ISO Monday)
+     * @param {object} other - Other batch trip ({ title, location, duration })
+     * @param {string} otherWeek - Other trip start week (ISO Monday)
+     * @param {object} weights - Scoring weights from the active profile
+     * @param {object|null} home - Home office location (see #getHomeOffice)
+     * @returns {object|null} { score, reasons, action } or null if the weeks clash
+     */
+    #scorePairing(trip, week, other, otherWeek, weights, home) {
+        const isSameLocation = this.#locationsMatch(trip.location, other.location);
+        const tripWeeks = this.#blockWeeks(week, trip.duration);
+        const otherWeeks = this.#blockWeeks(otherWeek, other.duration);
+
+        if (tripWeeks.some(w => otherWeeks.includes(w))) {
+            if (!isSameLocation) return null;
+            return {
+                score: weights.consolidation,
+                reasons: [`Consolidate with ${other.title || other.location} trip`],
+                action: 'consolidate'
+            };
+        }
+
+        const touches = this.#weeksAreAdjacent(tripWeeks[tripWeeks.length - 1], otherWeeks[0]) ||
+            this.#weeksAreAdjacent(otherWeeks[otherWeeks.length - 1], tripWeeks[0]);
+        if (touches) {
+            if (isSameLocation) {
+                return {
+                    score: weights.adjacentSameLocation,
+                    reasons: [`Adjacent to planned ${other.location} trip (same location, light penalty)`],
+                    action: 'schedule'
+                };
+            }
+
+            const penalties = this.#travelPenalties(
+                this.#blockRange(trip.location, week, trip.duration),
+                this.#blockRange(other.location, otherWeek, other.duration),
+                `planned ${other.location} trip`, weights, home
+            );
+            return {
+                score: weights.adjacentDifferentLocation + penalties.reduce((sum, penalty) => sum + penalty.score, 0),
+                reasons: [
+                    `Adjacent to planned ${other.location} trip (travel fatigue penalty)`,
+                    ...penalties.map(penalty => penalty.reason)
+                ],
+                action: 'schedule'
+            };
+        }
+
+        return { score: 0, reasons: [], action: 'schedule' };
+    }
+
+    /**
+     * Score the travel between two back-to-back trips in different locations
+     * Only locations registered with coordinates/timezones can be scored; each
+     * penalty comes with its own reason.
+     * @private
+     * @param {object} trip - Trip being scored: { location, startDate, endDate }
+     * @param {object} other - Adjacent trip: { location, startDate, endDate }
+     * @param {string} otherLabel - How reasons refer to the adjacent trip, e.g. "Singapore trip"
+     * @param {object} weights - Scoring weights from the active profile
+     * @param {object|null} home - Home office location (see #getHomeOffice)
+     * @returns {Array<object>} Penalties: { score, reason }
+     */
+    #travelPenalties(trip, other, otherLabel, weights, home) {
+        const from = StateManager.resolveLocation(trip.location);
+        const to = StateManager.resolveLocation(other.location);
+        if (!from || !to) return [];
+
+        const [earlier, later] = trip.startDate <= other.startDate ? [trip, other] : [other, trip];
+        const [earlierLocation, laterLocation] = earlier === trip ? [from, to] : [to, from];
+        const penalties = [];
+
+        const distance = getDistanceKm(from, to);
+        const distanceScore = Math.round(weights.distancePer1000Km * (distance ?? 0) / 1000);
+        if (distanceScore !== 0) {
+            penalties.push({
+                score: distanceScore,
+                reason: `${Math.round(distance).toLocaleString('en-US')} km from ${otherLabel}`
+            });
+        }
+
+        const shift = getTimezoneShiftHours(from, to, later.startDate);
+        if (shift) {
+            penalties.push({
+                score: Math.round(weights.timezoneShiftPerHour * shift),
+                reason: `${shift}h time shift from ${otherLabel}`
+            });
+        }
+
+        // After a trip far from home (or from the next trip without a home office),
+        // the traveller needs a few days at home before leaving again
+        const recoveryShift = getTimezoneShiftHours(earlierLocation, home?.timezone ? home : laterLocation, later.startDate);
+        const homeDays = daysBetween(earlier.endDate, later.startDate) - 1;
+        if (recoveryShift > weights.jetLagThresholdHours && homeDays < weights.recoveryDays) {
+            penalties.push({
+                score: weights.jetLagRecovery,
+                reason: `Only ${homeDays} home day${homeDays === 1 ? '' : 's'} after a ${recoveryShift}h time shift (${weights.recoveryDays} needed to recover)`
+            });
+        }
+
+        const fromHome = getDistanceKm(home, from);
+        const toHome = getDistanceKm(home, to);
+        if (fromHome > weights.longHaulKm && toHome > weights.longHaulKm) {
+            penalties.push({
+                score: weights.longHaulAdjacent,
+                reason: `Long-haul trip next to long-haul ${otherLabel}`
+            });
+        }
+
+        return penalties;
+    }
+
+    /**
+     * Get the policy violations a new trip would add to the plan
+     * @private
+     * @param {string} location - Trip location
+     * @param {string} week - First week (ISO Monday)
+     * @param {number} duration - Trip length in weeks
+     * @param {Array} events - All existing events
+     * @param {Array} batchSelections - Planned batch selections
+     * @returns {Array<object>} New or worsened violations (see PolicyService)
+     */
+    #getPolicyViolations(location, week, duration, events, batchSelections) {
+        const rules = StateManager.getPolicyRules().filter(rule => rule.enabled);
+        if (rules.length === 0) return [];
+
+        const planned = batchSelections.map((selection, index) => ({
+            id: `selection-${index}`,
+            title: selection.title || `${selection.location} trip`,
+            location: selection.location,
+            startDate: selection.week,
+            isFixed: false,
+            duration: selection.duration || 1
+        }));
+        const candidate = { id: 'candidate', title: `${location} trip`, location, startDate: week, isFixed: false, duration };
+        const options = {
+            isInternational: (trip) => this.#isInternational(trip),
+            fiscalCalendar: StateManager.getFiscalCalendar()
+        };
+
+        return getNewViolations(
+            evaluatePolicies([...events, ...planned], rules, options),
+            evaluatePolicies([...events, ...planned, candidate], rules, options)
+        );
+    }
+
+    /**
+     * Check if a new trip would push its quarter's planned spend over budget
+     * The trip is priced from its location's default cost; trips that cannot
+     * be priced (or only in another currency) never count as over budget.
+     * @private
+     * @param {string} location - Trip location
+     * @param {string} week - First week (ISO Monday)
+     * @param {number} duration - Trip length in weeks
+     * @param {Array} events - All existing events
+     * @param {Array} batchSelections - Planned batch selections
+     * @returns {object|null} { period, planned, budget, currency } with the spend including the trip, or null
+     */
+    #getBudgetOverrun(location, week, duration, events, batchSelections) {
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const quarterKey = getPeriodKey(week, 'quarter', fiscalCalendar);
+        const year = Number(quarterKey.slice(0, 4));
+        const quarterId = Number(quarterKey.slice(6));
+        const budget = StateManager.getBudget(year);
+        const quarterBudget = budget?.quarters[quarterId] ?? null;
+        if (quarterBudget === null) return null;
+
+        const getDefaultCost = (text) => StateManager.resolveLocation(text)?.defaultCost || null;
+        const candidate = { title: `${location} trip`, location, startDate: week, isFixed: false, duration };
+        const cost = estimateTripCost(candidate, getDefaultCost);
+        if (!cost || cost.total === 0 || (cost.currency && cost.currency !== budget.currency)) return null;
+
+        const planned = batchSelections.map(selection => ({
+            title: selection.title || `${selection.location} trip`,
+            type: 'planned',
+            location: selection.location,
+            startDate: selection.week,
+            isFixed: false,
+            duration: selection.duration || 1
+        }));
+        const spend = getPlannedSpend([...events, ...planned], year, { currency: budget.currency, getDefaultCost, fiscalCalendar });
+        const total = spend.quarters[quarterId] + cost.total;
+        if (total <= quarterBudget) return null;
+
+        return { period: formatPeriod(quarterKey, 'quarter', fiscalCalendar), planned: total, budget: quarterBudget, currency: budget.currency };
+    }
+
+    /**
+     * Detect travel policy rule violations in a plan
+     * Shown next to detectConflicts results; uses the policy rules in StateManager.
+     * @param {Array} events - Events array
+     * @returns {Array} Violations (see PolicyService.evaluatePolicies)
+     */
+    detectPolicyViolations(events) {
+        return evaluatePolicies(events, StateManager.getPolicyRules(), {
+            isInternational: (trip) => this.#isInternational(trip),
+            fiscalCalendar: StateManager.getFiscalCalendar()
+        });
+    }
+
+    /**
+     * Check if a trip leaves the home office's country
+     * Needs a home office with a country code and registered trip locations;
+     * otherwise the trip is not counted as international.
+     * @private
+     * @param {object} trip - Event
+     * @returns {boolean} True if any leg is in another country
+     */
+    #isInternational(trip) {
+        const homeCountry = this.#getHomeOffice()?.countryCode;
+        if (!homeCountry) return false;
+
+        return getEventLegs(trip).some(leg => {
+            const country = StateManager.resolveLocation(leg.location)?.countryCode;
+            return Boolean(country) && country !== homeCountry;
+        });
+    }
+
+    /**
+     * Get the registered home office used for jet-lag and long-haul penalties
+     * @private
+     * @returns {object|null} First home office location (by name), or null
+     */
+    #getHomeOffice() {
+        return StateManager.getLocations().find(location => location.isHomeOffice) || null;
+    }
+
+    /**
+     * Get the working-day date range of a block of weeks
+     * @private
+     * @param {string} location - Trip location
+     * @param {string} week - First week (ISO Monday)
+     * @param {number} duration - Number of weeks (default 1)
+     * @returns {object} { location, startDate, endDate }
+     */
+    #blockRange(location, week, duration = 1) {
+        const weeks = this.#blockWeeks(week, duration);
+        return { location, startDate: weeks[0], endDate: dateToISO(getFriday(weeks[weeks.length - 1])) };
+    }
+
+    /**
+     * Get the week a batch trip must keep
+     * @param {object} trip - Batch trip: { originalEventId, ... }
+     * @param {Array} events - Existing events
+     * @returns {string|null} Monday (YYYY-MM-DD) of the booked or completed event
+     *   the trip re-plans, or null if the trip can move
+     */
+    getPinnedWeek(trip, events) {
+        const pinned = this.#findImmovableEvent(trip, events);
+        return pinned ? dateToISO(getMonday(getEventDateRange(pinned).startDate)) : null;
+    }
+
+    /**
+     * Find the booked or completed event a batch trip re-plans
+     * @private
+     * @param {object} trip - Batch trip: { originalEventId, ... }
+     * @param {Array} events - Existing events
+     * @returns {object|null} Immovable event, or null
+     */
+    #findImmovableEvent(trip, events) {
+        if (!trip.originalEventId) return null;
+        const event = events.find(e => e.id === trip.originalEventId);
+        return event && isTripImmovable(event) ? event : null;
+    }
+
+    /**
+     * Build per-trip scores and reasons for a chosen plan
+     * Pairwise terms are attributed to the later trip (chronologically) so
+     * trip scores plus the balance score add up to the plan total.
+     * @private
+     * @param {Array<object>} trips - Batch trips
+     * @param {Array<string>} weeks - Chosen week per trip
+     * @param {Array<Array>} tripCandidates - Scored candidates per trip
+     * @param {object} weights - Scoring weights from the active profile
+     * @param {object|null} home - Home office location (see #getHomeOffice)
+     * @returns {Array<object>} Assignments in trip order
+     */
+    #explainPlan(trips, weeks, tripCandidates, weights, home) {
+        const chronological = trips.map((_, i) => i).sort((a, b) => weeks[a].localeCompare(weeks[b]) || a - b);
+
+        return trips.map((trip, i) => {
+            const candidate = tripCandidates[i].find(c => c.week === weeks[i]);
+            let score = candidate.score;
+            let action = candidate.action;
+            const reasons = [...candidate.reasons];
+
+            const position = chronological.indexOf(i);
+            chronological.slice(0, position).forEach(j => {
+                const pairing = this.#scorePairing(trip, weeks[i], trips[j], weeks[j], weights, home);
+                score += pairing.score;
+                reasons.push(...pairing.reasons);
+                if (pairing.action === 'consolidate') action = 'consolidate';
+            });
+
+            return {
+                tripIndex: i,
+                title: trip.title,
+                type: trip.type,
+                location: trip.location,
+                duration: trip.duration || 1,
+                originalEventId: trip.originalEventId,
+                week: weeks[i],
+                score,
+                reasons,
+                action,
+                isPinned: Boolean(candidate.isPinned)
+            };
+        });
+    }
+
+    /**
+     * Find trips that land on blocked weeks
+     * Each trip is scored in its own weeks against the other events; it is
+     * blocked when a hard-stop constraint or hard policy rule disqualifies it.
+     * @param {Array} trips - Trips to check
+     * @param {Array} events - All events (may include the trips themselves)
+     * @param {Array} constraints - Constraints
+     * @returns {Array<object>} Blocked trips: { trip, score, reasons } with only the blocking reasons
+     */
+    findBlockedTrips(trips, events, constraints) {
+        return trips
+            .map(trip => {
+                const others = events.filter(e => e.id !== trip.id);
+                const result = this.scoreWeek(trip.startDate, trip.location, others, constraints, [], getEventWeeks(trip).length);
+                return { trip, result };
+            })
+            .filter(({ result }) => result.isBlocked)
+            .map(({ trip, result }) => ({
+                trip,
+                score: result.score,
+                reasons: result.reasons.filter(reason => reason.startsWith('Blocked'))
+            }));
+    }
+
     /**
      * Detect conflicts between events and constraints
+     * Recurring trips and constraints are checked per occurrence; conflicts
+     * then reference occurrence objects (see RecurrenceService).
      * @param {Array} events - Events array
      * @param {Array} constraints - Constraints array
      * @returns {Array} Array of conflict objects
@@ -289,23 +950,16 @@ export class ScoringEngine {
             return new Date(dateStr);
         };
 
-        // Filter out archived events - they should not be considered in conflict detection
-        const activeEvents = events.filter(e => !e.archived);
+        // Recurring trips and constraints conflict per occurrence
+        events = expandEvents(events);
+        constraints = expandConstraints(constraints);
+
+        // Filter out archived and cancelled events - they should not be considered in conflict detection
+        const activeEvents = events.filter(e => isTripActive(e));
 
         activeEvents.forEach(event => {
-            // For flexible events (no endDate or isFixed=false), use Mon-Fri of the week
-            let eventStartDate = event.startDate;
-            let eventEndDate;
-
-            if (!event.isFixed || !event.endDate) {
-                // Flexible event - startDate is Monday, calculate Friday
-                const monday = parseLocalDate(event.startDate);
-                const friday = getFriday(monday);
-                eventEndDate = dateToISO(friday);
-            } else {
-                // Fixed event - use actual dates
-                eventEndDate = event.endDate;
-            }
+            // Flexible events span the working days of each week in their duration
+            const { startDate: eventStartDate, endDate: eventEndDate } = getEventDateRange(event);
 
             // Check for hard constraint conflicts that overlap with the event
             const hardConstraints = constraints.filter(c => {
@@ -336,19 +990,7 @@ export class ScoringEngine {
             activeEvents.forEach(other => {
                 if (event.id === other.id) return;
 
-                // For flexible events (no endDate or isFixed=false), use Mon-Fri of the week
-                let otherStartDate = other.startDate;
-                let otherEndDate;
-
-                if (!other.isFixed || !other.endDate) {
-                    // Flexible event - startDate is Monday, calculate Friday
-                    const monday = parseLocalDate(other.startDate);
-                    const friday = getFriday(monday);
-                    otherEndDate = dateToISO(friday);
-                } else {
-                    // Fixed event - use actual dates
-                    otherEndDate = other.endDate;
-                }
+                const { startDate: otherStartDate, endDate: otherEndDate } = getEventDateRange(other);
 
                 const eventStart = parseLocalDate(eventStartDate);
                 const eventEnd = parseLocalDate(eventEndDate);
@@ -389,8 +1031,8 @@ export class ScoringEngine {
         const opportunities = [];
         const weekGroups = new Map();
 
-        // Filter out archived events
-        const activeEvents = events.filter(e => !e.archived);
+        // Filter out archived and cancelled events
+        const activeEvents = events.filter(e => isTripActive(e));
 
         // Group events by week
         activeEvents.forEach(event => {
@@ -425,40 +1067,87 @@ export class ScoringEngine {
     /**
      * Generate candidate Monday dates for a quarter
      * @private
-     * @param {object} quarter - Quarter object
-     * @param {number} year - Calendar year
+     * @param {object} quarter - Fiscal quarter (see DateService.getFiscalQuarters)
      * @returns {Array<Date>} Array of Monday dates
      */
-    #generateCandidates(quarter, year) {
-        const candidates = [];
+    #generateCandidates(quarter) {
+        return getMondaysInRange(addDays(quarter.startDate, 0), addDays(quarter.endDate, 0));
+    }
 
-        quarter.months.forEach(monthIdx => {
-            // All months are in the same calendar year now
-            const daysInMonth = new Date(year, monthIdx + 1, 0).getDate();
+    /**
+     * Generate candidate Monday dates for a time range
+     * @private
+     * @param {string} timeRangeId - Time range ID
+     * @param {number|Date} referenceYear - Reference year or date
+     * @param {Array<string>} seasons - Optional season filter
+     * @returns {Array<Date>} Array of Monday dates
+     */
+    #generateRangeCandidates(timeRangeId, referenceYear, seasons = []) {
+        const { startDate, endDate } = getTimeRangeDates(timeRangeId, referenceYear, StateManager.getFiscalCalendar());
+        const candidates = getMondaysInRange(startDate, endDate);
 
-            for (let d = 1; d <= daysInMonth; d++) {
-                const date = new Date(year, monthIdx, d);
-                if (date.getDay() === 1) { // Monday
-                    candidates.push(date);
-                }
+        // Filter by seasons if specified
+        if (seasons && seasons.length > 0) {
+            const seasonalCandidates = filterWeeksBySeasons(candidates, seasons);
+            // If no weeks match, ignore season filter (fallback to all weeks)
+            if (seasonalCandidates.length > 0) {
+                return seasonalCandidates;
             }
-        });
+        }
 
         return candidates;
     }
 
     /**
-     * Check if two locations match (case-insensitive substring match)
+     * Get Monday ISO dates of a block of consecutive weeks
+     * @private
+     * @param {string|Date} week - Date in the first week
+     * @param {number} duration - Number of weeks (default 1)
+     * @returns {Array<string>} Monday ISO dates
+     */
+    #blockWeeks(week, duration = 1) {
+        const monday = getMonday(week);
+        return Array.from({ length: Math.max(1, duration || 1) }, (_, i) => dateToISO(addWeeks(monday, i)));
+    }
+
+    /**
+     * Check if a scored week can be suggested or planned
+     * Uses the result's flags rather than its score, since profiles may
+     * soften the hard-constraint and location-conflict weights.
+     * @private
+     * @param {object} result - scoreWeek result
+     * @returns {boolean} True unless the week is blocked or taken by a trip elsewhere
+     */
+    #isViable(result) {
+        return !result.isBlocked && !result.isConflict;
+    }
+
+    /**
+     * Check if two locations match
+     * Registered locations compare by canonical ID (so aliases match their location);
+     * unregistered text only matches the same text, ignoring case and spacing.
      * @private
      * @param {string} loc1 - First location
      * @param {string} loc2 - Second location
      * @returns {boolean} True if locations match
      */
     #locationsMatch(loc1, loc2) {
-        const l1 = (loc1 || '').toLowerCase().trim();
-        const l2 = (loc2 || '').toLowerCase().trim();
+        const key1 = this.#locationKey(loc1);
+        return key1 !== null && key1 === this.#locationKey(loc2);
+    }
+
+    /**
+     * Get the key a location is compared by
+     * @private
+     * @param {string} location - Location text
+     * @returns {string|null} Registry ID, normalized text, or null when empty
+     */
+    #locationKey(location) {
+        const name = normalizeLocationName(location);
+        if (!name) return null;
 
-        return l1.includes(l2) || l2.includes(l1);
+        const id = StateManager.getLocationId(name);
+        return id ? `id:${id}` : `name:${name}`;
     }
 
     /**
@@ -8,25 +8,57 @@
 import EventBus from '../utils/EventBus.js';
 import { Event } from '../models/Event.js';
 import { Constraint } from '../models/Constraint.js';
-import { DEFAULT_EVENT_TYPE_CONFIGS, DEFAULT_CONSTRAINT_TYPE_CONFIGS } from '../config/calendarConfig.js';
+import { ScoringProfile } from '../models/ScoringProfile.js';
+import { RecurrenceRule } from '../models/RecurrenceRule.js';
+import { Location, normalizeLocationName } from '../models/Location.js';
+import { PolicyRule } from '../models/PolicyRule.js';
+import { Budget } from '../models/Budget.js';
+import { FiscalCalendar } from '../models/FiscalCalendar.js';
+import { WorkWeek } from '../models/WorkWeek.js';
+import { getOccurrence } from './RecurrenceService.js';
+import { getEventLegs, getFiscalYear, setWorkWeek } from './DateService.js';
+import {
+    DEFAULT_EVENT_TYPE_CONFIGS,
+    DEFAULT_CONSTRAINT_TYPE_CONFIGS,
+    DEFAULT_SCORING_PROFILES,
+    DEFAULT_SCORING_PROFILE_ID
+} from '../config/calendarConfig.js';
 import ToastService from './ToastService.js';
 
 class StateManager {
     #state = {
-        currentYear: new Date().getFullYear(), // Current viewing year (for UI navigation)
+        currentYear: new Date().getFullYear(), // Current viewing (fiscal) year (for UI navigation)
         events: [],
         constraints: [],
         eventTypeConfigs: { ...DEFAULT_EVENT_TYPE_CONFIGS },
         constraintTypeConfigs: { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS },
-        customLocations: [], // Array of custom location strings
+        locations: [], // Location registry (Location instances)
+        scoringProfiles: structuredClone(DEFAULT_SCORING_PROFILES), // { profileId: { name, weights, isBuiltIn } }
+        activeScoringProfileId: DEFAULT_SCORING_PROFILE_ID,
+        policyRules: [], // Travel policy rules (PolicyRule instances)
+        budgets: [], // Travel budgets per year (Budget instances)
+        fiscalCalendar: new FiscalCalendar(), // Fiscal year start and quarter layout
+        workWeek: new WorkWeek(), // Working days and week start (mirrored in DateService)
         // Google Drive sync metadata
         lastModified: Date.now(), // Timestamp for conflict resolution
         syncedFileId: null // Drive file ID of last sync
     };
 
     #storageKey = 'travelPlannerState';
+    #scenarioStorageKey = 'travelPlannerScenarios';
     #saveToastTimer = null; // Debounce timer for "Saved" toast
 
+    // Undo/redo history (session only - not persisted)
+    #undoStack = [];
+    #redoStack = [];
+    #historyLimit = 50;
+    #pendingBatch = null; // Collects operations while inside batch()
+
+    // What-if scenarios: forks of events/constraints (type configs and locations are shared)
+    #scenarios = []; // [{ id, name, createdAt, events, constraints }] as plain objects
+    #activeScenarioId = null; // null = main plan (UI state only, not persisted)
+    #mainPlan = null; // Main plan events/constraints while a scenario is active
+
     constructor() {
         this.load();
     }
@@ -41,7 +73,13 @@ class StateManager {
             constraints: this.#state.constraints.map(c => c.toJSON ? c.toJSON() : c),
             eventTypeConfigs: { ...this.#state.eventTypeConfigs },
             constraintTypeConfigs: { ...this.#state.constraintTypeConfigs },
-            customLocations: [...this.#state.customLocations],
+            locations: this.getLocations(),
+            scoringProfiles: structuredClone(this.#state.scoringProfiles),
+            activeScoringProfileId: this.#state.activeScoringProfileId,
+            policyRules: this.getPolicyRules(),
+            budgets: this.getBudgets(),
+            fiscalCalendar: this.getFiscalCalendar(),
+            workWeek: this.getWorkWeek(),
             lastModified: this.#state.lastModified,
             syncedFileId: this.#state.syncedFileId
         };
@@ -49,7 +87,7 @@ class StateManager {
 
     /**
      * Get current viewing year (for UI navigation only)
-     * @returns {number} Calendar year
+     * @returns {number} Fiscal year (the calendar year unless a fiscal calendar is set)
      */
     getYear() {
         return this.#state.currentYear;
@@ -57,7 +95,7 @@ class StateManager {
 
     /**
      * Set current viewing year (for UI navigation only)
-     * @param {number} year - Calendar year
+     * @param {number} year - Fiscal year (see getYear)
      */
     setYear(year) {
         this.#state.currentYear = year;
@@ -90,6 +128,13 @@ class StateManager {
     addEvent(eventData) {
         const event = eventData instanceof Event ? eventData : new Event(eventData);
         this.#state.events.push(event);
+
+        const snapshot = event.toJSON();
+        this.#record('Add trip', {
+            undo: () => this.#removeById(this.#state.events, snapshot.id),
+            redo: () => this.#state.events.push(new Event(snapshot))
+        });
+
         this.#persist();
         EventBus.emit('event:added', event.toJSON());
         EventBus.emit('state:changed', this.getState());
@@ -97,24 +142,85 @@ class StateManager {
 
     /**
      * Update event
+     * A changed status goes through Event.transitionTo (allowed transitions
+     * only, recorded in the status history).
      * @param {string} id - Event ID
      * @param {object} updates - Event updates
+     * @param {string} label - Undo history label (default 'Edit trip')
+     * @throws {Error} If not found or the status change is not allowed
      */
-    updateEvent(id, updates) {
+    updateEvent(id, updates, label = 'Edit trip') {
         const index = this.#state.events.findIndex(e => e.id === id);
         if (index === -1) {
             throw new Error(`Event not found: ${id}`);
         }
 
         const oldEvent = this.#state.events[index];
-        const newEventData = { ...oldEvent.toJSON(), ...updates, id };
-        this.#state.events[index] = new Event(newEventData);
+        const oldEventData = oldEvent.toJSON();
+        // Status changes go through transitionTo; the history itself is never overwritten
+        const { status, statusHistory, ...fields } = updates;
+        const newEvent = new Event({ ...oldEventData, ...fields, id });
+        if (status) {
+            newEvent.transitionTo(status);
+        }
+        this.#state.events[index] = newEvent;
+
+        const newSnapshot = newEvent.toJSON();
+        this.#record(label, {
+            undo: () => this.#replaceById(this.#state.events, id, new Event(oldEventData)),
+            redo: () => this.#replaceById(this.#state.events, id, new Event(newSnapshot))
+        });
 
         this.#persist();
         EventBus.emit('event:updated', { id, updates });
         EventBus.emit('state:changed', this.getState());
     }
 
+    /**
+     * Move a trip to another lifecycle status
+     * @param {string} id - Event ID
+     * @param {string} status - Status id (see TRIP_STATUSES)
+     * @throws {Error} If not found or the transition is not allowed
+     */
+    setEventStatus(id, status) {
+        this.updateEvent(id, { status }, 'Change trip status');
+    }
+
+    /**
+     * Extend a trip into a multi-city trip by adding a leg at its end
+     * The new leg takes the later half of the current last leg's days
+     * (e.g. London Mon-Fri becomes London Mon-Tue, Berlin Wed-Fri).
+     * @param {string} id - Event ID
+     * @param {string} location - Location of the new leg
+     * @throws {Error} If not found, repeating, or the last leg has no day to spare
+     */
+    addTripLeg(id, location) {
+        const event = this.#state.events.find(e => e.id === id);
+        if (!event) {
+            throw new Error(`Event not found: ${id}`);
+        }
+        if (event.recurrence) {
+            throw new Error(`Cannot add a city to a repeating trip: ${event.title}`);
+        }
+
+        const trimmed = typeof location === 'string' ? location.trim() : '';
+        if (!trimmed) {
+            throw new Error('Location is required');
+        }
+
+        const legs = getEventLegs(event).map(leg => ({ location: leg.location, days: leg.days }));
+        const lastLeg = legs[legs.length - 1];
+        if (lastLeg.days < 2) {
+            throw new Error(`No day left in ${event.title} for another city`);
+        }
+
+        const keptDays = Math.floor(lastLeg.days / 2);
+        legs.push({ location: trimmed, days: lastLeg.days - keptDays });
+        lastLeg.days = keptDays;
+
+        this.batch('Extend trip', () => this.updateEvent(id, { legs }));
+    }
+
     /**
      * Delete event
      * @param {string} id - Event ID
@@ -126,7 +232,14 @@ class StateManager {
             return;
         }
 
-        this.#state.events.splice(index, 1);
+        const [removed] = this.#state.events.splice(index, 1);
+
+        const snapshot = removed.toJSON();
+        this.#record('Delete trip', {
+            undo: () => this.#state.events.splice(index, 0, new Event(snapshot)),
+            redo: () => this.#removeById(this.#state.events, id)
+        });
+
         this.#persist();
         EventBus.emit('event:deleted', id);
         EventBus.emit('state:changed', this.getState());
@@ -150,6 +263,111 @@ class StateManager {
         return constraint ? (constraint.toJSON ? constraint.toJSON() : constraint) : null;
     }
 
+    /**
+     * Skip a single occurrence of a recurring trip or constraint
+     * @param {string} kind - 'event' or 'constraint'
+     * @param {string} id - Series ID
+     * @param {string} occurrenceDate - Original occurrence date (ISO)
+     */
+    skipOccurrence(kind, id, occurrenceDate) {
+        this.#setOccurrenceException(kind, id, occurrenceDate, { skipped: true }, 'Skip occurrence');
+    }
+
+    /**
+     * Change a single occurrence of a recurring trip or constraint
+     * Overrides are merged with earlier changes to the same occurrence; values
+     * equal to the series' own are dropped so later series edits still apply.
+     * @param {string} kind - 'event' or 'constraint'
+     * @param {string} id - Series ID
+     * @param {string} occurrenceDate - Original occurrence date (ISO)
+     * @param {object} updates - { title, location, type, startDate, endDate }
+     */
+    updateOccurrence(kind, id, occurrenceDate, updates) {
+        const series = this.#getSeries(kind, id);
+        const previous = series.exceptions[occurrenceDate];
+        const defaults = getOccurrence({ ...series, exceptions: {} }, occurrenceDate) || {};
+
+        const merged = { ...(previous?.skipped ? {} : previous), ...updates };
+        const overrides = Object.fromEntries(
+            Object.entries(merged).filter(([key, value]) => value !== defaults[key])
+        );
+
+        this.#setOccurrenceException(kind, id, occurrenceDate,
+            Object.keys(overrides).length > 0 ? overrides : null, 'Edit occurrence');
+    }
+
+    /**
+     * Undo all changes to a single occurrence (including skipping it)
+     * @param {string} kind - 'event' or 'constraint'
+     * @param {string} id - Series ID
+     * @param {string} occurrenceDate - Original occurrence date (ISO)
+     */
+    restoreOccurrence(kind, id, occurrenceDate) {
+        this.#setOccurrenceException(kind, id, occurrenceDate, null, 'Restore occurrence');
+    }
+
+    /**
+     * Get a recurring series as a plain object
+     * @private
+     * @param {string} kind - 'event' or 'constraint'
+     * @param {string} id - Series ID
+     * @returns {object} Series data
+     */
+    #getSeries(kind, id) {
+        const series = kind === 'constraint' ? this.getConstraint(id) : this.getEvent(id);
+        if (!series) {
+            throw new Error(`${kind === 'constraint' ? 'Constraint' : 'Event'} not found: ${id}`);
+        }
+        if (!series.recurrence) {
+            throw new Error(`Not a recurring ${kind === 'constraint' ? 'constraint' : 'trip'}: ${series.title}`);
+        }
+        return series;
+    }
+
+    /**
+     * Set or clear the exception for one occurrence of a series
+     * @private
+     * @param {string} kind - 'event' or 'constraint'
+     * @param {string} id - Series ID
+     * @param {string} occurrenceDate - Original occurrence date (ISO)
+     * @param {object|null} exception - Exception data, null to clear
+     * @param {string} label - Description shown for undo/redo
+     */
+    #setOccurrenceException(kind, id, occurrenceDate, exception, label) {
+        const series = this.#getSeries(kind, id);
+        if (!RecurrenceRule.fromJSON(series.recurrence).includes(series.startDate, occurrenceDate)) {
+            throw new Error(`${occurrenceDate} is not an occurrence of ${series.title}`);
+        }
+
+        const exceptions = { ...series.exceptions };
+        if (exception) {
+            exceptions[occurrenceDate] = exception;
+        } else {
+            delete exceptions[occurrenceDate];
+        }
+
+        this.batch(label, () => {
+            if (kind === 'constraint') {
+                this.updateConstraint(id, { exceptions });
+            } else {
+                this.updateEvent(id, { exceptions });
+            }
+        });
+    }
+
+    /**
+     * Get the calendar UIDs that trips and constraints were imported from
+     * Used to skip entries that were already imported.
+     * @returns {Set<string>} Source UIDs
+     */
+    getImportedSourceUids() {
+        const uids = new Set();
+        [...this.#state.events, ...this.#state.constraints].forEach(item => {
+            if (item.sourceUid) uids.add(item.sourceUid);
+        });
+        return uids;
+    }
+
     /**
      * Add constraint
      * @param {object|Constraint} constraintData - Constraint data or Constraint instance
@@ -157,6 +375,13 @@ class StateManager {
     addConstraint(constraintData) {
         const constraint = constraintData instanceof Constraint ? constraintData : new Constraint(constraintData);
         this.#state.constraints.push(constraint);
+
+        const snapshot = constraint.toJSON();
+        this.#record('Add constraint', {
+            undo: () => this.#removeById(this.#state.constraints, snapshot.id),
+            redo: () => this.#state.constraints.push(new Constraint(snapshot))
+        });
+
         this.#persist();
         EventBus.emit('constraint:added', constraint.toJSON());
         EventBus.emit('state:changed', this.getState());
@@ -174,9 +399,16 @@ class StateManager {
         }
 
         const oldConstraint = this.#state.constraints[index];
-        const newConstraintData = { ...oldConstraint.toJSON(), ...updates, id };
+        const oldConstraintData = oldConstraint.toJSON();
+        const newConstraintData = { ...oldConstraintData, ...updates, id };
         this.#state.constraints[index] = new Constraint(newConstraintData);
 
+        const newSnapshot = this.#state.constraints[index].toJSON();
+        this.#record('Edit constraint', {
+            undo: () => this.#replaceById(this.#state.constraints, id, new Constraint(oldConstraintData)),
+            redo: () => this.#replaceById(this.#state.constraints, id, new Constraint(newSnapshot))
+        });
+
         this.#persist();
         EventBus.emit('constraint:updated', { id, updates });
         EventBus.emit('state:changed', this.getState());
@@ -193,7 +425,14 @@ class StateManager {
             return;
         }
 
-        this.#state.constraints.splice(index, 1);
+        const [removed] = this.#state.constraints.splice(index, 1);
+
+        const snapshot = removed.toJSON();
+        this.#record('Delete constraint', {
+            undo: () => this.#state.constraints.splice(index, 0, new Constraint(snapshot)),
+            redo: () => this.#removeById(this.#state.constraints, id)
+        });
+
         this.#persist();
         EventBus.emit('constraint:deleted', id);
         EventBus.emit('state:changed', this.getState());
@@ -204,12 +443,25 @@ class StateManager {
      * @param {object} data - State data
      */
     importState(data) {
+        // Validate everything before touching the current plan
+        const plan = this.#buildPlan(data);
+
+        // Imports always target the main plan
+        this.#leaveScenario();
+
+        const before = this.#snapshotData();
+
         // Data structure supports multiple years - events have full dates
-        this.#state.events = (data.events || []).map(e => new Event(e));
-        this.#state.constraints = (data.constraints || []).map(c => new Constraint(c));
+        this.#applyWorkWeek(plan.workWeek);
+        this.#state.events = plan.events;
+        this.#state.constraints = plan.constraints;
         this.#state.eventTypeConfigs = data.eventTypeConfigs || { ...DEFAULT_EVENT_TYPE_CONFIGS };
         this.#state.constraintTypeConfigs = data.constraintTypeConfigs || { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS };
-        this.#state.customLocations = data.customLocations || [];
+        this.#loadLocations(data);
+        this.#loadScoringProfiles(data);
+        this.#loadPolicyRules(data);
+        this.#loadBudgets(data);
+        this.#loadFiscalCalendar(data);
 
         // Import sync metadata
         this.#state.lastModified = data.lastModified || Date.now();
@@ -217,27 +469,195 @@ class StateManager {
 
         // Set current viewing year to current year or first event's year
         if (this.#state.events.length > 0) {
-            const firstEventDate = new Date(this.#state.events[0].startDate);
-            this.#state.currentYear = firstEventDate.getFullYear();
+            this.#state.currentYear = getFiscalYear(this.#state.events[0].startDate, this.getFiscalCalendar());
         }
 
+        this.#recordSnapshot('Import data', before);
+
         this.#persist();
         EventBus.emit('state:imported', this.getState());
         EventBus.emit('state:changed', this.getState());
         EventBus.emit('year:changed', this.#state.currentYear);
     }
 
+    /**
+     * Preview merging imported data into the current plan without changing state
+     * Records match by ID, or by title + start date + location (constraints: title + start
+     * date + type) when IDs differ. Matches with identical content are skipped; others update
+     * the existing record in place. Type configs and locations are unioned (locations match by
+     * name or alias); type IDs defined differently on both sides are reported as conflicts and
+     * keep the local definition.
+     * @param {object} data - Imported data (as returned by DataService.importFromJSON)
+     * @returns {object} Merge plan:
+     *   { events: { added, updated, skipped }, constraints: { added, updated, skipped },
+     *     eventTypes: { added, conflicts }, constraintTypes: { added, conflicts }, locations: { added } }
+     *   (locations.added holds the names of new locations)
+     *   where added/updated/skipped are arrays of { incoming, existing, reason } plain objects
+     */
+    previewMerge(data) {
+        return {
+            events: this.#planRecordMerge(
+                data.events || [], this.#state.events, Event,
+                (e) => [e.title, e.startDate, e.location]
+            ),
+            constraints: this.#planRecordMerge(
+                data.constraints || [], this.#state.constraints, Constraint,
+                (c) => [c.title, c.startDate, c.type]
+            ),
+            eventTypes: this.#planTypeMerge(data.eventTypeConfigs || {}, this.#state.eventTypeConfigs),
+            constraintTypes: this.#planTypeMerge(data.constraintTypeConfigs || {}, this.#state.constraintTypeConfigs),
+            locations: {
+                added: this.#getIncomingLocations(data).map(loc => loc.name)
+            }
+        };
+    }
+
+    /**
+     * Merge imported data into the current plan as a single undoable step
+     * Unlike importState, existing records, types and locations are kept.
+     * @param {object} data - Imported data (as returned by DataService.importFromJSON)
+     * @returns {object} The merge plan that was applied (see previewMerge)
+     */
+    mergeState(data) {
+        const plan = this.previewMerge(data);
+        const before = this.#snapshotData();
+
+        plan.eventTypes.added.forEach(({ typeId, config }) => {
+            this.#state.eventTypeConfigs[typeId] = { ...config, isBuiltIn: false };
+        });
+        plan.constraintTypes.added.forEach(({ typeId, config }) => {
+            this.#state.constraintTypeConfigs[typeId] = { ...config, isBuiltIn: false };
+        });
+
+        plan.events.added.forEach(({ incoming }) => this.#state.events.push(new Event(incoming)));
+        plan.events.updated.forEach(({ incoming, existing }) => {
+            this.#replaceById(this.#state.events, existing.id, new Event({ ...incoming, id: existing.id }));
+        });
+
+        plan.constraints.added.forEach(({ incoming }) => this.#state.constraints.push(new Constraint(incoming)));
+        plan.constraints.updated.forEach(({ incoming, existing }) => {
+            this.#replaceById(this.#state.constraints, existing.id, new Constraint({ ...incoming, id: existing.id }));
+        });
+
+        this.#getIncomingLocations(data).forEach(location => {
+            location.id = this.#createLocationId(location.id);
+            this.#state.locations.push(location);
+        });
+
+        this.#recordSnapshot('Merge import', before);
+
+        this.#persist();
+        EventBus.emit('state:merged', plan);
+        EventBus.emit('state:changed', this.getState());
+        return plan;
+    }
+
+    /**
+     * Classify incoming records as added, updated or skipped
+     * @private
+     * @param {Array<object>} incomingRecords - Imported plain objects
+     * @param {Array} existingRecords - Current model instances
+     * @param {Function} Model - Event or Constraint (used for validation)
+     * @param {Function} naturalKey - Returns the fields used to match records with different IDs
+     * @returns {object} { added, updated, skipped }
+     */
+    #planRecordMerge(incomingRecords, existingRecords, Model, naturalKey) {
+        const added = [];
+        const updated = [];
+        const skipped = [];
+
+        const keyOf = (record) => JSON.stringify(naturalKey(record).map(v => String(v ?? '').trim().toLowerCase()));
+        const existingById = new Map(existingRecords.map(r => [r.id, r.toJSON()]));
+        const existingByKey = new Map(existingRecords.map(r => [keyOf(r), r.toJSON()]));
+        const claimed = new Set(); // Existing IDs already matched by an earlier incoming record
+        const addedKeys = new Set(); // IDs and natural keys of records already added
+
+        incomingRecords.forEach(raw => {
+            let incoming;
+            try {
+                incoming = new Model(raw).toJSON();
+            } catch (error) {
+                skipped.push({ incoming: raw, existing: null, reason: error.message });
+                return;
+            }
+
+            const existing = existingById.get(incoming.id) || existingByKey.get(keyOf(incoming)) || null;
+
+            if (!existing) {
+                if (addedKeys.has(incoming.id) || addedKeys.has(keyOf(incoming))) {
+                    skipped.push({ incoming, existing: null, reason: 'Duplicate in import' });
+                    return;
+                }
+                addedKeys.add(incoming.id);
+                addedKeys.add(keyOf(incoming));
+                added.push({ incoming, existing: null, reason: 'New' });
+                return;
+            }
+
+            if (claimed.has(existing.id)) {
+                skipped.push({ incoming, existing, reason: 'Duplicate in import' });
+                return;
+            }
+            claimed.add(existing.id);
+
+            if (JSON.stringify({ ...incoming, id: null }) === JSON.stringify({ ...existing, id: null })) {
+                skipped.push({ incoming, existing, reason: 'Already exists' });
+            } else {
+                updated.push({ incoming, existing, reason: incoming.id === existing.id ? 'Same ID' : 'Same title, date and location' });
+            }
+        });
+
+        return { added, updated, skipped };
+    }
+
+    /**
+     * Find type configs to add and conflicting definitions
+     * @private
+     * @param {object} incomingConfigs - Imported type configs
+     * @param {object} existingConfigs - Current type configs
+     * @returns {object} { added: [{ typeId, config }], conflicts: [{ typeId, existing, incoming }] }
+     */
+    #planTypeMerge(incomingConfigs, existingConfigs) {
+        const added = [];
+        const conflicts = [];
+        const definition = ({ label, color, colorDark, isHardStop }) => JSON.stringify({ label, color, colorDark, isHardStop: !!isHardStop });
+
+        Object.entries(incomingConfigs).forEach(([typeId, config]) => {
+            const existing = existingConfigs[typeId];
+            if (!existing) {
+                added.push({ typeId, config });
+            } else if (definition(existing) !== definition(config)) {
+                conflicts.push({ typeId, existing, incoming: config });
+            }
+        });
+
+        return { added, conflicts };
+    }
+
     /**
      * Clear all data
      */
     clearAll() {
+        this.#leaveScenario();
+
+        const before = this.#snapshotData();
+
         this.#state.events = [];
         this.#state.constraints = [];
         this.#state.eventTypeConfigs = { ...DEFAULT_EVENT_TYPE_CONFIGS };
         this.#state.constraintTypeConfigs = { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS };
-        this.#state.customLocations = [];
+        this.#state.locations = [];
+        this.#state.scoringProfiles = structuredClone(DEFAULT_SCORING_PROFILES);
+        this.#state.activeScoringProfileId = DEFAULT_SCORING_PROFILE_ID;
+        this.#state.policyRules = [];
+        this.#state.budgets = [];
+        this.#state.fiscalCalendar = new FiscalCalendar();
+        this.#applyWorkWeek(new WorkWeek());
         this.#state.lastModified = Date.now();
         this.#state.syncedFileId = null;
+
+        this.#recordSnapshot('Clear all data', before);
+
         this.#persist();
         EventBus.emit('state:cleared');
         EventBus.emit('state:changed', this.getState());
@@ -253,31 +673,32 @@ class StateManager {
                 const data = JSON.parse(stored);
 
                 // Convert plain objects to model instances
-                this.#state.events = (data.events || []).map(e =>
-                    e instanceof Event ? e : new Event(e)
-                );
-                this.#state.constraints = (data.constraints || []).map(c =>
-                    c instanceof Constraint ? c : new Constraint(c)
-                );
+                const plan = this.#buildPlan(data);
+                this.#applyWorkWeek(plan.workWeek);
+                this.#state.events = plan.events;
+                this.#state.constraints = plan.constraints;
 
                 // Load type configurations
                 this.#state.eventTypeConfigs = data.eventTypeConfigs || { ...DEFAULT_EVENT_TYPE_CONFIGS };
                 this.#state.constraintTypeConfigs = data.constraintTypeConfigs || { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS };
-                this.#state.customLocations = data.customLocations || [];
+                const locationsMigrated = this.#loadLocations(data);
+                this.#loadScoringProfiles(data);
+                this.#loadPolicyRules(data);
+                this.#loadBudgets(data);
+                this.#loadFiscalCalendar(data);
 
                 // Load sync metadata (with defaults for old data)
                 this.#state.lastModified = data.lastModified || Date.now();
                 this.#state.syncedFileId = data.syncedFileId || null;
 
                 // MIGRATION: Auto-create configs for types found in old data
-                const migrated = this.#migrateOldData();
+                const migrated = this.#migrateOldData() || locationsMigrated;
 
                 // Set current viewing year based on existing events or current year
                 if (this.#state.events.length > 0) {
-                    const firstEventDate = new Date(this.#state.events[0].startDate);
-                    this.#state.currentYear = firstEventDate.getFullYear();
+                    this.#state.currentYear = getFiscalYear(this.#state.events[0].startDate, this.getFiscalCalendar());
                 } else {
-                    this.#state.currentYear = new Date().getFullYear();
+                    this.#state.currentYear = getFiscalYear(new Date(), this.getFiscalCalendar());
                 }
 
                 // If migration occurred, persist the updated state
@@ -290,6 +711,29 @@ class StateManager {
             console.error('Error loading state from localStorage:', error);
             // Keep default state
         }
+
+        this.#loadScenarios();
+    }
+
+    /**
+     * Load what-if scenarios from localStorage
+     * @private
+     */
+    #loadScenarios() {
+        try {
+            const stored = localStorage.getItem(this.#scenarioStorageKey);
+            const scenarios = stored ? JSON.parse(stored) : [];
+
+            // Validate through the models so bad records are dropped early
+            this.#scenarios = (Array.isArray(scenarios) ? scenarios : []).map(scenario => ({
+                ...scenario,
+                events: (scenario.events || []).map(e => new Event(e).toJSON()),
+                constraints: (scenario.constraints || []).map(c => new Constraint(c).toJSON())
+            }));
+        } catch (error) {
+            console.error('Error loading scenarios from localStorage:', error);
+            this.#scenarios = [];
+        }
     }
 
     /**
@@ -372,10 +816,14 @@ class StateManager {
      * @param {object} config - Type configuration (label, color, colorDark, isHardStop)
      */
     setEventTypeConfig(typeId, config) {
+        const before = this.#snapshotData();
+
         this.#state.eventTypeConfigs[typeId] = {
             ...config,
             isBuiltIn: this.#state.eventTypeConfigs[typeId]?.isBuiltIn || false
         };
+        this.#recordSnapshot('Edit trip type', before);
+
         this.#persist();
         EventBus.emit('type:updated', { kind: 'event', typeId, config });
         EventBus.emit('state:changed', this.getState());
@@ -392,6 +840,8 @@ class StateManager {
             throw new Error('Cannot delete built-in event types');
         }
 
+        const before = this.#snapshotData();
+
         // Find all events with this type
         const eventsWithType = this.#state.events.filter(e => e.type === typeId);
 
@@ -408,6 +858,8 @@ class StateManager {
         // Delete the type configuration
         delete this.#state.eventTypeConfigs[typeId];
 
+        this.#recordSnapshot('Delete trip type', before);
+
         this.#persist();
         EventBus.emit('type:deleted', { kind: 'event', typeId, action });
         EventBus.emit('state:changed', this.getState());
@@ -436,10 +888,14 @@ class StateManager {
      * @param {object} config - Type configuration (label, color, colorDark, isHardStop)
      */
     setConstraintTypeConfig(typeId, config) {
+        const before = this.#snapshotData();
+
         this.#state.constraintTypeConfigs[typeId] = {
             ...config,
             isBuiltIn: this.#state.constraintTypeConfigs[typeId]?.isBuiltIn || false
         };
+        this.#recordSnapshot('Edit constraint type', before);
+
         this.#persist();
         EventBus.emit('type:updated', { kind: 'constraint', typeId, config });
         EventBus.emit('state:changed', this.getState());
@@ -455,91 +911,1224 @@ class StateManager {
             throw new Error('Cannot delete built-in constraint types');
         }
 
+        const before = this.#snapshotData();
+
         // Delete all constraints with this type
         this.#state.constraints = this.#state.constraints.filter(c => c.type !== typeId);
 
         // Delete the type configuration
         delete this.#state.constraintTypeConfigs[typeId];
 
+        this.#recordSnapshot('Delete constraint type', before);
+
         this.#persist();
         EventBus.emit('type:deleted', { kind: 'constraint', typeId });
         EventBus.emit('state:changed', this.getState());
     }
 
     /**
-     * Get all locations (built-in + custom)
-     * @returns {Array} All locations
+     * Get all scoring profiles
+     * @returns {object} { profileId: { name, weights, isBuiltIn } }
      */
-    getAllLocations() {
-        return [...this.#state.customLocations];
+    getScoringProfiles() {
+        return structuredClone(this.#state.scoringProfiles);
     }
 
     /**
-     * Add custom location
-     * @param {string} location - Location name
+     * Get scoring profile
+     * @param {string} profileId - Profile ID
+     * @returns {object|null} Profile or null
      */
-    addCustomLocation(location) {
-        const trimmed = location.trim();
-        if (trimmed && !this.#state.customLocations.includes(trimmed)) {
-            this.#state.customLocations.push(trimmed);
-            this.#state.customLocations.sort();
-            this.#persist();
-            EventBus.emit('location:added', trimmed);
-            EventBus.emit('state:changed', this.getState());
+    getScoringProfile(profileId) {
+        const profile = this.#state.scoringProfiles[profileId];
+        return profile ? structuredClone(profile) : null;
+    }
+
+    /**
+     * Get active scoring profile (used by ScoringEngine)
+     * @returns {object} { id, name, weights, isBuiltIn }
+     */
+    getActiveScoringProfile() {
+        const id = this.#state.activeScoringProfileId;
+        return { id, ...this.getScoringProfile(id) };
+    }
+
+    /**
+     * Add or update scoring profile
+     * @param {string} profileId - Profile ID
+     * @param {object} data - Profile data (name, weights)
+     */
+    setScoringProfile(profileId, data) {
+        if (!profileId || typeof profileId !== 'string') {
+            throw new Error('Scoring profile ID is required');
         }
+
+        const existing = this.#state.scoringProfiles[profileId];
+        const duplicate = Object.entries(this.#state.scoringProfiles).some(([id, p]) =>
+            id !== profileId && p.name.toLowerCase() === (data.name || '').trim().toLowerCase()
+        );
+        if (duplicate) {
+            throw new Error(`Scoring profile already exists: ${data.name.trim()}`);
+        }
+
+        const profile = new ScoringProfile({
+            ...data,
+            isBuiltIn: existing?.isBuiltIn || false
+        });
+
+        const before = this.#snapshotData();
+        this.#state.scoringProfiles[profileId] = profile.toJSON();
+        this.#recordSnapshot(existing ? 'Edit scoring profile' : 'Add scoring profile', before);
+
+        this.#persist();
+        EventBus.emit('scoring:updated', { profileId, profile: profile.toJSON() });
+        EventBus.emit('state:changed', this.getState());
     }
 
     /**
-     * Delete custom location
-     * @param {string} location - Location name
+     * Delete scoring profile (active profile falls back to default)
+     * @param {string} profileId - Profile ID
      */
-    deleteCustomLocation(location) {
-        const index = this.#state.customLocations.indexOf(location);
-        if (index > -1) {
-            this.#state.customLocations.splice(index, 1);
-            this.#persist();
-            EventBus.emit('location:deleted', location);
-            EventBus.emit('state:changed', this.getState());
+    deleteScoringProfile(profileId) {
+        const profile = this.#state.scoringProfiles[profileId];
+        if (!profile) {
+            console.warn(`Scoring profile not found: ${profileId}`);
+            return;
         }
+        if (profile.isBuiltIn) {
+            throw new Error('Cannot delete built-in scoring profiles');
+        }
+
+        const before = this.#snapshotData();
+        delete this.#state.scoringProfiles[profileId];
+        if (this.#state.activeScoringProfileId === profileId) {
+            this.#state.activeScoringProfileId = DEFAULT_SCORING_PROFILE_ID;
+        }
+        this.#recordSnapshot('Delete scoring profile', before);
+
+        this.#persist();
+        EventBus.emit('scoring:deleted', profileId);
+        EventBus.emit('state:changed', this.getState());
     }
 
     /**
-     * Archive events by ID
-     * @param {Array<string>} eventIds - Array of event IDs to archive
+     * Switch active scoring profile
+     * @param {string} profileId - Profile ID
      */
-    archiveEvents(eventIds) {
-        eventIds.forEach(id => {
-            const event = this.#state.events.find(e => e.id === id);
-            if (event) {
-                event.archived = true;
+    setActiveScoringProfile(profileId) {
+        if (!this.#state.scoringProfiles[profileId]) {
+            throw new Error(`Scoring profile not found: ${profileId}`);
+        }
+        if (this.#state.activeScoringProfileId === profileId) return;
+
+        const before = this.#snapshotData();
+        this.#state.activeScoringProfileId = profileId;
+        this.#recordSnapshot('Switch scoring profile', before);
+
+        this.#persist();
+        EventBus.emit('scoring:switched', profileId);
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Load scoring profiles from saved data (defaults for old data)
+     * @private
+     * @param {object} data - Saved or imported state
+     */
+    #loadScoringProfiles(data) {
+        const profiles = structuredClone(DEFAULT_SCORING_PROFILES);
+
+        Object.entries(data.scoringProfiles || {}).forEach(([id, profile]) => {
+            try {
+                profiles[id] = new ScoringProfile({
+                    ...profile,
+                    isBuiltIn: DEFAULT_SCORING_PROFILES[id]?.isBuiltIn || false
+                }).toJSON();
+            } catch (error) {
+                console.warn(`Skipping invalid scoring profile "${id}":`, error.message);
             }
         });
+
+        this.#state.scoringProfiles = profiles;
+        this.#state.activeScoringProfileId = profiles[data.activeScoringProfileId]
+            ? data.activeScoringProfileId
+            : DEFAULT_SCORING_PROFILE_ID;
+    }
+
+    /**
+     * Get travel policy rules
+     * @returns {Array<object>} Rules as plain objects, in the order they were added
+     */
+    getPolicyRules() {
+        return this.#state.policyRules.map(rule => rule.toJSON());
+    }
+
+    /**
+     * Get a travel policy rule by ID
+     * @param {string} id - Rule ID
+     * @returns {object|null} Rule as plain object
+     */
+    getPolicyRule(id) {
+        const rule = this.#state.policyRules.find(r => r.id === id);
+        return rule ? rule.toJSON() : null;
+    }
+
+    /**
+     * Add a travel policy rule
+     * @param {object} data - Rule data ({ name, type, params, severity, enabled })
+     * @returns {object} Added rule as plain object
+     * @throws {Error} If the rule is invalid
+     */
+    addPolicyRule(data) {
+        const rule = new PolicyRule({ ...data, id: null });
+
+        this.#state.policyRules.push(rule);
+        this.#record('Add policy rule', {
+            undo: () => this.#removeById(this.#state.policyRules, rule.id),
+            redo: () => this.#state.policyRules.push(rule)
+        });
         this.#persist();
-        EventBus.emit('events:archived', eventIds);
+        EventBus.emit('policy:added', rule.toJSON());
         EventBus.emit('state:changed', this.getState());
+        return rule.toJSON();
     }
 
     /**
-     * Set synced file ID (called by GoogleDriveSyncManager)
-     * @param {string|null} fileId - Google Drive file ID
+     * Update a travel policy rule
+     * Changing the type replaces the params; generated names (see PolicyRule.describe)
+     * follow the new params.
+     * @param {string} id - Rule ID
+     * @param {object} updates - Fields to update
+     * @returns {object} Updated rule as plain object
+     * @throws {Error} If not found or invalid
      */
-    setSyncedFileId(fileId) {
-        this.#state.syncedFileId = fileId;
-        // Don't call #persist() here - this is set during sync
-        // and we don't want to trigger another state:changed event
+    updatePolicyRule(id, updates) {
+        const previous = this.#state.policyRules.find(r => r.id === id);
+        if (!previous) {
+            throw new Error(`Policy rule not found: ${id}`);
+        }
+
+        const typeChanged = updates.type !== undefined && updates.type !== previous.type;
+        const data = {
+            ...previous.toJSON(),
+            ...updates,
+            params: typeChanged ? { ...updates.params } : { ...previous.params, ...updates.params },
+            id
+        };
+        const hasGeneratedName = previous.name === previous.describe();
+        if (hasGeneratedName && (updates.name === undefined || updates.name.trim() === previous.name)) {
+            delete data.name;
+        }
+
+        const rule = new PolicyRule(data);
+        this.#replaceById(this.#state.policyRules, id, rule);
+        this.#record('Edit policy rule', {
+            undo: () => this.#replaceById(this.#state.policyRules, id, previous),
+            redo: () => this.#replaceById(this.#state.policyRules, id, rule)
+        });
+        this.#persist();
+        EventBus.emit('policy:updated', rule.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return rule.toJSON();
     }
 
     /**
-     * Persist state to localStorage
-     * @private
+     * Delete a travel policy rule
+     * @param {string} id - Rule ID
      */
-    #persist() {
-        try {
-            // Update last modified timestamp
-            this.#state.lastModified = Date.now();
+    deletePolicyRule(id) {
+        const index = this.#state.policyRules.findIndex(r => r.id === id);
+        if (index === -1) {
+            console.warn(`Policy rule not found: ${id}`);
+            return;
+        }
 
-            const data = this.getState();
-            localStorage.setItem(this.#storageKey, JSON.stringify(data));
+        const [rule] = this.#state.policyRules.splice(index, 1);
+        this.#record('Delete policy rule', {
+            undo: () => this.#state.policyRules.splice(index, 0, rule),
+            redo: () => this.#removeById(this.#state.policyRules, id)
+        });
+        this.#persist();
+        EventBus.emit('policy:deleted', id);
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Get travel budgets
+     * @returns {Array<object>} Budgets as plain objects, by year
+     */
+    getBudgets() {
+        return this.#state.budgets
+            .map(budget => budget.toJSON())
+            .sort((a, b) => a.year - b.year);
+    }
+
+    /**
+     * Get the travel budget of a year
+     * @param {number} year - Calendar year
+     * @returns {object|null} Budget as plain object, or null if the year has none
+     */
+    getBudget(year) {
+        const budget = this.#state.budgets.find(b => b.year === Number(year));
+        return budget ? budget.toJSON() : null;
+    }
+
+    /**
+     * Set the travel budget of a year (replaces any existing budget)
+     * A budget without amounts removes the year's budget.
+     * @param {number} year - Calendar year
+     * @param {object} data - Budget data ({ currency, total, quarters: { 1-4: amount } })
+     * @returns {object|null} Budget as plain object, or null if removed
+     * @throws {Error} If the budget is invalid
+     */
+    setBudget(year, data) {
+        const budget = new Budget({ ...data, year });
+        if (budget.isEmpty()) {
+            this.deleteBudget(budget.year);
+            return null;
+        }
+
+        const before = this.#state.budgets.slice();
+        const after = [...before.filter(b => b.year !== budget.year), budget];
+
+        this.#state.budgets = after;
+        this.#record('Edit budget', {
+            undo: () => { this.#state.budgets = before.slice(); },
+            redo: () => { this.#state.budgets = after.slice(); }
+        });
+        this.#persist();
+        EventBus.emit('budget:updated', budget.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return budget.toJSON();
+    }
+
+    /**
+     * Delete the travel budget of a year
+     * @param {number} year - Calendar year
+     */
+    deleteBudget(year) {
+        const before = this.#state.budgets.slice();
+        const after = before.filter(b => b.year !== Number(year));
+        if (after.length === before.length) return;
+
+        this.#state.budgets = after;
+        this.#record('Delete budget', {
+            undo: () => { this.#state.budgets = before.slice(); },
+            redo: () => { this.#state.budgets = after.slice(); }
+        });
+        this.#persist();
+        EventBus.emit('budget:deleted', Number(year));
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Get the fiscal calendar
+     * @returns {object} { startMonth, weekPattern } (see FiscalCalendar)
+     */
+    getFiscalCalendar() {
+        return this.#state.fiscalCalendar.toJSON();
+    }
+
+    /**
+     * Set the fiscal calendar used for quarters, budgets and year navigation
+     * @param {object} data - { startMonth, weekPattern } (see FiscalCalendar)
+     * @returns {object} Fiscal calendar as plain object
+     * @throws {Error} If the fiscal calendar is invalid
+     */
+    setFiscalCalendar(data) {
+        const fiscalCalendar = new FiscalCalendar(data);
+        const before = this.#state.fiscalCalendar;
+
+        this.#state.fiscalCalendar = fiscalCalendar;
+        this.#record('Change fiscal year', {
+            undo: () => { this.#state.fiscalCalendar = before; },
+            redo: () => { this.#state.fiscalCalendar = fiscalCalendar; }
+        });
+        this.#persist();
+        EventBus.emit('fiscal:updated', fiscalCalendar.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return fiscalCalendar.toJSON();
+    }
+
+    /**
+     * Get the work week
+     * @returns {object} { firstDay, workingDays } (see WorkWeek)
+     */
+    getWorkWeek() {
+        return this.#state.workWeek.toJSON();
+    }
+
+    /**
+     * Set the work week used for week normalization, scoring and travel weeks
+     * Flexible trips keep their stored dates and move to the week containing them.
+     * @param {object} data - { firstDay, workingDays } (see WorkWeek)
+     * @returns {object} Work week as plain object
+     * @throws {Error} If the work week is invalid
+     */
+    setWorkWeek(data) {
+        const workWeek = new WorkWeek(data);
+        const before = this.#state.workWeek;
+
+        this.#applyWorkWeek(workWeek);
+        this.#record('Change work week', {
+            undo: () => this.#applyWorkWeek(before),
+            redo: () => this.#applyWorkWeek(workWeek)
+        });
+        this.#persist();
+        EventBus.emit('workweek:updated', workWeek.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return workWeek.toJSON();
+    }
+
+    /**
+     * Use a work week here and in DateService's week calculations
+     * @private
+     * @param {WorkWeek} workWeek - Work week
+     */
+    #applyWorkWeek(workWeek) {
+        this.#state.workWeek = workWeek;
+        setWorkWeek(workWeek.toJSON());
+    }
+
+    /**
+     * Read the work week from saved data (Monday-Friday for old or invalid data)
+     * @private
+     * @param {object} data - Saved or imported state
+     * @returns {WorkWeek} Work week
+     */
+    #parseWorkWeek(data) {
+        try {
+            return new WorkWeek(data.workWeek || {});
+        } catch (error) {
+            console.warn('Using a Monday-Friday week instead of an invalid work week:', error.message);
+            return new WorkWeek();
+        }
+    }
+
+    /**
+     * Build the work week, events and constraints of saved or imported data
+     * Flexible trips are normalized to the start of the data's work week; the
+     * current work week stays in effect (also when a record is invalid).
+     * @private
+     * @param {object} data - Saved or imported state
+     * @returns {object} { workWeek, events, constraints }
+     * @throws {Error} If an event or constraint is invalid
+     */
+    #buildPlan(data) {
+        const workWeek = this.#parseWorkWeek(data);
+        setWorkWeek(workWeek.toJSON());
+
+        try {
+            return {
+                workWeek,
+                events: (data.events || []).map(e => e instanceof Event ? e : new Event(e)),
+                constraints: (data.constraints || []).map(c => c instanceof Constraint ? c : new Constraint(c))
+            };
+        } finally {
+            setWorkWeek(this.#state.workWeek.toJSON());
+        }
+    }
+
+    /**
+     * Load travel budgets from saved data (none for old data)
+     * @private
+     * @param {object} data - Saved or imported state
+     */
+    #loadBudgets(data) {
+        this.#state.budgets = (Array.isArray(data.budgets) ? data.budgets : []).flatMap(budget => {
+            try {
+                return [new Budget(budget)];
+            } catch (error) {
+                console.warn(`Skipping invalid budget for ${budget?.year}:`, error.message);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Load the fiscal calendar from saved data (calendar year for old or invalid data)
+     * @private
+     * @param {object} data - Saved or imported state
+     */
+    #loadFiscalCalendar(data) {
+        try {
+            this.#state.fiscalCalendar = new FiscalCalendar(data.fiscalCalendar || {});
+        } catch (error) {
+            console.warn('Using the calendar year instead of an invalid fiscal calendar:', error.message);
+            this.#state.fiscalCalendar = new FiscalCalendar();
+        }
+    }
+
+    /**
+     * Load travel policy rules from saved data (none for old data)
+     * @private
+     * @param {object} data - Saved or imported state
+     */
+    #loadPolicyRules(data) {
+        this.#state.policyRules = (Array.isArray(data.policyRules) ? data.policyRules : []).flatMap(rule => {
+            try {
+                return [new PolicyRule(rule)];
+            } catch (error) {
+                console.warn(`Skipping invalid policy rule "${rule?.name || rule?.id}":`, error.message);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Load the location registry from stored or imported data
+     * Data saved before the registry existed only has customLocations strings;
+     * those and any other trip locations are registered by name.
+     * @private
+     * @param {object} data - Stored or imported data
+     * @returns {boolean} True if legacy string locations were migrated
+     */
+    #loadLocations(data) {
+        const locations = [];
+        const register = (location) => {
+            if (location.getNames().some(name => this.#findLocation(name, locations))) {
+                console.warn(`Skipping duplicate location "${location.name}"`);
+                return;
+            }
+            location.id = this.#createLocationId(location.id, locations);
+            locations.push(location);
+        };
+
+        if (Array.isArray(data.locations)) {
+            data.locations.forEach(loc => {
+                try {
+                    register(new Location(loc));
+                } catch (error) {
+                    console.warn('Skipping invalid location:', error.message);
+                }
+            });
+            this.#state.locations = locations;
+            return false;
+        }
+
+        const names = [...(data.customLocations || []), ...(data.events || []).map(e => e.location)];
+        names.forEach(name => {
+            if (normalizeLocationName(name) && !this.#findLocation(name, locations)) {
+                register(new Location({ name: String(name) }));
+            }
+        });
+        this.#state.locations = locations;
+        return locations.length > 0;
+    }
+
+    /**
+     * Get incoming locations that are not yet registered (by name or alias)
+     * @private
+     * @param {object} data - Imported data with locations or legacy customLocations
+     * @returns {Array<Location>} New locations
+     */
+    #getIncomingLocations(data) {
+        const incoming = Array.isArray(data.locations)
+            ? data.locations
+            : (data.customLocations || []).map(name => ({ name: String(name) }));
+        const added = [];
+
+        incoming.forEach(loc => {
+            let location;
+            try {
+                location = new Location(loc);
+            } catch (error) {
+                return;
+            }
+            const known = location.getNames().some(name =>
+                this.#findLocation(name) || this.#findLocation(name, added));
+            if (!known) {
+                added.push(location);
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * Find the registered location a name or alias refers to
+     * @private
+     * @param {string} text - Location text
+     * @param {Array<Location>} list - Locations to search (default: registry)
+     * @returns {Location|undefined} Location
+     */
+    #findLocation(text, list = this.#state.locations) {
+        return list.find(location => location.matches(text));
+    }
+
+    /**
+     * Make a location ID unique within the registry
+     * @private
+     * @param {string} preferredId - Desired ID
+     * @param {Array<Location>} list - Locations to check against (default: registry)
+     * @returns {string} Unused ID (preferredId, or preferredId-2, -3, ...)
+     */
+    #createLocationId(preferredId, list = this.#state.locations) {
+        let id = preferredId;
+        for (let suffix = 2; list.some(location => location.id === id); suffix++) {
+            id = `${preferredId}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Ensure none of a location's names is used by another registered location
+     * @private
+     * @param {Location} location - Location to check
+     * @param {string|null} ignoreId - ID of the location being edited
+     * @throws {Error} If a name or alias is taken
+     */
+    #assertLocationNamesFree(location, ignoreId = null) {
+        location.getNames().forEach(name => {
+            const existing = this.#findLocation(name);
+            if (existing && existing.id !== ignoreId) {
+                throw new Error(`"${name}" is already used by ${existing.name}`);
+            }
+        });
+    }
+
+    /**
+     * Get the location registry
+     * @returns {Array<object>} Locations as plain objects, sorted by name
+     */
+    getLocations() {
+        return this.#state.locations
+            .map(location => location.toJSON())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a location by ID
+     * @param {string} id - Location ID
+     * @returns {object|null} Location as plain object
+     */
+    getLocation(id) {
+        const location = this.#state.locations.find(loc => loc.id === id);
+        return location ? location.toJSON() : null;
+    }
+
+    /**
+     * Resolve free-text location (e.g. a trip's location) through names and aliases
+     * @param {string} text - Location text
+     * @returns {object|null} Matching location as plain object, or null if unregistered
+     */
+    resolveLocation(text) {
+        const location = this.#findLocation(text);
+        return location ? location.toJSON() : null;
+    }
+
+    /**
+     * Get the canonical ID for free-text location
+     * @param {string} text - Location text
+     * @returns {string|null} Location ID, or null if unregistered
+     */
+    getLocationId(text) {
+        return this.#findLocation(text)?.id ?? null;
+    }
+
+    /**
+     * Add a location to the registry
+     * @param {object} data - Location data ({ name, aliases, countryCode, timezone, lat, lon, isHomeOffice })
+     * @returns {object} Added location as plain object
+     * @throws {Error} If the data is invalid or a name/alias is already registered
+     */
+    addLocation(data) {
+        const draft = new Location({ ...data, id: null });
+        this.#assertLocationNamesFree(draft);
+
+        const location = new Location({ ...draft.toJSON(), id: this.#createLocationId(draft.id) });
+        this.#state.locations.push(location);
+        this.#record('Add location', {
+            undo: () => this.#removeById(this.#state.locations, location.id),
+            redo: () => this.#state.locations.push(location)
+        });
+        this.#persist();
+        EventBus.emit('location:added', location.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return location.toJSON();
+    }
+
+    /**
+     * Update a registered location
+     * Renaming keeps the previous name as an alias so trips that use it still resolve.
+     * @param {string} id - Location ID
+     * @param {object} updates - Fields to update
+     * @returns {object} Updated location as plain object
+     * @throws {Error} If not found, invalid, or a name/alias is already registered
+     */
+    updateLocation(id, updates) {
+        const previous = this.#state.locations.find(loc => loc.id === id);
+        if (!previous) {
+            throw new Error(`Location not found: ${id}`);
+        }
+
+        const data = { ...previous.toJSON(), ...updates, id };
+        if (updates.name !== undefined && normalizeLocationName(updates.name) !== normalizeLocationName(previous.name)) {
+            const aliases = typeof data.aliases === 'string' ? data.aliases.split(',') : data.aliases;
+            data.aliases = [...aliases, previous.name];
+        }
+
+        const location = new Location(data);
+        this.#assertLocationNamesFree(location, id);
+
+        this.#replaceById(this.#state.locations, id, location);
+        this.#record('Edit location', {
+            undo: () => this.#replaceById(this.#state.locations, id, previous),
+            redo: () => this.#replaceById(this.#state.locations, id, location)
+        });
+        this.#persist();
+        EventBus.emit('location:updated', location.toJSON());
+        EventBus.emit('state:changed', this.getState());
+        return location.toJSON();
+    }
+
+    /**
+     * Remove a location from the registry (trips keep their location text)
+     * @param {string} id - Location ID
+     */
+    deleteLocation(id) {
+        const index = this.#state.locations.findIndex(loc => loc.id === id);
+        if (index === -1) return;
+
+        const [location] = this.#state.locations.splice(index, 1);
+        this.#record('Delete location', {
+            undo: () => this.#state.locations.splice(index, 0, location),
+            redo: () => this.#removeById(this.#state.locations, id)
+        });
+        this.#persist();
+        EventBus.emit('location:deleted', location.toJSON());
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Get the names of all registered locations
+     * @returns {Array<string>} Location names, sorted
+     */
+    getAllLocations() {
+        return this.getLocations().map(location => location.name);
+    }
+
+    /**
+     * Register a location by name (no-op if the name or an alias is already registered)
+     * @param {string} location - Location name
+     */
+    addCustomLocation(location) {
+        const trimmed = location.trim();
+        if (trimmed && !this.#findLocation(trimmed)) {
+            this.addLocation({ name: trimmed });
+        }
+    }
+
+    /**
+     * Remove the location a name or alias refers to
+     * @param {string} location - Location name
+     */
+    deleteCustomLocation(location) {
+        const existing = this.#findLocation(location);
+        if (existing) {
+            this.deleteLocation(existing.id);
+        }
+    }
+
+    /**
+     * Archive events by ID
+     * @param {Array<string>} eventIds - Array of event IDs to archive
+     */
+    archiveEvents(eventIds) {
+        const previousFlags = new Map();
+        eventIds.forEach(id => {
+            const event = this.#state.events.find(e => e.id === id);
+            if (event) {
+                previousFlags.set(id, event.archived);
+                event.archived = true;
+            }
+        });
+
+        const setArchived = (valueFor) => {
+            previousFlags.forEach((wasArchived, id) => {
+                const event = this.#state.events.find(e => e.id === id);
+                if (event) {
+                    event.archived = valueFor(wasArchived);
+                }
+            });
+        };
+        this.#record('Archive trips', {
+            undo: () => setArchived(wasArchived => wasArchived),
+            redo: () => setArchived(() => true)
+        });
+
+        this.#persist();
+        EventBus.emit('events:archived', eventIds);
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Get main plan state, regardless of which scenario is active
+     * Used for persistence and cloud sync so scenarios never leak into the plan.
+     * @returns {object} State object
+     */
+    getPlanState() {
+        const state = this.getState();
+        if (this.#mainPlan) {
+            state.events = this.#mainPlan.events.map(e => ({ ...e }));
+            state.constraints = this.#mainPlan.constraints.map(c => ({ ...c }));
+        }
+        return state;
+    }
+
+    /**
+     * Get all scenarios (summary info)
+     * @returns {Array<object>} Scenarios with id, name, createdAt and counts
+     */
+    getScenarios() {
+        this.#syncActiveScenario();
+        return this.#scenarios.map(({ id, name, createdAt, events, constraints }) => ({
+            id,
+            name,
+            createdAt,
+            eventCount: events.length,
+            constraintCount: constraints.length
+        }));
+    }
+
+    /**
+     * Get ID of the active scenario
+     * @returns {string|null} Scenario ID, or null for the main plan
+     */
+    getActiveScenarioId() {
+        return this.#activeScenarioId;
+    }
+
+    /**
+     * Get events and constraints of a scenario or the main plan
+     * @param {string|null} scenarioId - Scenario ID, or null for the main plan
+     * @returns {object|null} { events, constraints } or null if not found
+     */
+    getScenarioData(scenarioId) {
+        if (scenarioId === this.#activeScenarioId) {
+            return { events: this.getEvents(), constraints: this.getConstraints() };
+        }
+
+        if (scenarioId === null) {
+            return {
+                events: this.#mainPlan.events.map(e => ({ ...e })),
+                constraints: this.#mainPlan.constraints.map(c => ({ ...c }))
+            };
+        }
+
+        const scenario = this.#scenarios.find(s => s.id === scenarioId);
+        if (!scenario) return null;
+
+        return {
+            events: scenario.events.map(e => ({ ...e })),
+            constraints: scenario.constraints.map(c => ({ ...c }))
+        };
+    }
+
+    /**
+     * Create a scenario forked from the currently displayed plan
+     * @param {string} name - Scenario name
+     * @returns {string} New scenario ID
+     */
+    createScenario(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Scenario name is required');
+        }
+        if (this.#scenarios.some(s => s.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`Scenario already exists: ${trimmed}`);
+        }
+
+        const scenario = {
+            id: `scenario-${Date.now()}-${this.#scenarios.length}`,
+            name: trimmed,
+            createdAt: Date.now(),
+            events: this.getEvents(),
+            constraints: this.getConstraints()
+        };
+        this.#scenarios.push(scenario);
+
+        this.#persistScenarios();
+        EventBus.emit('scenario:created', { id: scenario.id, name: scenario.name });
+        return scenario.id;
+    }
+
+    /**
+     * Rename a scenario
+     * @param {string} scenarioId - Scenario ID
+     * @param {string} name - New name
+     */
+    renameScenario(scenarioId, name) {
+        const scenario = this.#scenarios.find(s => s.id === scenarioId);
+        if (!scenario) {
+            throw new Error(`Scenario not found: ${scenarioId}`);
+        }
+
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Scenario name is required');
+        }
+
+        scenario.name = trimmed;
+        this.#persistScenarios();
+        EventBus.emit('scenario:renamed', { id: scenarioId, name: trimmed });
+    }
+
+    /**
+     * Delete a scenario (switches back to main plan if it is active)
+     * @param {string} scenarioId - Scenario ID
+     */
+    deleteScenario(scenarioId) {
+        const index = this.#scenarios.findIndex(s => s.id === scenarioId);
+        if (index === -1) {
+            console.warn(`Scenario not found: ${scenarioId}`);
+            return;
+        }
+
+        if (this.#activeScenarioId === scenarioId) {
+            this.switchScenario(null);
+        }
+
+        this.#scenarios.splice(index, 1);
+        this.#persistScenarios();
+        EventBus.emit('scenario:deleted', scenarioId);
+    }
+
+    /**
+     * Switch the working plan to a scenario or back to the main plan
+     * Undo history is cleared because it refers to the previous working plan.
+     * @param {string|null} scenarioId - Scenario ID, or null for the main plan
+     */
+    switchScenario(scenarioId) {
+        if (scenarioId === this.#activeScenarioId) return;
+
+        const target = scenarioId === null ? null : this.#scenarios.find(s => s.id === scenarioId);
+        if (scenarioId !== null && !target) {
+            throw new Error(`Scenario not found: ${scenarioId}`);
+        }
+
+        // Store the working set back where it came from
+        this.#syncActiveScenario();
+        const source = target ? target : this.#mainPlan;
+        if (!this.#mainPlan) {
+            this.#mainPlan = { events: this.getEvents(), constraints: this.getConstraints() };
+        }
+
+        this.#state.events = source.events.map(e => new Event(e));
+        this.#state.constraints = source.constraints.map(c => new Constraint(c));
+        this.#activeScenarioId = scenarioId;
+        if (scenarioId === null) {
+            this.#mainPlan = null;
+        }
+
+        this.clearHistory();
+        this.#persistScenarios();
+        EventBus.emit('scenario:switched', { id: scenarioId, name: target?.name ?? null });
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Promote a scenario to become the main plan
+     * The scenario is kept so it can still be compared; the main plan becomes active.
+     * @param {string} scenarioId - Scenario ID
+     */
+    promoteScenario(scenarioId) {
+        const scenario = this.#scenarios.find(s => s.id === scenarioId);
+        if (!scenario) {
+            throw new Error(`Scenario not found: ${scenarioId}`);
+        }
+
+        this.switchScenario(null);
+        const { events, constraints } = this.getScenarioData(scenarioId);
+
+        const before = this.#snapshotData();
+        this.#state.events = events.map(e => new Event(e));
+        this.#state.constraints = constraints.map(c => new Constraint(c));
+        this.#recordSnapshot(`Promote scenario "${scenario.name}"`, before);
+
+        this.#persist();
+        EventBus.emit('scenario:promoted', { id: scenarioId, name: scenario.name });
+        EventBus.emit('state:changed', this.getState());
+    }
+
+    /**
+     * Copy the working set into the active scenario record
+     * @private
+     */
+    #syncActiveScenario() {
+        if (!this.#activeScenarioId) return;
+
+        const scenario = this.#scenarios.find(s => s.id === this.#activeScenarioId);
+        if (scenario) {
+            scenario.events = this.getEvents();
+            scenario.constraints = this.getConstraints();
+        }
+    }
+
+    /**
+     * Return to the main plan without emitting change events
+     * @private
+     */
+    #leaveScenario() {
+        if (!this.#activeScenarioId) return;
+
+        this.#syncActiveScenario();
+        this.#persistScenarios();
+        this.#state.events = this.#mainPlan.events.map(e => new Event(e));
+        this.#state.constraints = this.#mainPlan.constraints.map(c => new Constraint(c));
+        this.#activeScenarioId = null;
+        this.#mainPlan = null;
+        this.clearHistory();
+        EventBus.emit('scenario:switched', { id: null, name: null });
+    }
+
+    /**
+     * Persist scenarios to localStorage
+     * @private
+     */
+    #persistScenarios() {
+        this.#syncActiveScenario();
+        try {
+            localStorage.setItem(this.#scenarioStorageKey, JSON.stringify(this.#scenarios));
+        } catch (error) {
+            console.error('Error saving scenarios to localStorage:', error);
+        }
+    }
+
+    /**
+     * Run several mutations as a single undoable step
+     * Nested calls are folded into the outermost batch.
+     * @param {string} label - Description shown for undo/redo
+     * @param {Function} fn - Function performing the mutations
+     * @returns {*} Return value of fn
+     */
+    batch(label, fn) {
+        if (this.#pendingBatch) {
+            return fn();
+        }
+
+        this.#pendingBatch = [];
+        let operations;
+        try {
+            return fn();
+        } finally {
+            operations = this.#pendingBatch;
+            this.#pendingBatch = null;
+
+            if (operations.length > 0) {
+                this.#record(label, {
+                    undo: () => [...operations].reverse().forEach(op => op.undo()),
+                    redo: () => operations.forEach(op => op.redo())
+                });
+            }
+        }
+    }
+
+    /**
+     * Undo the most recent mutation
+     * @returns {boolean} True if a step was undone
+     */
+    undo() {
+        const entry = this.#undoStack.pop();
+        if (!entry) return false;
+
+        entry.undo();
+        this.#redoStack.push(entry);
+
+        this.#persist();
+        EventBus.emit('history:undo', { label: entry.label });
+        this.#emitHistoryChanged();
+        EventBus.emit('state:changed', this.getState());
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone mutation
+     * @returns {boolean} True if a step was redone
+     */
+    redo() {
+        const entry = this.#redoStack.pop();
+        if (!entry) return false;
+
+        entry.redo();
+        this.#undoStack.push(entry);
+
+        this.#persist();
+        EventBus.emit('history:redo', { label: entry.label });
+        this.#emitHistoryChanged();
+        EventBus.emit('state:changed', this.getState());
+        return true;
+    }
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean} True if undo is available
+     */
+    canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     * @returns {boolean} True if redo is available
+     */
+    canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Get labels of the next undo/redo steps (for tooltips)
+     * @returns {object} { undo: string|null, redo: string|null }
+     */
+    getHistoryLabels() {
+        return {
+            undo: this.#undoStack.at(-1)?.label ?? null,
+            redo: this.#redoStack.at(-1)?.label ?? null
+        };
+    }
+
+    /**
+     * Clear undo/redo history
+     */
+    clearHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#emitHistoryChanged();
+    }
+
+    /**
+     * Record an inverse operation for undo/redo
+     * @private
+     * @param {string} label - Description of the mutation
+     * @param {object} operation - { undo: Function, redo: Function }
+     */
+    #record(label, { undo, redo }) {
+        if (this.#pendingBatch) {
+            this.#pendingBatch.push({ undo, redo });
+            return;
+        }
+
+        this.#undoStack.push({ label, undo, redo });
+        if (this.#undoStack.length > this.#historyLimit) {
+            this.#undoStack.shift();
+        }
+        this.#redoStack = [];
+        this.#emitHistoryChanged();
+    }
+
+    /**
+     * Record a mutation by restoring data snapshots (for wholesale changes)
+     * @private
+     * @param {string} label - Description of the mutation
+     * @param {object} before - Snapshot taken before the mutation
+     */
+    #recordSnapshot(label, before) {
+        const after = this.#snapshotData();
+        this.#record(label, {
+            undo: () => this.#restoreData(before),
+            redo: () => this.#restoreData(after)
+        });
+    }
+
+    /**
+     * Take a plain-object snapshot of persisted data
+     * @private
+     * @returns {object} Snapshot
+     */
+    #snapshotData() {
+        return {
+            events: this.#state.events.map(e => e.toJSON()),
+            constraints: this.#state.constraints.map(c => c.toJSON()),
+            eventTypeConfigs: structuredClone(this.#state.eventTypeConfigs),
+            constraintTypeConfigs: structuredClone(this.#state.constraintTypeConfigs),
+            locations: this.#state.locations.map(loc => loc.toJSON()),
+            scoringProfiles: structuredClone(this.#state.scoringProfiles),
+            activeScoringProfileId: this.#state.activeScoringProfileId,
+            policyRules: this.#state.policyRules.map(rule => rule.toJSON()),
+            budgets: this.#state.budgets.map(budget => budget.toJSON()),
+            fiscalCalendar: this.#state.fiscalCalendar.toJSON(),
+            workWeek: this.#state.workWeek.toJSON()
+        };
+    }
+
+    /**
+     * Restore data from a snapshot
+     * @private
+     * @param {object} snapshot - Snapshot from #snapshotData()
+     */
+    #restoreData(snapshot) {
+        this.#applyWorkWeek(new WorkWeek(snapshot.workWeek));
+        this.#state.events = snapshot.events.map(e => new Event(e));
+        this.#state.constraints = snapshot.constraints.map(c => new Constraint(c));
+        this.#state.eventTypeConfigs = structuredClone(snapshot.eventTypeConfigs);
+        this.#state.constraintTypeConfigs = structuredClone(snapshot.constraintTypeConfigs);
+        this.#state.locations = snapshot.locations.map(loc => new Location(loc));
+        this.#state.scoringProfiles = structuredClone(snapshot.scoringProfiles);
+        this.#state.activeScoringProfileId = snapshot.activeScoringProfileId;
+        this.#state.policyRules = snapshot.policyRules.map(rule => new PolicyRule(rule));
+        this.#state.budgets = snapshot.budgets.map(budget => new Budget(budget));
+        this.#state.fiscalCalendar = new FiscalCalendar(snapshot.fiscalCalendar);
+    }
+
+    /**
+     * Remove item with given ID from an array in place
+     * @private
+     */
+    #removeById(list, id) {
+        const index = list.findIndex(item => item.id === id);
+        if (index > -1) {
+            list.splice(index, 1);
+        }
+    }
+
+    /**
+     * Replace item with given ID in an array in place
+     * @private
+     */
+    #replaceById(list, id, item) {
+        const index = list.findIndex(existing => existing.id === id);
+        if (index > -1) {
+            list[index] = item;
+        }
+    }
+
+    /**
+     * Notify listeners that undo/redo availability changed
+     * @private
+     */
+    #emitHistoryChanged() {
+        EventBus.emit('history:changed', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            ...this.getHistoryLabels()
+        });
+    }
+
+    /**
+     * Set synced file ID (called by GoogleDriveSyncManager)
+     * @param {string|null} fileId - Google Drive file ID
+     */
+    setSyncedFileId(fileId) {
+        this.#state.syncedFileId = fileId;
+        // Don't call #persist() here - this is set during sync
+        // and we don't want to trigger another state:changed event
+    }
+
+    /**
+     * Persist state to localStorage
+     * @private
+     */
+    #persist() {
+        try {
+            // Update last modified timestamp
+            this.#state.lastModified = Date.now();
+
+            // Scenario edits are stored separately so the main plan stays intact
+            const data = this.getPlanState();
+            localStorage.setItem(this.#storageKey, JSON.stringify(data));
+            if (this.#activeScenarioId) {
+                this.#persistScenarios();
+            }
 
             // Debounce the "Saved" toast to prevent spam
             // Only show after 500ms of no more saves
@@ -0,0 +1,76 @@
+/**
+ * TravelAccountingService - Day-level travel totals
+ *
+ * Trips count by the days they actually cover (see DateService.getEventDateRange):
+ * a fixed trip from its start to its end date, a flexible trip over the
+ * working days of its weeks. Days covered by overlapping trips count once.
+ * Every day of a trip but the last is a night away. Working and weekend days
+ * follow the work week (see DateService.setWorkWeek); a week is a travel week
+ * when a trip covers one of its working days.
+ *
+ * Recurring trips are expanded; archived and cancelled trips are ignored.
+ */
+
+import { dateToISO, daysBetween, addDays, isWorkingDay, getMondaysInRange, getEventDateRange, getEventWeeks } from './DateService.js';
+import { expandEvents } from './RecurrenceService.js';
+import { isTripActive } from '../models/Event.js';
+
+/**
+ * Get the travel totals of a period
+ * @param {Array} events - Events (plain objects or models)
+ * @param {object} range - { startDate, endDate } ISO dates of the period (e.g. a fiscal year)
+ * @returns {object} {
+ *   daysAway, nightsAway, workingDaysAway, weekendDaysAway,
+ *   travelWeeks (week start ISO dates, sorted), weeksInPeriod, weeksHome
+ * }
+ */
+export function getTravelSummary(events, { startDate, endDate }) {
+    const days = new Set();
+    const nights = new Set();
+    const travelWeeks = new Set();
+
+    expandEvents(events, startDate, endDate).filter(isTripActive).forEach(event => {
+        const range = getEventDateRange(event);
+        for (let day = range.startDate; day <= range.endDate; day = dateToISO(addDays(day, 1))) {
+            if (day < startDate || day > endDate) continue;
+            days.add(day);
+            if (day < range.endDate) nights.add(day);
+        }
+
+        getEventWeeks(event)
+            .filter(week => week >= startDate && week <= endDate)
+            .forEach(week => travelWeeks.add(week));
+    });
+
+    const workingDaysAway = [...days].filter(day => isWorkingDay(day)).length;
+    const weeksInPeriod = getMondaysInRange(addDays(startDate, 0), addDays(endDate, 0)).length;
+
+    return {
+        daysAway: days.size,
+        nightsAway: nights.size,
+        workingDaysAway,
+        weekendDaysAway: days.size - workingDaysAway,
+        travelWeeks: [...travelWeeks].sort(),
+        weeksInPeriod,
+        weeksHome: weeksInPeriod - travelWeeks.size
+    };
+}
+
+/**
+ * Get the days at home between consecutive trips
+ * Trips are taken in start order; overlapping or back-to-back trips leave 0 days.
+ * @param {Array<object>} ranges - Trip date ranges: { startDate, endDate } ISO dates
+ * @returns {Array<number>} Days between each trip's end and the next trip's start
+ */
+export function getDaysBetweenTrips(ranges) {
+    const sorted = [...ranges].sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    return sorted.slice(1).map((range, index) =>
+        Math.max(0, daysBetween(sorted[index].endDate, range.startDate) - 1)
+    );
+}
+
+export default {
+    getTravelSummary,
+    getDaysBetweenTrips
+};
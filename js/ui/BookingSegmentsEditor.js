@@ -0,0 +1,150 @@
+/**
+ * BookingSegmentsEditor - Form control for a trip's booking details
+ *
+ * Features:
+ * - Add flights, lodging and ground transport (see BOOKING_SEGMENT_KINDS)
+ * - One card per segment with that kind's fields and a confirmation number
+ * - Remove segments; segments are validated when read
+ */
+
+import { BookingSegment } from '../models/BookingSegment.js';
+import { BOOKING_SEGMENT_KINDS } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-1.5 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+
+export class BookingSegmentsEditor {
+    #container = null;
+
+    /**
+     * Render the editor
+     * @param {HTMLElement} container - Container element
+     */
+    render(container) {
+        this.#container = container;
+
+        container.innerHTML = `
+            <div data-section="list" class="space-y-2"></div>
+            <p data-section="empty" class="text-xs text-slate-400 dark:text-slate-500">No bookings yet.</p>
+            <div class="flex gap-2 flex-wrap mt-2">
+                ${Object.entries(BOOKING_SEGMENT_KINDS).map(([kind, config]) => `
+                    <button type="button" data-add-segment="${kind}" class="text-xs px-2 py-1 border dark:border-slate-600 rounded text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700">
+                        <i class="fas ${config.icon} mr-1"></i>Add ${escapeHTML(config.label.toLowerCase())}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        container.addEventListener('click', (e) => {
+            const addButton = e.target.closest('[data-add-segment]');
+            if (addButton) {
+                this.#addCard({ kind: addButton.dataset.addSegment });
+                return;
+            }
+
+            const removeButton = e.target.closest('[data-remove-segment]');
+            if (removeButton) {
+                removeButton.closest('[data-segment-kind]').remove();
+                this.#updateEmptyState();
+            }
+        });
+    }
+
+    /**
+     * Get the entered segments
+     * @returns {Array<object>} Plain booking segments
+     * @throws {Error} If a segment is invalid (message names the segment)
+     */
+    getValue() {
+        return this.#getCards().map((card, index) => {
+            const data = { id: card.dataset.segmentId || undefined, kind: card.dataset.segmentKind };
+            card.querySelectorAll('[data-field]').forEach(input => {
+                data[input.dataset.field] = input.value;
+            });
+
+            try {
+                return new BookingSegment(data).toJSON();
+            } catch (error) {
+                throw new Error(`Booking ${index + 1} (${BOOKING_SEGMENT_KINDS[data.kind].label}): ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Show segments in the editor
+     * @param {Array<object>} segments - Plain booking segments
+     */
+    setValue(segments) {
+        this.#section('list').innerHTML = '';
+        (segments || []).forEach(segment => this.#addCard(segment));
+        this.#updateEmptyState();
+    }
+
+    /**
+     * Get the number of segments in the editor
+     * @returns {number} Segment count
+     */
+    getCount() {
+        return this.#getCards().length;
+    }
+
+    /**
+     * Add a card for a segment
+     * @private
+     * @param {object} segment - Plain segment (at least { kind })
+     */
+    #addCard(segment) {
+        const config = BOOKING_SEGMENT_KINDS[segment.kind];
+        const input = (field, spec) => `
+            <div class="${spec.input === 'text' && ['address', 'name'].includes(field) ? 'col-span-2' : ''}">
+                <label class="block text-[10px] font-bold text-slate-500 dark:text-slate-400 uppercase mb-0.5">${escapeHTML(spec.label)}${spec.required ? ' *' : ''}</label>
+                <input type="${spec.input}" data-field="${field}" class="${INPUT_CLASS}" value="${escapeHTML(segment[field] ?? '')}">
+            </div>
+        `;
+
+        this.#section('list').insertAdjacentHTML('beforeend', `
+            <div data-segment-kind="${segment.kind}" data-segment-id="${escapeHTML(segment.id || '')}" class="p-2 border dark:border-slate-600 rounded bg-white dark:bg-slate-800">
+                <div class="flex justify-between items-center mb-1">
+                    <span class="text-xs font-semibold text-slate-700 dark:text-slate-200"><i class="fas ${config.icon} mr-1"></i>${escapeHTML(config.label)}</span>
+                    <button type="button" data-remove-segment class="text-red-500 hover:text-red-700 text-xs" title="Remove booking">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="grid grid-cols-2 gap-2">
+                    ${Object.entries(config.fields).map(([field, spec]) => input(field, spec)).join('')}
+                    ${input('confirmation', { label: 'Confirmation', input: 'text' })}
+                </div>
+            </div>
+        `);
+        this.#updateEmptyState();
+    }
+
+    /**
+     * Get the segment cards
+     * @private
+     * @returns {Array<HTMLElement>} Cards in order
+     */
+    #getCards() {
+        return Array.from(this.#container.querySelectorAll('[data-segment-kind]'));
+    }
+
+    /**
+     * Get a section by its data-section name
+     * @private
+     * @param {string} name - Section name
+     * @returns {HTMLElement} Section
+     */
+    #section(name) {
+        return this.#container.querySelector(`[data-section="${name}"]`);
+    }
+
+    /**
+     * Show the empty hint only when there are no segments
+     * @private
+     */
+    #updateEmptyState() {
+        this.#section('empty').classList.toggle('hidden', this.getCount() > 0);
+    }
+}
+
+export default BookingSegmentsEditor;
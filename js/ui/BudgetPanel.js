@@ -0,0 +1,318 @@
+/**
+ * BudgetPanel - Planned travel spend vs budget, next to the header metrics
+ *
+ * Shows the viewed year's planned spend against its budget in the header;
+ * clicking it opens a modal with:
+ * - Planned spend vs budget per quarter and for the year
+ * - Planned spend per trip type and quarter
+ * - Budget editor (currency, year total, quarter amounts)
+ *
+ * Trips are priced by BudgetService from their own cost or their
+ * locations' default costs.
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import { getPlannedSpend, getBudgetStatus, formatMoney } from '../services/BudgetService.js';
+import { QUARTERS, DEFAULT_CURRENCY } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+import { getFiscalQuarters, formatFiscalYear } from '../services/DateService.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-1 text-sm text-right bg-white dark:bg-slate-700 dark:text-slate-200';
+
+export class BudgetPanel {
+    #modalId = 'budgetModal';
+    #container = null;
+
+    /**
+     * Initialize the budget panel
+     * @param {HTMLElement} container - Header container element
+     */
+    init(container) {
+        this.#container = container;
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('state:changed', () => this.update());
+        EventBus.on('year:changed', () => this.update());
+
+        this.update();
+    }
+
+    /**
+     * Calculate planned spend and budget status of a year
+     * @param {number} year - Fiscal year (the calendar year unless a fiscal calendar is set)
+     * @returns {object} { year, currency, budget, spend, status } (see BudgetService)
+     */
+    calculate(year = StateManager.getYear()) {
+        const budget = StateManager.getBudget(year);
+        const currency = budget?.currency || DEFAULT_CURRENCY;
+        const spend = getPlannedSpend(StateManager.getState().events, year, {
+            currency,
+            getDefaultCost: (text) => StateManager.resolveLocation(text)?.defaultCost || null,
+            fiscalCalendar: StateManager.getFiscalCalendar()
+        });
+
+        return { year, currency, budget, spend, status: getBudgetStatus(spend, budget) };
+    }
+
+    /**
+     * Update the header display
+     */
+    update() {
+        if (!this.#container) return;
+
+        const { currency, budget, spend, status } = this.calculate();
+        const isOver = status.year.isOver || status.quarters.some(q => q.isOver);
+        const spendClass = isOver ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400';
+
+        let value;
+        if (budget && status.year.budget !== null) {
+            value = `${formatMoney(spend.total, currency)} / ${formatMoney(status.year.budget, currency)}`;
+        } else if (budget || spend.total > 0) {
+            value = formatMoney(spend.total, currency);
+        } else {
+            value = 'Set up';
+        }
+
+        this.#container.innerHTML = `
+            <div id="metricBudget" class="flex items-center gap-2 cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700 rounded px-2 py-1 transition" data-tooltip="Planned travel spend vs budget" data-tooltip-position="bottom">
+                <i class="fas fa-wallet ${budget ? spendClass : 'text-slate-300 dark:text-slate-600'}"></i>
+                <span class="font-semibold text-slate-700 dark:text-slate-300">Budget:</span>
+                <span id="statBudget" class="font-mono font-bold ${budget ? spendClass : 'text-slate-400 dark:text-slate-500'}">${escapeHTML(value)}</span>
+                <i class="fas fa-chevron-right text-xs text-slate-400 ml-1"></i>
+            </div>
+        `;
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-wallet mr-2"></i>
+                            <span id="budgetModalTitle">Travel Budget</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div id="budgetModalContent" class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <!-- Populated by #render -->
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-between">
+                        <button id="btnClearBudget" class="px-4 py-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 font-medium transition">
+                            <i class="fas fa-trash-alt mr-2"></i>Remove Budget
+                        </button>
+                        <div class="flex gap-2">
+                            <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                                Done
+                            </button>
+                            <button id="btnSaveBudget" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                                <i class="fas fa-save mr-2"></i>Save Budget
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        this.#container.addEventListener('click', (e) => {
+            if (e.target.closest('#metricBudget')) {
+                this.open();
+            }
+        });
+
+        document.getElementById('btnSaveBudget')?.addEventListener('click', () => this.#handleSave());
+
+        document.getElementById('btnClearBudget')?.addEventListener('click', () => {
+            StateManager.deleteBudget(StateManager.getYear());
+            this.#render();
+            ToastService.success('Budget removed');
+        });
+
+        // Keep the report current while the modal is open (e.g. after undo)
+        EventBus.on('state:changed', () => {
+            const modal = document.getElementById(this.#modalId);
+            if (modal && !modal.classList.contains('hidden') && !modal.contains(document.activeElement)) {
+                this.#render();
+            }
+        });
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal for the viewed year
+     */
+    open() {
+        this.#render();
+        this.#openModal();
+    }
+
+    /**
+     * Render the spend report and budget editor
+     * @private
+     */
+    #render() {
+        const { year, currency, budget, spend, status } = this.calculate();
+        const money = (amount) => formatMoney(amount, currency);
+        const remaining = (row) => {
+            if (row.remaining === null) return '<span class="text-slate-400">—</span>';
+            const cls = row.isOver ? 'text-red-600 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400';
+            return `<span class="${cls}">${row.isOver ? `${money(-row.remaining)} over` : `${money(row.remaining)} left`}</span>`;
+        };
+        const amountInput = (id, amount) =>
+            `<input type="number" id="${id}" min="0" step="any" class="${INPUT_CLASS}" value="${amount ?? ''}" placeholder="No budget">`;
+
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const quarterLabels = Object.fromEntries(getFiscalQuarters(year, fiscalCalendar).map(q => [q.id, q.label]));
+        const yearLabel = formatFiscalYear(year, fiscalCalendar);
+
+        document.getElementById('budgetModalTitle').textContent = `Travel Budget ${yearLabel}`;
+
+        const types = Object.entries(spend.byType).sort((a, b) => b[1].total - a[1].total);
+        const skipped = [
+            spend.unpriced.length ? `${spend.unpriced.length} trip${spend.unpriced.length === 1 ? ' has' : 's have'} no cost estimate (${spend.unpriced.map(t => t.title).join(', ')}).` : null,
+            spend.otherCurrency.length ? `${spend.otherCurrency.length} trip${spend.otherCurrency.length === 1 ? ' is' : 's are'} priced in another currency and not counted (${spend.otherCurrency.map(t => t.title).join(', ')}).` : null
+        ].filter(Boolean);
+
+        document.getElementById('budgetModalContent').innerHTML = `
+            <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                Trips count towards the quarter they start in, priced from their own estimated cost or their location's default cost.
+                When a quarter has a budget, suggestions that would push it over budget score lower.
+            </p>
+
+            <div class="grid grid-cols-2 gap-3 mb-4">
+                <div>
+                    <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1" for="budgetCurrency">Currency</label>
+                    <input type="text" id="budgetCurrency" maxlength="3" class="${INPUT_CLASS} uppercase text-left" value="${escapeHTML(currency)}">
+                </div>
+            </div>
+
+            <table class="w-full text-sm mb-6">
+                <thead>
+                    <tr class="text-xs uppercase text-slate-500 dark:text-slate-400 text-left">
+                        <th class="py-1">Period</th>
+                        <th class="py-1 text-right">Planned</th>
+                        <th class="py-1 text-right w-36">Budget</th>
+                        <th class="py-1 text-right">Remaining</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-slate-100 dark:divide-slate-700 text-slate-700 dark:text-slate-300">
+                    ${status.quarters.map(row => `
+                        <tr>
+                            <td class="py-2">${row.label} <span class="text-xs text-slate-400">${escapeHTML(quarterLabels[row.id])}</span></td>
+                            <td class="py-2 text-right font-mono">${money(row.planned)}</td>
+                            <td class="py-2 pl-2">${amountInput(`budgetQ${row.id}`, budget?.quarters[row.id])}</td>
+                            <td class="py-2 text-right font-mono">${remaining(row)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="font-semibold">
+                        <td class="py-2">Year ${yearLabel}</td>
+                        <td class="py-2 text-right font-mono">${money(status.year.planned)}</td>
+                        <td class="py-2 pl-2">${amountInput('budgetTotal', budget?.total)}</td>
+                        <td class="py-2 text-right font-mono">${remaining(status.year)}</td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <h4 class="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Planned Spend by Trip Type</h4>
+            ${types.length === 0 ? '<p class="text-sm text-slate-500 dark:text-slate-400">No priced trips this year.</p>' : `
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-xs uppercase text-slate-500 dark:text-slate-400 text-left">
+                            <th class="py-1">Type</th>
+                            ${QUARTERS.map(q => `<th class="py-1 text-right">${q.name}</th>`).join('')}
+                            <th class="py-1 text-right">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-slate-100 dark:divide-slate-700 text-slate-700 dark:text-slate-300">
+                        ${types.map(([type, amounts]) => `
+                            <tr>
+                                <td class="py-2">${escapeHTML(StateManager.getEventTypeConfig(type)?.label || type)}</td>
+                                ${QUARTERS.map(q => `<td class="py-2 text-right font-mono">${money(amounts.quarters[q.id])}</td>`).join('')}
+                                <td class="py-2 text-right font-mono font-semibold">${money(amounts.total)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${skipped.map(note => `<p class="mt-3 text-xs text-amber-600 dark:text-amber-400"><i class="fas fa-info-circle mr-1"></i>${escapeHTML(note)}</p>`).join('')}
+        `;
+
+        document.getElementById('btnClearBudget').classList.toggle('hidden', !budget);
+    }
+
+    /**
+     * Save the budget in the editor for the viewed year
+     * @private
+     */
+    #handleSave() {
+        const value = (id) => document.getElementById(id).value.trim();
+
+        try {
+            const budget = StateManager.setBudget(StateManager.getYear(), {
+                currency: value('budgetCurrency') || DEFAULT_CURRENCY,
+                total: value('budgetTotal'),
+                quarters: Object.fromEntries(QUARTERS.map(q => [q.id, value(`budgetQ${q.id}`)]))
+            });
+            this.#render();
+            ToastService.success(budget ? 'Budget saved' : 'Budget removed');
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default BudgetPanel;
@@ -0,0 +1,491 @@
+/**
+ * CalendarImportModal - Import iCalendar (.ics) entries as constraints or trips
+ *
+ * Features:
+ * - Parse a .ics file (all-day/timed events, RRULE, TZID) via DataService
+ * - Preview every entry with its dates and source location
+ * - Map each entry to a constraint type or trip type using the ComboBox type pickers
+ * - Apply one mapping to all selected entries at once
+ * - Skip entries already imported (matched by UID)
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import DataService from '../services/DataService.js';
+import ToastService from '../services/ToastService.js';
+import { formatDate } from '../services/DateService.js';
+import ComboBox from './ComboBox.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+export class CalendarImportModal {
+    #modalId = 'calendarImportModal';
+    #rows = []; // Array of { entry, imported, selected, kind, initialType, location, typeComboBox }
+    #bulkTypeComboBox = null;
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('calendar-import:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-5xl max-h-[85vh] flex flex-col overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-calendar-plus mr-2"></i>
+                            <span>Import Calendar</span>
+                            <span id="calendarImportFileName" class="ml-2 text-sm font-normal text-slate-500 dark:text-slate-400"></span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="px-6 py-3 border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
+                        <div id="calendarImportSummary" class="text-xs text-slate-500 dark:text-slate-400 mb-2"></div>
+                        <div class="flex flex-wrap items-end gap-2">
+                            <div>
+                                <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1" for="calendarImportBulkKind">Import selected as</label>
+                                <select id="calendarImportBulkKind" class="border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200">
+                                    <option value="constraint">Constraint</option>
+                                    <option value="event">Fixed trip</option>
+                                </select>
+                            </div>
+                            <div class="w-56">
+                                <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Type</label>
+                                <div id="calendarImportBulkType"></div>
+                            </div>
+                            <button id="btnCalendarImportApplyAll" class="px-3 py-2 text-sm bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 rounded text-slate-700 dark:text-slate-200">
+                                Apply to selected
+                            </button>
+                            <label class="ml-auto flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                                <input type="checkbox" id="calendarImportSelectAll" class="rounded" checked>
+                                Select all
+                            </label>
+                        </div>
+                    </div>
+
+                    <div id="calendarImportList" class="flex-1 overflow-y-auto px-6 py-3 space-y-2"></div>
+
+                    <div class="px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded">
+                            Cancel
+                        </button>
+                        <button id="btnConfirmCalendarImport" class="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-medium">
+                            Import
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnImportICS')?.addEventListener('click', () => this.open());
+
+        document.getElementById('calendarImportBulkKind')?.addEventListener('change', (e) => {
+            this.#renderBulkTypePicker(e.target.value);
+        });
+
+        document.getElementById('btnCalendarImportApplyAll')?.addEventListener('click', () => this.#applyToSelected());
+
+        document.getElementById('calendarImportSelectAll')?.addEventListener('change', (e) => {
+            this.#rows.forEach((row, index) => {
+                if (row.imported) return;
+                row.selected = e.target.checked;
+                const checkbox = document.querySelector(`#calendarImportList [data-row-index="${index}"] .calendar-import-select`);
+                if (checkbox) checkbox.checked = row.selected;
+            });
+            this.#updateSummary();
+        });
+
+        document.getElementById('btnConfirmCalendarImport')?.addEventListener('click', () => this.#confirmImport());
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Prompt for a .ics file and open the preview
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.ics,text/calendar';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const contents = await DataService.readFile(file);
+                const entries = DataService.parseICS(contents);
+                if (entries.length === 0) {
+                    ToastService.warning('No calendar entries found in this file');
+                    return;
+                }
+                this.showPreview(entries, file.name);
+            } catch (error) {
+                ToastService.error(error.message);
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Show the preview for parsed entries
+     * @param {Array<object>} entries - Entries from DataService.parseICS
+     * @param {string} fileName - Source file name (display only)
+     */
+    showPreview(entries, fileName = '') {
+        const importedUids = StateManager.getImportedSourceUids();
+
+        this.#rows = entries.map(entry => {
+            const kind = entry.allDay ? 'constraint' : 'event';
+            return {
+                entry,
+                imported: importedUids.has(entry.uid),
+                selected: !importedUids.has(entry.uid),
+                kind,
+                initialType: this.#guessType(entry, kind),
+                location: entry.location,
+                typeComboBox: null
+            };
+        });
+
+        document.getElementById('calendarImportFileName').textContent = fileName;
+        document.getElementById('calendarImportSelectAll').checked = true;
+        document.getElementById('calendarImportBulkKind').value = 'constraint';
+        this.#renderBulkTypePicker('constraint');
+        this.#renderList();
+        this.#openModal();
+    }
+
+    /**
+     * Match an entry's categories against configured type labels or IDs
+     * @private
+     * @param {object} entry - Parsed entry
+     * @param {string} kind - 'constraint' or 'event'
+     * @returns {string} Type ID or '' if nothing matches
+     */
+    #guessType(entry, kind) {
+        const configs = this.#getTypeConfigs(kind);
+        const wanted = entry.categories.map(c => c.toLowerCase());
+
+        const match = Object.entries(configs).find(([id, config]) =>
+            wanted.includes(id.toLowerCase()) || wanted.includes(String(config.label).toLowerCase())
+        );
+        return match ? match[0] : '';
+    }
+
+    /**
+     * Get the type configs for an import kind
+     * @private
+     * @param {string} kind - 'constraint' or 'event'
+     * @returns {object} Type configs keyed by ID
+     */
+    #getTypeConfigs(kind) {
+        if (kind === 'constraint') {
+            return StateManager.getAllConstraintTypeConfigs();
+        }
+
+        const configs = StateManager.getAllEventTypeConfigs();
+        delete configs.archived;
+        return configs;
+    }
+
+    /**
+     * Create a type ComboBox for an import kind
+     * @private
+     * @param {string} kind - 'constraint' or 'event'
+     * @param {HTMLElement} container - Container element
+     * @param {string} value - Initial type ID
+     * @returns {ComboBox} Rendered ComboBox
+     */
+    #createTypePicker(kind, container, value = '') {
+        const options = Object.entries(this.#getTypeConfigs(kind)).map(([id, config]) => ({
+            value: id,
+            label: config.label,
+            isBuiltIn: config.isBuiltIn
+        }));
+
+        const comboBox = new ComboBox({
+            options,
+            value,
+            placeholder: kind === 'constraint' ? 'Select constraint type...' : 'Select trip type...',
+            allowCreate: false,
+            allowDelete: false
+        });
+        comboBox.render(container);
+        return comboBox;
+    }
+
+    /**
+     * Render the bulk type picker
+     * @private
+     * @param {string} kind - 'constraint' or 'event'
+     */
+    #renderBulkTypePicker(kind) {
+        const container = document.getElementById('calendarImportBulkType');
+        this.#bulkTypeComboBox = this.#createTypePicker(kind, container);
+    }
+
+    /**
+     * Apply the bulk kind/type to every selected row
+     * @private
+     */
+    #applyToSelected() {
+        const kind = document.getElementById('calendarImportBulkKind').value;
+        const type = this.#bulkTypeComboBox?.getValue() || '';
+
+        if (!type) {
+            ToastService.warning('Select a type to apply');
+            return;
+        }
+
+        this.#rows.forEach((row, index) => {
+            if (!row.selected || row.imported) return;
+            row.kind = kind;
+            row.initialType = type;
+            this.#renderRowControls(index);
+        });
+    }
+
+    /**
+     * Render the entry list
+     * @private
+     */
+    #renderList() {
+        const listEl = document.getElementById('calendarImportList');
+        listEl.innerHTML = '';
+
+        this.#rows.forEach((row, index) => {
+            listEl.appendChild(this.#createRow(row, index));
+            this.#renderRowControls(index);
+        });
+
+        this.#updateSummary();
+    }
+
+    /**
+     * Create a row element for an entry
+     * @private
+     * @param {object} row - Row state
+     * @param {number} index - Row index
+     * @returns {HTMLElement} Row element
+     */
+    #createRow(row, index) {
+        const { entry } = row;
+        const start = new Date(entry.startDate + 'T00:00:00');
+        const end = new Date(entry.endDate + 'T00:00:00');
+        const dates = entry.startDate === entry.endDate
+            ? formatDate(start, { month: 'short', day: 'numeric', year: 'numeric' })
+            : `${formatDate(start)} – ${formatDate(end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+        const item = document.createElement('div');
+        item.dataset.rowIndex = index;
+        item.className = `grid grid-cols-12 gap-2 items-center p-2 rounded-lg border ${
+            row.imported ? 'opacity-60 bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-700' : 'bg-white dark:bg-slate-800 border-slate-200 dark:border-slate-600'
+        }`;
+
+        item.innerHTML = `
+            <div class="col-span-4 flex items-start gap-2 min-w-0">
+                <input type="checkbox" class="calendar-import-select rounded mt-1" ${row.selected ? 'checked' : ''} ${row.imported ? 'disabled' : ''}>
+                <div class="min-w-0">
+                    <div class="font-medium text-sm text-slate-700 dark:text-slate-200 truncate" title="${escapeHTML(entry.title)}">${escapeHTML(entry.title)}</div>
+                    <div class="text-xs text-slate-500 dark:text-slate-400">
+                        ${escapeHTML(dates)}${entry.allDay ? '' : ' • timed'}
+                        ${row.imported ? '<span class="ml-1 px-1.5 py-0.5 bg-slate-200 dark:bg-slate-700 rounded">Already imported</span>' : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="col-span-2">
+                <select class="calendar-import-kind w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200" ${row.imported ? 'disabled' : ''}>
+                    <option value="constraint">Constraint</option>
+                    <option value="event">Fixed trip</option>
+                </select>
+            </div>
+            <div class="col-span-3 calendar-import-type"></div>
+            <div class="col-span-3">
+                <input type="text" class="calendar-import-location w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200"
+                    placeholder="Location" value="${escapeHTML(row.location)}" ${row.imported ? 'disabled' : ''}>
+            </div>
+        `;
+
+        item.querySelector('.calendar-import-select').addEventListener('change', (e) => {
+            row.selected = e.target.checked;
+            this.#updateSummary();
+        });
+
+        item.querySelector('.calendar-import-kind').addEventListener('change', (e) => {
+            row.kind = e.target.value;
+            row.initialType = this.#guessType(entry, row.kind);
+            this.#renderRowControls(index);
+        });
+
+        item.querySelector('.calendar-import-location').addEventListener('input', (e) => {
+            row.location = e.target.value;
+        });
+
+        return item;
+    }
+
+    /**
+     * Render the kind-dependent controls of a row (type picker, location visibility)
+     * @private
+     * @param {number} index - Row index
+     */
+    #renderRowControls(index) {
+        const row = this.#rows[index];
+        const item = document.querySelector(`#calendarImportList [data-row-index="${index}"]`);
+        if (!row || !item) return;
+
+        item.querySelector('.calendar-import-kind').value = row.kind;
+        row.typeComboBox = this.#createTypePicker(row.kind, item.querySelector('.calendar-import-type'), row.initialType);
+
+        // Constraints have no location
+        item.querySelector('.calendar-import-location').classList.toggle('invisible', row.kind !== 'event');
+    }
+
+    /**
+     * Update the summary line and import button label
+     * @private
+     */
+    #updateSummary() {
+        const importedCount = this.#rows.filter(r => r.imported).length;
+        const selectedCount = this.#rows.filter(r => r.selected && !r.imported).length;
+
+        document.getElementById('calendarImportSummary').textContent =
+            `${this.#rows.length} entries • ${importedCount} already imported • ${selectedCount} selected`;
+
+        const button = document.getElementById('btnConfirmCalendarImport');
+        button.textContent = `Import ${selectedCount}`;
+        button.disabled = selectedCount === 0;
+        button.classList.toggle('opacity-50', selectedCount === 0);
+    }
+
+    /**
+     * Create constraints and trips for the selected rows
+     * @private
+     */
+    #confirmImport() {
+        const selected = this.#rows.filter(r => r.selected && !r.imported);
+        if (selected.length === 0) return;
+
+        const missingType = selected.filter(r => !r.typeComboBox?.getValue());
+        if (missingType.length > 0) {
+            ToastService.warning(`Select a type for ${missingType.length} selected ${missingType.length === 1 ? 'entry' : 'entries'}`);
+            return;
+        }
+
+        const missingLocation = selected.filter(r => r.kind === 'event' && !r.location.trim());
+        if (missingLocation.length > 0) {
+            ToastService.warning(`Enter a location for ${missingLocation.length} selected ${missingLocation.length === 1 ? 'trip' : 'trips'}`);
+            return;
+        }
+
+        let constraintCount = 0;
+        let tripCount = 0;
+        const failures = [];
+
+        StateManager.batch('Import calendar', () => {
+            selected.forEach(row => {
+                const { entry } = row;
+                const type = row.typeComboBox.getValue();
+
+                try {
+                    if (row.kind === 'constraint') {
+                        StateManager.addConstraint({
+                            title: entry.title,
+                            type,
+                            startDate: entry.startDate,
+                            endDate: entry.endDate,
+                            sourceUid: entry.uid
+                        });
+                        constraintCount++;
+                    } else {
+                        StateManager.addEvent({
+                            title: entry.title,
+                            type,
+                            location: row.location.trim(),
+                            startDate: entry.startDate,
+                            endDate: entry.endDate,
+                            isFixed: true,
+                            sourceUid: entry.uid
+                        });
+                        tripCount++;
+                    }
+                } catch (error) {
+                    failures.push(`${entry.title}: ${error.message}`);
+                }
+            });
+        });
+
+        const parts = [];
+        if (constraintCount > 0) parts.push(`${constraintCount} ${constraintCount === 1 ? 'constraint' : 'constraints'}`);
+        if (tripCount > 0) parts.push(`${tripCount} ${tripCount === 1 ? 'trip' : 'trips'}`);
+
+        if (parts.length > 0) {
+            ToastService.success(`Imported ${parts.join(' and ')}`);
+        }
+        if (failures.length > 0) {
+            console.warn('Calendar import failures:', failures);
+            ToastService.error(`${failures.length} ${failures.length === 1 ? 'entry' : 'entries'} could not be imported`);
+        }
+
+        this.close();
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default CalendarImportModal;
@@ -1,21 +1,38 @@
 /**
  * CalendarView - Year-at-a-glance calendar view
  *
- * Displays all 12 months in a grid layout with event/constraint indicators
+ * Displays all 12 months in a grid layout with event/constraint indicators,
+ * starting with the fiscal year's first month (January by default)
  * Supports dynamic type colors and archived event rendering
+ * Trip bars can be dragged to new dates (see TripDragController)
  */
 
 import EventBus from '../utils/EventBus.js';
 import StateManager from '../services/StateManager.js';
-import { MONTH_NAMES_FULL } from '../config/calendarConfig.js';
-import { getCalendarGrid, dateToISO, getMonday, overlapsWithWeek } from '../services/DateService.js';
+import { MONTH_NAMES_FULL, WEEKDAY_NAMES, TRIP_STATUSES, DEFAULT_TRIP_STATUS } from '../config/calendarConfig.js';
+import { getCalendarGrid, dateToISO, getMonday, getWeekdayOrder, isWorkingDay, overlapsWithWeek, getEventWeeks, getEventLegs, getFiscalMonths, getFiscalYearRange } from '../services/DateService.js';
+import { expandEvents, expandConstraints } from '../services/RecurrenceService.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
+import { TripDragController, DROP_ZONE_CLASSES } from './TripDragController.js';
+
+// How trip bars show their lifecycle status: dashed while not yet approved,
+// a solid outline once booked; icon shows TRIP_STATUSES[status].icon (also used by TimelineView)
+export const STATUS_BAR_STYLES = Object.freeze({
+    idea: { classes: ['border', 'border-dashed', 'border-white/80', 'opacity-60'], showIcon: true },
+    tentative: { classes: ['border', 'border-dashed', 'border-white/80'], showIcon: false },
+    approved: { classes: ['border', 'border-transparent'], showIcon: false },
+    booked: { classes: ['border', 'border-solid', 'border-white', 'font-semibold'], showIcon: true },
+    completed: { classes: ['border', 'border-transparent', 'opacity-75'], showIcon: true },
+    cancelled: { classes: ['border', 'border-transparent', 'opacity-40', 'line-through'], showIcon: true }
+});
 
 export class CalendarView {
     #container = null;
     #highlightMode = null; // 'traveling', 'home', 'conflicts', or null
     #travelWeeks = [];
     #conflictDates = [];
+    #hiddenStatuses = new Set(); // Trip statuses filtered out of the calendar
+    #dragController = new TripDragController();
 
     constructor() {
         // Listen for highlight events
@@ -65,10 +82,9 @@ export class CalendarView {
             const dateStr = cell.dataset.date;
             if (!dateStr) return;
 
-            // Only highlight Mon-Fri (skip weekends)
+            // Only highlight working days (skip the weekend)
             const date = new Date(dateStr + 'T12:00:00');
-            const dayOfWeek = date.getDay();
-            if (dayOfWeek === 0 || dayOfWeek === 6) return; // Skip Sunday (0) and Saturday (6)
+            if (!isWorkingDay(date)) return;
 
             const monday = getMonday(date);
             const mondayISO = dateToISO(monday);
@@ -97,6 +113,8 @@ export class CalendarView {
         this.#container = container;
         const state = StateManager.getState();
         const year = StateManager.getYear();
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const monthsToRender = getFiscalMonths(year, fiscalCalendar);
 
         // Debug: Check what data we have
         console.log('CalendarView - Rendering with state:', {
@@ -110,44 +128,79 @@ export class CalendarView {
         container.innerHTML = '';
         container.className = 'flex flex-col h-full bg-slate-50 dark:bg-slate-900 overflow-hidden';
 
-        // Add legend
-        const legend = this.#renderLegend();
+        // Expand recurring trips/constraints over the year (plus days shown from adjacent months)
+        const first = monthsToRender[0];
+        const last = monthsToRender[monthsToRender.length - 1];
+        const rangeStart = dateToISO(new Date(first.year, first.month - 1, 1));
+        const rangeEnd = dateToISO(new Date(last.year, last.month + 2, 0));
+        const allEvents = expandEvents(state.events || [], rangeStart, rangeEnd);
+        const events = allEvents.filter(e => !this.#hiddenStatuses.has(this.#getStatus(e)));
+        const constraints = expandConstraints(state.constraints || [], rangeStart, rangeEnd);
+
+        // Add legend (status counts cover the year's trips, shown or not)
+        const legend = this.#renderLegend(this.#countByStatus(allEvents, getFiscalYearRange(year, fiscalCalendar)));
         container.appendChild(legend);
 
         // Calendar grid container
         const calendarGrid = document.createElement('div');
         calendarGrid.className = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4 p-6 overflow-y-auto flex-1';
 
-        // Render all 12 months (Jan through Dec)
-        const monthsToRender = [
-            { year: year, month: 0 },   // Jan
-            { year: year, month: 1 },   // Feb
-            { year: year, month: 2 },   // Mar
-            { year: year, month: 3 },   // Apr
-            { year: year, month: 4 },   // May
-            { year: year, month: 5 },   // Jun
-            { year: year, month: 6 },   // Jul
-            { year: year, month: 7 },   // Aug
-            { year: year, month: 8 },   // Sep
-            { year: year, month: 9 },   // Oct
-            { year: year, month: 10 },  // Nov
-            { year: year, month: 11 }   // Dec
-        ];
-
+        // Render all 12 months of the (fiscal) year
         monthsToRender.forEach(({ year, month }) => {
-            const monthEl = this.#renderMonth(year, month, state.events, state.constraints);
+            const monthEl = this.#renderMonth(year, month, events, constraints);
             calendarGrid.appendChild(monthEl);
         });
 
         container.appendChild(calendarGrid);
         this.#attachEventListeners();
+        this.#attachDragListeners(calendarGrid);
+    }
+
+    /**
+     * Get a trip's lifecycle status
+     * @private
+     * @param {object} event - Event or occurrence
+     * @returns {string} Status id (trips saved before statuses existed are tentative)
+     */
+    #getStatus(event) {
+        return event.status || DEFAULT_TRIP_STATUS;
     }
 
     /**
-     * Render legend with dynamic types
+     * Count the non-archived trips of a year per lifecycle status
      * @private
+     * @param {Array} events - Expanded events
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @returns {object} { [status]: count }
      */
-    #renderLegend() {
+    #countByStatus(events, range) {
+        const counts = Object.fromEntries(Object.keys(TRIP_STATUSES).map(status => [status, 0]));
+        events
+            .filter(e => !e.archived && e.startDate >= range.startDate && e.startDate <= range.endDate)
+            .forEach(e => counts[this.#getStatus(e)]++);
+        return counts;
+    }
+
+    /**
+     * Toggle whether trips of a status are shown
+     * @private
+     * @param {string} status - Status id
+     */
+    #toggleStatusFilter(status) {
+        if (this.#hiddenStatuses.has(status)) {
+            this.#hiddenStatuses.delete(status);
+        } else {
+            this.#hiddenStatuses.add(status);
+        }
+        this.render(this.#container);
+    }
+
+    /**
+     * Render legend with dynamic types and the trip status filter
+     * @private
+     * @param {object} statusCounts - Trips of the year per status (see #countByStatus)
+     */
+    #renderLegend(statusCounts) {
         const legendEl = document.createElement('div');
         legendEl.className = 'bg-white dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700 px-6 py-3 overflow-x-auto';
 
@@ -193,9 +246,31 @@ export class CalendarView {
             </div>
         `;
 
+        // Trip statuses: click to show/hide trips of a status
+        html += '<div class="h-4 w-px bg-slate-300 dark:bg-slate-600"></div>';
+        html += '<div class="font-bold text-slate-700 dark:text-slate-300">Status:</div>';
+        Object.entries(TRIP_STATUSES).forEach(([status, config]) => {
+            const isHidden = this.#hiddenStatuses.has(status);
+            html += `
+                <button type="button" data-status-filter="${status}" class="flex items-center gap-1 px-1.5 py-0.5 rounded border ${STATUS_BAR_STYLES[status].classes.includes('border-dashed') ? 'border-dashed' : 'border-solid'} border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700 transition ${isHidden ? 'opacity-40 line-through' : ''}"
+                    title="${isHidden ? 'Show' : 'Hide'} ${escapeHTML(config.label.toLowerCase())} trips">
+                    <i class="fas ${config.icon} text-[10px] text-slate-500 dark:text-slate-400"></i>
+                    <span class="text-slate-600 dark:text-slate-400">${escapeHTML(config.label)}</span>
+                    <span class="font-mono font-bold text-slate-700 dark:text-slate-300">${statusCounts[status]}</span>
+                </button>
+            `;
+        });
+
         html += '</div>';
         legendEl.innerHTML = html;
 
+        legendEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-status-filter]');
+            if (button) {
+                this.#toggleStatusFilter(button.dataset.statusFilter);
+            }
+        });
+
         return legendEl;
     }
 
@@ -228,8 +303,8 @@ export class CalendarView {
         const gridContainer = document.createElement('div');
         gridContainer.className = 'p-2 flex-1 flex flex-col';
 
-        // Day headers (S M T W T F S)
-        const dayHeaders = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+        // Day headers (S M T W T F S), starting with the first working day
+        const dayHeaders = getWeekdayOrder().map(day => WEEKDAY_NAMES[day].charAt(0));
         const headerRow = document.createElement('div');
         headerRow.className = 'grid grid-cols-7 gap-1 mb-1';
 
@@ -284,13 +359,12 @@ export class CalendarView {
         const dayEvents = eventList.filter(e => {
             if (!e) return false;
 
-            // For flexible trips (isFixed=false or no endDate), check if in same week
+            // For flexible trips (isFixed=false or no endDate), check if in one of the trip's weeks
             if (!e.isFixed || !e.endDate) {
-                // Skip weekends for flexible events
-                const dayOfWeek = date.getDay();
-                if (dayOfWeek === 0 || dayOfWeek === 6) return false; // Skip Sunday (0) and Saturday (6)
-                // Check if this date is in the same week as the event
-                return e.startDate === mondayISO;
+                // Skip the weekend for flexible events
+                if (!isWorkingDay(date)) return false;
+                // Multi-week trips are drawn across every week of their duration
+                return getEventWeeks(e).includes(mondayISO);
             }
 
             // For fixed trips, check if this specific date falls within the range
@@ -309,9 +383,6 @@ export class CalendarView {
             return thisDate >= constraintStart && thisDate <= constraintEnd;
         });
 
-        // Only highlight Mon-Fri days (getDay: 1=Mon, 5=Fri)
-        const isWeekday = date.getDay() >= 1 && date.getDay() <= 5;
-
         // Day number at top
         const dayNumber = document.createElement('div');
         dayNumber.className = 'font-semibold mb-1';
@@ -366,7 +437,7 @@ export class CalendarView {
             text.textContent = event.title;
             bar.appendChild(text);
 
-            bar.title = `${event.title} - ${event.location} (ARCHIVED - Click to edit)`;
+            bar.title = `${event.title} - ${this.#formatRoute(event)} (ARCHIVED - Click to edit)`;
         } else {
             // Active events: use dynamic colors from type configuration
             const typeConfig = StateManager.getEventTypeConfig(event.type);
@@ -383,15 +454,48 @@ export class CalendarView {
             }
 
             bar.textContent = event.title;
-            bar.title = `${event.title} - ${event.location} (Click to edit)`;
+            this.#applyStatusStyle(bar, event);
+            const weeks = !event.isFixed && event.duration > 1 ? `, ${event.duration} weeks` : '';
+            const repeats = event.seriesId ? ', repeating' : '';
+            const status = TRIP_STATUSES[this.#getStatus(event)].label;
+            bar.title = `${event.title} - ${this.#formatRoute(event)}${weeks}${repeats} - ${status} (Click to edit)`;
         }
 
         bar.dataset.action = 'edit-event';
-        bar.dataset.id = event.id;
+        bar.draggable = !event.archived;
+        this.#setOccurrenceData(bar, event);
 
         return bar;
     }
 
+    /**
+     * Style an event bar for the trip's lifecycle status (see STATUS_BAR_STYLES)
+     * @private
+     * @param {HTMLElement} bar - Event bar
+     * @param {object} event - Event or occurrence
+     */
+    #applyStatusStyle(bar, event) {
+        const status = this.#getStatus(event);
+        const style = STATUS_BAR_STYLES[status];
+        bar.classList.add(...style.classes);
+
+        if (style.showIcon) {
+            const icon = document.createElement('i');
+            icon.className = `fas ${TRIP_STATUSES[status].icon} text-[7px]`;
+            bar.prepend(icon);
+        }
+    }
+
+    /**
+     * Format a trip's location, listing every city of multi-city trips
+     * @private
+     * @param {object} event - Event or occurrence
+     * @returns {string} e.g. "London" or "London → Berlin"
+     */
+    #formatRoute(event) {
+        return event.legs ? getEventLegs(event).map(leg => leg.location).join(' → ') : event.location;
+    }
+
     /**
      * Create a clickable constraint bar
      * @private
@@ -415,13 +519,30 @@ export class CalendarView {
         }
 
         bar.textContent = constraint.title;
-        bar.title = `${constraint.title} (Click to edit)`;
+        bar.title = `${constraint.title}${constraint.seriesId ? ', repeating' : ''} (Click to edit)`;
         bar.dataset.action = 'edit-constraint';
-        bar.dataset.id = constraint.id;
+        this.#setOccurrenceData(bar, constraint);
 
         return bar;
     }
 
+    /**
+     * Point a bar at its trip/constraint, marking occurrences of recurring series
+     * @private
+     * @param {HTMLElement} bar - Event or constraint bar
+     * @param {object} item - Event, constraint or occurrence
+     */
+    #setOccurrenceData(bar, item) {
+        bar.dataset.id = item.seriesId ?? item.id;
+        if (!item.seriesId) return;
+
+        bar.dataset.occurrence = item.occurrenceDate;
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${item.isModified ? 'fa-pen' : 'fa-redo'} text-[7px] mr-0.5`;
+        bar.prepend(icon);
+    }
+
     /**
      * Attach event listeners
      * @private
@@ -439,6 +560,63 @@ export class CalendarView {
             EventBus.emit('calendar:day-clicked', { date: dateISO });
         });
     }
+
+    /**
+     * Let trip bars be dragged onto other days, scoring each target live
+     * @private
+     * @param {HTMLElement} grid - Calendar grid (replaced on every render)
+     */
+    #attachDragListeners(grid) {
+        grid.addEventListener('dragstart', (e) => {
+            const bar = e.target.closest('[data-action="edit-event"]');
+            const dayEl = bar?.closest('[data-date]');
+            if (!dayEl || !this.#dragController.start(bar.dataset.id, bar.dataset.occurrence || null, dayEl.dataset.date)) {
+                e.preventDefault();
+                return;
+            }
+
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', bar.dataset.id);
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            const dayEl = e.target.closest('[data-date]');
+            if (!dayEl || !this.#dragController.isDragging()) return;
+
+            e.preventDefault();
+            this.#showDropZone(grid, this.#dragController.preview(dayEl.dataset.date, e.clientX, e.clientY));
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const dayEl = e.target.closest('[data-date]');
+            if (!dayEl) return;
+
+            e.preventDefault();
+            this.#showDropZone(grid, null);
+            this.#dragController.drop(dayEl.dataset.date);
+        });
+
+        grid.addEventListener('dragend', () => {
+            this.#showDropZone(grid, null);
+            this.#dragController.end();
+        });
+    }
+
+    /**
+     * Highlight the days a dragged trip would cover, colored by its score
+     * @private
+     * @param {HTMLElement} grid - Calendar grid
+     * @param {object|null} preview - Drag preview (see TripDragController.preview), null to clear
+     */
+    #showDropZone(grid, preview) {
+        const allClasses = Object.values(DROP_ZONE_CLASSES).flatMap(classes => classes.split(' '));
+        grid.querySelectorAll('[data-date]').forEach(dayEl => {
+            dayEl.classList.remove(...allClasses);
+            if (preview && dayEl.dataset.date >= preview.range.startDate && dayEl.dataset.date <= preview.range.endDate) {
+                dayEl.classList.add(...DROP_ZONE_CLASSES[preview.tone].split(' '));
+            }
+        });
+    }
 }
 
 export default CalendarView;
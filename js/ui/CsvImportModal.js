@@ -0,0 +1,309 @@
+/**
+ * CsvImportModal - Import trips and constraints from a spreadsheet (.csv)
+ *
+ * Features:
+ * - Map arbitrary CSV columns to Event/Constraint fields (guessed from headers)
+ * - Validate every row with the Event and Constraint models
+ * - Per-row error report; valid rows can be imported while invalid rows are skipped
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import DataService, { CSV_IMPORT_FIELDS } from '../services/DataService.js';
+import ToastService from '../services/ToastService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+// Labels shown next to each mappable field
+const FIELD_LABELS = {
+    kind: 'Kind (Trip/Constraint)',
+    title: 'Title',
+    type: 'Type',
+    location: 'Location',
+    startDate: 'Start date',
+    endDate: 'End date',
+    isFixed: 'Fixed/Flexible',
+    archived: 'Archived'
+};
+
+// Fields that must be mapped before rows can be validated
+const REQUIRED_FIELDS = ['title', 'type', 'startDate'];
+
+export class CsvImportModal {
+    #modalId = 'csvImportModal';
+    #headers = [];
+    #rows = [];
+    #result = null; // Last conversion result { events, constraints, errors }
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('csv-import:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-file-csv mr-2"></i>
+                            <span>Import Spreadsheet</span>
+                            <span id="csvImportFileName" class="ml-2 text-sm font-normal text-slate-500 dark:text-slate-400"></span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="flex-1 overflow-y-auto p-6 space-y-4">
+                        <div>
+                            <h4 class="font-semibold text-sm text-slate-700 dark:text-slate-200 mb-2">Column Mapping</h4>
+                            <div id="csvImportMapping" class="grid grid-cols-2 gap-x-4 gap-y-2"></div>
+                            <div class="mt-3 flex items-center gap-2">
+                                <label for="csvImportDefaultKind" class="text-sm text-slate-600 dark:text-slate-300">Rows without a kind are</label>
+                                <select id="csvImportDefaultKind" class="border dark:border-slate-600 rounded p-1.5 text-sm bg-white dark:bg-slate-700 dark:text-slate-200">
+                                    <option value="event">Trips</option>
+                                    <option value="constraint">Constraints</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div>
+                            <h4 class="font-semibold text-sm text-slate-700 dark:text-slate-200 mb-2">Validation</h4>
+                            <div id="csvImportSummary" class="text-sm text-slate-600 dark:text-slate-300 mb-2"></div>
+                            <div id="csvImportErrors" class="max-h-56 overflow-y-auto border border-slate-200 dark:border-slate-700 rounded-lg divide-y divide-slate-200 dark:divide-slate-700"></div>
+                        </div>
+                    </div>
+
+                    <div class="px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded">
+                            Cancel
+                        </button>
+                        <button id="btnConfirmCsvImport" class="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-medium">
+                            Import
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnImportCSV')?.addEventListener('click', () => this.open());
+
+        document.getElementById('csvImportDefaultKind')?.addEventListener('change', () => this.#validate());
+
+        document.getElementById('csvImportMapping')?.addEventListener('change', (e) => {
+            if (e.target.matches('select[data-field]')) {
+                this.#validate();
+            }
+        });
+
+        document.getElementById('btnConfirmCsvImport')?.addEventListener('click', () => this.#confirmImport());
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Prompt for a .csv file and open the mapping wizard
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv,text/csv';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const contents = await DataService.readFile(file);
+                const { headers, rows } = DataService.parseCSV(contents);
+                this.showMapping(headers, rows, file.name);
+            } catch (error) {
+                ToastService.error(error.message);
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Show the mapping wizard for parsed CSV data
+     * @param {Array<string>} headers - Header row
+     * @param {Array<Array<string>>} rows - Data rows
+     * @param {string} fileName - Source file name (display only)
+     */
+    showMapping(headers, rows, fileName = '') {
+        this.#headers = headers;
+        this.#rows = rows;
+
+        document.getElementById('csvImportFileName').textContent = fileName;
+        this.#renderMapping(DataService.guessCSVMapping(headers));
+        this.#validate();
+        this.#openModal();
+    }
+
+    /**
+     * Render the field-to-column selects
+     * @private
+     * @param {object} mapping - Initial mapping (field name to column index)
+     */
+    #renderMapping(mapping) {
+        const container = document.getElementById('csvImportMapping');
+        const columnOptions = this.#headers.map((header, index) => ({
+            value: String(index),
+            label: header || `Column ${index + 1}`
+        }));
+
+        container.innerHTML = CSV_IMPORT_FIELDS.map(field => `
+            <label class="flex items-center justify-between gap-2 text-sm text-slate-600 dark:text-slate-300">
+                <span>${escapeHTML(FIELD_LABELS[field])}${REQUIRED_FIELDS.includes(field) ? ' <span class="text-red-500">*</span>' : ''}</span>
+                <select data-field="${field}" class="w-44 border dark:border-slate-600 rounded p-1.5 text-sm bg-white dark:bg-slate-700 dark:text-slate-200">
+                    <option value="">— Not mapped —</option>
+                    ${columnOptions.map(opt => `
+                        <option value="${opt.value}" ${mapping[field] === Number(opt.value) ? 'selected' : ''}>${escapeHTML(opt.label)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Read the current mapping from the selects
+     * @private
+     * @returns {object} Mapping of field name to column index (null if not mapped)
+     */
+    #getMapping() {
+        const mapping = {};
+        document.querySelectorAll('#csvImportMapping select[data-field]').forEach(select => {
+            mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+        });
+        return mapping;
+    }
+
+    /**
+     * Validate all rows with the current mapping and render the report
+     * @private
+     */
+    #validate() {
+        const mapping = this.#getMapping();
+        const summaryEl = document.getElementById('csvImportSummary');
+        const errorsEl = document.getElementById('csvImportErrors');
+
+        const missing = REQUIRED_FIELDS.filter(field => mapping[field] === null);
+        if (missing.length > 0) {
+            this.#result = null;
+            summaryEl.innerHTML = `<span class="text-amber-600 dark:text-amber-400"><i class="fas fa-exclamation-circle mr-1"></i>Map ${escapeHTML(missing.map(f => FIELD_LABELS[f]).join(', '))} to continue.</span>`;
+            errorsEl.innerHTML = '';
+            errorsEl.classList.add('hidden');
+            this.#updateImportButton();
+            return;
+        }
+
+        this.#result = DataService.convertCSVRows(this.#rows, mapping, {
+            defaultKind: document.getElementById('csvImportDefaultKind').value,
+            eventTypeConfigs: StateManager.getAllEventTypeConfigs(),
+            constraintTypeConfigs: StateManager.getAllConstraintTypeConfigs()
+        });
+
+        const { events, constraints, errors } = this.#result;
+        summaryEl.innerHTML = `
+            <span class="text-green-600 dark:text-green-400"><i class="fas fa-check-circle mr-1"></i>${events.length} trips, ${constraints.length} constraints ready</span>
+            ${errors.length > 0 ? `<span class="ml-3 text-red-600 dark:text-red-400"><i class="fas fa-times-circle mr-1"></i>${errors.length} ${errors.length === 1 ? 'row' : 'rows'} with errors will be skipped</span>` : ''}
+        `;
+
+        errorsEl.classList.toggle('hidden', errors.length === 0);
+        errorsEl.innerHTML = errors.map(error => `
+            <div class="flex gap-3 px-3 py-1.5 text-xs">
+                <span class="font-mono text-slate-500 dark:text-slate-400 w-14 shrink-0">Row ${error.row}</span>
+                <span class="text-red-600 dark:text-red-400">${escapeHTML(error.message)}</span>
+            </div>
+        `).join('');
+
+        this.#updateImportButton();
+    }
+
+    /**
+     * Update the import button label and enabled state
+     * @private
+     */
+    #updateImportButton() {
+        const count = this.#result ? this.#result.events.length + this.#result.constraints.length : 0;
+        const button = document.getElementById('btnConfirmCsvImport');
+        button.textContent = `Import ${count} ${count === 1 ? 'row' : 'rows'}`;
+        button.disabled = count === 0;
+        button.classList.toggle('opacity-50', count === 0);
+    }
+
+    /**
+     * Add all valid rows to the plan as a single undoable step
+     * @private
+     */
+    #confirmImport() {
+        if (!this.#result) return;
+
+        const { events, constraints, errors } = this.#result;
+        if (events.length + constraints.length === 0) return;
+
+        StateManager.batch('Import CSV', () => {
+            events.forEach(event => StateManager.addEvent(event));
+            constraints.forEach(constraint => StateManager.addConstraint(constraint));
+        });
+
+        const skipped = errors.length > 0 ? ` (${errors.length} skipped)` : '';
+        ToastService.success(`Imported ${events.length} trips and ${constraints.length} constraints${skipped}`);
+        this.close();
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default CsvImportModal;
@@ -0,0 +1,307 @@
+/**
+ * DashboardView - Travel analytics for the viewed (fiscal) year
+ *
+ * Charts are plain SVG and all follow the type and location filters:
+ * - Trips and days away by month and by quarter
+ * - Days away by event type and by location
+ * - Consolidation rate and longest stretch at home
+ * - Conflicts by month
+ * - Year-over-year comparison of every year with trips
+ *
+ * See AnalyticsService for how trips and days are counted.
+ */
+
+import StateManager from '../services/StateManager.js';
+import ScoringEngine from '../services/ScoringEngine.js';
+import {
+    filterTrips, getPeriodStats, getBreakdown, getConsolidationRate,
+    getConflictTrend, getLongestHomeStretch, getTripYears, getYearOverYear
+} from '../services/AnalyticsService.js';
+import { getFiscalMonths, getFiscalQuarters, getFiscalYearRange, formatFiscalYear, formatDate, getEventLegs } from '../services/DateService.js';
+import { normalizeLocationName } from '../models/Location.js';
+import { MONTH_NAMES } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const SELECT_CLASS = 'border dark:border-slate-600 rounded p-1.5 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const CARD_CLASS = 'bg-white dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700 p-4';
+const TEXT_FILL = 'fill-slate-500 dark:fill-slate-400';
+const MAX_LOCATIONS = 10; // Location breakdown shows the busiest ones
+
+export class DashboardView {
+    #filters = { type: '', location: '' };
+
+    /**
+     * Render the dashboard
+     * @param {HTMLElement} container - Container element
+     */
+    render(container) {
+        const state = StateManager.getState();
+        const year = StateManager.getYear();
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const range = getFiscalYearRange(year, fiscalCalendar);
+
+        const events = filterTrips(state.events, this.#filters);
+        const months = getFiscalMonths(year, fiscalCalendar).map(month => ({ ...month, label: MONTH_NAMES[month.month] }));
+        const quarters = getFiscalQuarters(year, fiscalCalendar);
+        const conflicts = ScoringEngine.detectConflicts(events, state.constraints);
+        const years = [...new Set([...getTripYears(state.events, fiscalCalendar), year])].sort((a, b) => a - b);
+
+        const monthStats = getPeriodStats(events, months);
+        const quarterStats = getPeriodStats(events, quarters);
+        const consolidation = getConsolidationRate(events, range);
+        const homeStretch = getLongestHomeStretch(events, range);
+        const yearStats = getYearOverYear(events, years, fiscalCalendar);
+        const totals = yearStats.find(stats => stats.year === year);
+
+        container.innerHTML = '';
+        container.className = 'flex flex-col h-full bg-slate-50 dark:bg-slate-900 overflow-hidden';
+        container.innerHTML = `
+            ${this.#renderFilters(state)}
+            <div class="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-4 p-6 overflow-y-auto flex-1 content-start">
+                <div class="${CARD_CLASS} lg:col-span-2 xl:col-span-3 grid grid-cols-2 md:grid-cols-4 gap-4">
+                    ${this.#renderTile('fa-plane-departure', 'Trips', totals.trips, formatFiscalYear(year, fiscalCalendar))}
+                    ${this.#renderTile('fa-suitcase-rolling', 'Days Away', totals.daysAway, `${totals.weeksTraveling} travel week${totals.weeksTraveling === 1 ? '' : 's'}`)}
+                    ${this.#renderTile('fa-object-group', 'Consolidation Rate', `${Math.round(consolidation.rate * 100)}%`,
+                        `${consolidation.consolidated} of ${consolidation.trips} trips share a week and city`)}
+                    ${this.#renderTile('fa-home', 'Longest Home Stretch', `${homeStretch.days} days`, homeStretch.startDate
+                        ? `${this.#formatDay(homeStretch.startDate)} - ${this.#formatDay(homeStretch.endDate)}`
+                        : 'No days at home')}
+                </div>
+                ${this.#renderCard('Days Away by Month', this.#renderColumnChart(monthStats, 'daysAway', 'fill-indigo-500 dark:fill-indigo-400'))}
+                ${this.#renderCard('Trips by Month', this.#renderColumnChart(monthStats, 'trips', 'fill-blue-500 dark:fill-blue-400'))}
+                ${this.#renderCard('By Quarter', this.#renderBarChart(quarterStats.map(quarter => ({
+                    label: quarter.name,
+                    value: quarter.daysAway,
+                    text: `${quarter.daysAway} days · ${quarter.trips} trip${quarter.trips === 1 ? '' : 's'}`
+                }))))}
+                ${this.#renderCard('By Event Type', this.#renderBarChart(getBreakdown(events, range, 'type').map(group => ({
+                    label: StateManager.getEventTypeConfig(group.key)?.label || group.key,
+                    value: group.daysAway,
+                    text: `${group.daysAway} days · ${group.trips} trip${group.trips === 1 ? '' : 's'}`,
+                    color: this.#getTypeColor(group.key)
+                }))))}
+                ${this.#renderCard('By Location', this.#renderBarChart(getBreakdown(events, range, 'location').slice(0, MAX_LOCATIONS).map(group => ({
+                    label: group.key,
+                    value: group.daysAway,
+                    text: `${group.daysAway} days · ${group.trips} trip${group.trips === 1 ? '' : 's'}`
+                }))))}
+                ${this.#renderCard('Conflicts by Month', this.#renderLineChart(getConflictTrend(conflicts, months), 'conflicts'))}
+                ${this.#renderCard('Year over Year', this.#renderBarChart(yearStats.map(stats => ({
+                    label: formatFiscalYear(stats.year, fiscalCalendar),
+                    value: stats.daysAway,
+                    text: `${stats.daysAway} days · ${stats.trips} trip${stats.trips === 1 ? '' : 's'} · ${stats.weeksTraveling} wk`,
+                    highlight: stats.year === year
+                }))), 'lg:col-span-2 xl:col-span-3')}
+            </div>
+        `;
+
+        this.#attachFilterListeners(container);
+    }
+
+    /**
+     * Render the type and location filters
+     * @private
+     * @param {object} state - State (see StateManager.getState)
+     * @returns {string} HTML
+     */
+    #renderFilters(state) {
+        const typeOptions = Object.entries(state.eventTypeConfigs)
+            .map(([id, config]) => `<option value="${escapeHTML(id)}" ${id === this.#filters.type ? 'selected' : ''}>${escapeHTML(config.label)}</option>`)
+            .join('');
+
+        // Every trip location and leg, once per name
+        const locations = new Map();
+        state.events.forEach(event => getEventLegs(event).forEach(leg => {
+            const key = normalizeLocationName(leg.location);
+            if (key && !locations.has(key)) locations.set(key, leg.location);
+        }));
+        const locationOptions = [...locations.values()]
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => `<option value="${escapeHTML(name)}" ${normalizeLocationName(name) === normalizeLocationName(this.#filters.location) ? 'selected' : ''}>${escapeHTML(name)}</option>`)
+            .join('');
+
+        return `
+            <div class="flex items-center gap-3 px-6 py-3 border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-sm">
+                <i class="fas fa-filter text-slate-400"></i>
+                <select id="dashboardTypeFilter" class="${SELECT_CLASS}">
+                    <option value="">All types</option>
+                    ${typeOptions}
+                </select>
+                <select id="dashboardLocationFilter" class="${SELECT_CLASS}">
+                    <option value="">All locations</option>
+                    ${locationOptions}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Re-render when a filter changes
+     * @private
+     * @param {HTMLElement} container - Container element
+     */
+    #attachFilterListeners(container) {
+        container.querySelector('#dashboardTypeFilter')?.addEventListener('change', (e) => {
+            this.#filters.type = e.target.value;
+            this.render(container);
+        });
+        container.querySelector('#dashboardLocationFilter')?.addEventListener('change', (e) => {
+            this.#filters.location = e.target.value;
+            this.render(container);
+        });
+    }
+
+    /**
+     * Render a headline number
+     * @private
+     * @returns {string} HTML
+     */
+    #renderTile(icon, label, value, detail) {
+        return `
+            <div>
+                <div class="text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1"><i class="fas ${icon} mr-1"></i>${escapeHTML(label)}</div>
+                <div class="text-2xl font-bold font-mono text-slate-800 dark:text-slate-100">${escapeHTML(String(value))}</div>
+                <div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(detail)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a chart card
+     * @private
+     * @param {string} title - Card title
+     * @param {string} body - Chart HTML
+     * @param {string} extraClass - Extra grid classes
+     * @returns {string} HTML
+     */
+    #renderCard(title, body, extraClass = '') {
+        return `
+            <div class="${CARD_CLASS} ${extraClass}">
+                <h3 class="text-sm font-semibold text-slate-700 dark:text-slate-200 mb-3">${escapeHTML(title)}</h3>
+                ${body}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a vertical bar chart over periods
+     * @private
+     * @param {Array<object>} periods - Periods with a label and the value key
+     * @param {string} key - Value to plot
+     * @param {string} fillClass - Bar fill classes
+     * @returns {string} SVG
+     */
+    #renderColumnChart(periods, key, fillClass) {
+        const width = 30;
+        const height = 120;
+        const max = Math.max(1, ...periods.map(period => period[key]));
+
+        const columns = periods.map((period, index) => {
+            const barHeight = Math.round(period[key] / max * height);
+            const x = index * width;
+            return `
+                <rect x="${x + 4}" y="${height - barHeight + 14}" width="${width - 8}" height="${barHeight}" rx="2" class="${fillClass}">
+                    <title>${escapeHTML(period.label)}: ${period[key]}</title>
+                </rect>
+                ${period[key] > 0 ? `<text x="${x + width / 2}" y="${height - barHeight + 10}" text-anchor="middle" font-size="9" class="${TEXT_FILL}">${period[key]}</text>` : ''}
+                <text x="${x + width / 2}" y="${height + 28}" text-anchor="middle" font-size="9" class="${TEXT_FILL}">${escapeHTML(period.label)}</text>
+            `;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${periods.length * width} ${height + 32}" class="w-full h-40" role="img">${columns}</svg>`;
+    }
+
+    /**
+     * Render a horizontal bar chart
+     * @private
+     * @param {Array<object>} rows - { label, value, text, color?, highlight? }
+     * @returns {string} SVG, or a note when there is nothing to show
+     */
+    #renderBarChart(rows) {
+        if (rows.length === 0) {
+            return '<p class="text-sm text-slate-400 dark:text-slate-500 italic">No trips.</p>';
+        }
+
+        const rowHeight = 22;
+        const labelWidth = 110;
+        const barWidth = 160;
+        const max = Math.max(1, ...rows.map(row => row.value));
+
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            const width = Math.max(row.value > 0 ? 2 : 0, Math.round(row.value / max * barWidth));
+            const fill = row.color ? `fill="${escapeHTML(row.color)}"` : `class="${row.highlight ? 'fill-blue-600 dark:fill-blue-400' : 'fill-slate-400 dark:fill-slate-500'}"`;
+            return `
+                <text x="0" y="${y + 15}" font-size="11" class="${TEXT_FILL}">${escapeHTML(this.#truncate(row.label, 16))}<title>${escapeHTML(row.label)}</title></text>
+                <rect x="${labelWidth}" y="${y + 4}" width="${width}" height="${rowHeight - 8}" rx="2" ${fill}></rect>
+                <text x="${labelWidth + width + 6}" y="${y + 15}" font-size="10" class="${TEXT_FILL}">${escapeHTML(row.text)}</text>
+            `;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${labelWidth + barWidth + 150} ${rows.length * rowHeight}" class="w-full" role="img">${bars}</svg>`;
+    }
+
+    /**
+     * Render a line chart over periods
+     * @private
+     * @param {Array<object>} periods - Periods with a label and the value key
+     * @param {string} key - Value to plot
+     * @returns {string} SVG
+     */
+    #renderLineChart(periods, key) {
+        const step = 30;
+        const height = 100;
+        const max = Math.max(1, ...periods.map(period => period[key]));
+        const points = periods.map((period, index) => ({
+            x: index * step + step / 2,
+            y: 14 + height - Math.round(period[key] / max * height),
+            period
+        }));
+
+        return `
+            <svg viewBox="0 0 ${periods.length * step} ${height + 32}" class="w-full h-36" role="img">
+                <polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}" fill="none" stroke-width="2" class="stroke-red-500 dark:stroke-red-400"></polyline>
+                ${points.map(p => `
+                    <circle cx="${p.x}" cy="${p.y}" r="3" class="fill-red-500 dark:fill-red-400"><title>${escapeHTML(p.period.label)}: ${p.period[key]}</title></circle>
+                    ${p.period[key] > 0 ? `<text x="${p.x}" y="${p.y - 6}" text-anchor="middle" font-size="9" class="${TEXT_FILL}">${p.period[key]}</text>` : ''}
+                    <text x="${p.x}" y="${height + 28}" text-anchor="middle" font-size="9" class="${TEXT_FILL}">${escapeHTML(p.period.label)}</text>
+                `).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Get an event type's color for the current theme
+     * @private
+     * @param {string} type - Event type ID
+     * @returns {string|null} CSS color
+     */
+    #getTypeColor(type) {
+        const config = StateManager.getEventTypeConfig(type);
+        if (!config) return null;
+        return document.documentElement.classList.contains('dark') ? config.colorDark : config.color;
+    }
+
+    /**
+     * Format an ISO date as e.g. "Mar 3"
+     * @private
+     * @param {string} iso - ISO date
+     * @returns {string} Formatted date
+     */
+    #formatDay(iso) {
+        return formatDate(`${iso}T12:00:00`, { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Shorten a label to fit the chart
+     * @private
+     * @param {string} text - Label
+     * @param {number} length - Maximum length
+     * @returns {string} Label, ending in "…" when shortened
+     */
+    #truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+export default DashboardView;
@@ -0,0 +1,205 @@
+/**
+ * FiscalCalendarModal - Set when the planning year starts and how quarters are laid out
+ *
+ * Features:
+ * - Pick the fiscal year's start month
+ * - Use quarters of whole months or week-based quarters (4-4-5, 4-5-4, 5-4-4)
+ * - Preview the viewed year's quarters before saving
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import { FiscalCalendar } from '../models/FiscalCalendar.js';
+import { getFiscalYearRange, getFiscalQuarters, formatFiscalYear, formatDate } from '../services/DateService.js';
+import { MONTH_NAMES_FULL, FISCAL_WEEK_PATTERNS } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const LABEL_CLASS = 'block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1';
+
+export class FiscalCalendarModal {
+    #modalId = 'fiscalCalendarModal';
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-fiscal:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const monthOptions = MONTH_NAMES_FULL.map((name, index) => `<option value="${index}">${name}</option>`).join('');
+        const patternOptions = Object.keys(FISCAL_WEEK_PATTERNS).map(pattern =>
+            `<option value="${pattern}">${pattern} weeks</option>`
+        ).join('');
+
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-calendar-week mr-2"></i>
+                            <span>Fiscal Year</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                            Year navigation, quarters, budgets, policy periods and the year and quarter planning ranges follow this calendar.
+                            A fiscal year is named after the calendar year it ends in.
+                        </p>
+
+                        <div class="grid grid-cols-2 gap-3 mb-4">
+                            <div>
+                                <label class="${LABEL_CLASS}" for="fiscalStartMonth">Year Starts In</label>
+                                <select id="fiscalStartMonth" class="${INPUT_CLASS}">${monthOptions}</select>
+                            </div>
+                            <div>
+                                <label class="${LABEL_CLASS}" for="fiscalWeekPattern">Quarters</label>
+                                <select id="fiscalWeekPattern" class="${INPUT_CLASS}">
+                                    <option value="">Whole months</option>
+                                    ${patternOptions}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div id="fiscalPreview"></div>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Cancel
+                        </button>
+                        <button id="btnSaveFiscalCalendar" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                            <i class="fas fa-save mr-2"></i>Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('fiscalStartMonth')?.addEventListener('change', () => this.#renderPreview());
+        document.getElementById('fiscalWeekPattern')?.addEventListener('change', () => this.#renderPreview());
+        document.getElementById('btnSaveFiscalCalendar')?.addEventListener('click', () => this.#handleSave());
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal with the current fiscal calendar
+     */
+    open() {
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        document.getElementById('fiscalStartMonth').value = String(fiscalCalendar.startMonth);
+        document.getElementById('fiscalWeekPattern').value = fiscalCalendar.weekPattern || '';
+
+        this.#renderPreview();
+        this.#openModal();
+    }
+
+    /**
+     * Read the fiscal calendar from the form
+     * @private
+     * @returns {object} { startMonth, weekPattern }
+     */
+    #getFormValue() {
+        return {
+            startMonth: Number(document.getElementById('fiscalStartMonth').value),
+            weekPattern: document.getElementById('fiscalWeekPattern').value || null
+        };
+    }
+
+    /**
+     * Render the viewed year's dates and quarters under the form's settings
+     * @private
+     */
+    #renderPreview() {
+        const fiscalCalendar = new FiscalCalendar(this.#getFormValue()).toJSON();
+        const year = StateManager.getYear();
+        const range = getFiscalYearRange(year, fiscalCalendar);
+        const day = (iso) => formatDate(`${iso}T12:00:00`, { month: 'short', day: 'numeric', year: 'numeric' });
+
+        document.getElementById('fiscalPreview').innerHTML = `
+            <h4 class="text-sm font-semibold text-slate-700 dark:text-slate-200 mb-2">
+                ${escapeHTML(formatFiscalYear(year, fiscalCalendar))}: ${escapeHTML(day(range.startDate))} - ${escapeHTML(day(range.endDate))}
+            </h4>
+            <ul class="space-y-1">
+                ${getFiscalQuarters(year, fiscalCalendar).map(quarter => `
+                    <li class="flex items-center justify-between p-2 rounded bg-slate-50 dark:bg-slate-900/50 text-sm text-slate-700 dark:text-slate-200">
+                        <span class="font-semibold">${quarter.name}</span>
+                        <span class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(day(quarter.startDate))} - ${escapeHTML(day(quarter.endDate))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Save the fiscal calendar
+     * @private
+     */
+    #handleSave() {
+        try {
+            StateManager.setFiscalCalendar(this.#getFormValue());
+            ToastService.success('Fiscal year saved');
+            this.close();
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default FiscalCalendarModal;
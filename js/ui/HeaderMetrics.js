@@ -1,16 +1,25 @@
 /**
  * HeaderMetrics - Compact metrics display in header
  *
- * Calculates and displays:
+ * Calculates and displays, for the viewed (fiscal) year:
  * - Weeks Traveling
  * - Weeks Home
+ * - Days Away (with nights, working days and weekend days away; see TravelAccountingService)
  * - Conflicts
+ * - Policy violations (when travel policy rules are set up)
+ * - Trips by lifecycle status (repeating trips count once per occurrence)
+ *
+ * Clicking the policy metric opens the conflicts modal with both reports.
  */
 
 import EventBus from '../utils/EventBus.js';
 import StateManager from '../services/StateManager.js';
 import ScoringEngine from '../services/ScoringEngine.js';
-import { getMonday, dateToISO, getFriday } from '../services/DateService.js';
+import { getEventDateRange, getFiscalYearRange } from '../services/DateService.js';
+import { getTravelSummary } from '../services/TravelAccountingService.js';
+import { expandEvents } from '../services/RecurrenceService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+import { TRIP_STATUSES, DEFAULT_TRIP_STATUS } from '../config/calendarConfig.js';
 
 export class HeaderMetrics {
     #container = null;
@@ -30,6 +39,7 @@ export class HeaderMetrics {
         EventBus.on('event:updated', () => this.update());
         EventBus.on('constraint:added', () => this.update());
         EventBus.on('constraint:deleted', () => this.update());
+        EventBus.on('year:changed', () => this.update());
 
         // Setup event listeners
         this.#setupEventListeners();
@@ -50,6 +60,8 @@ export class HeaderMetrics {
                 this.#highlightTravelingWeeks();
             } else if (e.target.closest('#metricHome')) {
                 this.#highlightHomeWeeks();
+            } else if (e.target.closest('#metricPolicy')) {
+                this.#showReport();
             }
         });
     }
@@ -60,24 +72,51 @@ export class HeaderMetrics {
      */
     calculate() {
         const state = StateManager.getState();
-        const events = state.events;
-        const constraints = state.constraints;
-
-        // Weeks traveling = number of events
-        const weeksTraveling = events.length;
+        return this.calculateFor(state.events, state.constraints);
+    }
 
-        // Weeks home = 52 - weeks traveling
-        const weeksHome = 52 - weeksTraveling;
+    /**
+     * Calculate metrics for an arbitrary set of events and constraints
+     * Used by scenario comparison to evaluate plans that are not displayed.
+     * @param {Array} events - Events array
+     * @param {Array} constraints - Constraints array
+     * @returns {object} Metrics object
+     */
+    calculateFor(events, constraints) {
+        // Day-level travel totals for the viewed year (52 or 53 weeks)
+        const range = this.#getYearRange();
+        const travel = getTravelSummary(events, range);
 
         // Conflicts = hard constraint violations + double-bookings
         const conflicts = ScoringEngine.detectConflicts(events, constraints);
         const conflictCount = conflicts.length;
 
+        // Policy violations = broken travel policy rules
+        const violations = ScoringEngine.detectPolicyViolations(events);
+
+        // Trips by status = non-archived trips (each occurrence of a repeating one) in the viewed year
+        const tripsByStatus = Object.fromEntries(Object.keys(TRIP_STATUSES).map(status => [status, 0]));
+        expandEvents(events, range.startDate, range.endDate)
+            .filter(event => !event.archived)
+            .filter(event => {
+                const { startDate, endDate } = getEventDateRange(event);
+                return startDate <= range.endDate && endDate >= range.startDate;
+            })
+            .forEach(event => tripsByStatus[event.status || DEFAULT_TRIP_STATUS]++);
+
         return {
-            weeksTraveling,
-            weeksHome,
+            weeksTraveling: travel.travelWeeks.length,
+            weeksHome: travel.weeksHome,
+            travelWeeks: travel.travelWeeks,
+            daysAway: travel.daysAway,
+            nightsAway: travel.nightsAway,
+            workingDaysAway: travel.workingDaysAway,
+            weekendDaysAway: travel.weekendDaysAway,
             conflicts: conflictCount,
-            conflictDetails: conflicts
+            conflictDetails: conflicts,
+            policyViolations: violations.length,
+            violationDetails: violations,
+            tripsByStatus
         };
     }
 
@@ -103,62 +142,131 @@ export class HeaderMetrics {
                 <span id="statHomeWeeks" class="font-mono font-bold text-green-600 dark:text-green-400">${metrics.weeksHome}</span>
                 ${metrics.weeksHome > 0 ? '<i class="fas fa-chevron-right text-xs text-slate-400 ml-1"></i>' : ''}
             </div>
+            <div id="metricDaysAway" class="flex items-center gap-2" title="${metrics.nightsAway} nights, ${metrics.workingDaysAway} working days and ${metrics.weekendDaysAway} weekend days away">
+                <i class="fas fa-suitcase-rolling text-indigo-500 dark:text-indigo-400"></i>
+                <span class="font-semibold text-slate-700 dark:text-slate-300">Days Away:</span>
+                <span id="statDaysAway" class="font-mono font-bold text-indigo-600 dark:text-indigo-400">${metrics.daysAway}</span>
+                ${metrics.weekendDaysAway > 0 ? `<span class="text-xs text-slate-500 dark:text-slate-400">(${metrics.weekendDaysAway} weekend)</span>` : ''}
+            </div>
             <div id="metricConflicts" class="flex items-center gap-2 ${metrics.conflicts > 0 ? 'cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700 rounded px-2 py-1 -mx-2 transition' : ''}">
                 <i class="fas fa-exclamation-triangle ${metrics.conflicts > 0 ? 'text-red-500 dark:text-red-400' : 'text-slate-300 dark:text-slate-600'}"></i>
                 <span class="font-semibold text-slate-700 dark:text-slate-300">Conflicts:</span>
                 <span id="statConflicts" class="font-mono font-bold ${metrics.conflicts > 0 ? 'text-red-600 dark:text-red-400' : 'text-slate-400 dark:text-slate-600'}">${metrics.conflicts}</span>
                 ${metrics.conflicts > 0 ? '<i class="fas fa-chevron-right text-xs text-slate-400 ml-1"></i>' : ''}
             </div>
+            ${StateManager.getPolicyRules().some(rule => rule.enabled) ? `
+            <div id="metricPolicy" class="flex items-center gap-2 cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700 rounded px-2 py-1 -mx-2 transition">
+                <i class="fas fa-clipboard-check ${metrics.policyViolations > 0 ? 'text-amber-500 dark:text-amber-400' : 'text-slate-300 dark:text-slate-600'}"></i>
+                <span class="font-semibold text-slate-700 dark:text-slate-300">Policy:</span>
+                <span id="statPolicyViolations" class="font-mono font-bold ${metrics.policyViolations > 0 ? 'text-amber-600 dark:text-amber-400' : 'text-slate-400 dark:text-slate-600'}">${metrics.policyViolations}</span>
+                <i class="fas fa-chevron-right text-xs text-slate-400 ml-1"></i>
+            </div>
+            ` : ''}
+            ${this.#renderStatusCounts(metrics.tripsByStatus)}
         `;
     }
 
     /**
-     * Calculate all Mon-Fri weeks that have travel
+     * Render the trip counts per lifecycle status (statuses without trips are left out)
      * @private
-     * @returns {Array<string>} Array of Monday ISO dates
+     * @param {object} tripsByStatus - { [status]: count }
+     * @returns {string} HTML
      */
-    #calculateTravelWeeks() {
-        // Helper to parse ISO date strings in local time (avoid timezone issues)
-        const parseLocalDate = (dateStr) => {
-            if (typeof dateStr === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                const [year, month, day] = dateStr.split('-').map(Number);
-                return new Date(year, month - 1, day);
-            }
-            return new Date(dateStr);
-        };
+    #renderStatusCounts(tripsByStatus) {
+        const counts = Object.entries(tripsByStatus).filter(([, count]) => count > 0);
+        if (counts.length === 0) return '';
+
+        return `
+            <div id="metricStatus" class="flex items-center gap-2">
+                <i class="fas fa-tasks text-slate-500 dark:text-slate-400"></i>
+                <span class="font-semibold text-slate-700 dark:text-slate-300">Trips:</span>
+                ${counts.map(([status, count]) => `
+                    <span class="flex items-center gap-1 text-xs text-slate-600 dark:text-slate-400" title="${escapeHTML(TRIP_STATUSES[status].label)}">
+                        <i class="fas ${TRIP_STATUSES[status].icon} text-[10px]"></i>
+                        <span class="font-mono font-bold">${count}</span>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        const state = StateManager.getState();
-        const travelWeeks = new Set();
-
-        state.events.forEach(event => {
-            if (!event.isFixed || !event.endDate) {
-                // Flexible event - startDate is Monday, represents Mon-Fri week
-                travelWeeks.add(event.startDate);
-            } else {
-                // Fixed event - find all Mon-Fri weeks that overlap with this event
-                const eventStart = parseLocalDate(event.startDate);
-                const eventEnd = parseLocalDate(event.endDate);
-
-                // Get Monday of the week containing the start date
-                let currentMonday = getMonday(eventStart);
-                const lastMonday = getMonday(eventEnd);
-
-                // Add all weeks that overlap with this event
-                while (currentMonday <= lastMonday) {
-                    const currentFriday = getFriday(currentMonday);
-                    // Check if this Mon-Fri week overlaps with the event
-                    if (currentFriday >= eventStart && currentMonday <= eventEnd) {
-                        travelWeeks.add(dateToISO(currentMonday));
-                    }
-                    // Move to next week
-                    const nextMonday = new Date(currentMonday);
-                    nextMonday.setDate(nextMonday.getDate() + 7);
-                    currentMonday = nextMonday;
-                }
-            }
-        });
+    /**
+     * Show conflicts and policy violations in the conflicts modal
+     * @private
+     */
+    #showReport() {
+        const modal = document.getElementById('conflictsModal');
+        const content = document.getElementById('conflictsContent');
+        if (!modal || !content || !this.#currentMetrics) return;
+
+        const { conflictDetails, violationDetails } = this.#currentMetrics;
+
+        content.innerHTML = `
+            <h4 class="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Conflicts (${conflictDetails.length})</h4>
+            <ul class="space-y-2 mb-6">
+                ${conflictDetails.length === 0
+                    ? '<li class="text-sm text-green-600 dark:text-green-400">No conflicts</li>'
+                    : conflictDetails.map(conflict => `
+                        <li class="flex items-start gap-2 text-sm text-slate-700 dark:text-slate-300">
+                            <i class="fas ${conflict.type === 'hard-constraint' ? 'fa-exclamation-circle text-red-600 dark:text-red-400' : 'fa-calendar-times text-orange-600 dark:text-orange-400'} mt-0.5"></i>
+                            <span>${escapeHTML(conflict.message)}</span>
+                        </li>
+                    `).join('')}
+            </ul>
+            <h4 class="text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Policy Violations (${violationDetails.length})</h4>
+            <ul class="space-y-2">
+                ${violationDetails.length === 0
+                    ? '<li class="text-sm text-green-600 dark:text-green-400">All travel policy rules are met</li>'
+                    : violationDetails.map(violation => this.#renderViolation(violation)).join('')}
+            </ul>
+        `;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
 
-        return Array.from(travelWeeks);
+    /**
+     * Render a single policy violation
+     * @private
+     * @param {object} violation - Violation from ScoringEngine.detectPolicyViolations
+     * @returns {string} HTML
+     */
+    #renderViolation(violation) {
+        const isHard = violation.severity === 'hard';
+        const trips = violation.events.map(event => event.title).join(', ');
+
+        return `
+            <li class="border ${isHard ? 'border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20' : 'border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20'} rounded-lg p-3">
+                <div class="flex items-center justify-between gap-2">
+                    <span class="font-semibold text-sm text-slate-800 dark:text-slate-200">${escapeHTML(violation.ruleName)}</span>
+                    <span class="text-xs uppercase font-bold ${isHard ? 'text-red-600 dark:text-red-400' : 'text-amber-600 dark:text-amber-400'}">${isHard ? 'Hard' : 'Soft'}</span>
+                </div>
+                <div class="text-sm text-slate-700 dark:text-slate-300">${escapeHTML(violation.message)}</div>
+                ${trips ? `<div class="mt-1 text-xs text-slate-500 dark:text-slate-400"><strong>Trips:</strong> ${escapeHTML(trips)}</div>` : ''}
+            </li>
+        `;
+    }
+
+    /**
+     * Get the first and last day of the viewed (fiscal) year
+     * @private
+     * @returns {object} { startDate, endDate } ISO dates
+     */
+    #getYearRange() {
+        return getFiscalYearRange(StateManager.getYear(), StateManager.getFiscalCalendar());
+    }
+
+    /**
+     * Get the day-level travel totals of the viewed (fiscal) year
+     * @private
+     * @param {Array} events - Events array (defaults to current state)
+     * @returns {object} Travel summary (see TravelAccountingService.getTravelSummary)
+     */
+    #getTravelSummary(events = StateManager.getState().events) {
+        return getTravelSummary(events, this.#getYearRange());
     }
 
     /**
@@ -166,7 +274,7 @@ export class HeaderMetrics {
      * @private
      */
     #highlightTravelingWeeks() {
-        const travelWeeks = this.#calculateTravelWeeks();
+        const { travelWeeks } = this.#getTravelSummary();
         EventBus.emit('highlight:traveling-weeks', { weeks: travelWeeks });
     }
 
@@ -175,7 +283,7 @@ export class HeaderMetrics {
      * @private
      */
     #highlightHomeWeeks() {
-        const travelWeeks = this.#calculateTravelWeeks();
+        const { travelWeeks } = this.#getTravelSummary();
         EventBus.emit('highlight:home-weeks', { travelWeeks });
     }
 
@@ -194,8 +302,9 @@ export class HeaderMetrics {
         this.#currentMetrics.conflictDetails.forEach(conflict => {
             if (conflict.type === 'hard-constraint') {
                 // Add all dates from the event
-                const eventStart = new Date(conflict.event.startDate);
-                const eventEnd = new Date(conflict.event.endDate || conflict.event.startDate);
+                const eventRange = getEventDateRange(conflict.event);
+                const eventStart = new Date(eventRange.startDate);
+                const eventEnd = new Date(eventRange.endDate);
                 for (let d = new Date(eventStart); d <= eventEnd; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
@@ -208,14 +317,16 @@ export class HeaderMetrics {
                 }
             } else if (conflict.type === 'double-booking') {
                 // Add all dates from both events
-                const event1Start = new Date(conflict.event1.startDate);
-                const event1End = new Date(conflict.event1.endDate || conflict.event1.startDate);
+                const event1Range = getEventDateRange(conflict.event1);
+                const event1Start = new Date(event1Range.startDate);
+                const event1End = new Date(event1Range.endDate);
                 for (let d = new Date(event1Start); d <= event1End; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
 
-                const event2Start = new Date(conflict.event2.startDate);
-                const event2End = new Date(conflict.event2.endDate || conflict.event2.startDate);
+                const event2Range = getEventDateRange(conflict.event2);
+                const event2Start = new Date(event2Range.startDate);
+                const event2End = new Date(event2Range.endDate);
                 for (let d = new Date(event2Start); d <= event2End; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
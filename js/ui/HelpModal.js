@@ -146,10 +146,10 @@ export class HelpModal {
                                 <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-5">
                                     <h3 class="text-lg font-semibold text-slate-800 dark:text-slate-200 mb-3">Week-Level Scheduling</h3>
                                     <p class="text-slate-600 dark:text-slate-400 mb-3">
-                                        The algorithm operates at the <strong>Monday-Friday week level</strong>. This means:
+                                        The algorithm operates at the <strong>work week level</strong> (Monday-Friday unless changed under Settings &gt; Work Week). This means:
                                     </p>
                                     <ul class="list-disc list-inside space-y-2 text-slate-600 dark:text-slate-400 ml-4">
-                                        <li>If ANY day within a Mon-Fri week has a hard constraint, the <strong>entire week</strong> is blocked from new trip suggestions</li>
+                                        <li>If ANY working day within a week has a hard constraint, the <strong>entire week</strong> is blocked from new trip suggestions</li>
                                         <li>Example: A Friday vacation blocks the whole week for flexible trip scheduling</li>
                                         <li>Visual display shows events only on their actual dates, but scheduling logic considers full weeks</li>
                                     </ul>
@@ -170,6 +170,10 @@ export class HelpModal {
                                             <span class="bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200 px-2 py-1 rounded font-mono">+500</span>
                                             <span class="text-slate-600 dark:text-slate-400">Location consolidation bonus (same city as another trip)</span>
                                         </div>
+                                        <div class="flex items-center gap-2">
+                                            <span class="bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200 px-2 py-1 rounded font-mono">+200</span>
+                                            <span class="text-slate-600 dark:text-slate-400">Nearby city during another trip: extend it into a multi-city trip instead of a conflict (within the multi-city radius)</span>
+                                        </div>
                                         <div class="flex items-center gap-2">
                                             <span class="bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-200 px-2 py-1 rounded font-mono">-20</span>
                                             <span class="text-slate-600 dark:text-slate-400">Soft constraint penalty</span>
@@ -178,9 +182,21 @@ export class HelpModal {
                                             <span class="bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200 px-2 py-1 rounded font-mono">-1000</span>
                                             <span class="text-slate-600 dark:text-slate-400">Hard constraint violation OR location conflict (different city)</span>
                                         </div>
+                                        <div class="flex items-center gap-2">
+                                            <span class="bg-orange-100 dark:bg-orange-900/40 text-orange-800 dark:text-orange-200 px-2 py-1 rounded font-mono">-200</span>
+                                            <span class="text-slate-600 dark:text-slate-400">Back-to-back trips far apart: distance, time shift, too few home days to recover from jet lag, long-haul next to long-haul (needs coordinates and timezones in Manage Locations)</span>
+                                        </div>
+                                        <div class="flex items-center gap-2">
+                                            <span class="bg-orange-100 dark:bg-orange-900/40 text-orange-800 dark:text-orange-200 px-2 py-1 rounded font-mono">-300</span>
+                                            <span class="text-slate-600 dark:text-slate-400">Breaks a soft travel policy rule (Settings → Travel Policy); breaking a hard rule rules the week out</span>
+                                        </div>
+                                        <div class="flex items-center gap-2">
+                                            <span class="bg-orange-100 dark:bg-orange-900/40 text-orange-800 dark:text-orange-200 px-2 py-1 rounded font-mono">-250</span>
+                                            <span class="text-slate-600 dark:text-slate-400">Pushes its quarter over the travel budget (click Budget in the header; trips are priced from location default costs)</span>
+                                        </div>
                                     </div>
                                     <p class="text-slate-600 dark:text-slate-400 mt-4">
-                                        The algorithm returns the top 3 weeks with scores above -500, sorted by highest score first.
+                                        The algorithm returns the top 3 weeks that are neither blocked nor already taken by a trip elsewhere, sorted by highest score first.
                                     </p>
                                 </div>
 
@@ -229,7 +245,7 @@ export class HelpModal {
                                         Clickable Metrics
                                     </h4>
                                     <p class="text-sm text-slate-600 dark:text-slate-400">
-                                        Click metrics to highlight: Weeks Traveling (blue), Weeks Home (green), Conflicts (red) - Mon-Fri only
+                                        Click metrics to highlight: Weeks Traveling (blue), Weeks Home (green), Conflicts (red) - working days only; hover Days Away for nights, working days and weekend days away
                                     </p>
                                 </div>
 
@@ -249,7 +265,7 @@ export class HelpModal {
                                         Location Management
                                     </h4>
                                     <p class="text-sm text-slate-600 dark:text-slate-400">
-                                        Built-in division codes plus custom locations with archiving when deleted
+                                        Location registry with aliases, country, timezone and coordinates; trips match by location, not by similar names
                                     </p>
                                 </div>
 
@@ -263,6 +279,96 @@ export class HelpModal {
                                     </p>
                                 </div>
 
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-tasks text-teal-600"></i>
+                                        Trip Status
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Move trips from idea to tentative, approved, booked and completed (or cancelled) - tentative trips are dashed, booked trips keep their week in batch planning, cancelled trips stop counting
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-plane-departure text-sky-600"></i>
+                                        Bookings & Itinerary
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Add flights, hotels and ground transport with confirmation numbers to a trip, then view its day-by-day itinerary from the edit trip form
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-copy text-blue-600"></i>
+                                        Plan Next Year
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Copy this year's trips into next year as flexible, tentative trips in the week of the same weekday and week of the month, and see which copies land on blocked weeks
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-flag text-pink-600"></i>
+                                        Public Holidays
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Add a country's public holidays for a year in one click (Settings); weeks with a holiday in the destination's country score lower
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-calendar-week text-cyan-600"></i>
+                                        Fiscal Year
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Start the year in any month or use 4-4-5 week quarters (Settings); year navigation, budgets and quarter ranges follow it
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-briefcase text-teal-600"></i>
+                                        Work Week
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Choose your working days and the day weeks start on, e.g. Sunday-Thursday (Settings); trips, suggestions and the calendar follow it
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-stream text-slate-600"></i>
+                                        Timeline
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        See trip lengths, overlaps and gaps on one line per type or location, with constraints shaded behind; zoom to a week, quarter or year and click a bar to edit it
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-arrows-alt text-green-600"></i>
+                                        Drag to Reschedule
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Drag a trip in the calendar or timeline to new dates; the target is scored as you drag (green good, amber fair, red blocked) and blocked weeks ask before moving. Undo reverts a move
+                                    </p>
+                                </div>
+
+                                <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
+                                    <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
+                                        <i class="fas fa-chart-bar text-blue-600"></i>
+                                        Dashboard
+                                    </h4>
+                                    <p class="text-sm text-slate-600 dark:text-slate-400">
+                                        Switch from the calendar to charts of trips and days away by month, quarter, type and location, plus consolidation, conflicts and year-over-year totals; filter by type or location
+                                    </p>
+                                </div>
+
                                 <div class="bg-slate-50 dark:bg-slate-900/50 rounded-lg p-4">
                                     <h4 class="font-semibold text-slate-800 dark:text-slate-200 mb-2 flex items-center gap-2">
                                         <i class="fas fa-download text-indigo-600"></i>
@@ -0,0 +1,207 @@
+/**
+ * HolidayCalendarModal - Add a country's public holidays as constraints
+ *
+ * Features:
+ * - Pick a country with a built-in holiday calendar (defaults to the home
+ *   office's country) and a year (defaults to the viewed year)
+ * - Preview its public holidays, marking the ones already added
+ * - Add the missing ones as Public Holiday constraints in one undoable step
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import { getHolidayCountries, hasHolidayCalendar, buildHolidayConstraints } from '../services/HolidayService.js';
+import { formatDate } from '../services/DateService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const LABEL_CLASS = 'block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1';
+
+export class HolidayCalendarModal {
+    #modalId = 'holidayCalendarModal';
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-holidays:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const countryOptions = getHolidayCountries().map(country =>
+            `<option value="${country.code}">${escapeHTML(country.name)} (${country.code})</option>`
+        ).join('');
+
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-flag mr-2"></i>
+                            <span>Public Holidays</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                            Add your home country's public holidays as constraints. Holidays in a destination's country
+                            (set its country code under Locations) lower the score of weeks they fall in.
+                        </p>
+
+                        <div class="grid grid-cols-3 gap-3 mb-4">
+                            <div class="col-span-2">
+                                <label class="${LABEL_CLASS}" for="holidayCountry">Country</label>
+                                <select id="holidayCountry" class="${INPUT_CLASS}">${countryOptions}</select>
+                            </div>
+                            <div>
+                                <label class="${LABEL_CLASS}" for="holidayYear">Year</label>
+                                <input type="number" id="holidayYear" min="1900" max="2999" class="${INPUT_CLASS}">
+                            </div>
+                        </div>
+
+                        <div id="holidayList" class="space-y-1"></div>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Done
+                        </button>
+                        <button id="btnAddHolidays" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition disabled:opacity-40 disabled:cursor-not-allowed">
+                            <i class="fas fa-plus mr-2"></i><span id="btnAddHolidaysLabel">Add Holidays</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('holidayCountry')?.addEventListener('change', () => this.#render());
+        document.getElementById('holidayYear')?.addEventListener('input', () => this.#render());
+        document.getElementById('btnAddHolidays')?.addEventListener('click', () => this.#handleAdd());
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal for the home office's country and the viewed year
+     */
+    open() {
+        const homeCountry = StateManager.getLocations().find(location => location.isHomeOffice)?.countryCode;
+        if (hasHolidayCalendar(homeCountry)) {
+            document.getElementById('holidayCountry').value = homeCountry;
+        }
+        document.getElementById('holidayYear').value = StateManager.getYear();
+
+        this.#render();
+        this.#openModal();
+    }
+
+    /**
+     * Get the holiday constraints of the selected country and year
+     * @private
+     * @returns {Array<object>} Constraint data (see HolidayService.buildHolidayConstraints), empty for an invalid year
+     */
+    #getHolidayConstraints() {
+        const country = document.getElementById('holidayCountry').value;
+        const year = Number(document.getElementById('holidayYear').value);
+        return Number.isInteger(year) && year >= 1900 && year <= 2999 ? buildHolidayConstraints(country, year) : [];
+    }
+
+    /**
+     * Render the holiday list
+     * @private
+     */
+    #render() {
+        const holidays = this.#getHolidayConstraints();
+        const added = StateManager.getImportedSourceUids();
+        const missing = holidays.filter(h => !added.has(h.sourceUid));
+
+        document.getElementById('btnAddHolidays').disabled = missing.length === 0;
+        document.getElementById('btnAddHolidaysLabel').textContent = missing.length
+            ? `Add ${missing.length} Holiday${missing.length === 1 ? '' : 's'}`
+            : 'All Added';
+
+        document.getElementById('holidayList').innerHTML = holidays.length === 0
+            ? '<p class="text-sm text-slate-400 dark:text-slate-500 italic">Enter a year to see its holidays.</p>'
+            : holidays.map(holiday => `
+                <div class="flex items-center justify-between p-2 rounded bg-slate-50 dark:bg-slate-900/50 text-sm">
+                    <div class="text-slate-700 dark:text-slate-200">
+                        <span class="font-mono text-xs text-slate-500 dark:text-slate-400 mr-2">${escapeHTML(formatDate(`${holiday.startDate}T12:00:00`, { weekday: 'short', month: 'short', day: 'numeric' }))}</span>
+                        ${escapeHTML(holiday.title)}
+                    </div>
+                    ${added.has(holiday.sourceUid) ? '<span class="text-xs text-emerald-600 dark:text-emerald-400"><i class="fas fa-check mr-1"></i>Added</span>' : ''}
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Add the holidays that are not there yet
+     * @private
+     */
+    #handleAdd() {
+        const added = StateManager.getImportedSourceUids();
+        const missing = this.#getHolidayConstraints().filter(h => !added.has(h.sourceUid));
+        if (missing.length === 0) return;
+
+        StateManager.batch('Add public holidays', () => {
+            missing.forEach(holiday => StateManager.addConstraint(holiday));
+        });
+
+        ToastService.success(`Added ${missing.length} public holiday${missing.length === 1 ? '' : 's'}`);
+        this.#render();
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default HolidayCalendarModal;
@@ -1,9 +1,11 @@
 /**
- * LocationManagementModal - Modal for managing custom locations
+ * LocationManagementModal - Modal for managing the location registry
  *
  * Lists all locations with options to:
- * - Add new custom locations
- * - Delete custom locations (built-in locations are protected)
+ * - Add new locations
+ * - Edit a location's name, aliases, country, timezone, coordinates, home-office flag
+ *   and default trip cost (used for budgets when trips carry no cost of their own)
+ * - Delete locations (built-in locations are protected)
  */
 
 import EventBus from '../utils/EventBus.js';
@@ -12,9 +14,14 @@ import ToastService from '../services/ToastService.js';
 import ConfirmDialog from '../services/ConfirmDialog.js';
 import { BUILT_IN_LOCATIONS } from '../config/calendarConfig.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
+import { formatMoney } from '../services/BudgetService.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const LABEL_CLASS = 'block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1';
 
 export class LocationManagementModal {
     #modalId = 'locationManagementModal';
+    #editingId = null; // ID of the location shown in the editor
 
     /**
      * Initialize modal
@@ -28,6 +35,7 @@ export class LocationManagementModal {
 
         // Listen for location updates to refresh the list
         EventBus.on('location:added', () => this.#refreshList());
+        EventBus.on('location:updated', () => this.#refreshList());
         EventBus.on('location:deleted', () => this.#refreshList());
     }
 
@@ -59,7 +67,68 @@ export class LocationManagementModal {
                                     <i class="fas fa-plus mr-2"></i>Add
                                 </button>
                             </div>
-                            <p class="text-xs text-slate-500 dark:text-slate-400 mt-1">Enter a city or location name</p>
+                            <p class="text-xs text-slate-500 dark:text-slate-400 mt-1">Enter a city or location name, then edit it to add aliases, country, timezone and coordinates</p>
+                        </div>
+
+                        <!-- Location Editor -->
+                        <div id="locationEditor" class="hidden mb-6 p-4 border dark:border-slate-600 rounded-lg bg-slate-50 dark:bg-slate-900/50">
+                            <div class="grid grid-cols-2 gap-3">
+                                <div class="col-span-2">
+                                    <label class="${LABEL_CLASS}" for="locationEditName">Name</label>
+                                    <input type="text" id="locationEditName" class="${INPUT_CLASS}">
+                                </div>
+                                <div class="col-span-2">
+                                    <label class="${LABEL_CLASS}" for="locationEditAliases">Aliases</label>
+                                    <input type="text" id="locationEditAliases" class="${INPUT_CLASS}" placeholder="e.g. NYC, Manhattan">
+                                    <p class="text-xs text-slate-500 dark:text-slate-400 mt-1">Comma-separated. Trips entered with any alias count as this location.</p>
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditCountry">Country Code</label>
+                                    <input type="text" id="locationEditCountry" maxlength="2" class="${INPUT_CLASS} uppercase" placeholder="e.g. US">
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditTimezone">Timezone</label>
+                                    <input type="text" id="locationEditTimezone" list="locationTimezoneOptions" class="${INPUT_CLASS}" placeholder="e.g. America/New_York">
+                                    <datalist id="locationTimezoneOptions">${this.#getTimezoneOptions()}</datalist>
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditLat">Latitude</label>
+                                    <input type="number" id="locationEditLat" min="-90" max="90" step="any" class="${INPUT_CLASS}">
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditLon">Longitude</label>
+                                    <input type="number" id="locationEditLon" min="-180" max="180" step="any" class="${INPUT_CLASS}">
+                                </div>
+                                <label class="col-span-2 flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                                    <input type="checkbox" id="locationEditHomeOffice" class="rounded">
+                                    Home office
+                                </label>
+                                <div class="col-span-2 text-xs font-bold text-slate-500 dark:text-slate-400 uppercase pt-2 border-t dark:border-slate-600">Default Trip Cost</div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditAirfare">Airfare</label>
+                                    <input type="number" id="locationEditAirfare" min="0" step="any" class="${INPUT_CLASS}">
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditCurrency">Currency</label>
+                                    <input type="text" id="locationEditCurrency" maxlength="3" class="${INPUT_CLASS} uppercase" placeholder="Budget currency">
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditHotel">Hotel / Night</label>
+                                    <input type="number" id="locationEditHotel" min="0" step="any" class="${INPUT_CLASS}">
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="locationEditPerDiem">Per Diem</label>
+                                    <input type="number" id="locationEditPerDiem" min="0" step="any" class="${INPUT_CLASS}">
+                                </div>
+                            </div>
+                            <div class="flex justify-end gap-2 mt-4">
+                                <button id="btnCancelLocationEdit" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                                    Cancel
+                                </button>
+                                <button id="btnSaveLocation" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                                    <i class="fas fa-check mr-2"></i>Save
+                                </button>
+                            </div>
                         </div>
 
                         <!-- Locations List -->
@@ -100,6 +169,14 @@ export class LocationManagementModal {
             }
         });
 
+        // Location editor
+        document.getElementById('btnSaveLocation')?.addEventListener('click', () => {
+            this.#handleSaveLocation();
+        });
+        document.getElementById('btnCancelLocationEdit')?.addEventListener('click', () => {
+            this.#closeEditor();
+        });
+
         // Modal close buttons
         document.addEventListener('click', (e) => {
             const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
@@ -129,24 +206,105 @@ export class LocationManagementModal {
             return;
         }
 
-        // Check if it already exists in custom locations
-        const customLocations = StateManager.getAllLocations();
-        if (customLocations.includes(location)) {
-            ToastService.warning('This location already exists');
+        // Check if it already exists (by name or alias)
+        const existing = StateManager.resolveLocation(location);
+        if (existing) {
+            ToastService.warning(`This location already exists as ${existing.name}`);
             input.value = '';
             return;
         }
 
         // Add location
-        StateManager.addCustomLocation(location);
+        try {
+            StateManager.addLocation({ name: location });
+        } catch (error) {
+            ToastService.error(error.message);
+            return;
+        }
         input.value = '';
         input.focus();
     }
 
+    /**
+     * Show a location in the editor
+     * @private
+     * @param {string} id - Location ID
+     */
+    #openEditor(id) {
+        const location = StateManager.getLocation(id);
+        if (!location) return;
+
+        this.#editingId = id;
+        document.getElementById('locationEditName').value = location.name;
+        document.getElementById('locationEditAliases').value = location.aliases.join(', ');
+        document.getElementById('locationEditCountry').value = location.countryCode || '';
+        document.getElementById('locationEditTimezone').value = location.timezone || '';
+        document.getElementById('locationEditLat').value = location.lat ?? '';
+        document.getElementById('locationEditLon').value = location.lon ?? '';
+        document.getElementById('locationEditHomeOffice').checked = location.isHomeOffice;
+        document.getElementById('locationEditAirfare').value = location.defaultCost?.airfare ?? '';
+        document.getElementById('locationEditHotel').value = location.defaultCost?.hotelNightly ?? '';
+        document.getElementById('locationEditPerDiem').value = location.defaultCost?.perDiem ?? '';
+        document.getElementById('locationEditCurrency').value = location.defaultCost?.currency ?? '';
+
+        document.getElementById('locationEditor').classList.remove('hidden');
+        document.getElementById('locationEditName').focus();
+    }
+
+    /**
+     * Hide the editor
+     * @private
+     */
+    #closeEditor() {
+        this.#editingId = null;
+        document.getElementById('locationEditor')?.classList.add('hidden');
+    }
+
+    /**
+     * Save the location shown in the editor
+     * @private
+     */
+    #handleSaveLocation() {
+        if (!this.#editingId) return;
+
+        try {
+            const location = StateManager.updateLocation(this.#editingId, {
+                name: document.getElementById('locationEditName').value,
+                aliases: document.getElementById('locationEditAliases').value,
+                countryCode: document.getElementById('locationEditCountry').value,
+                timezone: document.getElementById('locationEditTimezone').value,
+                lat: document.getElementById('locationEditLat').value,
+                lon: document.getElementById('locationEditLon').value,
+                isHomeOffice: document.getElementById('locationEditHomeOffice').checked,
+                defaultCost: {
+                    airfare: document.getElementById('locationEditAirfare').value,
+                    hotelNightly: document.getElementById('locationEditHotel').value,
+                    perDiem: document.getElementById('locationEditPerDiem').value,
+                    currency: document.getElementById('locationEditCurrency').value
+                }
+            });
+            this.#closeEditor();
+            ToastService.success(`Location "${location.name}" saved`);
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Build timezone suggestions for the editor
+     * @private
+     * @returns {string} Datalist options HTML
+     */
+    #getTimezoneOptions() {
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        return timezones.map(tz => `<option value="${escapeHTML(tz)}"></option>`).join('');
+    }
+
     /**
      * Open modal
      */
     open() {
+        this.#closeEditor();
         this.#refreshList();
         this.#openModal();
     }
@@ -163,13 +321,13 @@ export class LocationManagementModal {
 
         // Get all locations
         const builtInLocations = Array.from(BUILT_IN_LOCATIONS);
-        const customLocations = StateManager.getAllLocations();
+        const locations = StateManager.getLocations();
 
         // Combine and sort
         const allLocations = [
-            ...builtInLocations.map(loc => ({ value: loc, isBuiltIn: true })),
-            ...customLocations.map(loc => ({ value: loc, isBuiltIn: false }))
-        ].sort((a, b) => a.value.localeCompare(b.value));
+            ...builtInLocations.map(loc => ({ name: loc, isBuiltIn: true })),
+            ...locations.map(loc => ({ ...loc, isBuiltIn: false }))
+        ].sort((a, b) => a.name.localeCompare(b.name));
 
         // Check if empty
         if (allLocations.length === 0) {
@@ -185,42 +343,77 @@ export class LocationManagementModal {
 
         // Render each location
         allLocations.forEach(location => {
-            const item = this.#createLocationItem(location.value, location.isBuiltIn);
+            const item = this.#createLocationItem(location);
             listEl.appendChild(item);
         });
     }
 
+    /**
+     * Summarize a default trip cost for the list
+     * @private
+     * @param {object} cost - Default cost estimate
+     * @returns {string} e.g. "Air $900 · $200/night · $50/day"
+     */
+    #describeCost(cost) {
+        const money = (amount) => cost.currency ? formatMoney(amount, cost.currency) : amount.toLocaleString('en-US');
+        return [
+            cost.airfare !== null ? `Air ${money(cost.airfare)}` : null,
+            cost.hotelNightly !== null ? `${money(cost.hotelNightly)}/night` : null,
+            cost.perDiem !== null ? `${money(cost.perDiem)}/day` : null
+        ].filter(Boolean).join(' · ');
+    }
+
     /**
      * Create a location list item
      * @private
+     * @param {object} location - Registered location, or { name, isBuiltIn: true }
      */
-    #createLocationItem(location, isBuiltIn) {
+    #createLocationItem(location) {
         const item = document.createElement('div');
         item.className = 'flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-600';
 
+        const details = location.isBuiltIn ? [] : [
+            location.countryCode,
+            location.timezone,
+            location.lat !== null ? `${location.lat.toFixed(2)}, ${location.lon.toFixed(2)}` : null,
+            location.defaultCost ? this.#describeCost(location.defaultCost) : null
+        ].filter(Boolean);
+
         item.innerHTML = `
             <div class="flex items-center gap-3">
-                <i class="fas fa-map-marker-alt text-slate-400"></i>
+                <i class="fas ${location.isHomeOffice ? 'fa-home' : 'fa-map-marker-alt'} text-slate-400"></i>
                 <div>
-                    <div class="font-medium text-slate-700 dark:text-slate-200">${escapeHTML(location)}</div>
-                    ${isBuiltIn ? '<div class="text-xs text-amber-600 dark:text-amber-400">Built-in Division Code</div>' : ''}
+                    <div class="font-medium text-slate-700 dark:text-slate-200">
+                        ${escapeHTML(location.name)}
+                        ${location.isHomeOffice ? '<span class="ml-1 text-xs text-blue-600 dark:text-blue-400">Home office</span>' : ''}
+                    </div>
+                    ${location.isBuiltIn ? '<div class="text-xs text-amber-600 dark:text-amber-400">Built-in Division Code</div>' : ''}
+                    ${location.aliases?.length ? `<div class="text-xs text-slate-500 dark:text-slate-400">Also: ${escapeHTML(location.aliases.join(', '))}</div>` : ''}
+                    ${details.length ? `<div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(details.join(' · '))}</div>` : ''}
                 </div>
             </div>
-            ${!isBuiltIn ? `
-                <button class="btn-delete-location p-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300" data-location="${escapeHTML(location)}" title="Delete">
-                    <i class="fas fa-trash-alt"></i>
-                </button>
+            ${!location.isBuiltIn ? `
+                <div class="flex items-center">
+                    <button class="btn-edit-location p-2 text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn-delete-location p-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300" title="Delete">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
             ` : ''}
         `;
 
-        // Delete button for custom locations
-        const deleteBtn = item.querySelector('.btn-delete-location');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.#handleDeleteLocation(location);
-            });
-        }
+        // Edit and delete buttons for registered locations
+        item.querySelector('.btn-edit-location')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.#openEditor(location.id);
+        });
+
+        item.querySelector('.btn-delete-location')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.#handleDeleteLocation(location);
+        });
 
         return item;
     }
@@ -228,44 +421,53 @@ export class LocationManagementModal {
     /**
      * Handle location deletion
      * @private
+     * @param {object} location - Registered location
      */
-    async #handleDeleteLocation(location) {
-        // Check if there are events using this location
+    async #handleDeleteLocation({ id, name }) {
+        // Check if there are events using this location (by name or alias)
         const state = StateManager.getState();
-        const eventsWithLocation = state.events.filter(e => e.location === location);
+        const eventsWithLocation = state.events.filter(e => StateManager.getLocationId(e.location) === id);
 
         if (eventsWithLocation.length > 0) {
             // Show conflict modal with options
-            const result = await this.#showDeletionConflictModal(location, eventsWithLocation.length);
+            const result = await this.#showDeletionConflictModal(name, eventsWithLocation.length);
 
             if (result === 'archive') {
                 // Archive all events with this location
                 const eventIds = eventsWithLocation.map(e => e.id);
-                StateManager.archiveEvents(eventIds);
-                StateManager.deleteCustomLocation(location);
-                ToastService.success(`Location "${location}" deleted and ${eventsWithLocation.length} event(s) archived`);
+                StateManager.batch('Delete location', () => {
+                    StateManager.archiveEvents(eventIds);
+                    StateManager.deleteLocation(id);
+                });
+                ToastService.success(`Location "${name}" deleted and ${eventsWithLocation.length} event(s) archived`);
             } else if (result === 'delete') {
                 // Delete all events with this location
-                eventsWithLocation.forEach(event => {
-                    StateManager.deleteEvent(event.id);
+                StateManager.batch('Delete location', () => {
+                    eventsWithLocation.forEach(event => {
+                        StateManager.deleteEvent(event.id);
+                    });
+                    StateManager.deleteLocation(id);
                 });
-                StateManager.deleteCustomLocation(location);
-                ToastService.success(`Location "${location}" and ${eventsWithLocation.length} event(s) deleted`);
+                ToastService.success(`Location "${name}" and ${eventsWithLocation.length} event(s) deleted`);
             }
             // If result is null/undefined, user cancelled
         } else {
             // No conflicts, delete directly
             const confirmed = await ConfirmDialog.show({
                 title: 'Delete Location',
-                message: `Are you sure you want to delete "${location}"? This cannot be undone.`,
+                message: `Are you sure you want to delete "${name}"? This cannot be undone.`,
                 confirmText: 'Delete',
                 isDangerous: true
             });
             if (confirmed) {
-                StateManager.deleteCustomLocation(location);
-                ToastService.success(`Location "${location}" deleted`);
+                StateManager.deleteLocation(id);
+                ToastService.success(`Location "${name}" deleted`);
             }
         }
+
+        if (this.#editingId === id && !StateManager.getLocation(id)) {
+            this.#closeEditor();
+        }
     }
 
     /**
@@ -289,7 +491,7 @@ export class LocationManagementModal {
 
                         <div class="p-6">
                             <div class="text-sm text-slate-600 dark:text-slate-400 mb-6">
-                                <p class="font-semibold mb-2">You are deleting the location "${location}".</p>
+                                <p class="font-semibold mb-2">You are deleting the location "${escapeHTML(location)}".</p>
                                 <p>There ${eventCount === 1 ? 'is' : 'are'} <strong>${eventCount}</strong> event${eventCount === 1 ? '' : 's'} using this location.</p>
                                 <p class="mt-2">What would you like to do?</p>
                             </div>
@@ -0,0 +1,271 @@
+/**
+ * MergeImportModal - Merge a shared travel-plan JSON file into the current plan
+ *
+ * Features:
+ * - Preview of added, updated and skipped trips and constraints
+ * - New trip/constraint types and locations that will be added
+ * - Warnings for type IDs defined differently on both sides (local definition is kept)
+ * - Single undoable merge step
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import DataService from '../services/DataService.js';
+import ToastService from '../services/ToastService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+export class MergeImportModal {
+    #modalId = 'mergeImportModal';
+    #data = null; // Normalized import data awaiting confirmation
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('merge-import:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-code-merge mr-2"></i>
+                            <span>Merge Import</span>
+                            <span id="mergeImportFileName" class="ml-2 text-sm font-normal text-slate-500 dark:text-slate-400"></span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div id="mergeImportPreview" class="flex-1 overflow-y-auto p-6 space-y-4"></div>
+
+                    <div class="px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 text-sm text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 rounded">
+                            Cancel
+                        </button>
+                        <button id="btnConfirmMergeImport" class="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded font-medium">
+                            Merge
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnMergeData')?.addEventListener('click', () => this.open());
+
+        document.getElementById('btnConfirmMergeImport')?.addEventListener('click', () => this.#confirmMerge());
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Prompt for a JSON file and open the merge preview
+     */
+    open() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const contents = await DataService.readFile(file);
+                this.showPreview(DataService.importFromJSON(contents), file.name);
+            } catch (error) {
+                ToastService.error(`Import failed: ${error.message}`);
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Show the merge preview for imported data
+     * @param {object} data - Data from DataService.importFromJSON
+     * @param {string} fileName - Source file name (display only)
+     */
+    showPreview(data, fileName = '') {
+        this.#data = data;
+        const plan = StateManager.previewMerge(data);
+
+        document.getElementById('mergeImportFileName').textContent = fileName;
+        document.getElementById('mergeImportPreview').innerHTML = `
+            ${this.#renderTypeConflicts(plan)}
+            ${this.#renderRecordSection('Trips', plan.events, (e) => `${e.location} • ${e.startDate}`)}
+            ${this.#renderRecordSection('Constraints', plan.constraints, (c) => c.startDate === c.endDate ? c.startDate : `${c.startDate} – ${c.endDate}`)}
+            ${this.#renderAdditions(plan)}
+        `;
+
+        const changeCount = plan.events.added.length + plan.events.updated.length
+            + plan.constraints.added.length + plan.constraints.updated.length
+            + plan.eventTypes.added.length + plan.constraintTypes.added.length + plan.locations.added.length;
+
+        const button = document.getElementById('btnConfirmMergeImport');
+        button.disabled = changeCount === 0;
+        button.classList.toggle('opacity-50', changeCount === 0);
+        button.textContent = changeCount === 0 ? 'Nothing to merge' : 'Merge';
+
+        this.#openModal();
+    }
+
+    /**
+     * Render added/updated/skipped lists for trips or constraints
+     * @private
+     * @param {string} title - Section title
+     * @param {object} section - { added, updated, skipped }
+     * @param {Function} describe - Returns a detail line for a record
+     * @returns {string} HTML
+     */
+    #renderRecordSection(title, section, describe) {
+        const groups = [
+            { key: 'added', label: 'Added', icon: 'fa-plus-circle', color: 'text-green-600 dark:text-green-400' },
+            { key: 'updated', label: 'Updated', icon: 'fa-pen', color: 'text-blue-600 dark:text-blue-400' },
+            { key: 'skipped', label: 'Skipped', icon: 'fa-minus-circle', color: 'text-slate-400 dark:text-slate-500' }
+        ];
+
+        return `
+            <div>
+                <h4 class="font-semibold text-sm text-slate-700 dark:text-slate-200 mb-2">
+                    ${escapeHTML(title)}
+                    <span class="ml-2 text-xs font-normal text-slate-500 dark:text-slate-400">
+                        ${groups.map(g => `${section[g.key].length} ${g.label.toLowerCase()}`).join(' • ')}
+                    </span>
+                </h4>
+                <div class="border border-slate-200 dark:border-slate-700 rounded-lg divide-y divide-slate-200 dark:divide-slate-700 max-h-48 overflow-y-auto">
+                    ${groups.flatMap(g => section[g.key].map(item => `
+                        <div class="flex items-center gap-3 px-3 py-1.5 text-xs">
+                            <i class="fas ${g.icon} ${g.color} w-4"></i>
+                            <span class="font-medium text-slate-700 dark:text-slate-200 truncate">${escapeHTML(item.incoming.title || '(untitled)')}</span>
+                            <span class="text-slate-500 dark:text-slate-400 truncate">${item.incoming.startDate ? escapeHTML(describe(item.incoming)) : ''}</span>
+                            <span class="ml-auto text-slate-400 dark:text-slate-500 shrink-0">${escapeHTML(item.reason)}</span>
+                        </div>
+                    `)).join('') || '<div class="px-3 py-2 text-xs text-slate-400 dark:text-slate-500">None in file</div>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render warnings for conflicting type definitions
+     * @private
+     * @param {object} plan - Merge plan
+     * @returns {string} HTML
+     */
+    #renderTypeConflicts(plan) {
+        const conflicts = [
+            ...plan.eventTypes.conflicts.map(c => ({ ...c, kind: 'Trip type' })),
+            ...plan.constraintTypes.conflicts.map(c => ({ ...c, kind: 'Constraint type' }))
+        ];
+        if (conflicts.length === 0) return '';
+
+        return `
+            <div class="p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-300 dark:border-amber-700">
+                <div class="text-sm font-semibold text-amber-700 dark:text-amber-300 mb-1">
+                    <i class="fas fa-exclamation-triangle mr-1"></i>Conflicting type definitions (your definitions are kept)
+                </div>
+                <ul class="text-xs text-amber-700 dark:text-amber-300 space-y-0.5">
+                    ${conflicts.map(c => `
+                        <li>${escapeHTML(c.kind)} <span class="font-mono">${escapeHTML(c.typeId)}</span>:
+                            yours "${escapeHTML(c.existing.label)}"${c.existing.isHardStop ? ' (hard stop)' : ''},
+                            theirs "${escapeHTML(c.incoming.label)}"${c.incoming.isHardStop ? ' (hard stop)' : ''}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render new types and locations
+     * @private
+     * @param {object} plan - Merge plan
+     * @returns {string} HTML
+     */
+    #renderAdditions(plan) {
+        const types = [
+            ...plan.eventTypes.added.map(t => `${t.config.label} (trip)`),
+            ...plan.constraintTypes.added.map(t => `${t.config.label} (constraint)`)
+        ];
+        if (types.length === 0 && plan.locations.added.length === 0) return '';
+
+        return `
+            <div class="text-xs text-slate-600 dark:text-slate-300 space-y-1">
+                ${types.length > 0 ? `<div><span class="font-semibold">New types:</span> ${escapeHTML(types.join(', '))}</div>` : ''}
+                ${plan.locations.added.length > 0 ? `<div><span class="font-semibold">New locations:</span> ${escapeHTML(plan.locations.added.join(', '))}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Apply the merge
+     * @private
+     */
+    #confirmMerge() {
+        if (!this.#data) return;
+
+        const plan = StateManager.mergeState(this.#data);
+        this.#data = null;
+
+        const added = plan.events.added.length + plan.constraints.added.length;
+        const updated = plan.events.updated.length + plan.constraints.updated.length;
+        ToastService.success(`Merged: ${added} added, ${updated} updated`);
+
+        this.close();
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default MergeImportModal;
@@ -1,16 +1,18 @@
 /**
  * MetricsBar - Statistics display component
  *
- * Calculates and displays:
+ * Calculates and displays, for the viewed (fiscal) year:
  * - Weeks Traveling
  * - Weeks Home
+ * - Days Away (see TravelAccountingService)
  * - Conflicts
  */
 
 import EventBus from '../utils/EventBus.js';
 import StateManager from '../services/StateManager.js';
 import ScoringEngine from '../services/ScoringEngine.js';
-import { getMonday, dateToISO, getFriday } from '../services/DateService.js';
+import { getEventDateRange, getFiscalYearRange } from '../services/DateService.js';
+import { getTravelSummary } from '../services/TravelAccountingService.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
 
 export class MetricsBar {
@@ -31,6 +33,7 @@ export class MetricsBar {
         EventBus.on('event:updated', () => this.update());
         EventBus.on('constraint:added', () => this.update());
         EventBus.on('constraint:deleted', () => this.update());
+        EventBus.on('year:changed', () => this.update());
 
         // Setup event listeners
         this.#setupEventListeners();
@@ -64,19 +67,20 @@ export class MetricsBar {
         const events = state.events;
         const constraints = state.constraints;
 
-        // Weeks traveling = number of events
-        const weeksTraveling = events.length;
-
-        // Weeks home = 52 - weeks traveling
-        const weeksHome = 52 - weeksTraveling;
+        // Day-level travel totals for the viewed year (52 or 53 weeks)
+        const travel = this.#getTravelSummary(events);
 
         // Conflicts = hard constraint violations + double-bookings
         const conflicts = ScoringEngine.detectConflicts(events, constraints);
         const conflictCount = conflicts.length;
 
         return {
-            weeksTraveling,
-            weeksHome,
+            weeksTraveling: travel.travelWeeks.length,
+            weeksHome: travel.weeksHome,
+            daysAway: travel.daysAway,
+            nightsAway: travel.nightsAway,
+            workingDaysAway: travel.workingDaysAway,
+            weekendDaysAway: travel.weekendDaysAway,
             conflicts: conflictCount,
             conflictDetails: conflicts
         };
@@ -104,6 +108,11 @@ export class MetricsBar {
                 <span id="statHomeWeeks" class="font-mono font-bold text-green-600 dark:text-green-400">${metrics.weeksHome}</span>
                 ${metrics.weeksHome > 0 ? '<i class="fas fa-chevron-right text-xs text-slate-400 ml-1"></i>' : ''}
             </div>
+            <div id="metricDaysAway" class="flex items-center gap-2" title="${metrics.nightsAway} nights, ${metrics.workingDaysAway} working days and ${metrics.weekendDaysAway} weekend days away">
+                <i class="fas fa-suitcase-rolling text-indigo-500 dark:text-indigo-400"></i>
+                <span class="font-semibold text-slate-700 dark:text-slate-300">Days Away:</span>
+                <span id="statDaysAway" class="font-mono font-bold text-indigo-600 dark:text-indigo-400">${metrics.daysAway}</span>
+            </div>
             <div id="metricConflicts" class="flex items-center gap-2 ${metrics.conflicts > 0 ? 'cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-700 rounded px-2 py-1 -mx-2 transition' : ''}">
                 <i class="fas fa-exclamation-triangle ${metrics.conflicts > 0 ? 'text-red-500 dark:text-red-400' : 'text-slate-300 dark:text-slate-600'}"></i>
                 <span class="font-semibold text-slate-700 dark:text-slate-300">Conflicts:</span>
@@ -196,64 +205,13 @@ export class MetricsBar {
     }
 
     /**
-     * Calculate all Mon-Fri weeks that have travel
+     * Get the day-level travel totals of the viewed (fiscal) year
      * @private
-     * @returns {Array<string>} Array of Monday ISO dates
+     * @param {Array} events - Events array (defaults to current state)
+     * @returns {object} Travel summary (see TravelAccountingService.getTravelSummary)
      */
-    #calculateTravelWeeks() {
-        // Helper to parse ISO date strings in local time (avoid timezone issues)
-        const parseLocalDate = (dateStr) => {
-            if (typeof dateStr === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-                const [year, month, day] = dateStr.split('-').map(Number);
-                return new Date(year, month - 1, day);
-            }
-            return new Date(dateStr);
-        };
-
-        const state = StateManager.getState();
-        const travelWeeks = new Set();
-
-        state.events.forEach(event => {
-            if (!event.isFixed || !event.endDate) {
-                // Flexible event - startDate is Monday, represents Mon-Fri week
-                travelWeeks.add(event.startDate);
-                console.log('Flexible event:', event.title, 'Week:', event.startDate);
-            } else {
-                // Fixed event - find all Mon-Fri weeks that overlap with this event
-                const eventStart = parseLocalDate(event.startDate);
-                const eventEnd = parseLocalDate(event.endDate);
-
-                console.log('Fixed event:', event.title, 'Start:', event.startDate, 'End:', event.endDate);
-
-                // Get Monday of the week containing the start date
-                let currentMonday = getMonday(eventStart);
-                const lastMonday = getMonday(eventEnd);
-
-                console.log('  Checking weeks from', dateToISO(currentMonday), 'to', dateToISO(lastMonday));
-
-                // Add all weeks that overlap with this event
-                while (currentMonday <= lastMonday) {
-                    const currentFriday = getFriday(currentMonday);
-                    const mondayISO = dateToISO(currentMonday);
-
-                    // Check if this Mon-Fri week overlaps with the event
-                    if (currentFriday >= eventStart && currentMonday <= eventEnd) {
-                        console.log('  Adding week:', mondayISO, '(overlaps)');
-                        travelWeeks.add(mondayISO);
-                    } else {
-                        console.log('  Skipping week:', mondayISO, '(no overlap)');
-                    }
-
-                    // Move to next week
-                    const nextMonday = new Date(currentMonday);
-                    nextMonday.setDate(nextMonday.getDate() + 7);
-                    currentMonday = nextMonday;
-                }
-            }
-        });
-
-        console.log('Total travel weeks:', Array.from(travelWeeks));
-        return Array.from(travelWeeks);
+    #getTravelSummary(events = StateManager.getState().events) {
+        return getTravelSummary(events, getFiscalYearRange(StateManager.getYear(), StateManager.getFiscalCalendar()));
     }
 
     /**
@@ -261,7 +219,7 @@ export class MetricsBar {
      * @private
      */
     #highlightTravelingWeeks() {
-        const travelWeeks = this.#calculateTravelWeeks();
+        const { travelWeeks } = this.#getTravelSummary();
         EventBus.emit('highlight:traveling-weeks', { weeks: travelWeeks });
     }
 
@@ -270,7 +228,7 @@ export class MetricsBar {
      * @private
      */
     #highlightHomeWeeks() {
-        const travelWeeks = this.#calculateTravelWeeks();
+        const { travelWeeks } = this.#getTravelSummary();
         EventBus.emit('highlight:home-weeks', { travelWeeks });
     }
 
@@ -289,8 +247,9 @@ export class MetricsBar {
         this.#currentMetrics.conflictDetails.forEach(conflict => {
             if (conflict.type === 'hard-constraint') {
                 // Add all dates from the event
-                const eventStart = new Date(conflict.event.startDate);
-                const eventEnd = new Date(conflict.event.endDate || conflict.event.startDate);
+                const eventRange = getEventDateRange(conflict.event);
+                const eventStart = new Date(eventRange.startDate);
+                const eventEnd = new Date(eventRange.endDate);
                 for (let d = new Date(eventStart); d <= eventEnd; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
@@ -303,14 +262,16 @@ export class MetricsBar {
                 }
             } else if (conflict.type === 'double-booking') {
                 // Add all dates from both events
-                const event1Start = new Date(conflict.event1.startDate);
-                const event1End = new Date(conflict.event1.endDate || conflict.event1.startDate);
+                const event1Range = getEventDateRange(conflict.event1);
+                const event1Start = new Date(event1Range.startDate);
+                const event1End = new Date(event1Range.endDate);
                 for (let d = new Date(event1Start); d <= event1End; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
 
-                const event2Start = new Date(conflict.event2.startDate);
-                const event2End = new Date(conflict.event2.endDate || conflict.event2.startDate);
+                const event2Range = getEventDateRange(conflict.event2);
+                const event2Start = new Date(event2Range.startDate);
+                const event2End = new Date(event2Range.endDate);
                 for (let d = new Date(event2Start); d <= event2End; d.setDate(d.getDate() + 1)) {
                     conflictDates.add(this.#dateToISO(d));
                 }
@@ -4,6 +4,8 @@
  * Handles:
  * - Add Trip modal (Fixed and Flexible modes)
  * - Add Constraint modal
+ * - Editing a single occurrence or the whole series of recurring trips/constraints
+ * - Optional estimated trip cost (see BudgetService)
  * - Export/Import modal
  */
 
@@ -14,9 +16,15 @@ import DataService from '../services/DataService.js';
 import TutorialService from '../services/TutorialService.js';
 import ToastService from '../services/ToastService.js';
 import ConfirmDialog from '../services/ConfirmDialog.js';
-import { formatDate, getFriday, getMonday, dateToISO } from '../services/DateService.js';
+import { formatDate, getFriday, getMonday, dateToISO, getEventLegs, getFiscalYear, formatFiscalYear } from '../services/DateService.js';
+import { getOccurrence } from '../services/RecurrenceService.js';
+import { RecurrenceRule } from '../models/RecurrenceRule.js';
+import { CostEstimate } from '../models/CostEstimate.js';
+import { isTripActive, isTripImmovable } from '../models/Event.js';
 import ComboBox from './ComboBox.js';
-import { BUILT_IN_LOCATIONS } from '../config/calendarConfig.js';
+import RecurrenceEditor from './RecurrenceEditor.js';
+import BookingSegmentsEditor from './BookingSegmentsEditor.js';
+import { BUILT_IN_LOCATIONS, TRIP_STATUSES, DEFAULT_TRIP_STATUS, MONTH_NAMES } from '../config/calendarConfig.js';
 import { escapeHTML } from '../utils/htmlSanitizer.js';
 
 export class ModalManager {
@@ -24,10 +32,14 @@ export class ModalManager {
     #exportModalId = 'exportModal';
     #editingEventId = null;
     #editingConstraintId = null;
+    #editingOccurrence = null; // Original date of the occurrence being edited (recurring series only)
     #batchTrips = [];
     #tripTypeComboBox = null;
     #tripLocationComboBox = null;
     #constraintTypeComboBox = null;
+    #tripRecurrenceEditor = null;
+    #constraintRecurrenceEditor = null;
+    #tripSegmentsEditor = null;
     #pendingTripTypeSelection = null;
     #pendingConstraintTypeSelection = null;
     #batchWizardState = {
@@ -38,7 +50,8 @@ export class ModalManager {
         selections: [],        // User selections: [{ tripIndex, week, location, title, type }, ...]
         timeRangeId: '',
         referenceDate: null,
-        excludeEventIds: []
+        excludeEventIds: [],
+        autoPlans: []          // Optimized complete plans from ScoringEngine.optimizeBatch
     };
 
     /**
@@ -46,6 +59,8 @@ export class ModalManager {
      */
     init() {
         this.#initializeComboBoxes();
+        this.#initializeRecurrenceEditors();
+        this.#initializeSegmentsEditor();
         this.#setupEventListeners();
 
         // Subscribe to events
@@ -59,6 +74,31 @@ export class ModalManager {
         EventBus.on('location:deleted', () => this.#refreshLocationComboBox());
     }
 
+    /**
+     * Initialize recurrence editors for the trip and constraint forms
+     * @private
+     */
+    #initializeRecurrenceEditors() {
+        this.#tripRecurrenceEditor = new RecurrenceEditor({ idPrefix: 'tripRecurrence' });
+        this.#tripRecurrenceEditor.render(document.getElementById('tripRecurrenceContainer'));
+
+        this.#constraintRecurrenceEditor = new RecurrenceEditor({ idPrefix: 'constraintRecurrence' });
+        this.#constraintRecurrenceEditor.render(document.getElementById('constraintRecurrenceContainer'));
+    }
+
+    /**
+     * Initialize the booking details editor of the trip form
+     * @private
+     */
+    #initializeSegmentsEditor() {
+        const container = document.getElementById('tripSegmentsContainer');
+        this.#tripSegmentsEditor = new BookingSegmentsEditor();
+        this.#tripSegmentsEditor.render(container);
+
+        // Keep the count in the summary current as bookings are added/removed
+        container.addEventListener('click', () => this.#updateBookingsCount());
+    }
+
     /**
      * Initialize ComboBox instances
      * @private
@@ -263,6 +303,7 @@ export class ModalManager {
     openAddModal(prefilledDate = null) {
         this.#editingEventId = null;
         this.#editingConstraintId = null;
+        this.#editingOccurrence = null;
 
         this.open(this.#addModalId);
 
@@ -274,6 +315,13 @@ export class ModalManager {
         this.#tripTypeComboBox.setValue('');
         this.#tripLocationComboBox.setValue('');
         this.#constraintTypeComboBox.setValue('');
+        this.#tripRecurrenceEditor.setValue(null);
+        this.#constraintRecurrenceEditor.setValue(null);
+        this.#showOccurrenceScope(null, null);
+        this.#showTripLegs(null);
+        this.#showTripStatus(null);
+        this.#showTripBookings(null);
+        document.getElementById('tripCostDetails').open = false;
 
         if (prefilledDate) {
             document.getElementById('tripDate').value = prefilledDate;
@@ -304,38 +352,34 @@ export class ModalManager {
     /**
      * Open edit event modal
      * @param {string} eventId - Event ID to edit
+     * @param {string} occurrenceDate - Optional occurrence (original date) of a recurring trip
      */
-    openEditEventModal(eventId) {
+    openEditEventModal(eventId, occurrenceDate = null) {
         const event = StateManager.getEvent(eventId);
         if (!event) {
             console.error('Event not found:', eventId);
             return;
         }
 
+        const occurrence = occurrenceDate ? getOccurrence(event, occurrenceDate) : null;
+
         this.#editingEventId = eventId;
         this.#editingConstraintId = null;
+        this.#editingOccurrence = occurrence ? occurrenceDate : null;
 
         this.open(this.#addModalId);
 
-        // Pre-fill form with event data
-        document.getElementById('tripTitle').value = event.title || '';
-        this.#tripTypeComboBox.setValue(event.type || '');
-        document.getElementById('tripMode').value = event.isFixed ? 'fixed' : 'flexible';
-
-        // Set location using ComboBox
-        this.#tripLocationComboBox.setValue(event.location || '');
-
-        if (event.isFixed && event.endDate) {
-            document.getElementById('tripDate').value = event.startDate;
-            document.getElementById('tripEndDate').value = event.endDate;
-        } else {
-            document.getElementById('tripDate').value = event.startDate;
-        }
+        // Pre-fill form with event (or occurrence) data
+        this.#fillEventForm(occurrence || event);
+        this.#tripRecurrenceEditor.setValue(event.recurrence || null);
+        this.#constraintRecurrenceEditor.setValue(null);
+        this.#showOccurrenceScope(event, occurrence);
+        this.#showTripLegs(occurrence || event);
 
         this.#switchTab('trip');
         this.#toggleTripMode();
 
-        // Show delete button for editing trips
+        // Show delete button for editing trips (deletes the whole series of recurring trips)
         if (event.isFixed) {
             document.getElementById('btnDeleteTrip').classList.remove('hidden');
             document.getElementById('btnDeleteTripFlexible').classList.add('hidden');
@@ -353,27 +397,287 @@ export class ModalManager {
         }
     }
 
+    /**
+     * Fill the trip form from an event or occurrence
+     * @private
+     * @param {object} event - Event or occurrence data
+     */
+    #fillEventForm(event) {
+        document.getElementById('tripTitle').value = event.title || '';
+        this.#tripTypeComboBox.setValue(event.type || '');
+        document.getElementById('tripMode').value = event.isFixed ? 'fixed' : 'flexible';
+
+        // Set location using ComboBox
+        this.#tripLocationComboBox.setValue(event.location || '');
+
+        if (event.isFixed && event.endDate) {
+            document.getElementById('tripDate').value = event.startDate;
+            document.getElementById('tripEndDate').value = event.endDate;
+        } else {
+            document.getElementById('tripDate').value = event.startDate;
+        }
+        document.getElementById('tripDuration').value = event.duration || 1;
+
+        const cost = event.cost || {};
+        document.getElementById('tripCostAirfare').value = cost.airfare ?? '';
+        document.getElementById('tripCostHotel').value = cost.hotelNightly ?? '';
+        document.getElementById('tripCostNights').value = cost.nights ?? '';
+        document.getElementById('tripCostPerDiem').value = cost.perDiem ?? '';
+        document.getElementById('tripCostCurrency').value = cost.currency ?? '';
+        document.getElementById('tripCostDetails').open = Boolean(event.cost);
+
+        this.#showTripStatus(event);
+        this.#showTripBookings(event);
+    }
+
+    /**
+     * Show a trip's booking details in the editor
+     * Occurrences share the series' bookings, which are edited on the whole series.
+     * @private
+     * @param {object|null} event - Event or occurrence being edited (null for a new trip)
+     */
+    #showTripBookings(event) {
+        const segments = event?.segments || [];
+        const details = document.getElementById('tripBookingsDetails');
+
+        this.#tripSegmentsEditor.setValue(segments);
+        details.classList.toggle('hidden', Boolean(event?.seriesId));
+        details.open = segments.length > 0;
+        document.getElementById('btnTripItinerary').classList.toggle('hidden', !event);
+        this.#updateBookingsCount();
+    }
+
+    /**
+     * Show the number of bookings in the bookings summary
+     * @private
+     */
+    #updateBookingsCount() {
+        const count = this.#tripSegmentsEditor.getCount();
+        document.getElementById('tripBookingsCount').textContent = count > 0 ? `(${count})` : '';
+    }
+
+    /**
+     * Read the booking details from the trip form
+     * @private
+     * @returns {Array<object>|undefined} Segments, or undefined if invalid (error shown)
+     */
+    #getTripSegments() {
+        try {
+            return this.#tripSegmentsEditor.getValue();
+        } catch (error) {
+            ToastService.error(error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Fill the status select with the statuses a trip can have next, and show its status history
+     * New trips can start at any status before completion; occurrences of a repeating
+     * trip share the series' status, so it can't be changed for one occurrence.
+     * @private
+     * @param {object|null} event - Event or occurrence being edited (null for a new trip)
+     */
+    #showTripStatus(event) {
+        const select = document.getElementById('tripStatus');
+        const history = document.getElementById('tripStatusHistory');
+        const current = event?.status || DEFAULT_TRIP_STATUS;
+        const options = event
+            ? [current, ...TRIP_STATUSES[current].transitions]
+            : Object.keys(TRIP_STATUSES).filter(status => !['completed', 'cancelled'].includes(status));
+
+        select.innerHTML = Object.keys(TRIP_STATUSES)
+            .filter(status => options.includes(status))
+            .map(status => `<option value="${status}">${escapeHTML(TRIP_STATUSES[status].label)}</option>`)
+            .join('');
+        select.value = current;
+        select.disabled = Boolean(event?.seriesId);
+
+        const changes = event?.statusHistory || [];
+        history.classList.toggle('hidden', changes.length === 0);
+        history.textContent = `History: ${changes
+            .map(change => `${TRIP_STATUSES[change.status].label} ${formatDate(change.at)}`)
+            .join(' · ')}`;
+    }
+
+    /**
+     * Read the status from the trip form
+     * @private
+     * @returns {string} Status id
+     */
+    #getTripStatus() {
+        return document.getElementById('tripStatus').value || DEFAULT_TRIP_STATUS;
+    }
+
+    /**
+     * Read the estimated cost from the trip form
+     * @private
+     * @returns {object|null|undefined} Cost, null if no amount is entered, or undefined if invalid (error shown)
+     */
+    #getTripCost() {
+        const value = (id) => document.getElementById(id).value.trim();
+
+        try {
+            const cost = CostEstimate.fromOptional({
+                airfare: value('tripCostAirfare'),
+                hotelNightly: value('tripCostHotel'),
+                nights: value('tripCostNights'),
+                perDiem: value('tripCostPerDiem'),
+                currency: value('tripCostCurrency')
+            });
+            return cost ? cost.toJSON() : null;
+        } catch (error) {
+            ToastService.error(error.message);
+            return undefined;
+        }
+    }
+
+    /**
+     * Show the route of a multi-city trip being edited
+     * @private
+     * @param {object|null} event - Event or occurrence (null or single-city hides the route)
+     */
+    #showTripLegs(event) {
+        const container = document.getElementById('tripLegs');
+        const isMultiCity = Boolean(event?.legs);
+        container.classList.toggle('hidden', !isMultiCity);
+        if (!isMultiCity) return;
+
+        const dayFormat = { weekday: 'short', day: 'numeric' };
+        document.getElementById('tripLegsRoute').textContent = getEventLegs(event)
+            .map(leg => `${leg.location} (${formatDate(`${leg.startDate}T00:00:00`, dayFormat)}–${formatDate(`${leg.endDate}T00:00:00`, dayFormat)})`)
+            .join(' → ');
+
+        // Legs belong to the whole trip, not to single occurrences
+        document.getElementById('btnRemoveTripLegs').classList.toggle('hidden', Boolean(this.#editingOccurrence));
+    }
+
+    /**
+     * Turn the trip being edited back into a single-city trip
+     * @private
+     */
+    #removeTripLegs() {
+        if (!this.#editingEventId) return;
+
+        StateManager.updateEvent(this.#editingEventId, { legs: null });
+        this.#showTripLegs(StateManager.getEvent(this.#editingEventId));
+        ToastService.success('Trip now visits its first city only');
+    }
+
+    /**
+     * Fill the constraint form from a constraint or occurrence
+     * @private
+     * @param {object} constraint - Constraint or occurrence data
+     */
+    #fillConstraintForm(constraint) {
+        document.getElementById('constraintTitle').value = constraint.title || '';
+        this.#constraintTypeComboBox.setValue(constraint.type || '');
+        document.getElementById('constraintDate').value = constraint.startDate;
+        document.getElementById('constraintEndDate').value = constraint.endDate || constraint.startDate;
+    }
+
+    /**
+     * Show the occurrence banner (scope choice and skip button) for recurring series
+     * @private
+     * @param {object|null} series - Recurring event/constraint being edited
+     * @param {object|null} occurrence - Occurrence being edited (null hides the banner)
+     */
+    #showOccurrenceScope(series, occurrence) {
+        const banner = document.getElementById('occurrenceScope');
+        banner.classList.toggle('hidden', !occurrence);
+
+        if (occurrence) {
+            const rule = RecurrenceRule.fromJSON(series.recurrence);
+            document.getElementById('occurrenceScopeLabel').textContent =
+                `${rule.describe()} • occurrence of ${formatDate(`${occurrence.occurrenceDate}T00:00:00`, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+            document.getElementById('btnRestoreOccurrence').classList.toggle('hidden', !occurrence.isModified);
+            banner.querySelector('input[value="occurrence"]').checked = true;
+        }
+
+        this.#applyOccurrenceScope();
+    }
+
+    /**
+     * Check whether the form currently edits a single occurrence
+     * @private
+     * @returns {boolean} True when editing only this occurrence
+     */
+    #isEditingOccurrence() {
+        return Boolean(this.#editingOccurrence)
+            && document.querySelector('input[name="occurrenceScope"]:checked')?.value === 'occurrence';
+    }
+
+    /**
+     * Refill the form and recurrence editors for the chosen scope
+     * @private
+     */
+    #applyOccurrenceScope() {
+        const editingOccurrence = this.#isEditingOccurrence();
+        this.#tripRecurrenceEditor.setVisible(!editingOccurrence);
+        this.#constraintRecurrenceEditor.setVisible(!editingOccurrence);
+
+        if (!this.#editingOccurrence) return;
+
+        if (this.#editingEventId) {
+            const event = StateManager.getEvent(this.#editingEventId);
+            this.#fillEventForm(editingOccurrence ? getOccurrence(event, this.#editingOccurrence) : event);
+            this.#toggleTripMode();
+        } else if (this.#editingConstraintId) {
+            const constraint = StateManager.getConstraint(this.#editingConstraintId);
+            this.#fillConstraintForm(editingOccurrence ? getOccurrence(constraint, this.#editingOccurrence) : constraint);
+        }
+    }
+
+    /**
+     * Skip or reset the occurrence being edited
+     * @private
+     * @param {boolean} skip - True to skip, false to undo changes to the occurrence
+     */
+    #changeOccurrence(skip) {
+        if (!this.#editingOccurrence) return;
+
+        const kind = this.#editingConstraintId ? 'constraint' : 'event';
+        const id = this.#editingConstraintId || this.#editingEventId;
+
+        if (skip) {
+            StateManager.skipOccurrence(kind, id, this.#editingOccurrence);
+        } else {
+            StateManager.restoreOccurrence(kind, id, this.#editingOccurrence);
+        }
+
+        this.#editingEventId = null;
+        this.#editingConstraintId = null;
+        this.#editingOccurrence = null;
+        this.close(this.#addModalId);
+    }
+
     /**
      * Open edit constraint modal
      * @param {string} constraintId - Constraint ID to edit
+     * @param {string} occurrenceDate - Optional occurrence (original date) of a recurring constraint
      */
-    openEditConstraintModal(constraintId) {
+    openEditConstraintModal(constraintId, occurrenceDate = null) {
         const constraint = StateManager.getConstraint(constraintId);
         if (!constraint) {
             console.error('Constraint not found:', constraintId);
             return;
         }
 
+        const occurrence = occurrenceDate ? getOccurrence(constraint, occurrenceDate) : null;
+
         this.#editingConstraintId = constraintId;
         this.#editingEventId = null;
+        this.#editingOccurrence = occurrence ? occurrenceDate : null;
 
         this.open(this.#addModalId);
 
-        // Pre-fill form with constraint data
-        document.getElementById('constraintTitle').value = constraint.title || '';
-        this.#constraintTypeComboBox.setValue(constraint.type || '');
-        document.getElementById('constraintDate').value = constraint.startDate;
-        document.getElementById('constraintEndDate').value = constraint.endDate || constraint.startDate;
+        // Pre-fill form with constraint (or occurrence) data
+        this.#fillConstraintForm(occurrence || constraint);
+        this.#constraintRecurrenceEditor.setValue(constraint.recurrence || null);
+        this.#tripRecurrenceEditor.setValue(null);
+        this.#showOccurrenceScope(constraint, occurrence);
+        this.#showTripLegs(null);
+        this.#showTripStatus(null);
+        this.#showTripBookings(null);
 
         // Show delete button for editing constraints
         document.getElementById('btnDeleteConstraint').classList.remove('hidden');
@@ -393,6 +697,42 @@ export class ModalManager {
         const state = StateManager.getState();
         const json = DataService.exportToJSON(state);
         document.getElementById('ioTextarea').value = json;
+
+        this.#populateICSFilters();
+    }
+
+    /**
+     * Populate the calendar export filters (year and trip types)
+     * @private
+     */
+    #populateICSFilters() {
+        const state = StateManager.getState();
+        const fiscal = StateManager.getFiscalCalendar();
+
+        const years = new Set([StateManager.getYear()]);
+        state.events.forEach(e => years.add(getFiscalYear(e.startDate, fiscal)));
+        state.constraints.forEach(c => years.add(getFiscalYear(c.startDate, fiscal)));
+
+        const yearSelect = document.getElementById('icsYear');
+        if (yearSelect) {
+            const sortedYears = Array.from(years).sort((a, b) => a - b);
+            yearSelect.innerHTML = '<option value="">All years</option>' +
+                sortedYears.map(y => `<option value="${y}">${formatFiscalYear(y, fiscal)}</option>`).join('');
+            yearSelect.value = String(StateManager.getYear());
+        }
+
+        const typeContainer = document.getElementById('icsEventTypes');
+        if (typeContainer) {
+            const eventTypeConfigs = StateManager.getAllEventTypeConfigs();
+            typeContainer.innerHTML = Object.entries(eventTypeConfigs)
+                .filter(([typeId]) => typeId !== 'archived')
+                .map(([typeId, config]) => `
+                    <label class="flex items-center gap-1 text-xs text-slate-600 dark:text-slate-300">
+                        <input type="checkbox" class="ics-event-type rounded" value="${escapeHTML(typeId)}" checked>
+                        ${escapeHTML(config.label)}
+                    </label>
+                `).join('');
+        }
     }
 
     /**
@@ -403,6 +743,10 @@ export class ModalManager {
         const modal = document.getElementById(modalId);
         if (!modal) return;
 
+        if (modalId === this.#addModalId) {
+            this.#updateTimeRangeOptions();
+        }
+
         modal.classList.remove('hidden', 'pointer-events-none');
 
         setTimeout(() => {
@@ -411,6 +755,31 @@ export class ModalManager {
         }, 10);
     }
 
+    /**
+     * Name the year and quarter planning ranges after the fiscal calendar
+     * @private
+     */
+    #updateTimeRangeOptions() {
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const isCalendarYear = fiscalCalendar.startMonth === 0 && !fiscalCalendar.weekPattern;
+        const lastMonth = MONTH_NAMES[(fiscalCalendar.startMonth + 11) % 12];
+        const detail = fiscalCalendar.weekPattern
+            ? `${fiscalCalendar.weekPattern} weeks`
+            : `${MONTH_NAMES[fiscalCalendar.startMonth]} - ${lastMonth}`;
+
+        ['tripTimeRange', 'batchTimeRange'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+
+            select.querySelector('option[value="current-year"]').textContent = isCalendarYear
+                ? 'Current Year'
+                : `Current Fiscal Year (${detail})`;
+            select.querySelector('option[value="current-quarter"]').textContent = isCalendarYear
+                ? 'Current Quarter'
+                : 'Current Fiscal Quarter';
+        });
+    }
+
     /**
      * Close modal with animation
      * @param {string} modalId - Modal element ID
@@ -502,6 +871,18 @@ export class ModalManager {
             btnDeleteConstraint.addEventListener('click', () => this.#deleteConstraint());
         }
 
+        // Recurring series: scope choice and single-occurrence actions
+        document.querySelectorAll('input[name="occurrenceScope"]').forEach(radio => {
+            radio.addEventListener('change', () => this.#applyOccurrenceScope());
+        });
+
+        document.getElementById('btnSkipOccurrence')?.addEventListener('click', () => this.#changeOccurrence(true));
+        document.getElementById('btnRestoreOccurrence')?.addEventListener('click', () => this.#changeOccurrence(false));
+        document.getElementById('btnRemoveTripLegs')?.addEventListener('click', () => this.#removeTripLegs());
+        document.getElementById('btnTripItinerary')?.addEventListener('click', () => {
+            EventBus.emit('trip-itinerary:open', { eventId: this.#editingEventId });
+        });
+
         // Batch planning buttons
         const btnAddBatchTrip = document.getElementById('btnAddBatchTrip');
         if (btnAddBatchTrip) {
@@ -529,6 +910,16 @@ export class ModalManager {
             exportBtn.addEventListener('click', () => this.#exportData());
         }
 
+        const exportCSVBtn = document.getElementById('btnExportCSV');
+        if (exportCSVBtn) {
+            exportCSVBtn.addEventListener('click', () => this.#exportCSV());
+        }
+
+        const exportICSBtn = document.getElementById('btnExportICS');
+        if (exportICSBtn) {
+            exportICSBtn.addEventListener('click', () => this.#exportICS());
+        }
+
         const importBtn = document.getElementById('btnImportData');
         if (importBtn) {
             importBtn.addEventListener('click', () => this.#importData());
@@ -548,7 +939,7 @@ export class ModalManager {
             const editBtn = e.target.closest('[data-action="edit-event"]');
             if (editBtn) {
                 const eventId = editBtn.dataset.id;
-                this.openEditEventModal(eventId);
+                this.openEditEventModal(eventId, editBtn.dataset.occurrence || null);
             }
         });
 
@@ -557,7 +948,7 @@ export class ModalManager {
             const editBtn = e.target.closest('[data-action="edit-constraint"]');
             if (editBtn) {
                 const constraintId = editBtn.dataset.id;
-                this.openEditConstraintModal(constraintId);
+                this.openEditConstraintModal(constraintId, editBtn.dataset.occurrence || null);
             }
         });
     }
@@ -720,6 +1111,7 @@ export class ModalManager {
     #getSuggestions() {
         const timeRangeId = document.getElementById('tripTimeRange').value;
         const location = this.#tripLocationComboBox.getValue().trim();
+        const duration = this.#getTripDuration();
 
         if (!location) {
             ToastService.warning('Please enter a location for optimization suggestions.');
@@ -737,7 +1129,11 @@ export class ModalManager {
             StateManager.getYear(),
             location,
             state.events,
-            state.constraints
+            state.constraints,
+            [],
+            [],
+            [],
+            duration
         );
 
         // Display suggestions
@@ -772,18 +1168,28 @@ export class ModalManager {
                     <div class="text-[10px] text-slate-500 dark:text-slate-400">${escapeHTML(opt.reasons.join(', ') || 'Clear schedule')}</div>
                 </div>
                 <button class="bg-blue-600 hover:bg-blue-700 text-white text-xs px-2 py-1 rounded" data-action="accept-suggestion" data-iso="${escapeHTML(opt.iso)}">
-                    ${opt.score > 200 ? 'Add to Trip' : 'Book'}
+                    ${opt.action === 'chain' ? 'Extend Trip' : (opt.score > 200 ? 'Add to Trip' : 'Book')}
                 </button>
             `;
 
             // Add click handler for accept button
             const acceptBtn = el.querySelector('[data-action="accept-suggestion"]');
             acceptBtn.addEventListener('click', () => {
-                this.#acceptSuggestion(opt.iso);
+                if (opt.action === 'chain') {
+                    this.#acceptChainSuggestion(opt.chainEventId);
+                } else {
+                    this.#acceptSuggestion(opt.iso);
+                }
             });
 
             container.appendChild(el);
         });
+
+        // Show which scoring profile produced these results
+        const profileNote = document.createElement('div');
+        profileNote.className = 'text-[10px] text-slate-400 dark:text-slate-500 text-right';
+        profileNote.textContent = `Scoring profile: ${suggestions[0].profile}`;
+        container.appendChild(profileNote);
     }
 
     /**
@@ -794,6 +1200,11 @@ export class ModalManager {
         const title = document.getElementById('tripTitle').value || 'Division Visit';
         const type = this.#tripTypeComboBox.getValue();
         const location = this.#tripLocationComboBox.getValue();
+        const cost = this.#getTripCost();
+        if (cost === undefined) return;
+
+        const segments = this.#getTripSegments();
+        if (segments === undefined) return;
 
         StateManager.addEvent({
             id: Date.now().toString(),
@@ -801,13 +1212,45 @@ export class ModalManager {
             type,
             location,
             startDate: isoDate,
-            duration: 1,
-            isFixed: false
+            duration: this.#getTripDuration(),
+            isFixed: false,
+            cost,
+            segments,
+            status: this.#getTripStatus()
         });
 
         this.close(this.#addModalId);
     }
 
+    /**
+     * Accept a multi-city suggestion: add the location as a new leg of an existing trip
+     * @private
+     * @param {string} eventId - Trip to extend
+     */
+    #acceptChainSuggestion(eventId) {
+        const location = this.#tripLocationComboBox.getValue();
+
+        try {
+            StateManager.addTripLeg(eventId, location);
+        } catch (error) {
+            ToastService.error(error.message);
+            return;
+        }
+
+        ToastService.success(`Added ${location} to ${StateManager.getEvent(eventId).title}`);
+        this.close(this.#addModalId);
+    }
+
+    /**
+     * Get flexible trip duration in weeks from the trip form
+     * @private
+     * @returns {number} Duration (at least 1)
+     */
+    #getTripDuration() {
+        const value = parseInt(document.getElementById('tripDuration')?.value, 10);
+        return Number.isFinite(value) && value >= 1 ? value : 1;
+    }
+
     /**
      * Save fixed trip
      * @private
@@ -823,6 +1266,15 @@ export class ModalManager {
             return;
         }
 
+        const recurrence = this.#getRecurrence(this.#tripRecurrenceEditor);
+        if (recurrence === undefined) return;
+
+        const cost = this.#getTripCost();
+        if (cost === undefined) return;
+
+        const segments = this.#getTripSegments();
+        if (segments === undefined) return;
+
         if (this.#editingEventId) {
             // Update existing event
             const startDateVal = document.getElementById('tripDate').value;
@@ -833,16 +1285,31 @@ export class ModalManager {
                 return;
             }
 
-            StateManager.updateEvent(this.#editingEventId, {
-                title,
-                location,
-                type,
-                startDate: startDateVal,
-                endDate: endDateVal,
-                duration: 1,
-                isFixed: true
-            });
+            if (this.#isEditingOccurrence()) {
+                StateManager.updateOccurrence('event', this.#editingEventId, this.#editingOccurrence, {
+                    title,
+                    location,
+                    type,
+                    startDate: startDateVal,
+                    endDate: endDateVal
+                });
+            } else {
+                StateManager.updateEvent(this.#editingEventId, {
+                    title,
+                    location,
+                    type,
+                    startDate: startDateVal,
+                    endDate: endDateVal,
+                    duration: 1,
+                    isFixed: true,
+                    recurrence,
+                    cost,
+                    segments,
+                    status: this.#getTripStatus()
+                });
+            }
             this.#editingEventId = null;
+            this.#editingOccurrence = null;
         } else if (this.#editingConstraintId) {
             // Converting constraint to trip - delete constraint and create trip
             const startDateVal = document.getElementById('tripDate').value;
@@ -862,7 +1329,11 @@ export class ModalManager {
                 startDate: startDateVal,
                 endDate: endDateVal,
                 duration: 1,
-                isFixed: true
+                isFixed: true,
+                recurrence,
+                cost,
+                segments,
+                status: this.#getTripStatus()
             });
             this.#editingConstraintId = null;
         } else {
@@ -901,7 +1372,11 @@ export class ModalManager {
                     startDate: range.startDate,
                     endDate: range.endDate,
                     duration: 1,
-                    isFixed: true
+                    isFixed: true,
+                    recurrence,
+                    cost,
+                    segments,
+                    status: this.#getTripStatus()
                 });
             });
         }
@@ -914,6 +1389,21 @@ export class ModalManager {
         this.#toggleMultiAddMode();
     }
 
+    /**
+     * Read a recurrence editor, reporting invalid rules
+     * @private
+     * @param {RecurrenceEditor} editor - Trip or constraint recurrence editor
+     * @returns {object|null|undefined} Rule, null when not repeating, undefined if invalid
+     */
+    #getRecurrence(editor) {
+        try {
+            return editor.getValue();
+        } catch (error) {
+            ToastService.error(error.message);
+            return undefined;
+        }
+    }
+
     /**
      * Save constraint
      * @private
@@ -928,6 +1418,9 @@ export class ModalManager {
             return;
         }
 
+        const recurrence = this.#getRecurrence(this.#constraintRecurrenceEditor);
+        if (recurrence === undefined) return;
+
         if (this.#editingConstraintId) {
             // Update existing constraint
             const startDateVal = document.getElementById('constraintDate').value;
@@ -938,13 +1431,24 @@ export class ModalManager {
                 return;
             }
 
-            StateManager.updateConstraint(this.#editingConstraintId, {
-                title,
-                type,
-                startDate: startDateVal,
-                endDate: endDateVal
-            });
+            if (this.#isEditingOccurrence()) {
+                StateManager.updateOccurrence('constraint', this.#editingConstraintId, this.#editingOccurrence, {
+                    title,
+                    type,
+                    startDate: startDateVal,
+                    endDate: endDateVal
+                });
+            } else {
+                StateManager.updateConstraint(this.#editingConstraintId, {
+                    title,
+                    type,
+                    startDate: startDateVal,
+                    endDate: endDateVal,
+                    recurrence
+                });
+            }
             this.#editingConstraintId = null;
+            this.#editingOccurrence = null;
         } else if (this.#editingEventId) {
             // Converting trip to constraint - delete event and create constraint
             const startDateVal = document.getElementById('constraintDate').value;
@@ -961,7 +1465,8 @@ export class ModalManager {
                 title,
                 type,
                 startDate: startDateVal,
-                endDate: endDateVal
+                endDate: endDateVal,
+                recurrence
             });
             this.#editingEventId = null;
         } else {
@@ -997,7 +1502,8 @@ export class ModalManager {
                     title,
                     type,
                     startDate: range.startDate,
-                    endDate: range.endDate
+                    endDate: range.endDate,
+                    recurrence
                 });
             });
         }
@@ -1019,6 +1525,36 @@ export class ModalManager {
         DataService.downloadJSON(state, `travel_plan_${StateManager.getYear()}.json`);
     }
 
+    /**
+     * Export trips and constraints as a CSV spreadsheet
+     * @private
+     */
+    #exportCSV() {
+        const state = StateManager.getState();
+        DataService.downloadCSV(state, {}, `travel_plan_${StateManager.getYear()}.csv`);
+    }
+
+    /**
+     * Export trips (and optionally constraints) as an iCalendar file
+     * @private
+     */
+    #exportICS() {
+        const yearValue = document.getElementById('icsYear').value;
+        const year = yearValue ? parseInt(yearValue, 10) : null;
+        const eventTypes = Array.from(document.querySelectorAll('.ics-event-type:checked')).map(cb => cb.value);
+        const includeConstraints = document.getElementById('icsIncludeConstraints').checked;
+
+        if (eventTypes.length === 0 && !includeConstraints) {
+            ToastService.warning('Select at least one trip type or include constraints');
+            return;
+        }
+
+        const state = StateManager.getState();
+        const fiscal = StateManager.getFiscalCalendar();
+        DataService.downloadICS(state, { year, fiscal, eventTypes, includeConstraints }, `travel_plan_${year ? formatFiscalYear(year, fiscal) : 'all'}.ics`);
+        ToastService.success('Calendar exported');
+    }
+
     /**
      * Import data
      * @private
@@ -1058,7 +1594,9 @@ export class ModalManager {
 
         const confirmed = await ConfirmDialog.show({
             title: 'Delete Trip',
-            message: 'Are you sure you want to delete this trip? This cannot be undone.',
+            message: this.#editingOccurrence
+                ? 'Are you sure you want to delete this trip and all its occurrences? Use "Skip this occurrence" to remove only one.'
+                : 'Are you sure you want to delete this trip? This cannot be undone.',
             confirmText: 'Delete',
             isDangerous: true
         });
@@ -1084,7 +1622,9 @@ export class ModalManager {
 
         const confirmed = await ConfirmDialog.show({
             title: 'Delete Constraint',
-            message: 'Are you sure you want to delete this constraint? This cannot be undone.',
+            message: this.#editingOccurrence
+                ? 'Are you sure you want to delete this constraint and all its occurrences? Use "Skip this occurrence" to remove only one.'
+                : 'Are you sure you want to delete this constraint? This cannot be undone.',
             confirmText: 'Delete',
             isDangerous: true
         });
@@ -1128,9 +1668,21 @@ export class ModalManager {
                     <div class="batch-type-container"></div>
                 </div>
             </div>
-            <div>
-                <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Location</label>
-                <div class="batch-location-container"></div>
+            <div class="grid grid-cols-[1fr_auto] gap-3">
+                <div class="grid grid-cols-[1fr_auto] gap-3">
+                    <div>
+                        <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Location</label>
+                        <div class="batch-location-container"></div>
+                    </div>
+                    <div>
+                        <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Weeks</label>
+                        <input type="number" min="1" max="12" value="${event.duration || 1}" class="batch-duration w-20 border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200">
+                    </div>
+                </div>
+                <div>
+                    <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Weeks</label>
+                    <input type="number" min="1" max="12" value="1" class="batch-duration w-20 border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200">
+                </div>
             </div>
             <div>
                 <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1">Preferred Seasons (Optional)</label>
@@ -1432,8 +1984,8 @@ export class ModalManager {
         let createCount = 0;
         let keepCount = 0;
 
-        // Process each selected radio
-        selectedRadios.forEach(radio => {
+        // Process each selected radio as a single undoable step
+        StateManager.batch('Apply batch plan', () => selectedRadios.forEach(radio => {
             const originalEventId = radio.dataset.originalEventId;
             const isKeepOriginal = radio.dataset.action === 'keep';
 
@@ -1480,7 +2032,7 @@ export class ModalManager {
 
                 createCount++;
             }
-        });
+        }));
 
         // Clear results and show success
         const totalChanges = updateCount + createCount;
@@ -1512,13 +2064,12 @@ export class ModalManager {
     #openTripImportModal() {
         const state = StateManager.getState();
         const currentYear = StateManager.getYear();
+        const fiscalCalendar = StateManager.getFiscalCalendar();
 
-        // Filter trips for current year, non-archived
+        // Filter trips for current (fiscal) year, non-archived and not cancelled
         const currentYearTrips = state.events.filter(e => {
-            if (e.archived) return false;
-            const eventDate = new Date(e.startDate + 'T00:00:00');
-            const eventYear = eventDate.getFullYear();
-            return eventYear === currentYear;
+            if (!isTripActive(e)) return false;
+            return getFiscalYear(e.startDate, fiscalCalendar) === currentYear;
         });
 
         if (currentYearTrips.length === 0) {
@@ -1609,6 +2160,7 @@ export class ModalManager {
                     <div class="flex items-center gap-2">
                         <h4 class="font-semibold text-sm text-slate-700 dark:text-slate-200">Trip ${index + 1}</h4>
                         <span class="text-xs px-2 py-0.5 bg-indigo-600 text-white rounded">Existing Trip</span>
+                        ${isTripImmovable(event) ? `<span class="text-xs px-2 py-0.5 bg-slate-700 text-white rounded" title="Keeps its week when the batch is planned"><i class="fas ${TRIP_STATUSES[event.status].icon} mr-1"></i>${escapeHTML(TRIP_STATUSES[event.status].label)}</span>` : ''}
                     </div>
                     <button type="button" class="remove-batch-trip text-red-500 hover:text-red-700" data-index="${index}">
                         <i class="fas fa-times"></i>
@@ -1796,6 +2348,7 @@ export class ModalManager {
             const location = row.locationComboBox ? row.locationComboBox.getValue().trim() : '';
             const canConsolidate = row.querySelector('.can-consolidate').checked;
             const originalEventId = row.dataset.originalEventId || null;
+            const duration = Math.max(1, parseInt(row.querySelector('.batch-duration')?.value, 10) || 1);
 
             // Collect selected seasons
             const seasons = [];
@@ -1804,7 +2357,7 @@ export class ModalManager {
             if (row.querySelector('.season-summer')?.checked) seasons.push('summer');
             if (row.querySelector('.season-fall')?.checked) seasons.push('fall');
 
-            return { title, type, location, canConsolidate, originalEventId, seasons };
+            return { title, type, location, duration, canConsolidate, originalEventId, seasons };
         }).filter(t => t.location);
     }
 
@@ -1821,7 +2374,8 @@ export class ModalManager {
             selections: [],
             timeRangeId: timeRangeId,
             referenceDate: referenceDate,
-            excludeEventIds: excludeEventIds
+            excludeEventIds: excludeEventIds,
+            autoPlans: []
         };
         this.#showBatchStepScreen();
     }
@@ -1838,6 +2392,7 @@ export class ModalManager {
             location: currentTrip.location,
             title: currentTrip.title,
             type: currentTrip.type,
+            duration: currentTrip.duration || 1,
             originalEventId: currentTrip.originalEventId
         });
 
@@ -1886,7 +2441,8 @@ export class ModalManager {
             selections: [],
             timeRangeId: '',
             referenceDate: null,
-            excludeEventIds: []
+            excludeEventIds: [],
+            autoPlans: []
         };
     }
 
@@ -1898,6 +2454,62 @@ export class ModalManager {
         this.#advanceWizardStep(week);
     }
 
+    /**
+     * Plan all batch trips at once using the global optimizer
+     * Public method - called from HTML onclick
+     */
+    autoPlanBatch() {
+        const { trips, timeRangeId, referenceDate, excludeEventIds } = this.#batchWizardState;
+        const state = StateManager.getState();
+
+        const plans = ScoringEngine.optimizeBatch(
+            trips,
+            { timeRangeId, referenceYear: referenceDate },
+            state.events,
+            state.constraints,
+            { excludeEventIds, topN: 3 }
+        );
+
+        if (plans.length === 0) {
+            ToastService.warning('No complete plan found. Try a different time range or fewer trips.');
+            return;
+        }
+
+        this.#batchWizardState.autoPlans = plans;
+        this.#showAutoPlanScreen();
+    }
+
+    /**
+     * Use one of the optimized plans as the wizard selections
+     * Public method - called from HTML onclick
+     * @param {number} planIndex - Index into autoPlans
+     */
+    applyAutoPlan(planIndex) {
+        const plan = this.#batchWizardState.autoPlans[planIndex];
+        if (!plan) return;
+
+        this.#batchWizardState.selections = plan.assignments.map(a => ({
+            tripIndex: a.tripIndex,
+            week: a.week,
+            location: a.location,
+            title: a.title,
+            type: a.type,
+            duration: a.duration,
+            originalEventId: a.originalEventId
+        }));
+        this.#batchWizardState.currentStep = this.#batchWizardState.totalSteps;
+        this.#showBatchReviewScreen();
+    }
+
+    /**
+     * Return from auto-plan results to the step-by-step wizard
+     * Public method - called from HTML onclick
+     */
+    closeAutoPlans() {
+        this.#batchWizardState.autoPlans = [];
+        this.#showBatchStepScreen();
+    }
+
     /**
      * Get season filter display message
      * @private
@@ -1932,16 +2544,21 @@ export class ModalManager {
         const state = StateManager.getState();
         const events = state.events.filter(e => !this.#batchWizardState.excludeEventIds.includes(e.id));
 
-        const suggestions = ScoringEngine.getSuggestionsForTimeRange(
-            this.#batchWizardState.timeRangeId,
-            this.#batchWizardState.referenceDate,
-            currentTrip.location,
-            events,
-            state.constraints,
-            this.#batchWizardState.excludeEventIds,
-            selections, // Previous selections for adjacency
-            currentTrip.seasons || [] // Season filter
-        );
+        // Booked and completed trips keep their week: it is the only option
+        const pinnedWeek = ScoringEngine.getPinnedWeek(currentTrip, state.events);
+        const suggestions = pinnedWeek
+            ? [this.#getPinnedSuggestion(currentTrip, pinnedWeek, events.filter(isTripActive), state.constraints, selections)]
+            : ScoringEngine.getSuggestionsForTimeRange(
+                this.#batchWizardState.timeRangeId,
+                this.#batchWizardState.referenceDate,
+                currentTrip.location,
+                events,
+                state.constraints,
+                this.#batchWizardState.excludeEventIds,
+                selections, // Previous selections for adjacency
+                currentTrip.seasons || [], // Season filter
+                currentTrip.duration || 1
+            );
 
         // Get season display message
         const seasonMessage = this.#getSeasonsFilterMessage(currentTrip.seasons);
@@ -1958,6 +2575,17 @@ export class ModalManager {
                     </div>
                 </div>
 
+                <!-- Global optimizer -->
+                ${totalSteps > 1 ? `
+                    <div class="mb-4 flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900 rounded border border-slate-200 dark:border-slate-700">
+                        <span class="text-xs text-slate-600 dark:text-slate-400">Let the planner find the best weeks for all ${totalSteps} trips together.</span>
+                        <button class="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded hover:bg-indigo-700"
+                                onclick="window.modalManager.autoPlanBatch()">
+                            <i class="fas fa-magic mr-1"></i>Auto-plan all
+                        </button>
+                    </div>
+                ` : ''}
+
                 <!-- Previous selections summary -->
                 ${selections.length > 0 ? `
                     <div class="mb-4 p-3 bg-blue-50 dark:bg-blue-900/20 rounded border border-blue-200 dark:border-blue-800">
@@ -1981,7 +2609,12 @@ export class ModalManager {
                 </div>
 
                 <!-- Suggestions -->
-                <h4 class="font-semibold mb-3">Select a week for this trip:</h4>
+                <div class="flex justify-between items-baseline mb-3">
+                    <h4 class="font-semibold">Select a week for this trip:</h4>
+                    <span class="text-xs text-slate-500 dark:text-slate-400">
+                        Scoring profile: ${escapeHTML(StateManager.getActiveScoringProfile().name)}
+                    </span>
+                </div>
                 ${suggestions.length === 0 ? `
                     <div class="text-center py-8">
                         <i class="fas fa-exclamation-triangle text-yellow-600 text-4xl mb-4"></i>
@@ -2024,6 +2657,84 @@ export class ModalManager {
         window.modalManager = this;
     }
 
+    /**
+     * Score the week a booked or completed batch trip keeps
+     * @private
+     * @param {object} trip - Batch trip
+     * @param {string} week - Monday of the trip's current week
+     * @param {Array} events - Active events (batch trips excluded)
+     * @param {Array} constraints - Constraints
+     * @param {Array} selections - Previous wizard selections
+     * @returns {object} Suggestion: { iso, score, reasons, ... }
+     */
+    #getPinnedSuggestion(trip, week, events, constraints, selections) {
+        const result = ScoringEngine.scoreWeek(week, trip.location, events, constraints, selections, trip.duration || 1);
+        const status = TRIP_STATUSES[StateManager.getEvent(trip.originalEventId).status].label;
+        return { iso: week, ...result, reasons: [`${status}: keeps its week`, ...result.reasons] };
+    }
+
+    /**
+     * Show optimized complete plans
+     * @private
+     */
+    #showAutoPlanScreen() {
+        const { autoPlans } = this.#batchWizardState;
+
+        const resultsContainer = document.getElementById('batchResults');
+        resultsContainer.innerHTML = `
+            <div class="p-4 bg-white dark:bg-slate-800 rounded-lg">
+                <h3 class="text-xl font-semibold mb-1 text-center">Best Complete Plans</h3>
+                <p class="text-xs text-center text-slate-500 dark:text-slate-400 mb-4">
+                    All trips placed together to maximize the total score (scoring profile: ${escapeHTML(autoPlans[0].profile)})
+                </p>
+
+                ${autoPlans.map((plan, planIndex) => `
+                    <div class="mb-4 p-4 border-2 ${planIndex === 0 ? 'border-indigo-400 dark:border-indigo-500' : 'border-slate-300 dark:border-slate-600'} rounded-lg">
+                        <div class="flex justify-between items-center mb-3">
+                            <div class="font-semibold">
+                                Option ${planIndex + 1}
+                                ${planIndex === 0 ? '<span class="ml-2 text-xs px-2 py-0.5 bg-indigo-600 text-white rounded">Best</span>' : ''}
+                            </div>
+                            <span class="px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded">
+                                Total score: ${plan.totalScore}
+                            </span>
+                        </div>
+                        ${plan.assignments.map(a => `
+                            <div class="mb-2 pl-3 border-l-2 border-slate-200 dark:border-slate-600">
+                                <div class="flex justify-between text-sm">
+                                    <span class="font-medium">${escapeHTML(a.title)} – Week of ${formatDate(a.week)}</span>
+                                    <span class="text-xs text-slate-500">${a.score}</span>
+                                </div>
+                                <ul class="text-xs text-slate-600 dark:text-slate-400">
+                                    ${a.reasons.slice(0, 3).map(r => `<li>• ${escapeHTML(r)}</li>`).join('')}
+                                </ul>
+                            </div>
+                        `).join('')}
+                        <div class="flex justify-end mt-3">
+                            <button class="px-3 py-1.5 bg-green-600 text-white text-sm rounded hover:bg-green-700"
+                                    onclick="window.modalManager.applyAutoPlan(${planIndex})">
+                                Use This Plan
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+
+                <div class="flex justify-between mt-4">
+                    <button class="px-4 py-2 bg-slate-500 text-white rounded hover:bg-slate-600"
+                            onclick="window.modalManager.closeAutoPlans()">
+                        ← Pick Weeks Manually
+                    </button>
+                    <button class="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+                            onclick="window.modalManager.resetBatchWizard(); document.getElementById('batchResults').classList.add('hidden');">
+                        Cancel
+                    </button>
+                </div>
+            </div>
+        `;
+
+        resultsContainer.classList.remove('hidden');
+    }
+
     /**
      * Show batch review screen
      * @private
@@ -2056,7 +2767,7 @@ export class ModalManager {
                             <div>
                                 <div class="font-semibold">${escapeHTML(s.title)}</div>
                                 <div class="text-sm text-slate-600 dark:text-slate-400">
-                                    Week of ${formatDate(s.week)} | ${escapeHTML(s.location)}
+                                    Week of ${formatDate(s.week)}${s.duration > 1 ? ` (${s.duration} weeks)` : ''} | ${escapeHTML(s.location)}
                                 </div>
                             </div>
                             <button class="text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 text-sm"
@@ -2094,13 +2805,17 @@ export class ModalManager {
     finalizeBatchWizard() {
         const { selections } = this.#batchWizardState;
 
-        // Convert selections to events and add to state
-        selections.forEach(s => {
-            if (s.originalEventId) {
+        // Convert selections to events and add to state (single undoable step)
+        StateManager.batch('Add batch trips', () => selections.forEach(s => {
+            if (s.originalEventId && isTripImmovable(StateManager.getEvent(s.originalEventId))) {
+                // Booked and completed trips keep their dates
+                return;
+            } else if (s.originalEventId) {
                 // Update existing event
                 StateManager.updateEvent(s.originalEventId, {
                     startDate: s.week,
                     endDate: null, // Flexible trip
+                    duration: s.duration || 1,
                     location: s.location,
                     title: s.title,
                     type: s.type
@@ -2113,11 +2828,11 @@ export class ModalManager {
                     location: s.location,
                     startDate: s.week,
                     endDate: null, // Flexible trip
-                    duration: 1,
+                    duration: s.duration || 1,
                     isFixed: false
                 });
             }
-        });
+        }));
 
         ToastService.success(`${selections.length} trips added to calendar`);
         this.resetBatchWizard();
@@ -0,0 +1,372 @@
+/**
+ * PolicyRulesModal - Manage company travel policy rules
+ *
+ * Features:
+ * - Add rules of each type (consecutive weeks, trips per period, home weeks,
+ *   no travel at the start/end of a period)
+ * - Edit, enable/disable and delete rules
+ * - Mark rules hard (disqualify weeks) or soft (lower their score)
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import ConfirmDialog from '../services/ConfirmDialog.js';
+import { POLICY_RULE_TYPES, POLICY_PERIODS } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const LABEL_CLASS = 'block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1';
+
+// Editor fields for rule params: number inputs, or selects with options
+const PARAM_FIELDS = Object.freeze({
+    maxWeeks: { label: 'Max weeks in a row' },
+    maxTrips: { label: 'Max trips' },
+    minWeeks: { label: 'Min home weeks' },
+    weeks: { label: 'Weeks' },
+    period: { label: 'Per', options: POLICY_PERIODS },
+    scope: { label: 'Count', options: ['all', 'international'] },
+    position: { label: 'Position', options: ['first', 'last'] }
+});
+
+export class PolicyRulesModal {
+    #modalId = 'policyRulesModal';
+    #editingId = null; // ID of the rule in the editor (null = new rule)
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-policies:open', () => this.open());
+
+        EventBus.on('policy:added', () => this.#refreshList());
+        EventBus.on('policy:updated', () => this.#refreshList());
+        EventBus.on('policy:deleted', () => this.#refreshList());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const typeOptions = Object.entries(POLICY_RULE_TYPES).map(([type, config]) =>
+            `<option value="${type}">${escapeHTML(config.label)}</option>`
+        ).join('');
+
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-clipboard-check mr-2"></i>
+                            <span>Travel Policy Rules</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                            Hard rules rule out weeks that would break them; soft rules only lower their score.
+                            Broken rules are listed next to conflicts in the header.
+                        </p>
+
+                        <button id="btnNewPolicyRule" class="mb-4 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                            <i class="fas fa-plus mr-2"></i>Add Rule
+                        </button>
+
+                        <!-- Rule Editor -->
+                        <div id="policyRuleEditor" class="hidden mb-6 p-4 bg-slate-50 dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-600">
+                            <div class="grid grid-cols-2 gap-3">
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="policyRuleType">Rule</label>
+                                    <select id="policyRuleType" class="${INPUT_CLASS}">${typeOptions}</select>
+                                </div>
+                                <div>
+                                    <label class="${LABEL_CLASS}" for="policyRuleSeverity">Severity</label>
+                                    <select id="policyRuleSeverity" class="${INPUT_CLASS}">
+                                        <option value="soft">Soft (lower score)</option>
+                                        <option value="hard">Hard (rule out week)</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div id="policyRuleParams" class="grid grid-cols-3 gap-3 mt-3"></div>
+                            <div class="mt-3">
+                                <label class="${LABEL_CLASS}" for="policyRuleName">Name (optional)</label>
+                                <input type="text" id="policyRuleName" class="${INPUT_CLASS}" placeholder="Leave empty to describe the rule">
+                            </div>
+                            <div class="flex justify-end gap-2 mt-4">
+                                <button id="btnCancelPolicyRule" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                                    Cancel
+                                </button>
+                                <button id="btnSavePolicyRule" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                                    <i class="fas fa-save mr-2"></i>Save Rule
+                                </button>
+                            </div>
+                        </div>
+
+                        <!-- Rules List -->
+                        <div id="policyRulesList" class="space-y-2"></div>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnNewPolicyRule')?.addEventListener('click', () => {
+            this.#openEditor(null);
+        });
+
+        document.getElementById('policyRuleType')?.addEventListener('change', (e) => {
+            this.#renderParams(e.target.value, POLICY_RULE_TYPES[e.target.value].defaults);
+        });
+
+        document.getElementById('btnSavePolicyRule')?.addEventListener('click', () => {
+            this.#handleSave();
+        });
+
+        document.getElementById('btnCancelPolicyRule')?.addEventListener('click', () => {
+            this.#closeEditor();
+        });
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal
+     */
+    open() {
+        this.#closeEditor();
+        this.#refreshList();
+        this.#openModal();
+    }
+
+    /**
+     * Show a rule (or a new rule) in the editor
+     * @private
+     * @param {string|null} id - Rule ID, or null for a new rule
+     */
+    #openEditor(id) {
+        const rule = id ? StateManager.getPolicyRule(id) : null;
+        const type = rule?.type || Object.keys(POLICY_RULE_TYPES)[0];
+
+        this.#editingId = rule ? id : null;
+        document.getElementById('policyRuleType').value = type;
+        document.getElementById('policyRuleSeverity').value = rule?.severity || 'soft';
+        document.getElementById('policyRuleName').value = rule?.name || '';
+        this.#renderParams(type, rule?.params || POLICY_RULE_TYPES[type].defaults);
+
+        document.getElementById('policyRuleEditor').classList.remove('hidden');
+    }
+
+    /**
+     * Hide the editor
+     * @private
+     */
+    #closeEditor() {
+        this.#editingId = null;
+        document.getElementById('policyRuleEditor')?.classList.add('hidden');
+    }
+
+    /**
+     * Render param inputs for a rule type
+     * @private
+     * @param {string} type - Rule type
+     * @param {object} params - Values to show
+     */
+    #renderParams(type, params) {
+        const container = document.getElementById('policyRuleParams');
+        if (!container) return;
+
+        container.innerHTML = Object.keys(POLICY_RULE_TYPES[type].defaults).map(key => {
+            const field = PARAM_FIELDS[key];
+            const input = field.options
+                ? `<select data-param="${key}" class="${INPUT_CLASS}">
+                        ${field.options.map(option => `<option value="${option}" ${option === params[key] ? 'selected' : ''}>${option}</option>`).join('')}
+                   </select>`
+                : `<input type="number" min="${key === 'minWeeks' ? 0 : 1}" step="1" data-param="${key}" value="${escapeHTML(String(params[key]))}" class="${INPUT_CLASS}">`;
+
+            return `
+                <div>
+                    <label class="${LABEL_CLASS}">${escapeHTML(field.label)}</label>
+                    ${input}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save the rule shown in the editor
+     * @private
+     */
+    #handleSave() {
+        const params = {};
+        document.querySelectorAll('#policyRuleParams [data-param]').forEach(input => {
+            params[input.dataset.param] = input.value;
+        });
+
+        const data = {
+            type: document.getElementById('policyRuleType').value,
+            severity: document.getElementById('policyRuleSeverity').value,
+            name: document.getElementById('policyRuleName').value,
+            params
+        };
+
+        try {
+            const rule = this.#editingId
+                ? StateManager.updatePolicyRule(this.#editingId, data)
+                : StateManager.addPolicyRule(data);
+            this.#closeEditor();
+            ToastService.success(`Policy rule "${rule.name}" saved`);
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Refresh the rules list
+     * @private
+     */
+    #refreshList() {
+        const listEl = document.getElementById('policyRulesList');
+        if (!listEl) return;
+
+        const rules = StateManager.getPolicyRules();
+        listEl.innerHTML = '';
+
+        if (rules.length === 0) {
+            listEl.innerHTML = `
+                <div class="text-center py-8 text-slate-500 dark:text-slate-400">
+                    <i class="fas fa-clipboard-list text-4xl mb-3"></i>
+                    <p>No policy rules yet.</p>
+                    <p class="text-sm mt-1">e.g. at most 3 consecutive travel weeks.</p>
+                </div>
+            `;
+            return;
+        }
+
+        rules.forEach(rule => listEl.appendChild(this.#createRuleItem(rule)));
+    }
+
+    /**
+     * Create a rule list item
+     * @private
+     * @param {object} rule - Policy rule
+     * @returns {HTMLElement} List item
+     */
+    #createRuleItem(rule) {
+        const item = document.createElement('div');
+        item.className = `flex items-center justify-between p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-600 ${rule.enabled ? '' : 'opacity-60'}`;
+
+        item.innerHTML = `
+            <label class="flex items-center gap-3 cursor-pointer">
+                <input type="checkbox" class="policy-rule-enabled" ${rule.enabled ? 'checked' : ''} title="Enabled">
+                <div>
+                    <div class="font-medium text-slate-700 dark:text-slate-200">
+                        ${escapeHTML(rule.name)}
+                        <span class="ml-1 text-xs uppercase font-bold ${rule.severity === 'hard' ? 'text-red-600 dark:text-red-400' : 'text-amber-600 dark:text-amber-400'}">${rule.severity}</span>
+                    </div>
+                    <div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(POLICY_RULE_TYPES[rule.type].label)}</div>
+                </div>
+            </label>
+            <div class="flex items-center">
+                <button class="btn-edit-policy p-2 text-slate-500 hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200" title="Edit">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="btn-delete-policy p-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300" title="Delete">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            </div>
+        `;
+
+        item.querySelector('.policy-rule-enabled').addEventListener('change', (e) => {
+            StateManager.updatePolicyRule(rule.id, { enabled: e.target.checked });
+        });
+
+        item.querySelector('.btn-edit-policy').addEventListener('click', () => {
+            this.#openEditor(rule.id);
+        });
+
+        item.querySelector('.btn-delete-policy').addEventListener('click', () => {
+            this.#handleDelete(rule);
+        });
+
+        return item;
+    }
+
+    /**
+     * Delete a rule after confirmation
+     * @private
+     * @param {object} rule - Policy rule
+     */
+    async #handleDelete(rule) {
+        const confirmed = await ConfirmDialog.show({
+            title: 'Delete Policy Rule',
+            message: `Are you sure you want to delete "${rule.name}"?`,
+            confirmText: 'Delete',
+            isDangerous: true
+        });
+
+        if (confirmed) {
+            StateManager.deletePolicyRule(rule.id);
+            ToastService.success(`Policy rule "${rule.name}" deleted`);
+            if (this.#editingId === rule.id) {
+                this.#closeEditor();
+            }
+        }
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default PolicyRulesModal;
@@ -0,0 +1,210 @@
+/**
+ * RecurrenceEditor - Form control for a trip/constraint recurrence rule
+ *
+ * Features:
+ * - Weekly, monthly or yearly repeat with an interval
+ * - Monthly/yearly on the start date's day, a fixed day of month or an nth weekday
+ * - Ends never, on a date, or after a number of occurrences
+ */
+
+import { RecurrenceRule } from '../models/RecurrenceRule.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const NTH_OPTIONS = [
+    { value: 1, label: 'First' },
+    { value: 2, label: 'Second' },
+    { value: 3, label: 'Third' },
+    { value: 4, label: 'Fourth' },
+    { value: -1, label: 'Last' }
+];
+const UNITS = { weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
+
+const INPUT_CLASS = 'border dark:border-slate-600 rounded p-1.5 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+
+export class RecurrenceEditor {
+    #container = null;
+    #idPrefix = '';
+
+    /**
+     * @param {object} config - Configuration
+     * @param {string} config.idPrefix - Prefix for element IDs (must be unique per page)
+     */
+    constructor(config) {
+        this.#idPrefix = config.idPrefix;
+    }
+
+    /**
+     * Render the editor
+     * @param {HTMLElement} container - Container element
+     */
+    render(container) {
+        this.#container = container;
+        const id = (name) => `${this.#idPrefix}${name}`;
+
+        container.innerHTML = `
+            <label class="block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1" for="${id('Freq')}">Repeat</label>
+            <select id="${id('Freq')}" data-field="freq" class="w-full ${INPUT_CLASS}">
+                <option value="">Does not repeat</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="yearly">Yearly</option>
+            </select>
+
+            <div data-section="options" class="hidden mt-2 space-y-2 p-3 border dark:border-slate-600 rounded bg-slate-50 dark:bg-slate-900/50 text-sm text-slate-600 dark:text-slate-300">
+                <div class="flex items-center gap-2">
+                    <span>Every</span>
+                    <input type="number" data-field="interval" min="1" max="99" value="1" class="w-16 ${INPUT_CLASS}">
+                    <span data-section="unit">week(s)</span>
+                </div>
+
+                <div data-section="monthly" class="hidden flex items-center gap-2 flex-wrap">
+                    <span>On</span>
+                    <select data-field="monthlyMode" class="${INPUT_CLASS}">
+                        <option value="start">the start date's day</option>
+                        <option value="monthDay">day</option>
+                        <option value="nthWeekday">the</option>
+                    </select>
+                    <input type="number" data-field="byMonthDay" min="1" max="31" value="1" class="hidden w-16 ${INPUT_CLASS}">
+                    <select data-field="nth" class="hidden ${INPUT_CLASS}">
+                        ${NTH_OPTIONS.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('')}
+                    </select>
+                    <select data-field="weekday" class="hidden ${INPUT_CLASS}">
+                        ${WEEKDAYS.map((day, index) => `<option value="${index}" ${index === 1 ? 'selected' : ''}>${day}</option>`).join('')}
+                    </select>
+                </div>
+
+                <div class="flex items-center gap-2 flex-wrap">
+                    <span>Ends</span>
+                    <select data-field="endMode" class="${INPUT_CLASS}">
+                        <option value="never">never</option>
+                        <option value="until">on</option>
+                        <option value="count">after</option>
+                    </select>
+                    <input type="date" data-field="until" class="hidden ${INPUT_CLASS}">
+                    <input type="number" data-field="count" min="1" max="500" value="10" class="hidden w-20 ${INPUT_CLASS}">
+                    <span data-section="countLabel" class="hidden">occurrences</span>
+                </div>
+            </div>
+        `;
+
+        container.addEventListener('change', () => this.#updateVisibility());
+        this.#updateVisibility();
+    }
+
+    /**
+     * Get the configured rule
+     * @returns {object|null} Plain recurrence rule, or null when not repeating
+     * @throws {Error} If the rule is invalid
+     */
+    getValue() {
+        const freq = this.#field('freq').value;
+        if (!freq) return null;
+
+        const rule = { freq, interval: this.#field('interval').value };
+
+        if (freq !== 'weekly') {
+            const monthlyMode = this.#field('monthlyMode').value;
+            if (monthlyMode === 'monthDay') {
+                rule.byMonthDay = this.#field('byMonthDay').value;
+            } else if (monthlyMode === 'nthWeekday') {
+                rule.byNthWeekday = { nth: this.#field('nth').value, weekday: this.#field('weekday').value };
+            }
+        }
+
+        const endMode = this.#field('endMode').value;
+        if (endMode === 'until') {
+            if (!this.#field('until').value) {
+                throw new Error('Choose the date the repeat ends');
+            }
+            rule.until = this.#field('until').value;
+        } else if (endMode === 'count') {
+            rule.count = this.#field('count').value;
+        }
+
+        return new RecurrenceRule(rule).toJSON();
+    }
+
+    /**
+     * Show a rule in the editor
+     * @param {object|null} rule - Plain recurrence rule, or null for "does not repeat"
+     */
+    setValue(rule) {
+        this.#field('freq').value = rule?.freq || '';
+        this.#field('interval').value = rule?.interval || 1;
+
+        let monthlyMode = 'start';
+        if (rule?.byNthWeekday) {
+            monthlyMode = 'nthWeekday';
+            this.#field('nth').value = rule.byNthWeekday.nth;
+            this.#field('weekday').value = rule.byNthWeekday.weekday;
+        } else if (rule?.byMonthDay) {
+            monthlyMode = 'monthDay';
+            this.#field('byMonthDay').value = rule.byMonthDay;
+        }
+        this.#field('monthlyMode').value = monthlyMode;
+
+        let endMode = 'never';
+        if (rule?.until) {
+            endMode = 'until';
+            this.#field('until').value = rule.until;
+        } else if (rule?.count) {
+            endMode = 'count';
+            this.#field('count').value = rule.count;
+        }
+        this.#field('endMode').value = endMode;
+
+        this.#updateVisibility();
+    }
+
+    /**
+     * Show or hide the editor
+     * @param {boolean} visible - True to show
+     */
+    setVisible(visible) {
+        this.#container?.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Get a control by its data-field name
+     * @private
+     * @param {string} name - Field name
+     * @returns {HTMLElement} Control
+     */
+    #field(name) {
+        return this.#container.querySelector(`[data-field="${name}"]`);
+    }
+
+    /**
+     * Get a section by its data-section name
+     * @private
+     * @param {string} name - Section name
+     * @returns {HTMLElement} Section
+     */
+    #section(name) {
+        return this.#container.querySelector(`[data-section="${name}"]`);
+    }
+
+    /**
+     * Show only the controls relevant to the current choices
+     * @private
+     */
+    #updateVisibility() {
+        const freq = this.#field('freq').value;
+        const monthlyMode = this.#field('monthlyMode').value;
+        const endMode = this.#field('endMode').value;
+
+        this.#section('options').classList.toggle('hidden', !freq);
+        this.#section('unit').textContent = UNITS[freq] || '';
+        this.#section('monthly').classList.toggle('hidden', freq === 'weekly' || !freq);
+
+        this.#field('byMonthDay').classList.toggle('hidden', monthlyMode !== 'monthDay');
+        this.#field('nth').classList.toggle('hidden', monthlyMode !== 'nthWeekday');
+        this.#field('weekday').classList.toggle('hidden', monthlyMode !== 'nthWeekday');
+
+        this.#field('until').classList.toggle('hidden', endMode !== 'until');
+        this.#field('count').classList.toggle('hidden', endMode !== 'count');
+        this.#section('countLabel').classList.toggle('hidden', endMode !== 'count');
+    }
+}
+
+export default RecurrenceEditor;
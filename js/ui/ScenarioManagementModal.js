@@ -0,0 +1,477 @@
+/**
+ * ScenarioManagementModal - What-if scenario planning
+ *
+ * Features:
+ * - Header switcher between the main plan and named scenarios
+ * - Create scenarios forked from the current plan
+ * - Switch, promote, and delete scenarios
+ * - Side-by-side comparison of metrics and conflicts for two plans
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ScoringEngine from '../services/ScoringEngine.js';
+import ToastService from '../services/ToastService.js';
+import ConfirmDialog from '../services/ConfirmDialog.js';
+import HeaderMetrics from './HeaderMetrics.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+// Select value used for the main plan (scenario ID null)
+const MAIN_PLAN_VALUE = '__main__';
+
+export class ScenarioManagementModal {
+    #modalId = 'scenarioManagementModal';
+    #metrics = new HeaderMetrics(); // Used for calculation only (never rendered)
+
+    /**
+     * Initialize modal and header switcher
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-scenarios:open', () => this.open());
+
+        // Keep switcher and list in sync with scenario changes
+        ['scenario:created', 'scenario:renamed', 'scenario:deleted', 'scenario:switched', 'scenario:promoted'].forEach(eventName => {
+            EventBus.on(eventName, () => {
+                this.#renderSwitcher();
+                this.#refreshList();
+            });
+        });
+
+        this.#renderSwitcher();
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-4xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-code-branch mr-2"></i>
+                            <span>What-If Scenarios</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <!-- Create Scenario Form -->
+                        <div class="mb-6">
+                            <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">New Scenario</label>
+                            <div class="flex gap-2">
+                                <input type="text" id="newScenarioInput" class="flex-1 border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200" placeholder="e.g. Singapore review in Q3">
+                                <button id="btnCreateScenario" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                                    <i class="fas fa-plus mr-2"></i>Fork Current Plan
+                                </button>
+                            </div>
+                            <p class="text-xs text-slate-500 dark:text-slate-400 mt-1">Scenarios copy trips and constraints. Type and location settings are shared with the main plan.</p>
+                        </div>
+
+                        <!-- Scenario List -->
+                        <div class="mb-6">
+                            <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Plans</label>
+                            <div id="scenariosList" class="space-y-2">
+                                <!-- Populated dynamically -->
+                            </div>
+                        </div>
+
+                        <!-- Comparison -->
+                        <div>
+                            <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Compare</label>
+                            <div class="grid grid-cols-2 gap-4 mb-3">
+                                <select id="compareScenarioA" class="border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200"></select>
+                                <select id="compareScenarioB" class="border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200"></select>
+                            </div>
+                            <div id="scenarioComparison" class="grid grid-cols-2 gap-4">
+                                <!-- Populated dynamically -->
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnCreateScenario')?.addEventListener('click', () => {
+            this.#handleCreateScenario();
+        });
+
+        document.getElementById('newScenarioInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.#handleCreateScenario();
+            }
+        });
+
+        document.getElementById('compareScenarioA')?.addEventListener('change', () => this.#renderComparison());
+        document.getElementById('compareScenarioB')?.addEventListener('change', () => this.#renderComparison());
+
+        // Header switcher
+        document.getElementById('scenarioSelect')?.addEventListener('change', (e) => {
+            this.#switchTo(this.#fromSelectValue(e.target.value));
+        });
+
+        document.getElementById('btnManageScenarios')?.addEventListener('click', () => this.open());
+
+        // Refresh comparison when the working plan changes
+        EventBus.on('state:changed', () => {
+            if (this.#isOpen()) {
+                this.#renderComparison();
+            }
+        });
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal
+     */
+    open() {
+        this.#refreshList();
+        this.#openModal();
+    }
+
+    /**
+     * Handle creating a new scenario
+     * @private
+     */
+    #handleCreateScenario() {
+        const input = document.getElementById('newScenarioInput');
+        const name = input.value.trim();
+
+        if (!name) {
+            ToastService.warning('Please enter a scenario name');
+            return;
+        }
+
+        try {
+            const id = StateManager.createScenario(name);
+            StateManager.switchScenario(id);
+            ToastService.success(`Now editing scenario "${name}"`);
+            input.value = '';
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Switch working plan
+     * @private
+     * @param {string|null} scenarioId - Scenario ID, or null for main plan
+     */
+    #switchTo(scenarioId) {
+        StateManager.switchScenario(scenarioId);
+        const name = scenarioId ? StateManager.getScenarios().find(s => s.id === scenarioId)?.name : 'Main Plan';
+        ToastService.info(`Switched to ${name}`, 2000);
+    }
+
+    /**
+     * Render header scenario switcher
+     * @private
+     */
+    #renderSwitcher() {
+        const select = document.getElementById('scenarioSelect');
+        if (!select) return;
+
+        const activeId = StateManager.getActiveScenarioId();
+        select.innerHTML = this.#renderOptions(activeId);
+
+        // Highlight the switcher while a scenario (not the real plan) is being edited
+        select.classList.toggle('ring-2', activeId !== null);
+        select.classList.toggle('ring-amber-400', activeId !== null);
+    }
+
+    /**
+     * Render <option> elements for all plans
+     * @private
+     * @param {string|null} selectedId - Selected scenario ID
+     * @returns {string} HTML
+     */
+    #renderOptions(selectedId) {
+        const plans = [{ id: null, name: 'Main Plan' }, ...StateManager.getScenarios()];
+        return plans.map(plan => `
+            <option value="${escapeHTML(this.#toSelectValue(plan.id))}" ${plan.id === selectedId ? 'selected' : ''}>
+                ${escapeHTML(plan.name)}
+            </option>
+        `).join('');
+    }
+
+    /**
+     * Refresh scenario list and comparison selectors
+     * @private
+     */
+    #refreshList() {
+        const listEl = document.getElementById('scenariosList');
+        if (!listEl) return;
+
+        const activeId = StateManager.getActiveScenarioId();
+        const scenarios = StateManager.getScenarios();
+
+        listEl.innerHTML = '';
+        listEl.appendChild(this.#createPlanItem({ id: null, name: 'Main Plan' }, activeId));
+        scenarios.forEach(scenario => {
+            listEl.appendChild(this.#createPlanItem(scenario, activeId));
+        });
+
+        // Default comparison: main plan vs active (or first) scenario
+        const selectA = document.getElementById('compareScenarioA');
+        const selectB = document.getElementById('compareScenarioB');
+        if (selectA && selectB) {
+            const previousA = selectA.value ? this.#fromSelectValue(selectA.value) : null;
+            const fallbackB = activeId ?? scenarios[0]?.id ?? null;
+            const previousB = selectB.value ? this.#fromSelectValue(selectB.value) : fallbackB;
+            const exists = (id) => id === null || scenarios.some(s => s.id === id);
+
+            selectA.innerHTML = this.#renderOptions(exists(previousA) ? previousA : null);
+            selectB.innerHTML = this.#renderOptions(exists(previousB) ? previousB : fallbackB);
+        }
+
+        this.#renderComparison();
+    }
+
+    /**
+     * Create a plan list item
+     * @private
+     */
+    #createPlanItem(plan, activeId) {
+        const isMain = plan.id === null;
+        const isActive = plan.id === activeId;
+
+        const item = document.createElement('div');
+        item.className = `flex items-center justify-between p-3 rounded-lg border ${
+            isActive ? 'bg-blue-50 dark:bg-blue-900/20 border-blue-300 dark:border-blue-600' : 'bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-600'
+        }`;
+
+        const counts = isMain ? '' : `${plan.eventCount} trips • ${plan.constraintCount} constraints`;
+
+        item.innerHTML = `
+            <div class="flex items-center gap-3">
+                <i class="fas ${isMain ? 'fa-star text-amber-500' : 'fa-code-branch text-slate-400'}"></i>
+                <div>
+                    <div class="font-medium text-slate-700 dark:text-slate-200">
+                        ${escapeHTML(plan.name)}
+                        ${isActive ? '<span class="ml-2 text-xs px-2 py-0.5 bg-blue-600 text-white rounded">Active</span>' : ''}
+                    </div>
+                    ${counts ? `<div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(counts)}</div>` : ''}
+                </div>
+            </div>
+            <div class="flex items-center gap-1">
+                ${!isActive ? `
+                    <button class="btn-switch-scenario px-2 py-1 text-xs text-blue-600 hover:text-blue-700 dark:text-blue-400" title="Switch to this plan">
+                        <i class="fas fa-exchange-alt mr-1"></i>Switch
+                    </button>
+                ` : ''}
+                ${!isMain ? `
+                    <button class="btn-promote-scenario px-2 py-1 text-xs text-green-600 hover:text-green-700 dark:text-green-400" title="Replace the main plan with this scenario">
+                        <i class="fas fa-arrow-up mr-1"></i>Promote
+                    </button>
+                    <button class="btn-delete-scenario p-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300" title="Delete">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+
+        item.querySelector('.btn-switch-scenario')?.addEventListener('click', () => this.#switchTo(plan.id));
+        item.querySelector('.btn-promote-scenario')?.addEventListener('click', () => this.#handlePromote(plan));
+        item.querySelector('.btn-delete-scenario')?.addEventListener('click', () => this.#handleDelete(plan));
+
+        return item;
+    }
+
+    /**
+     * Handle promoting a scenario to the main plan
+     * @private
+     */
+    async #handlePromote(scenario) {
+        const confirmed = await ConfirmDialog.show({
+            title: 'Promote Scenario',
+            message: `Replace the main plan's trips and constraints with "${scenario.name}"? You can undo this afterwards.`,
+            confirmText: 'Promote',
+            isDangerous: true
+        });
+
+        if (confirmed) {
+            StateManager.promoteScenario(scenario.id);
+            ToastService.success(`"${scenario.name}" is now the main plan`);
+        }
+    }
+
+    /**
+     * Handle deleting a scenario
+     * @private
+     */
+    async #handleDelete(scenario) {
+        const confirmed = await ConfirmDialog.show({
+            title: 'Delete Scenario',
+            message: `Are you sure you want to delete "${scenario.name}"? This cannot be undone.`,
+            confirmText: 'Delete',
+            isDangerous: true
+        });
+
+        if (confirmed) {
+            StateManager.deleteScenario(scenario.id);
+            ToastService.success(`Scenario "${scenario.name}" deleted`);
+        }
+    }
+
+    /**
+     * Render side-by-side comparison of two plans
+     * @private
+     */
+    #renderComparison() {
+        const container = document.getElementById('scenarioComparison');
+        const selectA = document.getElementById('compareScenarioA');
+        const selectB = document.getElementById('compareScenarioB');
+        if (!container || !selectA || !selectB) return;
+
+        const columns = [selectA.value, selectB.value].map(value => {
+            const scenarioId = this.#fromSelectValue(value);
+            const data = StateManager.getScenarioData(scenarioId);
+            if (!data) return null;
+
+            return {
+                metrics: this.#metrics.calculateFor(data.events, data.constraints),
+                conflicts: ScoringEngine.detectConflicts(data.events, data.constraints)
+            };
+        });
+
+        if (columns.some(column => column === null)) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const [a, b] = columns;
+        container.innerHTML = [a, b].map((column, index) => {
+            const other = index === 0 ? b : a;
+            return this.#renderComparisonColumn(column, other);
+        }).join('');
+    }
+
+    /**
+     * Render one comparison column
+     * @private
+     * @param {object} column - { metrics, conflicts }
+     * @param {object} other - The other column, used to highlight differences
+     * @returns {string} HTML
+     */
+    #renderComparisonColumn(column, other) {
+        const diffClass = (value, otherValue, lowerIsBetter) => {
+            if (value === otherValue) return 'text-slate-700 dark:text-slate-200';
+            const better = lowerIsBetter ? value < otherValue : value > otherValue;
+            return better ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+        };
+
+        const { metrics, conflicts } = column;
+        return `
+            <div class="p-4 bg-slate-50 dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-600 text-sm">
+                <div class="flex justify-between mb-1">
+                    <span class="text-slate-600 dark:text-slate-400"><i class="fas fa-plane-departure mr-1"></i>Weeks Traveling</span>
+                    <span class="font-mono font-bold ${diffClass(metrics.weeksTraveling, other.metrics.weeksTraveling, true)}">${metrics.weeksTraveling}</span>
+                </div>
+                <div class="flex justify-between mb-1">
+                    <span class="text-slate-600 dark:text-slate-400"><i class="fas fa-home mr-1"></i>Weeks Home</span>
+                    <span class="font-mono font-bold ${diffClass(metrics.weeksHome, other.metrics.weeksHome, false)}">${metrics.weeksHome}</span>
+                </div>
+                <div class="flex justify-between mb-1">
+                    <span class="text-slate-600 dark:text-slate-400"><i class="fas fa-suitcase-rolling mr-1"></i>Days Away</span>
+                    <span class="font-mono font-bold ${diffClass(metrics.daysAway, other.metrics.daysAway, true)}">${metrics.daysAway}</span>
+                </div>
+                <div class="flex justify-between mb-1">
+                    <span class="text-slate-600 dark:text-slate-400"><i class="fas fa-exclamation-triangle mr-1"></i>Conflicts</span>
+                    <span class="font-mono font-bold ${diffClass(metrics.conflicts, other.metrics.conflicts, true)}">${metrics.conflicts}</span>
+                </div>
+                <div class="flex justify-between mb-3">
+                    <span class="text-slate-600 dark:text-slate-400"><i class="fas fa-clipboard-check mr-1"></i>Policy Violations</span>
+                    <span class="font-mono font-bold ${diffClass(metrics.policyViolations, other.metrics.policyViolations, true)}">${metrics.policyViolations}</span>
+                </div>
+                <ul class="text-xs text-slate-600 dark:text-slate-400 space-y-1">
+                    ${conflicts.length === 0
+                        ? '<li class="text-green-600 dark:text-green-400">No conflicts</li>'
+                        : conflicts.map(c => `<li>• ${escapeHTML(c.message)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Convert scenario ID to select value
+     * @private
+     */
+    #toSelectValue(scenarioId) {
+        return scenarioId === null ? MAIN_PLAN_VALUE : scenarioId;
+    }
+
+    /**
+     * Convert select value to scenario ID
+     * @private
+     */
+    #fromSelectValue(value) {
+        return value === MAIN_PLAN_VALUE ? null : value;
+    }
+
+    /**
+     * Check if modal is visible
+     * @private
+     */
+    #isOpen() {
+        const modal = document.getElementById(this.#modalId);
+        return !!modal && !modal.classList.contains('hidden');
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default ScenarioManagementModal;
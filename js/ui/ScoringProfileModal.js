@@ -0,0 +1,325 @@
+/**
+ * ScoringProfileModal - Edit scoring weights and manage named profiles
+ *
+ * Features:
+ * - Switch the active scoring profile used by ScoringEngine
+ * - Edit weights of any profile
+ * - Save current weights as a new named profile
+ * - Delete custom profiles (built-in default cannot be deleted)
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import ConfirmDialog from '../services/ConfirmDialog.js';
+import { DEFAULT_SCORING_WEIGHTS, SCORING_WEIGHT_LABELS } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+export class ScoringProfileModal {
+    #modalId = 'scoringProfileModal';
+    #selectedProfileId = null; // Profile shown in the editor
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-scoring:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const weightInputs = Object.keys(DEFAULT_SCORING_WEIGHTS).map(key => `
+            <label class="flex items-center justify-between gap-4 py-1">
+                <span class="text-sm text-slate-600 dark:text-slate-300">${escapeHTML(SCORING_WEIGHT_LABELS[key] || key)}</span>
+                <input type="number" step="any" data-weight="${key}"
+                       class="w-28 border dark:border-slate-600 rounded p-1.5 text-sm text-right font-mono bg-white dark:bg-slate-700 dark:text-slate-200">
+            </label>
+        `).join('');
+
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-sliders-h mr-2"></i>
+                            <span>Scoring Profiles</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <!-- Profile Picker -->
+                        <div class="mb-4">
+                            <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Profile</label>
+                            <div class="flex gap-2">
+                                <select id="scoringProfileSelect" class="flex-1 border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200"></select>
+                                <button id="btnActivateScoringProfile" class="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-medium transition">
+                                    Use
+                                </button>
+                                <button id="btnDeleteScoringProfile" class="px-3 py-2 text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300" title="Delete profile">
+                                    <i class="fas fa-trash-alt"></i>
+                                </button>
+                            </div>
+                            <p id="scoringProfileStatus" class="text-xs text-slate-500 dark:text-slate-400 mt-1"></p>
+                        </div>
+
+                        <!-- Weights -->
+                        <div class="mb-4">
+                            <div class="flex justify-between items-center mb-2">
+                                <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase">Weights</label>
+                                <button id="btnResetScoringWeights" class="text-xs text-blue-600 hover:text-blue-700 dark:text-blue-400">Reset to defaults</button>
+                            </div>
+                            <div id="scoringWeightsForm" class="p-3 bg-slate-50 dark:bg-slate-900 rounded-lg border border-slate-200 dark:border-slate-600">
+                                ${weightInputs}
+                            </div>
+                            <button id="btnSaveScoringProfile" class="mt-2 w-full px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                                <i class="fas fa-save mr-2"></i>Save Changes to Profile
+                            </button>
+                        </div>
+
+                        <!-- Save As New -->
+                        <div>
+                            <label class="block text-sm font-bold text-slate-500 dark:text-slate-400 uppercase mb-2">Save as New Profile</label>
+                            <div class="flex gap-2">
+                                <input type="text" id="newScoringProfileInput" class="flex-1 border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200" placeholder="e.g. Low travel fatigue">
+                                <button id="btnCreateScoringProfile" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                                    <i class="fas fa-plus mr-2"></i>Save As
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('scoringProfileSelect')?.addEventListener('change', (e) => {
+            this.#selectedProfileId = e.target.value;
+            this.#refresh();
+        });
+
+        document.getElementById('btnActivateScoringProfile')?.addEventListener('click', () => {
+            StateManager.setActiveScoringProfile(this.#selectedProfileId);
+            ToastService.success(`Using scoring profile "${StateManager.getActiveScoringProfile().name}"`);
+            this.#refresh();
+        });
+
+        document.getElementById('btnDeleteScoringProfile')?.addEventListener('click', () => {
+            this.#handleDelete();
+        });
+
+        document.getElementById('btnResetScoringWeights')?.addEventListener('click', () => {
+            this.#fillWeights(DEFAULT_SCORING_WEIGHTS);
+        });
+
+        document.getElementById('btnSaveScoringProfile')?.addEventListener('click', () => {
+            this.#handleSave();
+        });
+
+        document.getElementById('btnCreateScoringProfile')?.addEventListener('click', () => {
+            this.#handleCreate();
+        });
+
+        document.getElementById('newScoringProfileInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.#handleCreate();
+            }
+        });
+
+        // Modal close buttons
+        document.addEventListener('click', (e) => {
+            const closeBtn = e.target.closest(`[data-modal-close="${this.#modalId}"]`);
+            if (closeBtn) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal
+     */
+    open() {
+        this.#selectedProfileId = StateManager.getActiveScoringProfile().id;
+        this.#refresh();
+        this.#openModal();
+    }
+
+    /**
+     * Refresh profile picker and weights form
+     * @private
+     */
+    #refresh() {
+        const profiles = StateManager.getScoringProfiles();
+        const activeId = StateManager.getActiveScoringProfile().id;
+
+        if (!profiles[this.#selectedProfileId]) {
+            this.#selectedProfileId = activeId;
+        }
+
+        const select = document.getElementById('scoringProfileSelect');
+        select.innerHTML = Object.entries(profiles).map(([id, profile]) => `
+            <option value="${escapeHTML(id)}" ${id === this.#selectedProfileId ? 'selected' : ''}>
+                ${escapeHTML(profile.name)}${id === activeId ? ' (active)' : ''}
+            </option>
+        `).join('');
+
+        const selected = profiles[this.#selectedProfileId];
+        const isActive = this.#selectedProfileId === activeId;
+
+        document.getElementById('btnActivateScoringProfile').disabled = isActive;
+        document.getElementById('btnActivateScoringProfile').classList.toggle('opacity-50', isActive);
+        document.getElementById('btnDeleteScoringProfile').classList.toggle('hidden', selected.isBuiltIn);
+        document.getElementById('scoringProfileStatus').textContent = isActive
+            ? 'Suggestions and batch planning use this profile.'
+            : 'Editing an inactive profile. Click "Use" to apply it to suggestions.';
+
+        this.#fillWeights(selected.weights);
+    }
+
+    /**
+     * Fill weight inputs
+     * @private
+     * @param {object} weights - Weights to display
+     */
+    #fillWeights(weights) {
+        document.querySelectorAll(`#${this.#modalId} [data-weight]`).forEach(input => {
+            input.value = weights[input.dataset.weight];
+        });
+    }
+
+    /**
+     * Read weight inputs
+     * @private
+     * @returns {object} Weights
+     */
+    #readWeights() {
+        const weights = {};
+        document.querySelectorAll(`#${this.#modalId} [data-weight]`).forEach(input => {
+            weights[input.dataset.weight] = input.value;
+        });
+        return weights;
+    }
+
+    /**
+     * Save weights to the selected profile
+     * @private
+     */
+    #handleSave() {
+        const profile = StateManager.getScoringProfile(this.#selectedProfileId);
+
+        try {
+            StateManager.setScoringProfile(this.#selectedProfileId, {
+                name: profile.name,
+                weights: this.#readWeights()
+            });
+            ToastService.success(`Scoring profile "${profile.name}" saved`);
+            this.#refresh();
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Save weights as a new profile
+     * @private
+     */
+    #handleCreate() {
+        const input = document.getElementById('newScoringProfileInput');
+        const name = input.value.trim();
+
+        if (!name) {
+            ToastService.warning('Please enter a profile name');
+            return;
+        }
+
+        const profileId = `profile-${Date.now()}`;
+
+        try {
+            StateManager.setScoringProfile(profileId, {
+                name,
+                weights: this.#readWeights()
+            });
+            ToastService.success(`Scoring profile "${name}" created`);
+            input.value = '';
+            this.#selectedProfileId = profileId;
+            this.#refresh();
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Delete the selected profile
+     * @private
+     */
+    async #handleDelete() {
+        const profile = StateManager.getScoringProfile(this.#selectedProfileId);
+        if (!profile || profile.isBuiltIn) return;
+
+        const confirmed = await ConfirmDialog.show({
+            title: 'Delete Scoring Profile',
+            message: `Are you sure you want to delete "${profile.name}"?`,
+            confirmText: 'Delete',
+            isDangerous: true
+        });
+
+        if (confirmed) {
+            StateManager.deleteScoringProfile(this.#selectedProfileId);
+            ToastService.success(`Scoring profile "${profile.name}" deleted`);
+            this.#selectedProfileId = null;
+            this.#refresh();
+        }
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default ScoringProfileModal;
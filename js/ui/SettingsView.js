@@ -141,6 +141,61 @@ export class SettingsView {
             });
         }
 
+        // Scoring Profiles
+        const manageScoringBtn = document.getElementById('btnManageScoring');
+        if (manageScoringBtn) {
+            manageScoringBtn.addEventListener('click', () => {
+                this.close(); // Close settings first
+                setTimeout(() => {
+                    EventBus.emit('manage-scoring:open');
+                }, 300);
+            });
+        }
+
+        // Travel Policy Rules
+        const managePoliciesBtn = document.getElementById('btnManagePolicies');
+        if (managePoliciesBtn) {
+            managePoliciesBtn.addEventListener('click', () => {
+                this.close(); // Close settings first
+                setTimeout(() => {
+                    EventBus.emit('manage-policies:open');
+                }, 300);
+            });
+        }
+
+        // Fiscal Year
+        const manageFiscalBtn = document.getElementById('btnManageFiscal');
+        if (manageFiscalBtn) {
+            manageFiscalBtn.addEventListener('click', () => {
+                this.close(); // Close settings first
+                setTimeout(() => {
+                    EventBus.emit('manage-fiscal:open');
+                }, 300);
+            });
+        }
+
+        // Work Week
+        const manageWorkWeekBtn = document.getElementById('btnManageWorkWeek');
+        if (manageWorkWeekBtn) {
+            manageWorkWeekBtn.addEventListener('click', () => {
+                this.close(); // Close settings first
+                setTimeout(() => {
+                    EventBus.emit('manage-workweek:open');
+                }, 300);
+            });
+        }
+
+        // Public Holidays
+        const manageHolidaysBtn = document.getElementById('btnManageHolidays');
+        if (manageHolidaysBtn) {
+            manageHolidaysBtn.addEventListener('click', () => {
+                this.close(); // Close settings first
+                setTimeout(() => {
+                    EventBus.emit('manage-holidays:open');
+                }, 300);
+            });
+        }
+
         // Google Drive Settings
         const btnDriveSettings = document.getElementById('btnDriveSettings');
         console.log('Google Drive button found:', !!btnDriveSettings);
@@ -186,7 +241,7 @@ export class SettingsView {
                 <div class="text-sm text-slate-600 dark:text-slate-400">
                     <div><strong>${state.events.length}</strong> travel events</div>
                     <div><strong>${state.constraints.length}</strong> constraints</div>
-                    <div><strong>${state.customLocations.length}</strong> custom locations</div>
+                    <div><strong>${state.locations.length}</strong> locations</div>
                 </div>
             `;
         }
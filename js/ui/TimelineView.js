@@ -0,0 +1,502 @@
+/**
+ * TimelineView - Horizontal timeline of the viewed (fiscal) year
+ *
+ * One lane per event type or per location (multi-city trips show each leg in
+ * its city's lane); trips that overlap within a lane stack into extra rows.
+ * Constraints get their own lane and are shaded behind every lane. Zoom fits
+ * a week, a quarter or the whole year on screen; a marker shows today.
+ * Bars open the edit modal (see ModalManager's data-action handlers) and
+ * trips can be dragged to new dates (see TripDragController).
+ */
+
+import StateManager from '../services/StateManager.js';
+import { MONTH_NAMES, WEEKDAY_NAMES, TRIP_STATUSES, DEFAULT_TRIP_STATUS } from '../config/calendarConfig.js';
+import { dateToISO, daysBetween, addDays, formatDate, getMondaysInRange, getEventDateRange, getEventLegs, getFiscalMonths, getFiscalQuarters, getFiscalYearRange } from '../services/DateService.js';
+import { expandEvents, expandConstraints } from '../services/RecurrenceService.js';
+import { normalizeLocationName } from '../models/Location.js';
+import { STATUS_BAR_STYLES } from './CalendarView.js';
+import { TripDragController, DROP_ZONE_CLASSES } from './TripDragController.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+// Days fitted on screen per zoom level (the year zoom fits the whole year)
+const ZOOM_LEVELS = Object.freeze({
+    week: { label: 'Week', days: 7 },
+    quarter: { label: 'Quarter', days: 91 },
+    year: { label: 'Year', days: null }
+});
+
+const LANE_MODES = Object.freeze({
+    type: 'By type',
+    location: 'By location'
+});
+
+const ROW_HEIGHT = 26;   // px per stacked row of bars
+const LANE_PADDING = 8;  // px above and below a lane's rows
+const HEADER_HEIGHT = 44; // px for the two header rows
+
+const TOGGLE_CLASS = 'px-2 py-1 rounded transition';
+const TOGGLE_ACTIVE_CLASS = 'bg-white dark:bg-slate-600 shadow-sm text-slate-800 dark:text-slate-100';
+const TOGGLE_IDLE_CLASS = 'text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200';
+
+export class TimelineView {
+    #container = null;
+    #zoom = 'year';
+    #laneMode = 'type';
+    #scrollCenter = null; // Share of the year at the middle of the screen (null: start at today)
+    #dragController = new TripDragController();
+
+    /**
+     * Render the timeline
+     * @param {HTMLElement} container - Container element
+     */
+    render(container) {
+        this.#container = container;
+
+        const state = StateManager.getState();
+        const year = StateManager.getYear();
+        const fiscalCalendar = StateManager.getFiscalCalendar();
+        const range = getFiscalYearRange(year, fiscalCalendar);
+        const yearDays = daysBetween(range.startDate, range.endDate) + 1;
+
+        const events = expandEvents(state.events || [], range.startDate, range.endDate)
+            .filter(event => this.#overlaps(getEventDateRange(event), range));
+        const constraints = expandConstraints(state.constraints || [], range.startDate, range.endDate)
+            .filter(constraint => this.#overlaps(constraint, range));
+
+        const lanes = [
+            this.#stackLane({ key: 'constraints', label: 'Constraints', isConstraints: true, items: constraints.map(constraint => ({ item: constraint, ...constraint })) }),
+            ...this.#buildLanes(events).map(lane => this.#stackLane(lane))
+        ];
+
+        const zoomDays = ZOOM_LEVELS[this.#zoom].days || yearDays;
+        const trackWidth = Math.max(100, yearDays / zoomDays * 100);
+        const position = (startDate, endDate) => this.#position(startDate, endDate, range, yearDays);
+
+        container.innerHTML = '';
+        container.className = 'flex flex-col h-full bg-slate-50 dark:bg-slate-900 overflow-hidden';
+        container.innerHTML = `
+            ${this.#renderToolbar(range)}
+            <div class="flex flex-1 overflow-y-auto">
+                <div class="w-40 shrink-0 border-r border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
+                    <div style="height: ${HEADER_HEIGHT}px" class="border-b border-slate-200 dark:border-slate-700"></div>
+                    ${lanes.map(lane => `
+                        <div style="height: ${this.#laneHeight(lane)}px" class="px-3 flex items-center border-b border-slate-100 dark:border-slate-700 text-xs font-semibold ${lane.isConstraints ? 'text-red-600 dark:text-red-400' : 'text-slate-700 dark:text-slate-200'}" title="${escapeHTML(lane.label)}">
+                            <span class="truncate">${escapeHTML(lane.label)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div id="timelineScroll" class="flex-1 overflow-x-auto">
+                    <div id="timelineTrack" class="relative" style="width: ${trackWidth}%">
+                        ${this.#renderHeader(year, fiscalCalendar, range, position)}
+                        <div class="relative">
+                            ${constraints.map(constraint => this.#renderShading(constraint, position)).join('')}
+                            ${lanes.map(lane => this.#renderLane(lane, position)).join('')}
+                            ${this.#renderTodayMarker(range, position)}
+                            <div id="timelineDropZone" class="absolute top-0 bottom-0 rounded pointer-events-none hidden"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.#attachEventListeners(range, yearDays);
+        this.#restoreScroll(range, yearDays);
+    }
+
+    /**
+     * Render the lane, zoom and today controls
+     * @private
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @returns {string} HTML
+     */
+    #renderToolbar(range) {
+        const toggle = (attribute, value, label, active) =>
+            `<button type="button" data-${attribute}="${value}" class="${TOGGLE_CLASS} ${active ? TOGGLE_ACTIVE_CLASS : TOGGLE_IDLE_CLASS}">${label}</button>`;
+        const today = dateToISO(new Date());
+        const hasToday = today >= range.startDate && today <= range.endDate;
+
+        return `
+            <div class="flex items-center gap-4 px-6 py-3 border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-xs">
+                <div class="flex items-center bg-slate-100 dark:bg-slate-700 rounded-md p-1 gap-1">
+                    ${Object.entries(LANE_MODES).map(([mode, label]) => toggle('lane-mode', mode, label, mode === this.#laneMode)).join('')}
+                </div>
+                <div class="flex items-center bg-slate-100 dark:bg-slate-700 rounded-md p-1 gap-1">
+                    <i class="fas fa-search text-slate-400 px-1"></i>
+                    ${Object.entries(ZOOM_LEVELS).map(([zoom, config]) => toggle('zoom', zoom, config.label, zoom === this.#zoom)).join('')}
+                </div>
+                <button type="button" id="btnTimelineToday" class="px-2 py-1 rounded border border-slate-200 dark:border-slate-600 text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-40 disabled:cursor-not-allowed" ${hasToday ? '' : 'disabled'} title="${hasToday ? 'Scroll to today' : 'Today is outside this year'}">
+                    <i class="fas fa-crosshairs mr-1"></i>Today
+                </button>
+                <span class="text-slate-400 dark:text-slate-500">Click a bar to edit it</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the two header rows (coarse periods over finer ones for the zoom)
+     * @private
+     * @param {number} year - Year shown
+     * @param {object} fiscalCalendar - Fiscal calendar the year follows
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML
+     */
+    #renderHeader(year, fiscalCalendar, range, position) {
+        const months = getFiscalMonths(year, fiscalCalendar).map(month => ({ ...month, label: MONTH_NAMES[month.month] }));
+        // Include the week the year starts in, clipped to the year
+        const weeks = getMondaysInRange(addDays(range.startDate, -6), addDays(range.endDate, 0)).map(date => {
+            const startDate = dateToISO(date);
+            return { startDate, endDate: dateToISO(addDays(date, 6)), label: formatDate(date, { month: 'short', day: 'numeric' }) };
+        });
+
+        let rows;
+        if (this.#zoom === 'year') {
+            rows = [getFiscalQuarters(year, fiscalCalendar).map(quarter => ({ ...quarter, label: `${quarter.name} · ${quarter.label}` })), months];
+        } else if (this.#zoom === 'quarter') {
+            rows = [months, weeks.map(week => ({ ...week, label: week.label.replace(/^\D+/, '') }))];
+        } else {
+            const days = [];
+            for (let day = range.startDate; day <= range.endDate; day = dateToISO(addDays(day, 1))) {
+                const date = addDays(day, 0);
+                days.push({ startDate: day, endDate: day, label: `${WEEKDAY_NAMES[date.getDay()].charAt(0)} ${date.getDate()}` });
+            }
+            rows = [weeks.map(week => ({ ...week, label: `Week of ${week.label}` })), days];
+        }
+
+        const renderRow = (periods, top) => periods.map(period => `
+            <div class="absolute border-l border-slate-200 dark:border-slate-700 px-1 truncate text-[10px] text-slate-500 dark:text-slate-400"
+                style="top: ${top}px; height: ${HEADER_HEIGHT / 2}px; line-height: ${HEADER_HEIGHT / 2}px; ${position(period.startDate, period.endDate)}">${escapeHTML(period.label)}</div>
+        `).join('');
+
+        return `
+            <div class="relative border-b border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800" style="height: ${HEADER_HEIGHT}px">
+                ${renderRow(rows[0], 0)}
+                ${renderRow(rows[1], HEADER_HEIGHT / 2)}
+            </div>
+        `;
+    }
+
+    /**
+     * Group trips into lanes by event type or by leg location
+     * @private
+     * @param {Array} events - Expanded events of the year
+     * @returns {Array<object>} { key, label, items: [{ item, startDate, endDate }] }
+     */
+    #buildLanes(events) {
+        const lanes = new Map();
+        const addToLane = (key, label, entry) => {
+            if (!lanes.has(key)) lanes.set(key, { key, label, items: [] });
+            lanes.get(key).items.push(entry);
+        };
+
+        events.forEach(event => {
+            if (this.#laneMode === 'location') {
+                getEventLegs(event).forEach(leg => addToLane(normalizeLocationName(leg.location), leg.location, { item: event, ...leg }));
+            } else {
+                const config = StateManager.getEventTypeConfig(event.type);
+                addToLane(event.type, config?.label || event.type, { item: event, ...getEventDateRange(event) });
+            }
+        });
+
+        // Types keep their configured order; locations are alphabetical
+        const typeOrder = Object.keys(StateManager.getAllEventTypeConfigs());
+        return [...lanes.values()].sort((a, b) => this.#laneMode === 'location'
+            ? a.label.localeCompare(b.label)
+            : (typeOrder.indexOf(a.key) + 1 || Infinity) - (typeOrder.indexOf(b.key) + 1 || Infinity));
+    }
+
+    /**
+     * Assign each of a lane's bars to the first row it doesn't overlap in
+     * @private
+     * @param {object} lane - Lane with items
+     * @returns {object} Lane with items' row set and rows (row count, at least 1)
+     */
+    #stackLane(lane) {
+        const rowEnds = [];
+        const items = [...lane.items]
+            .sort((a, b) => a.startDate.localeCompare(b.startDate))
+            .map(entry => {
+                let row = rowEnds.findIndex(end => end < entry.startDate);
+                if (row === -1) row = rowEnds.length;
+                rowEnds[row] = entry.endDate;
+                return { ...entry, row };
+            });
+
+        return { ...lane, items, rows: Math.max(1, rowEnds.length) };
+    }
+
+    /**
+     * Get a lane's height
+     * @private
+     * @param {object} lane - Stacked lane
+     * @returns {number} Height in px
+     */
+    #laneHeight(lane) {
+        return lane.rows * ROW_HEIGHT + LANE_PADDING * 2;
+    }
+
+    /**
+     * Render a lane's bars
+     * @private
+     * @param {object} lane - Stacked lane
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML
+     */
+    #renderLane(lane, position) {
+        return `
+            <div class="relative border-b border-slate-100 dark:border-slate-700" style="height: ${this.#laneHeight(lane)}px">
+                ${lane.items.map(entry => lane.isConstraints ? this.#renderConstraintBar(entry, position) : this.#renderTripBar(entry, position)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a trip (or trip leg) bar
+     * @private
+     * @param {object} entry - Lane entry: { item, startDate, endDate, row }
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML
+     */
+    #renderTripBar(entry, position) {
+        const event = entry.item;
+        const status = event.status || DEFAULT_TRIP_STATUS;
+        const style = event.archived ? null : STATUS_BAR_STYLES[status];
+        const route = getEventLegs(event).map(leg => leg.location).join(' → ');
+        const tooltip = `${event.title} - ${route} - ${this.#formatRange(entry.startDate, entry.endDate)}${event.seriesId ? ', repeating' : ''} - ${event.archived ? 'ARCHIVED' : TRIP_STATUSES[status].label} (Click to edit)`;
+        const icon = event.archived ? 'fa-archive' : style.showIcon ? TRIP_STATUSES[status].icon : null;
+
+        return `
+            <div data-action="edit-event" data-id="${escapeHTML(event.seriesId ?? event.id)}" ${event.seriesId ? `data-occurrence="${escapeHTML(event.occurrenceDate)}"` : ''} draggable="${!event.archived}"
+                class="absolute text-[10px] px-1.5 rounded cursor-pointer hover:brightness-110 transition truncate flex items-center gap-1 ${event.archived ? 'bg-slate-300 dark:bg-slate-600 text-slate-600 dark:text-slate-400 opacity-60' : `text-white ${style.classes.join(' ')}`}"
+                style="top: ${LANE_PADDING + entry.row * ROW_HEIGHT}px; height: ${ROW_HEIGHT - 4}px; ${position(entry.startDate, entry.endDate)} ${event.archived ? '' : `background-color: ${escapeHTML(this.#getColor(StateManager.getEventTypeConfig(event.type)))}`}"
+                title="${escapeHTML(tooltip)}">
+                ${icon ? `<i class="fas ${icon} text-[8px]"></i>` : ''}
+                <span class="truncate">${escapeHTML(event.title)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a constraint bar
+     * @private
+     * @param {object} entry - Lane entry: { item, startDate, endDate, row }
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML
+     */
+    #renderConstraintBar(entry, position) {
+        const constraint = entry.item;
+        const tooltip = `${constraint.title} - ${this.#formatRange(entry.startDate, entry.endDate)}${constraint.seriesId ? ', repeating' : ''} (Click to edit)`;
+
+        return `
+            <div data-action="edit-constraint" data-id="${escapeHTML(constraint.seriesId ?? constraint.id)}" ${constraint.seriesId ? `data-occurrence="${escapeHTML(constraint.occurrenceDate)}"` : ''}
+                class="absolute text-[10px] px-1.5 rounded cursor-pointer hover:brightness-110 transition truncate text-white"
+                style="top: ${LANE_PADDING + entry.row * ROW_HEIGHT}px; height: ${ROW_HEIGHT - 4}px; line-height: ${ROW_HEIGHT - 4}px; ${position(entry.startDate, entry.endDate)} background-color: ${escapeHTML(this.#getColor(StateManager.getConstraintTypeConfig(constraint.type)))}"
+                title="${escapeHTML(tooltip)}">${escapeHTML(constraint.title)}</div>
+        `;
+    }
+
+    /**
+     * Render a constraint's shading behind every lane
+     * @private
+     * @param {object} constraint - Constraint
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML
+     */
+    #renderShading(constraint, position) {
+        const color = this.#getColor(StateManager.getConstraintTypeConfig(constraint.type));
+        return `<div class="absolute top-0 bottom-0 pointer-events-none opacity-10" style="${position(constraint.startDate, constraint.endDate)} background-color: ${escapeHTML(color)}"></div>`;
+    }
+
+    /**
+     * Render the today marker when today falls in the year shown
+     * @private
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {Function} position - (startDate, endDate) => CSS placing a range on the track
+     * @returns {string} HTML (empty outside the year)
+     */
+    #renderTodayMarker(range, position) {
+        const today = dateToISO(new Date());
+        if (today < range.startDate || today > range.endDate) return '';
+
+        return `
+            <div class="absolute top-0 bottom-0 pointer-events-none" style="${position(today, today)}">
+                <div class="absolute top-0 bottom-0 left-1/2 w-0.5 bg-red-500"></div>
+                <span class="absolute top-0 left-1/2 ml-1 px-1 rounded bg-red-500 text-white text-[9px] font-semibold">Today</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the CSS left/width placing a date range on the year's track
+     * Ranges are clipped to the year; each day is a whole slot.
+     * @private
+     * @param {string} startDate - First day (YYYY-MM-DD)
+     * @param {string} endDate - Last day (YYYY-MM-DD)
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {number} yearDays - Days in the year shown
+     * @returns {string} CSS declarations
+     */
+    #position(startDate, endDate, range, yearDays) {
+        const first = startDate > range.startDate ? startDate : range.startDate;
+        const last = endDate < range.endDate ? endDate : range.endDate;
+        const left = daysBetween(range.startDate, first) / yearDays * 100;
+        const width = (daysBetween(first, last) + 1) / yearDays * 100;
+        return `left: ${left}%; width: ${width}%;`;
+    }
+
+    /**
+     * Check if a date range overlaps the year shown
+     * @private
+     * @param {object} dates - { startDate, endDate } (endDate may be null for a single day)
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @returns {boolean} True if they share a day
+     */
+    #overlaps({ startDate, endDate }, range) {
+        return startDate <= range.endDate && (endDate || startDate) >= range.startDate;
+    }
+
+    /**
+     * Get a type's color for the current theme
+     * @private
+     * @param {object|null} config - Event or constraint type config
+     * @returns {string} CSS color (grey when the type is unknown)
+     */
+    #getColor(config) {
+        if (!config) return '#64748b'; // slate-500
+        return document.documentElement.classList.contains('dark') ? config.colorDark : config.color;
+    }
+
+    /**
+     * Format a date range, e.g. "Mar 3 - Mar 7"
+     * @private
+     * @param {string} startDate - First day (YYYY-MM-DD)
+     * @param {string} endDate - Last day (YYYY-MM-DD)
+     * @returns {string} Formatted range
+     */
+    #formatRange(startDate, endDate) {
+        const day = (iso) => formatDate(`${iso}T12:00:00`, { month: 'short', day: 'numeric' });
+        return startDate === endDate ? day(startDate) : `${day(startDate)} - ${day(endDate)}`;
+    }
+
+    /**
+     * Attach toolbar and scroll listeners
+     * @private
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {number} yearDays - Days in the year shown
+     */
+    #attachEventListeners(range, yearDays) {
+        const scroller = this.#container.querySelector('#timelineScroll');
+
+        this.#container.querySelectorAll('[data-zoom]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.#zoom = btn.dataset.zoom;
+                this.render(this.#container);
+            });
+        });
+
+        this.#container.querySelectorAll('[data-lane-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.#laneMode = btn.dataset.laneMode;
+                this.render(this.#container);
+            });
+        });
+
+        this.#container.querySelector('#btnTimelineToday')?.addEventListener('click', () => {
+            this.#scrollCenter = null;
+            this.#restoreScroll(range, yearDays);
+        });
+
+        this.#attachDragListeners(scroller, range, yearDays);
+
+        // Remember the middle of the screen so zooming and re-renders keep it in view
+        scroller?.addEventListener('scroll', () => {
+            if (scroller.scrollWidth > 0) {
+                this.#scrollCenter = (scroller.scrollLeft + scroller.clientWidth / 2) / scroller.scrollWidth;
+            }
+        });
+    }
+
+    /**
+     * Let trip bars be dragged along the track, scoring each target live
+     * @private
+     * @param {HTMLElement} scroller - Scroll area holding the track
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {number} yearDays - Days in the year shown
+     */
+    #attachDragListeners(scroller, range, yearDays) {
+        const track = this.#container.querySelector('#timelineTrack');
+        const dropZone = this.#container.querySelector('#timelineDropZone');
+        if (!scroller || !track || !dropZone) return;
+
+        const clearDropZone = () => {
+            dropZone.className = 'absolute top-0 bottom-0 rounded pointer-events-none hidden';
+        };
+
+        scroller.addEventListener('dragstart', (e) => {
+            const bar = e.target.closest('[data-action="edit-event"]');
+            if (!bar || !this.#dragController.start(bar.dataset.id, bar.dataset.occurrence || null, this.#dateAt(track, e.clientX, range, yearDays))) {
+                e.preventDefault();
+                return;
+            }
+
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', bar.dataset.id);
+        });
+
+        scroller.addEventListener('dragover', (e) => {
+            if (!this.#dragController.isDragging()) return;
+
+            e.preventDefault();
+            const preview = this.#dragController.preview(this.#dateAt(track, e.clientX, range, yearDays), e.clientX, e.clientY);
+            dropZone.className = `absolute top-0 bottom-0 rounded pointer-events-none ${DROP_ZONE_CLASSES[preview.tone]}`;
+            dropZone.setAttribute('style', this.#position(preview.range.startDate, preview.range.endDate, range, yearDays));
+        });
+
+        scroller.addEventListener('drop', (e) => {
+            e.preventDefault();
+            clearDropZone();
+            this.#dragController.drop(this.#dateAt(track, e.clientX, range, yearDays));
+        });
+
+        scroller.addEventListener('dragend', () => {
+            clearDropZone();
+            this.#dragController.end();
+        });
+    }
+
+    /**
+     * Get the day of the year under a pointer position
+     * @private
+     * @param {HTMLElement} track - Timeline track
+     * @param {number} clientX - Pointer position
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {number} yearDays - Days in the year shown
+     * @returns {string} ISO date (clamped to the year)
+     */
+    #dateAt(track, clientX, range, yearDays) {
+        const rect = track.getBoundingClientRect();
+        const share = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+        const day = Math.min(yearDays - 1, Math.max(0, Math.floor(share * yearDays)));
+        return dateToISO(addDays(range.startDate, day));
+    }
+
+    /**
+     * Scroll back to the remembered position, or to today
+     * @private
+     * @param {object} range - { startDate, endDate } of the year shown
+     * @param {number} yearDays - Days in the year shown
+     */
+    #restoreScroll(range, yearDays) {
+        const scroller = this.#container.querySelector('#timelineScroll');
+        if (!scroller) return;
+
+        let center = this.#scrollCenter;
+        if (center === null) {
+            const today = dateToISO(new Date());
+            center = today >= range.startDate && today <= range.endDate ? daysBetween(range.startDate, today) / yearDays : 0;
+        }
+        scroller.scrollLeft = Math.max(0, center * scroller.scrollWidth - scroller.clientWidth / 2);
+    }
+}
+
+export default TimelineView;
@@ -0,0 +1,196 @@
+/**
+ * TripDetailPanel - Day-by-day itinerary of a trip
+ *
+ * Opened from the edit trip form; shows the trip's title, route, dates and
+ * status, then one row per day with where the trip is, that day's bookings
+ * (flights, lodging check-in/out, ground transport) and where it sleeps.
+ * Days come from ItineraryService.
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import { getItinerary } from '../services/ItineraryService.js';
+import { formatDate, getEventDateRange, getEventLegs } from '../services/DateService.js';
+import { TRIP_STATUSES, DEFAULT_TRIP_STATUS } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+export class TripDetailPanel {
+    #modalId = 'tripDetailModal';
+    #eventId = null;
+
+    /**
+     * Initialize the panel
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('trip-itinerary:open', ({ eventId }) => this.open(eventId));
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-route mr-2"></i>
+                            <span id="tripDetailTitle">Itinerary</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div id="tripDetailContent" class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <!-- Populated by #render -->
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        // Keep the itinerary current while the panel is open (e.g. after undo)
+        EventBus.on('state:changed', () => {
+            const modal = document.getElementById(this.#modalId);
+            if (modal && !modal.classList.contains('hidden')) {
+                this.#render();
+            }
+        });
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the itinerary of a trip
+     * @param {string} eventId - Event ID
+     */
+    open(eventId) {
+        this.#eventId = eventId;
+        if (!this.#getTrip()) return;
+
+        this.#render();
+        this.#openModal();
+    }
+
+    /**
+     * Get the trip shown in the panel
+     * @private
+     * @returns {object|null} Plain event, or null if it no longer exists
+     */
+    #getTrip() {
+        return this.#eventId ? StateManager.getEvent(this.#eventId) : null;
+    }
+
+    /**
+     * Render the trip summary and its days
+     * @private
+     */
+    #render() {
+        const trip = this.#getTrip();
+        const content = document.getElementById('tripDetailContent');
+        if (!trip) {
+            this.close();
+            return;
+        }
+
+        const day = (date, options) => formatDate(`${date}T12:00:00`, options);
+        const range = getEventDateRange(trip);
+        const route = getEventLegs(trip).map(leg => leg.location).join(' → ');
+        const status = TRIP_STATUSES[trip.status || DEFAULT_TRIP_STATUS];
+
+        document.getElementById('tripDetailTitle').textContent = trip.title;
+
+        const days = getItinerary(trip).map(({ date, location, stay, items }) => `
+            <div class="flex gap-3 py-3 border-b border-slate-100 dark:border-slate-700 last:border-0">
+                <div class="w-20 flex-shrink-0">
+                    <div class="text-sm font-semibold text-slate-700 dark:text-slate-200">${escapeHTML(day(date, { weekday: 'short' }))}</div>
+                    <div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(day(date))}</div>
+                </div>
+                <div class="flex-1 min-w-0">
+                    <div class="text-xs font-bold uppercase mb-1 ${location ? 'text-slate-500 dark:text-slate-400' : 'text-slate-300 dark:text-slate-600'}">
+                        ${location ? `<i class="fas fa-map-marker-alt mr-1"></i>${escapeHTML(location)}` : 'Before / after the trip'}
+                    </div>
+                    ${items.map(item => `
+                        <div class="flex items-start gap-2 text-sm text-slate-700 dark:text-slate-200 mb-1">
+                            <i class="fas ${item.icon} text-blue-500 mt-1 w-4 text-center"></i>
+                            <div class="min-w-0">
+                                <div>${item.time ? `<span class="font-mono text-xs text-slate-500 dark:text-slate-400 mr-1">${escapeHTML(item.time)}</span>` : ''}${escapeHTML(item.title)}</div>
+                                ${item.detail ? `<div class="text-xs text-slate-500 dark:text-slate-400">${escapeHTML(item.detail)}</div>` : ''}
+                                ${item.confirmation ? `<div class="text-xs text-slate-400 dark:text-slate-500">Confirmation: <span class="font-mono">${escapeHTML(item.confirmation)}</span></div>` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                    ${stay ? `<div class="text-xs text-slate-500 dark:text-slate-400"><i class="fas fa-bed mr-1"></i>Night at ${escapeHTML(stay.name)}</div>` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="mb-4 text-sm text-slate-600 dark:text-slate-400 space-y-1">
+                <div><i class="fas fa-map-marked-alt mr-2 w-4 text-center"></i>${escapeHTML(route)}</div>
+                <div><i class="fas fa-calendar mr-2 w-4 text-center"></i>${escapeHTML(day(range.startDate))} – ${escapeHTML(day(range.endDate))}</div>
+                <div><i class="fas ${status.icon} mr-2 w-4 text-center"></i>${escapeHTML(status.label)}</div>
+            </div>
+            ${trip.segments?.length ? '' : `
+                <p class="text-sm text-slate-400 dark:text-slate-500 mb-2">
+                    No bookings yet. Add flights, lodging and ground transport under Bookings in the edit trip form.
+                </p>
+            `}
+            <div>${days}</div>
+        `;
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default TripDetailPanel;
@@ -0,0 +1,176 @@
+/**
+ * TripDragController - Drag-and-drop rescheduling for the calendar and timeline
+ *
+ * Views make trip bars draggable and turn the pointer position into a date;
+ * the controller keeps the day of the trip that was grabbed under the pointer,
+ * scores the new dates (once per start date, see RescheduleService.scoreMove),
+ * shows the score and top reason next to the pointer and moves the trip on
+ * drop. Dropping on a hard-blocked week asks for confirmation first.
+ */
+
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import ConfirmDialog from '../services/ConfirmDialog.js';
+import { scoreMove } from '../services/RescheduleService.js';
+import { getOccurrence } from '../services/RecurrenceService.js';
+import { dateToISO, daysBetween, addDays, formatDate, getEventDateRange } from '../services/DateService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+// Drop zone highlight per score tone (see #getTone)
+export const DROP_ZONE_CLASSES = Object.freeze({
+    good: 'bg-green-400/30 ring-2 ring-inset ring-green-500',
+    fair: 'bg-amber-300/30 ring-2 ring-inset ring-amber-500',
+    blocked: 'bg-red-400/30 ring-2 ring-inset ring-red-500'
+});
+
+const TOOLTIP_CLASSES = Object.freeze({
+    good: 'bg-green-600',
+    fair: 'bg-amber-600',
+    blocked: 'bg-red-600'
+});
+
+export class TripDragController {
+    #drag = null; // { trip, offset (days from the trip's start to the grabbed day), previews: Map }
+    #tooltip = null;
+
+    /**
+     * Start dragging a trip
+     * @param {string} id - Event ID (series ID for an occurrence)
+     * @param {string|null} occurrenceDate - Occurrence of a recurring trip
+     * @param {string} grabbedDate - ISO date under the pointer
+     * @returns {boolean} True if the trip can be moved (archived trips can't)
+     */
+    start(id, occurrenceDate, grabbedDate) {
+        const event = StateManager.getEvent(id);
+        const trip = event && occurrenceDate ? getOccurrence(event, occurrenceDate) : event;
+        if (!trip || trip.archived) return false;
+
+        this.#drag = { trip, offset: daysBetween(getEventDateRange(trip).startDate, grabbedDate), previews: new Map() };
+        return true;
+    }
+
+    /**
+     * Check if a trip is being dragged
+     * @returns {boolean} True while dragging
+     */
+    isDragging() {
+        return this.#drag !== null;
+    }
+
+    /**
+     * Score the dragged trip with the grabbed day on a date and show the result
+     * @param {string} date - ISO date under the pointer
+     * @param {number} clientX - Pointer position
+     * @param {number} clientY - Pointer position
+     * @returns {object|null} { result (see RescheduleService.scoreMove), range: { startDate, endDate }
+     *   the trip would cover, tone: 'good', 'fair' or 'blocked' }, or null when not dragging
+     */
+    preview(date, clientX, clientY) {
+        if (!this.#drag) return null;
+
+        const preview = this.#getPreview(this.#drag, date);
+        this.#showTooltip(preview, clientX, clientY);
+        return preview;
+    }
+
+    /**
+     * Move the dragged trip so the grabbed day lands on a date
+     * Goes through StateManager (undoable); occurrences of recurring trips
+     * move on their own.
+     * @param {string} date - ISO date the trip was dropped on
+     */
+    async drop(date) {
+        const drag = this.#drag;
+        this.end();
+        if (!drag) return;
+
+        const { trip } = drag;
+        const { result } = this.#getPreview(drag, date);
+        if (result.startDate === trip.startDate) return;
+
+        if (result.isBlocked) {
+            const confirmed = await ConfirmDialog.show({
+                title: 'Move to a Blocked Week?',
+                message: `${trip.title}: ${result.reasons[0] || 'this week is blocked'}. Move it anyway?`,
+                confirmText: 'Move Anyway',
+                isDangerous: true
+            });
+            if (!confirmed) return;
+        }
+
+        const dates = { startDate: result.startDate, endDate: result.endDate };
+        try {
+            if (trip.seriesId) {
+                StateManager.updateOccurrence('event', trip.seriesId, trip.occurrenceDate, dates);
+            } else {
+                StateManager.updateEvent(trip.id, dates, 'Move trip');
+            }
+            ToastService.success(`Moved ${trip.title} to ${formatDate(`${result.startDate}T12:00:00`, { month: 'short', day: 'numeric' })}`);
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Stop dragging
+     */
+    end() {
+        this.#drag = null;
+        this.#tooltip?.remove();
+        this.#tooltip = null;
+    }
+
+    /**
+     * Score the dragged trip on a date (cached per start date)
+     * @private
+     * @param {object} drag - Drag state
+     * @param {string} date - ISO date under the pointer
+     * @returns {object} Preview (see preview)
+     */
+    #getPreview(drag, date) {
+        const startDate = dateToISO(addDays(date, -drag.offset));
+        if (!drag.previews.has(startDate)) {
+            const state = StateManager.getState();
+            const result = scoreMove(drag.trip, startDate, state.events, state.constraints);
+            drag.previews.set(startDate, {
+                result,
+                range: getEventDateRange({ ...drag.trip, startDate: result.startDate, endDate: result.endDate }),
+                tone: this.#getTone(result)
+            });
+        }
+        return drag.previews.get(startDate);
+    }
+
+    /**
+     * Rate a score against the active profile's base score
+     * @private
+     * @param {object} result - Score result
+     * @returns {string} 'blocked', 'good' (at least the base score) or 'fair'
+     */
+    #getTone(result) {
+        if (result.isBlocked) return 'blocked';
+        return result.score >= StateManager.getActiveScoringProfile().weights.base ? 'good' : 'fair';
+    }
+
+    /**
+     * Show the score and top reason next to the pointer
+     * @private
+     */
+    #showTooltip(preview, clientX, clientY) {
+        if (!this.#tooltip) {
+            this.#tooltip = document.createElement('div');
+            document.body.appendChild(this.#tooltip);
+        }
+
+        const { result, tone } = preview;
+        this.#tooltip.className = `fixed z-50 pointer-events-none max-w-xs px-2 py-1 rounded shadow-lg text-xs text-white ${TOOLTIP_CLASSES[tone]}`;
+        this.#tooltip.style.left = `${clientX + 14}px`;
+        this.#tooltip.style.top = `${clientY + 14}px`;
+        this.#tooltip.innerHTML = `
+            <div class="font-semibold">${tone === 'blocked' ? 'Blocked' : `Score ${result.score}`} · ${escapeHTML(formatDate(`${preview.range.startDate}T12:00:00`, { month: 'short', day: 'numeric' }))}</div>
+            <div class="opacity-90">${escapeHTML(result.reasons[0] || 'Clear schedule')}</div>
+        `;
+    }
+}
+
+export default TripDragController;
@@ -1,18 +1,25 @@
 /**
  * ViewManager - View orchestration
  *
- * Manages the Calendar view rendering
+ * Renders the active view (calendar, timeline or dashboard) and switches between them
  */
 
 import EventBus from '../utils/EventBus.js';
 import { CalendarView } from './CalendarView.js';
+import { TimelineView } from './TimelineView.js';
+import { DashboardView } from './DashboardView.js';
 
 export class ViewManager {
     #container = null;
-    #calendarView = null;
+    #views = {};
+    #activeView = 'calendar';
 
     constructor() {
-        this.#calendarView = new CalendarView();
+        this.#views = {
+            calendar: new CalendarView(),
+            timeline: new TimelineView(),
+            dashboard: new DashboardView()
+        };
     }
 
     /**
@@ -31,7 +38,27 @@ export class ViewManager {
     }
 
     /**
-     * Render the calendar view
+     * Get the active view's ID
+     * @returns {string} 'calendar', 'timeline' or 'dashboard'
+     */
+    getView() {
+        return this.#activeView;
+    }
+
+    /**
+     * Switch to another view
+     * @param {string} viewId - 'calendar', 'timeline' or 'dashboard'
+     */
+    setView(viewId) {
+        if (!this.#views[viewId] || viewId === this.#activeView) return;
+
+        this.#activeView = viewId;
+        EventBus.emit('view:changed', viewId);
+        this.render();
+    }
+
+    /**
+     * Render the active view
      */
     render() {
         if (!this.#container) return;
@@ -39,8 +66,7 @@ export class ViewManager {
         // Clear container
         this.#container.innerHTML = '';
 
-        // Render calendar view
-        this.#calendarView.render(this.#container);
+        this.#views[this.#activeView].render(this.#container);
     }
 }
 
@@ -0,0 +1,207 @@
+/**
+ * WorkWeekModal - Set which days are working days and where weeks start
+ *
+ * Features:
+ * - Pick the working days (e.g. Monday-Friday or Sunday-Thursday)
+ * - Pick the first working day, where every week starts
+ * - Preview the resulting week before saving
+ */
+
+import EventBus from '../utils/EventBus.js';
+import StateManager from '../services/StateManager.js';
+import ToastService from '../services/ToastService.js';
+import { WEEKDAY_NAMES } from '../config/calendarConfig.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+const INPUT_CLASS = 'w-full border dark:border-slate-600 rounded p-2 text-sm bg-white dark:bg-slate-700 dark:text-slate-200';
+const LABEL_CLASS = 'block text-xs font-bold text-slate-500 dark:text-slate-400 uppercase mb-1';
+
+export class WorkWeekModal {
+    #modalId = 'workWeekModal';
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+
+        EventBus.on('manage-workweek:open', () => this.open());
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const dayOptions = WEEKDAY_NAMES.map((name, index) => `<option value="${index}">${name}</option>`).join('');
+        const dayCheckboxes = WEEKDAY_NAMES.map((name, index) => `
+            <label class="flex items-center gap-2 text-sm text-slate-700 dark:text-slate-200">
+                <input type="checkbox" class="work-week-day" value="${index}">
+                ${name}
+            </label>
+        `).join('');
+
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-lg max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-briefcase mr-2"></i>
+                            <span>Work Week</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                            Weeks start on the first working day. Flexible trips span the working days of their weeks,
+                            and only working days count for suggestions, conflicts and weeks traveling.
+                        </p>
+
+                        <div class="mb-4">
+                            <span class="${LABEL_CLASS}">Working Days</span>
+                            <div class="grid grid-cols-2 gap-2">${dayCheckboxes}</div>
+                        </div>
+
+                        <div class="mb-4">
+                            <label class="${LABEL_CLASS}" for="workWeekFirstDay">Week Starts On</label>
+                            <select id="workWeekFirstDay" class="${INPUT_CLASS}">${dayOptions}</select>
+                        </div>
+
+                        <p id="workWeekPreview" class="text-sm text-slate-600 dark:text-slate-400"></p>
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Cancel
+                        </button>
+                        <button id="btnSaveWorkWeek" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                            <i class="fas fa-save mr-2"></i>Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.querySelectorAll(`#${this.#modalId} .work-week-day`).forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.#renderPreview());
+        });
+        document.getElementById('workWeekFirstDay')?.addEventListener('change', () => this.#renderPreview());
+        document.getElementById('btnSaveWorkWeek')?.addEventListener('click', () => this.#handleSave());
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal with the current work week
+     */
+    open() {
+        const workWeek = StateManager.getWorkWeek();
+        document.querySelectorAll(`#${this.#modalId} .work-week-day`).forEach(checkbox => {
+            checkbox.checked = workWeek.workingDays.includes(Number(checkbox.value));
+        });
+        document.getElementById('workWeekFirstDay').value = String(workWeek.firstDay);
+
+        this.#renderPreview();
+        this.#openModal();
+    }
+
+    /**
+     * Read the work week from the form
+     * @private
+     * @returns {object} { firstDay, workingDays }
+     */
+    #getFormValue() {
+        return {
+            firstDay: Number(document.getElementById('workWeekFirstDay').value),
+            workingDays: Array.from(document.querySelectorAll(`#${this.#modalId} .work-week-day:checked`), checkbox => Number(checkbox.value))
+        };
+    }
+
+    /**
+     * Describe the form's week, e.g. "Sunday - Thursday (5 working days)"
+     * @private
+     */
+    #renderPreview() {
+        const { firstDay, workingDays } = this.#getFormValue();
+        const preview = document.getElementById('workWeekPreview');
+
+        if (!workingDays.includes(firstDay)) {
+            preview.textContent = 'The week must start on one of the working days.';
+            return;
+        }
+
+        // Working days in week order
+        const ordered = workingDays
+            .map(day => (day - firstDay + 7) % 7)
+            .sort((a, b) => a - b)
+            .map(offset => WEEKDAY_NAMES[(firstDay + offset) % 7]);
+
+        preview.innerHTML = `
+            <i class="fas fa-info-circle mr-1"></i>
+            Weeks run <strong>${escapeHTML(ordered[0])} - ${escapeHTML(ordered[ordered.length - 1])}</strong>
+            (${ordered.length} working day${ordered.length === 1 ? '' : 's'})
+        `;
+    }
+
+    /**
+     * Save the work week
+     * @private
+     */
+    #handleSave() {
+        try {
+            StateManager.setWorkWeek(this.#getFormValue());
+            ToastService.success('Work week saved');
+            this.close();
+        } catch (error) {
+            ToastService.error(error.message);
+        }
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default WorkWeekModal;
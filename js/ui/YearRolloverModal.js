@@ -0,0 +1,270 @@
+/**
+ * YearRolloverModal - Plan next year from this year
+ *
+ * Features:
+ * - Preview the viewed year's trips on their weeks in the next year
+ *   (week of the same weekday and week of the month, see RolloverService)
+ * - Copy them as flexible, tentative trips in one undoable step
+ * - Check the copies against next year's constraints and policy rules
+ *   (ScoringEngine) and list the ones that land on blocked weeks
+ */
+
+import StateManager from '../services/StateManager.js';
+import ScoringEngine from '../services/ScoringEngine.js';
+import ToastService from '../services/ToastService.js';
+import { planRollover } from '../services/RolloverService.js';
+import { Event } from '../models/Event.js';
+import { formatDate, formatFiscalYear, getFiscalYear } from '../services/DateService.js';
+import { escapeHTML } from '../utils/htmlSanitizer.js';
+
+export class YearRolloverModal {
+    #modalId = 'yearRolloverModal';
+    #plan = null; // Rollover being previewed (see RolloverService.planRollover)
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.#createModal();
+        this.#setupEventListeners();
+    }
+
+    /**
+     * Create modal HTML
+     * @private
+     */
+    #createModal() {
+        const modalHTML = `
+            <div id="${this.#modalId}" class="modal fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center opacity-0 pointer-events-none">
+                <div class="bg-white dark:bg-slate-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[85vh] overflow-hidden">
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-b border-slate-200 dark:border-slate-700 flex justify-between items-center">
+                        <h3 class="font-bold text-lg text-slate-700 dark:text-slate-200">
+                            <i class="fas fa-copy mr-2"></i>
+                            <span id="yearRolloverTitle">Plan Next Year</span>
+                        </h3>
+                        <button data-modal-close="${this.#modalId}" class="text-slate-400 hover:text-slate-600 dark:hover:text-slate-300">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+
+                    <div id="yearRolloverContent" class="p-6 overflow-y-auto max-h-[calc(85vh-140px)]">
+                        <!-- Populated by #renderPreview / #renderResult -->
+                    </div>
+
+                    <div class="bg-slate-50 dark:bg-slate-900 px-6 py-4 border-t border-slate-200 dark:border-slate-700 flex justify-end gap-2">
+                        <button data-modal-close="${this.#modalId}" class="px-4 py-2 bg-slate-200 dark:bg-slate-600 hover:bg-slate-300 dark:hover:bg-slate-500 text-slate-700 dark:text-slate-200 rounded font-medium transition">
+                            Close
+                        </button>
+                        <button id="btnConfirmRollover" class="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition disabled:opacity-40 disabled:cursor-not-allowed">
+                            <i class="fas fa-copy mr-2"></i><span id="btnConfirmRolloverLabel">Copy Trips</span>
+                        </button>
+                        <button id="btnGoToRolloverYear" class="hidden px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded font-medium transition">
+                            <i class="fas fa-arrow-right mr-2"></i><span id="btnGoToRolloverYearLabel">Go to Next Year</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+    }
+
+    /**
+     * Setup event listeners
+     * @private
+     */
+    #setupEventListeners() {
+        document.getElementById('btnPlanNextYear')?.addEventListener('click', () => this.open());
+        document.getElementById('btnConfirmRollover')?.addEventListener('click', () => this.#handleRollover());
+
+        document.getElementById('btnGoToRolloverYear')?.addEventListener('click', () => {
+            StateManager.setYear(this.#plan.year);
+            this.close();
+        });
+
+        // Close on backdrop click
+        document.getElementById(this.#modalId)?.addEventListener('click', (e) => {
+            if (e.target.id === this.#modalId) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open modal with the rollover of the viewed year
+     */
+    open() {
+        const year = StateManager.getYear();
+        this.#plan = planRollover(StateManager.getState().events, year, StateManager.getFiscalCalendar());
+
+        document.getElementById('yearRolloverTitle').textContent = `Plan ${this.#formatYear(this.#plan.year)} from ${this.#formatYear(year)}`;
+        this.#renderPreview();
+        this.#openModal();
+    }
+
+    /**
+     * Render the trips that will be copied and where they land
+     * @private
+     */
+    #renderPreview() {
+        const { year, copies, repeating } = this.#plan;
+        const fiscal = StateManager.getFiscalCalendar();
+        const existing = StateManager.getState().events.filter(e => !e.archived && getFiscalYear(e.startDate, fiscal) === year);
+        const confirmButton = document.getElementById('btnConfirmRollover');
+
+        confirmButton.classList.remove('hidden');
+        confirmButton.disabled = copies.length === 0;
+        document.getElementById('btnConfirmRolloverLabel').textContent = `Copy ${copies.length} Trip${copies.length === 1 ? '' : 's'}`;
+        document.getElementById('btnGoToRolloverYear').classList.add('hidden');
+
+        const notes = [
+            existing.length ? `${this.#formatYear(year)} already has ${existing.length} trip${existing.length === 1 ? '' : 's'}; copies are added next to them.` : null,
+            repeating.length ? `Repeating trips continue on their own and are not copied (${repeating.map(t => t.title).join(', ')}).` : null
+        ].filter(Boolean);
+
+        document.getElementById('yearRolloverContent').innerHTML = `
+            <p class="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                Each trip moves to the week of the same weekday and week of the month in ${this.#formatYear(year)} (e.g. a trip on the 2nd Tuesday of March goes to the week of the 2nd Tuesday of March)
+                and is added as a flexible, tentative trip for as many weeks, without its bookings. Copies are then checked against ${this.#formatYear(year)}'s constraints and policy rules.
+            </p>
+            ${notes.map(note => `
+                <p class="text-xs text-amber-700 dark:text-amber-300 bg-amber-50 dark:bg-amber-900/30 rounded p-2 mb-2">
+                    <i class="fas fa-info-circle mr-1"></i>${escapeHTML(note)}
+                </p>
+            `).join('')}
+            ${copies.length === 0
+                ? `<p class="text-sm text-slate-400 dark:text-slate-500 italic">No trips to copy from ${this.#formatYear(year - 1)}.</p>`
+                : `
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-xs uppercase text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                                <th class="py-2">Trip</th>
+                                <th class="py-2">${this.#formatYear(year - 1)}</th>
+                                <th class="py-2">${this.#formatYear(year)}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${copies.map(({ source, copy }) => `
+                                <tr class="border-b border-slate-100 dark:border-slate-700 text-slate-700 dark:text-slate-200">
+                                    <td class="py-2">${escapeHTML(source.title)} <span class="text-xs text-slate-400">${escapeHTML(source.location)}</span></td>
+                                    <td class="py-2 text-slate-500 dark:text-slate-400">${escapeHTML(this.#formatDay(source.startDate))}</td>
+                                    <td class="py-2">${escapeHTML(this.#formatDay(copy.startDate))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+        `;
+    }
+
+    /**
+     * Copy the trips and show which copies land on blocked weeks
+     * @private
+     */
+    #handleRollover() {
+        const { year, copies } = this.#plan;
+        if (copies.length === 0) return;
+
+        const added = copies.map(({ copy }) => new Event(copy));
+        StateManager.batch(`Plan ${this.#formatYear(year)} from ${this.#formatYear(year - 1)}`, () => {
+            added.forEach(trip => StateManager.addEvent(trip));
+        });
+
+        const state = StateManager.getState();
+        const blocked = ScoringEngine.findBlockedTrips(added, state.events, state.constraints);
+
+        this.#renderResult(added.length, blocked);
+        ToastService.success(`Copied ${added.length} trip${added.length === 1 ? '' : 's'} into ${this.#formatYear(year)}`);
+    }
+
+    /**
+     * Render the outcome of the rollover
+     * @private
+     * @param {number} count - Number of copied trips
+     * @param {Array<object>} blocked - Blocked copies (see ScoringEngine.findBlockedTrips)
+     */
+    #renderResult(count, blocked) {
+        const { year } = this.#plan;
+
+        document.getElementById('btnConfirmRollover').classList.add('hidden');
+        document.getElementById('btnGoToRolloverYearLabel').textContent = `Go to ${this.#formatYear(year)}`;
+        document.getElementById('btnGoToRolloverYear').classList.remove('hidden');
+
+        document.getElementById('yearRolloverContent').innerHTML = `
+            <p class="text-sm text-slate-700 dark:text-slate-200 mb-4">
+                <i class="fas fa-check-circle text-emerald-500 mr-1"></i>
+                Added ${count} tentative trip${count === 1 ? '' : 's'} to ${this.#formatYear(year)}. Undo removes them all.
+            </p>
+            ${blocked.length === 0
+                ? `<p class="text-sm text-emerald-600 dark:text-emerald-400">No copy lands on a blocked week.</p>`
+                : `
+                    <h4 class="text-sm font-semibold text-red-600 dark:text-red-400 mb-2">
+                        <i class="fas fa-ban mr-1"></i>${blocked.length} cop${blocked.length === 1 ? 'y lands' : 'ies land'} on blocked weeks
+                    </h4>
+                    <p class="text-xs text-slate-500 dark:text-slate-400 mb-2">Open them in the calendar and use Find Best Week to move them.</p>
+                    <ul class="space-y-2">
+                        ${blocked.map(({ trip, reasons }) => `
+                            <li class="p-2 rounded bg-red-50 dark:bg-red-900/30 text-sm">
+                                <div class="font-medium text-slate-700 dark:text-slate-200">
+                                    ${escapeHTML(trip.title)}
+                                    <span class="text-xs text-slate-500 dark:text-slate-400 ml-1">${escapeHTML(this.#formatDay(trip.startDate))}</span>
+                                </div>
+                                <div class="text-xs text-red-700 dark:text-red-300">${reasons.map(escapeHTML).join('<br>')}</div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+        `;
+    }
+
+    /**
+     * Format a year for display
+     * @private
+     * @param {number} year - Fiscal year
+     * @returns {string} E.g. "2026" or "FY2026" (see DateService.formatFiscalYear)
+     */
+    #formatYear(year) {
+        return formatFiscalYear(year, StateManager.getFiscalCalendar());
+    }
+
+    /**
+     * Format a date with its weekday
+     * @private
+     * @param {string} isoDate - ISO date
+     * @returns {string} E.g. "Tue, Mar 11"
+     */
+    #formatDay(isoDate) {
+        return formatDate(`${isoDate}T12:00:00`, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Open modal with animation
+     * @private
+     */
+    #openModal() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('hidden', 'pointer-events-none');
+
+        setTimeout(() => {
+            modal.classList.remove('opacity-0');
+            modal.classList.add('opacity-100', 'pointer-events-auto');
+        }, 10);
+    }
+
+    /**
+     * Close modal with animation
+     */
+    close() {
+        const modal = document.getElementById(this.#modalId);
+        if (!modal) return;
+
+        modal.classList.remove('opacity-100', 'pointer-events-auto');
+        modal.classList.add('opacity-0', 'pointer-events-none');
+
+        setTimeout(() => modal.classList.add('hidden'), 300);
+    }
+}
+
+export default YearRolloverModal;
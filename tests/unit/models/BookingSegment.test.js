@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { BookingSegment } from '../../../js/models/BookingSegment.js';
+
+describe('BookingSegment Model', () => {
+  const flight = {
+    id: 's1',
+    kind: 'flight',
+    carrier: 'LH',
+    number: '901',
+    departAirport: 'fra',
+    arriveAirport: 'lhr',
+    departAt: '2025-03-17T07:10:00',
+    arriveAt: '2025-03-17T07:55'
+  };
+
+  describe('Constructor & Validation', () => {
+    it('should keep only the fields of its kind and normalize them', () => {
+      const segment = new BookingSegment({ ...flight, checkIn: '2025-03-17', confirmation: ' ABC123 ' });
+
+      expect(segment.toJSON()).toEqual({
+        id: 's1',
+        kind: 'flight',
+        carrier: 'LH',
+        number: '901',
+        departAirport: 'FRA',
+        arriveAirport: 'LHR',
+        departAt: '2025-03-17T07:10',
+        arriveAt: '2025-03-17T07:55',
+        confirmation: 'ABC123'
+      });
+    });
+
+    it('should turn empty form values into null', () => {
+      const segment = new BookingSegment({ kind: 'lodging', name: 'Hotel Aurora', address: '', checkIn: '2025-03-17', checkOut: '' });
+
+      expect(segment.address).toBeNull();
+      expect(segment.checkOut).toBeNull();
+      expect(segment.id).toMatch(/^segment-/);
+    });
+
+    it('should reject unknown kinds, missing required fields and bad values', () => {
+      expect(() => new BookingSegment({ kind: 'cruise' })).toThrow('Invalid booking segment kind: cruise');
+      expect(() => new BookingSegment({ ...flight, departAt: '' })).toThrow('Departs is required for a flight');
+      expect(() => new BookingSegment({ ...flight, departAirport: 'FRNK' })).toThrow('Invalid airport code: FRNK');
+      expect(() => new BookingSegment({ ...flight, arriveAt: '17/03/2025' })).toThrow('Invalid arrives time');
+      expect(() => new BookingSegment({ kind: 'lodging', name: 'Inn', checkIn: '2025-03-19', checkOut: '2025-03-17' }))
+        .toThrow('Check-out must be on or after check-in');
+      expect(() => new BookingSegment({ kind: 'ground', departAt: '2025-03-17T10:00', arriveAt: '2025-03-17T09:00' }))
+        .toThrow('Arrival must be after departure');
+    });
+
+    it('should allow flights that land before they depart in local time', () => {
+      expect(() => new BookingSegment({ ...flight, departAt: '2025-03-17T07:10', arriveAt: '2025-03-17T06:55' })).not.toThrow();
+    });
+  });
+
+  describe('describe', () => {
+    it('should summarize each kind', () => {
+      expect(new BookingSegment(flight).describe()).toBe('LH 901 FRA → LHR');
+      expect(new BookingSegment({ kind: 'lodging', name: 'Hotel Aurora', checkIn: '2025-03-17' }).describe()).toBe('Hotel Aurora');
+      expect(new BookingSegment({ kind: 'ground', mode: 'Train', from: 'Berlin', to: 'Hamburg', provider: 'DB', departAt: '2025-03-17T10:00' }).describe())
+        .toBe('Train Berlin → Hamburg (DB)');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const segment = new BookingSegment(flight);
+      const restored = BookingSegment.fromJSON(JSON.parse(JSON.stringify(segment.toJSON())));
+
+      expect(restored.toJSON()).toEqual(segment.toJSON());
+    });
+  });
+});
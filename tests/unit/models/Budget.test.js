@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { Budget } from '../../../js/models/Budget.js';
+
+describe('Budget Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should default the currency and leave unset quarters empty', () => {
+      const budget = new Budget({ year: '2025', quarters: { 1: '25000', 3: 18000 } });
+
+      expect(budget.toJSON()).toEqual({
+        year: 2025,
+        currency: 'USD',
+        total: null,
+        quarters: { 1: 25000, 2: null, 3: 18000, 4: null }
+      });
+      expect(budget.isEmpty()).toBe(false);
+      expect(new Budget({ year: 2025, currency: 'gbp' }).isEmpty()).toBe(true);
+    });
+
+    it('should reject invalid years, currencies and amounts', () => {
+      expect(() => new Budget({ year: 'next' })).toThrow('Invalid budget year');
+      expect(() => new Budget({ year: 2025, currency: '$' })).toThrow('Invalid currency');
+      expect(() => new Budget({ year: 2025, total: -5 })).toThrow('Invalid total budget');
+      expect(() => new Budget({ year: 2025, quarters: { 2: 'a lot' } })).toThrow('Invalid Q2 budget');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const budget = new Budget({ year: 2026, currency: 'EUR', total: 90000, quarters: { 4: 20000 } });
+      const restored = Budget.fromJSON(JSON.parse(JSON.stringify(budget.toJSON())));
+
+      expect(restored.toJSON()).toEqual(budget.toJSON());
+    });
+  });
+});
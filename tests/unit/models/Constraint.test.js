@@ -245,6 +245,49 @@ describe('Constraint Model', () => {
       });
     });
 
+    it('should include source UID only when imported', () => {
+      const imported = new Constraint({ ...validConstraintData, sourceUid: 'summer@example.com' });
+      const manual = new Constraint(validConstraintData);
+
+      expect(imported.toJSON().sourceUid).toBe('summer@example.com');
+      expect(Constraint.fromJSON(imported.toJSON()).sourceUid).toBe('summer@example.com');
+      expect(manual.toJSON()).not.toHaveProperty('sourceUid');
+    });
+
+    it('should include recurrence and exceptions only when recurring', () => {
+      const recurring = new Constraint({
+        ...validConstraintData,
+        recurrence: { freq: 'monthly', interval: 2 },
+        exceptions: { '2025-09-14': { skipped: true } }
+      });
+      const single = new Constraint(validConstraintData);
+
+      const restored = Constraint.fromJSON(JSON.parse(JSON.stringify(recurring.toJSON())));
+      expect(restored.recurrence.freq).toBe('monthly');
+      expect(restored.recurrence.interval).toBe(2);
+      expect(restored.exceptions).toEqual({ '2025-09-14': { skipped: true } });
+      expect(single.toJSON()).not.toHaveProperty('recurrence');
+      expect(single.toJSON()).not.toHaveProperty('exceptions');
+    });
+
+    it('should reject invalid recurrence rules', () => {
+      expect(() => new Constraint({ ...validConstraintData, recurrence: { freq: 'hourly' } })).toThrow('Invalid recurrence frequency');
+    });
+
+    it('should drop malformed occurrence exceptions', () => {
+      const recurring = new Constraint({
+        ...validConstraintData,
+        recurrence: { freq: 'weekly' },
+        exceptions: {
+          'not-a-date': { skipped: true },
+          '2025-09-08': { title: 'Renamed', unknownField: 'x' },
+          '2025-09-15': {}
+        }
+      });
+
+      expect(recurring.exceptions).toEqual({ '2025-09-08': { title: 'Renamed' } });
+    });
+
     it('should include all properties in JSON', () => {
       const constraint = new Constraint({
         id: 'test-789',
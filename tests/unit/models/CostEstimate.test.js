@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { CostEstimate } from '../../../js/models/CostEstimate.js';
+
+describe('CostEstimate Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should convert form inputs and uppercase the currency', () => {
+      const cost = new CostEstimate({ airfare: '850', hotelNightly: 210.5, nights: '', perDiem: '75', currency: ' eur ' });
+
+      expect(cost.toJSON()).toEqual({ airfare: 850, hotelNightly: 210.5, nights: null, perDiem: 75, currency: 'EUR' });
+    });
+
+    it('should reject negative amounts, partial nights and bad currencies', () => {
+      expect(() => new CostEstimate({ airfare: -1 })).toThrow('Invalid airfare cost');
+      expect(() => new CostEstimate({ perDiem: 'lots' })).toThrow('Invalid perDiem cost');
+      expect(() => new CostEstimate({ nights: 2.5 })).toThrow('Hotel nights');
+      expect(() => new CostEstimate({ currency: 'EURO' })).toThrow('Invalid currency');
+    });
+  });
+
+  describe('fromOptional', () => {
+    it('should drop estimates without amounts', () => {
+      expect(CostEstimate.fromOptional(null)).toBeNull();
+      expect(CostEstimate.fromOptional({ currency: 'USD', nights: 3 })).toBeNull();
+      expect(CostEstimate.fromOptional({ airfare: 0 }).airfare).toBe(0);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { Event } from '../../../js/models/Event.js';
+import { Event, isTripActive, isTripImmovable } from '../../../js/models/Event.js';
+import { setWorkWeek } from '../../../js/services/DateService.js';
 
 describe('Event Model', () => {
   const validEventData = {
@@ -227,6 +228,24 @@ describe('Event Model', () => {
       expect(event.endDate).toBeNull();
     });
 
+    it('should normalize flexible trip to the start of a Sunday-Thursday week', () => {
+      setWorkWeek({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] });
+
+      try {
+        const event = new Event({
+          title: 'Gulf Visit',
+          type: 'division',
+          location: 'Dubai',
+          startDate: '2025-03-19', // Wednesday
+          isFixed: false
+        });
+
+        expect(event.startDate).toBe('2025-03-16'); // Sunday of that week
+      } finally {
+        setWorkWeek();
+      }
+    });
+
     it('should handle flexible trip already on Monday', () => {
       const data = {
         title: 'Flexible Trip',
@@ -286,8 +305,52 @@ describe('Event Model', () => {
         endDate: '2025-03-19',
         duration: 1,
         isFixed: true,
-        archived: false
+        archived: false,
+        status: 'tentative'
+      });
+    });
+
+    it('should include source UID only when imported', () => {
+      const imported = new Event({ ...validEventData, sourceUid: 'conf@example.com' });
+      const manual = new Event(validEventData);
+
+      expect(imported.toJSON().sourceUid).toBe('conf@example.com');
+      expect(Event.fromJSON(imported.toJSON()).sourceUid).toBe('conf@example.com');
+      expect(manual.toJSON()).not.toHaveProperty('sourceUid');
+    });
+
+    it('should include recurrence and exceptions only when recurring', () => {
+      const recurring = new Event({
+        ...validEventData,
+        recurrence: { freq: 'monthly', interval: 2 },
+        exceptions: { '2025-09-14': { skipped: true } }
       });
+      const single = new Event(validEventData);
+
+      const restored = Event.fromJSON(JSON.parse(JSON.stringify(recurring.toJSON())));
+      expect(restored.recurrence.freq).toBe('monthly');
+      expect(restored.recurrence.interval).toBe(2);
+      expect(restored.exceptions).toEqual({ '2025-09-14': { skipped: true } });
+      expect(single.toJSON()).not.toHaveProperty('recurrence');
+      expect(single.toJSON()).not.toHaveProperty('exceptions');
+    });
+
+    it('should reject invalid recurrence rules', () => {
+      expect(() => new Event({ ...validEventData, recurrence: { freq: 'hourly' } })).toThrow('Invalid recurrence frequency');
+    });
+
+    it('should drop malformed occurrence exceptions', () => {
+      const recurring = new Event({
+        ...validEventData,
+        recurrence: { freq: 'weekly' },
+        exceptions: {
+          'not-a-date': { skipped: true },
+          '2025-09-08': { title: 'Renamed', unknownField: 'x' },
+          '2025-09-15': {}
+        }
+      });
+
+      expect(recurring.exceptions).toEqual({ '2025-09-08': { title: 'Renamed' } });
     });
 
     it('should include all properties in JSON', () => {
@@ -484,4 +547,128 @@ describe('Event Model', () => {
       expect(event.location).toBe('  London  ');
     });
   });
+
+  describe('Multi-city Legs', () => {
+    const legs = [{ location: 'London', days: 2 }, { location: 'Berlin', days: 3 }];
+
+    it('should ignore fewer than two legs', () => {
+      const event = new Event({ ...validEventData, legs: [{ location: 'London', days: 3 }] });
+      expect(event.legs).toBeNull();
+      expect(event.toJSON().legs).toBeUndefined();
+    });
+
+    it('should keep the first leg in sync with the trip location', () => {
+      const renamed = new Event({ ...validEventData, location: 'Greater London', legs });
+      expect(renamed.legs[0].location).toBe('Greater London');
+
+      const unnamed = new Event({ ...validEventData, location: undefined, legs });
+      expect(unnamed.location).toBe('London');
+    });
+
+    it('should reject legs without a location or whole days', () => {
+      expect(() => new Event({ ...validEventData, legs: [...legs, { location: ' ', days: 1 }] }))
+        .toThrow('Each trip leg needs a location');
+      expect(() => new Event({ ...validEventData, legs: [...legs, { location: 'Paris', days: 0.5 }] }))
+        .toThrow('Invalid number of days for the Paris leg');
+    });
+
+    it('should round-trip legs through JSON', () => {
+      const event = new Event({ ...validEventData, legs });
+      const restored = Event.fromJSON(JSON.parse(JSON.stringify(event.toJSON())));
+
+      expect(restored.legs).toEqual(legs);
+    });
+  });
+
+  describe('Cost Estimate', () => {
+    it('should keep known costs and round-trip them through JSON', () => {
+      const event = new Event({ ...validEventData, cost: { airfare: '850', perDiem: 60, currency: 'eur' } });
+      const restored = Event.fromJSON(JSON.parse(JSON.stringify(event.toJSON())));
+
+      expect(event.toJSON().cost).toEqual({ airfare: 850, hotelNightly: null, nights: null, perDiem: 60, currency: 'EUR' });
+      expect(restored.toJSON()).toEqual(event.toJSON());
+    });
+
+    it('should drop estimates without amounts', () => {
+      const event = new Event({ ...validEventData, cost: { currency: 'USD' } });
+      expect(event.cost).toBeNull();
+      expect(event.toJSON().cost).toBeUndefined();
+    });
+
+    it('should reject invalid amounts', () => {
+      expect(() => new Event({ ...validEventData, cost: { hotelNightly: -20 } })).toThrow('Invalid hotelNightly cost');
+    });
+  });
+
+  describe('Lifecycle Status', () => {
+    it('should start tentative and reject unknown statuses', () => {
+      expect(new Event(validEventData).status).toBe('tentative');
+      expect(new Event({ ...validEventData, status: 'booked' }).status).toBe('booked');
+      expect(() => new Event({ ...validEventData, status: 'maybe' })).toThrow('Invalid trip status: maybe');
+    });
+
+    it('should allow only configured transitions', () => {
+      const event = new Event({ ...validEventData, status: 'booked' });
+
+      expect(event.canTransitionTo('completed')).toBe(true);
+      expect(event.canTransitionTo('idea')).toBe(false);
+      expect(() => event.transitionTo('idea')).toThrow('Cannot change trip status from booked to idea');
+      expect(event.status).toBe('booked');
+    });
+
+    it('should record transitions in the status history', () => {
+      const event = new Event(validEventData);
+      event.transitionTo('approved', '2025-02-01T09:00:00.000Z');
+      event.transitionTo('booked', '2025-02-03T10:30:00.000Z');
+
+      expect(event.status).toBe('booked');
+      expect(event.statusHistory).toEqual([
+        { status: 'approved', from: 'tentative', at: '2025-02-01T09:00:00.000Z' },
+        { status: 'booked', from: 'approved', at: '2025-02-03T10:30:00.000Z' }
+      ]);
+    });
+
+    it('should round-trip status and history through JSON', () => {
+      const event = new Event(validEventData);
+      event.transitionTo('cancelled', '2025-02-01T09:00:00.000Z');
+      const restored = Event.fromJSON(JSON.parse(JSON.stringify(event.toJSON())));
+
+      expect(restored.status).toBe('cancelled');
+      expect(restored.statusHistory).toEqual(event.statusHistory);
+      expect(new Event(validEventData).toJSON()).not.toHaveProperty('statusHistory');
+    });
+
+    it('should tell active and immovable trips apart', () => {
+      expect(isTripActive(new Event(validEventData))).toBe(true);
+      expect(isTripActive(new Event({ ...validEventData, status: 'cancelled' }))).toBe(false);
+      expect(isTripActive(new Event({ ...validEventData, archived: true }))).toBe(false);
+      expect(isTripImmovable(new Event({ ...validEventData, status: 'booked' }))).toBe(true);
+      expect(isTripImmovable(new Event({ ...validEventData, status: 'completed' }))).toBe(true);
+      expect(isTripImmovable(new Event({ ...validEventData, status: 'approved' }))).toBe(false);
+    });
+  });
+
+  describe('Booking Segments', () => {
+    const hotel = { id: 'h1', kind: 'lodging', name: 'Hotel Aurora', checkIn: '2025-03-17', checkOut: '2025-03-19' };
+    const flight = { id: 'f1', kind: 'flight', carrier: 'BA', number: '903', departAirport: 'FRA', arriveAirport: 'LHR', departAt: '2025-03-17T07:10' };
+
+    it('should sort segments by start and round-trip them through JSON', () => {
+      const event = new Event({ ...validEventData, segments: [hotel, flight] });
+      const restored = Event.fromJSON(JSON.parse(JSON.stringify(event.toJSON())));
+
+      expect(event.segments.map(s => s.id)).toEqual(['h1', 'f1']);
+      expect(restored.toJSON().segments).toEqual(event.toJSON().segments);
+      expect(restored.segments[1].describe()).toBe('BA 903 FRA → LHR');
+    });
+
+    it('should omit segments from JSON when there are none', () => {
+      expect(new Event(validEventData).segments).toEqual([]);
+      expect(new Event(validEventData).toJSON()).not.toHaveProperty('segments');
+    });
+
+    it('should reject invalid segments', () => {
+      expect(() => new Event({ ...validEventData, segments: [{ kind: 'lodging', checkIn: '2025-03-17' }] }))
+        .toThrow('Name is required for a lodging');
+    });
+  });
 });
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { FiscalCalendar } from '../../../js/models/FiscalCalendar.js';
+
+describe('FiscalCalendar Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should default to the calendar year', () => {
+      const calendar = new FiscalCalendar();
+
+      expect(calendar.toJSON()).toEqual({ startMonth: 0, weekPattern: null });
+      expect(calendar.isCalendarYear()).toBe(true);
+      expect(new FiscalCalendar({ startMonth: '9' }).isCalendarYear()).toBe(false);
+      expect(new FiscalCalendar({ weekPattern: '4-4-5' }).isCalendarYear()).toBe(false);
+    });
+
+    it('should reject invalid start months and week patterns', () => {
+      expect(() => new FiscalCalendar({ startMonth: 12 })).toThrow('Invalid fiscal year start month');
+      expect(() => new FiscalCalendar({ startMonth: 'October' })).toThrow('Invalid fiscal year start month');
+      expect(() => new FiscalCalendar({ weekPattern: '3-3-7' })).toThrow('Invalid fiscal week pattern');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const calendar = new FiscalCalendar({ startMonth: 6, weekPattern: '5-4-4' });
+      const restored = FiscalCalendar.fromJSON(JSON.parse(JSON.stringify(calendar.toJSON())));
+
+      expect(restored.toJSON()).toEqual(calendar.toJSON());
+    });
+  });
+});
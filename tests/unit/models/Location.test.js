@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { Location, normalizeLocationName } from '../../../js/models/Location.js';
+
+describe('Location Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should create location with defaults', () => {
+      const location = new Location({ name: '  New   York ' });
+
+      expect(location.id).toBe('new-york');
+      expect(location.name).toBe('New York');
+      expect(location.aliases).toEqual([]);
+      expect(location.countryCode).toBeNull();
+      expect(location.timezone).toBeNull();
+      expect(location.lat).toBeNull();
+      expect(location.lon).toBeNull();
+      expect(location.isHomeOffice).toBe(false);
+    });
+
+    it('should clean up aliases from an array or comma-separated text', () => {
+      expect(new Location({ name: 'New York', aliases: ['NYC', ' nyc ', '', 'new york'] }).aliases).toEqual(['NYC']);
+      expect(new Location({ name: 'New York', aliases: 'NYC, Big Apple' }).aliases).toEqual(['NYC', 'Big Apple']);
+    });
+
+    it('should coerce country code and coordinates from form inputs', () => {
+      const location = new Location({ name: 'London', countryCode: 'gb', lat: '51.5072', lon: '-0.1276' });
+
+      expect(location.countryCode).toBe('GB');
+      expect(location.lat).toBe(51.5072);
+      expect(location.lon).toBe(-0.1276);
+      expect(location.hasCoordinates()).toBe(true);
+    });
+
+    it('should require a name', () => {
+      expect(() => new Location({ name: '  ' })).toThrow('Location name is required');
+    });
+
+    it('should reject invalid country codes and timezones', () => {
+      expect(() => new Location({ name: 'London', countryCode: 'GBR' })).toThrow('Invalid country code');
+      expect(() => new Location({ name: 'London', timezone: 'Europe/Nowhere' })).toThrow('Invalid timezone');
+      expect(new Location({ name: 'London', timezone: 'Europe/London' }).timezone).toBe('Europe/London');
+    });
+
+    it('should reject incomplete or out-of-range coordinates', () => {
+      expect(() => new Location({ name: 'London', lat: 51 })).toThrow('set together');
+      expect(() => new Location({ name: 'London', lat: 91, lon: 0 })).toThrow('Latitude');
+      expect(() => new Location({ name: 'London', lat: 0, lon: 'east' })).toThrow('Longitude');
+    });
+  });
+
+  describe('matches', () => {
+    const newYork = new Location({ name: 'New York', aliases: ['NYC'] });
+
+    it('should match the name and aliases ignoring case and spacing', () => {
+      expect(newYork.matches('new  york')).toBe(true);
+      expect(newYork.matches('nyc')).toBe(true);
+    });
+
+    it('should not match substrings', () => {
+      expect(new Location({ name: 'London' }).matches('New London')).toBe(false);
+      expect(newYork.matches('York')).toBe(false);
+      expect(newYork.matches('')).toBe(false);
+    });
+  });
+
+  describe('normalizeLocationName', () => {
+    it('should lowercase and collapse whitespace', () => {
+      expect(normalizeLocationName('  San   FRANCISCO ')).toBe('san francisco');
+      expect(normalizeLocationName(null)).toBe('');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const location = new Location({
+        name: 'Singapore', aliases: ['SG'], countryCode: 'SG', timezone: 'Asia/Singapore',
+        lat: 1.3521, lon: 103.8198, isHomeOffice: true,
+        defaultCost: { airfare: 1400, hotelNightly: 260, perDiem: 90, currency: 'SGD' }
+      });
+      const restored = Location.fromJSON(JSON.parse(JSON.stringify(location.toJSON())));
+
+      expect(restored.toJSON()).toEqual(location.toJSON());
+    });
+
+    it('should ignore hotel nights in default costs', () => {
+      const location = new Location({ name: 'Paris', defaultCost: { hotelNightly: 180, nights: 3 } });
+
+      expect(location.toJSON().defaultCost).toEqual({ airfare: null, hotelNightly: 180, nights: null, perDiem: null, currency: null });
+      expect(new Location({ name: 'Paris', defaultCost: { currency: 'EUR' } }).defaultCost).toBeNull();
+    });
+  });
+});
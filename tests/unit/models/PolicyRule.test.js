@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyRule } from '../../../js/models/PolicyRule.js';
+
+describe('PolicyRule Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should fill params from type defaults and describe the rule', () => {
+      const rule = new PolicyRule({ type: 'max-consecutive-weeks' });
+
+      expect(rule.params).toEqual({ maxWeeks: 3 });
+      expect(rule.severity).toBe('soft');
+      expect(rule.enabled).toBe(true);
+      expect(rule.name).toBe('At most 3 consecutive travel weeks');
+    });
+
+    it('should coerce numeric strings from form inputs and drop unknown params', () => {
+      const rule = new PolicyRule({ type: 'max-trips', params: { maxTrips: '12', scope: 'international', extra: 1 } });
+
+      expect(rule.params).toEqual({ period: 'year', maxTrips: 12, scope: 'international' });
+      expect(rule.name).toBe('At most 12 international trips per year');
+    });
+
+    it('should keep a custom name', () => {
+      expect(new PolicyRule({ type: 'min-home-weeks', name: ' Home time ' }).name).toBe('Home time');
+    });
+
+    it('should reject unknown types, severities and params', () => {
+      expect(() => new PolicyRule({ type: 'max-spend' })).toThrow('Invalid policy rule type');
+      expect(() => new PolicyRule({ type: 'max-trips', severity: 'fatal' })).toThrow('Invalid policy severity');
+      expect(() => new PolicyRule({ type: 'max-trips', params: { period: 'week' } })).toThrow('Invalid policy period');
+      expect(() => new PolicyRule({ type: 'max-trips', params: { maxTrips: 0 } })).toThrow('maxTrips');
+      expect(() => new PolicyRule({ type: 'blackout-position', params: { position: 'middle' } })).toThrow('Invalid period position');
+      expect(() => new PolicyRule({ type: 'min-home-weeks', params: { minWeeks: 'two' } })).toThrow('minWeeks');
+    });
+  });
+
+  describe('describe', () => {
+    it('should describe period rules in plain words', () => {
+      expect(new PolicyRule({ type: 'min-home-weeks' }).describe()).toBe('At least 2 home weeks per month');
+      expect(new PolicyRule({ type: 'blackout-position' }).describe()).toBe('No travel in the last week of each quarter');
+      expect(new PolicyRule({ type: 'blackout-position', params: { position: 'first', weeks: 2, period: 'month' } }).describe())
+        .toBe('No travel in the first 2 weeks of each month');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const rule = new PolicyRule({ id: 'q-end', type: 'blackout-position', severity: 'hard', enabled: false });
+      const restored = PolicyRule.fromJSON(JSON.parse(JSON.stringify(rule.toJSON())));
+
+      expect(restored.toJSON()).toEqual(rule.toJSON());
+    });
+  });
+});
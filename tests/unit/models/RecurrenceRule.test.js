@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { RecurrenceRule } from '../../../js/models/RecurrenceRule.js';
+
+describe('RecurrenceRule Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should create rule with defaults', () => {
+      const rule = new RecurrenceRule({ freq: 'weekly' });
+
+      expect(rule.freq).toBe('weekly');
+      expect(rule.interval).toBe(1);
+      expect(rule.byMonthDay).toBeNull();
+      expect(rule.byNthWeekday).toBeNull();
+      expect(rule.until).toBeNull();
+      expect(rule.count).toBeNull();
+    });
+
+    it('should coerce numeric strings from form inputs', () => {
+      const rule = new RecurrenceRule({ freq: 'monthly', interval: '2', byNthWeekday: { nth: '1', weekday: '1' }, count: '6' });
+
+      expect(rule.interval).toBe(2);
+      expect(rule.byNthWeekday).toEqual({ nth: 1, weekday: 1 });
+      expect(rule.count).toBe(6);
+    });
+
+    it('should reject unknown frequency', () => {
+      expect(() => new RecurrenceRule({ freq: 'daily' })).toThrow('Invalid recurrence frequency');
+    });
+
+    it('should reject interval below 1', () => {
+      expect(() => new RecurrenceRule({ freq: 'weekly', interval: 0.5 })).toThrow('interval');
+    });
+
+    it('should reject day-of-month options on weekly rules', () => {
+      expect(() => new RecurrenceRule({ freq: 'weekly', byMonthDay: 3 })).toThrow('Weekly recurrence');
+    });
+
+    it('should reject both day of month and nth weekday', () => {
+      expect(() => new RecurrenceRule({
+        freq: 'monthly',
+        byMonthDay: 3,
+        byNthWeekday: { nth: 1, weekday: 1 }
+      })).toThrow('both');
+    });
+
+    it('should reject invalid day of month and nth weekday values', () => {
+      expect(() => new RecurrenceRule({ freq: 'monthly', byMonthDay: 32 })).toThrow('day of month');
+      expect(() => new RecurrenceRule({ freq: 'monthly', byNthWeekday: { nth: 6, weekday: 1 } })).toThrow('nth weekday');
+      expect(() => new RecurrenceRule({ freq: 'monthly', byNthWeekday: { nth: 1, weekday: 7 } })).toThrow('weekday');
+    });
+
+    it('should reject both until and count', () => {
+      expect(() => new RecurrenceRule({ freq: 'weekly', until: '2025-12-31', count: 3 })).toThrow('both an end date and a count');
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should repeat weekly with an interval', () => {
+      const rule = new RecurrenceRule({ freq: 'weekly', interval: 2 });
+
+      expect(rule.getOccurrences('2025-01-06', { to: '2025-02-10' }))
+        .toEqual(['2025-01-06', '2025-01-20', '2025-02-03']);
+    });
+
+    it('should repeat monthly on the anchor day and skip short months', () => {
+      const rule = new RecurrenceRule({ freq: 'monthly' });
+
+      expect(rule.getOccurrences('2025-01-31', { to: '2025-05-31' }))
+        .toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+    });
+
+    it('should repeat on a fixed or last day of month', () => {
+      expect(new RecurrenceRule({ freq: 'monthly', byMonthDay: 15 }).getOccurrences('2025-01-20', { to: '2025-04-01' }))
+        .toEqual(['2025-02-15', '2025-03-15']);
+      expect(new RecurrenceRule({ freq: 'monthly', byMonthDay: -1 }).getOccurrences('2025-01-01', { to: '2025-03-31' }))
+        .toEqual(['2025-01-31', '2025-02-28', '2025-03-31']);
+    });
+
+    it('should repeat on the nth weekday of every other month', () => {
+      // First Monday, every 2 months
+      const rule = new RecurrenceRule({ freq: 'monthly', interval: 2, byNthWeekday: { nth: 1, weekday: 1 } });
+
+      expect(rule.getOccurrences('2025-01-01', { to: '2025-07-31' }))
+        .toEqual(['2025-01-06', '2025-03-03', '2025-05-05', '2025-07-07']);
+    });
+
+    it('should support the last weekday of a month', () => {
+      const rule = new RecurrenceRule({ freq: 'monthly', byNthWeekday: { nth: -1, weekday: 5 } });
+
+      expect(rule.getOccurrences('2025-01-01', { to: '2025-03-31' }))
+        .toEqual(['2025-01-31', '2025-02-28', '2025-03-28']);
+    });
+
+    it('should repeat yearly', () => {
+      const rule = new RecurrenceRule({ freq: 'yearly', byNthWeekday: { nth: 4, weekday: 4 } });
+
+      // US Thanksgiving
+      expect(rule.getOccurrences('2025-11-01', { to: '2027-12-31' }))
+        .toEqual(['2025-11-27', '2026-11-26', '2027-11-25']);
+    });
+
+    it('should stop at count and until', () => {
+      expect(new RecurrenceRule({ freq: 'weekly', count: 3 }).getOccurrences('2025-01-06', { to: '2026-01-01' }))
+        .toEqual(['2025-01-06', '2025-01-13', '2025-01-20']);
+      expect(new RecurrenceRule({ freq: 'weekly', until: '2025-01-20' }).getOccurrences('2025-01-06', { to: '2026-01-01' }))
+        .toEqual(['2025-01-06', '2025-01-13', '2025-01-20']);
+    });
+
+    it('should count occurrences before the from bound', () => {
+      const rule = new RecurrenceRule({ freq: 'weekly', count: 3 });
+
+      expect(rule.getOccurrences('2025-01-06', { from: '2025-01-10', to: '2026-01-01' }))
+        .toEqual(['2025-01-13', '2025-01-20']);
+    });
+
+    it('should check whether a date is an occurrence', () => {
+      const rule = new RecurrenceRule({ freq: 'weekly', interval: 2 });
+
+      expect(rule.includes('2025-01-06', '2025-01-20')).toBe(true);
+      expect(rule.includes('2025-01-06', '2025-01-13')).toBe(false);
+    });
+  });
+
+  describe('describe', () => {
+    it('should describe rules in plain words', () => {
+      expect(new RecurrenceRule({ freq: 'weekly' }).describe()).toBe('Every week');
+      expect(new RecurrenceRule({ freq: 'monthly', interval: 3, byNthWeekday: { nth: 1, weekday: 1 } }).describe())
+        .toBe('Every 3 months on the first Monday');
+      expect(new RecurrenceRule({ freq: 'monthly', byMonthDay: -1, count: 4 }).describe())
+        .toBe('Every month on the last day, 4 times');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const rule = new RecurrenceRule({ freq: 'monthly', byNthWeekday: { nth: -1, weekday: 5 }, until: '2026-06-30' });
+      const restored = RecurrenceRule.fromJSON(JSON.parse(JSON.stringify(rule.toJSON())));
+
+      expect(restored.toJSON()).toEqual(rule.toJSON());
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { ScoringProfile } from '../../../js/models/ScoringProfile.js';
+import { DEFAULT_SCORING_WEIGHTS } from '../../../js/config/calendarConfig.js';
+
+describe('ScoringProfile Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should fill missing weights with defaults', () => {
+      const profile = new ScoringProfile({ name: 'Relaxed', weights: { adjacentDifferentLocation: -10 } });
+
+      expect(profile.name).toBe('Relaxed');
+      expect(profile.weights.adjacentDifferentLocation).toBe(-10);
+      expect(profile.weights.consolidation).toBe(DEFAULT_SCORING_WEIGHTS.consolidation);
+      expect(profile.isBuiltIn).toBe(false);
+    });
+
+    it('should convert numeric strings from form inputs', () => {
+      const profile = new ScoringProfile({ name: 'Form', weights: { softConstraint: '-35', base: '' } });
+
+      expect(profile.weights.softConstraint).toBe(-35);
+      expect(profile.weights.base).toBe(DEFAULT_SCORING_WEIGHTS.base);
+    });
+
+    it('should trim the name', () => {
+      expect(new ScoringProfile({ name: '  Team A  ' }).name).toBe('Team A');
+    });
+
+    it('should throw error if name is missing', () => {
+      expect(() => new ScoringProfile({ name: '  ' })).toThrow('Scoring profile name is required');
+    });
+
+    it('should throw error for non-numeric weights', () => {
+      expect(() => new ScoringProfile({ name: 'Bad', weights: { base: 'abc' } }))
+        .toThrow('Invalid scoring weight "base"');
+    });
+
+    it('should ignore unknown weight keys', () => {
+      const profile = new ScoringProfile({ name: 'Extra', weights: { unknown: 5 } });
+      expect(profile.weights).not.toHaveProperty('unknown');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const profile = new ScoringProfile({ name: 'Round', weights: { loadBalance: 40 }, isBuiltIn: true });
+      const copy = ScoringProfile.fromJSON(profile.toJSON());
+
+      expect(copy.toJSON()).toEqual(profile.toJSON());
+    });
+  });
+});
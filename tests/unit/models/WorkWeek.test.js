@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { WorkWeek } from '../../../js/models/WorkWeek.js';
+
+describe('WorkWeek Model', () => {
+  describe('Constructor & Validation', () => {
+    it('should default to Monday-Friday', () => {
+      const week = new WorkWeek();
+
+      expect(week.toJSON()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+      expect(week.isDefault()).toBe(true);
+      expect(new WorkWeek({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] }).isDefault()).toBe(false);
+    });
+
+    it('should sort and de-duplicate working days', () => {
+      const week = new WorkWeek({ firstDay: '0', workingDays: ['4', 0, 3, 1, 2, 0] });
+
+      expect(week.toJSON()).toEqual({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] });
+    });
+
+    it('should reject invalid days', () => {
+      expect(() => new WorkWeek({ firstDay: 7 })).toThrow('Invalid first working day');
+      expect(() => new WorkWeek({ workingDays: [] })).toThrow('at least one working day');
+      expect(() => new WorkWeek({ workingDays: [1, 2, 8] })).toThrow('Invalid working day: 8');
+      expect(() => new WorkWeek({ firstDay: 0 })).toThrow('The first working day must be one of the working days');
+    });
+  });
+
+  describe('Serialization', () => {
+    it('should round-trip through JSON', () => {
+      const week = new WorkWeek({ firstDay: 6, workingDays: [6, 0, 1, 2, 3] });
+      const restored = WorkWeek.fromJSON(JSON.parse(JSON.stringify(week.toJSON())));
+
+      expect(restored.toJSON()).toEqual(week.toJSON());
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  filterTrips, getPeriodStats, getBreakdown, getConsolidationRate,
+  getConflictTrend, getLongestHomeStretch, getTripYears, getYearOverYear
+} from '../../../js/services/AnalyticsService.js';
+import { getFiscalMonths, getFiscalQuarters } from '../../../js/services/DateService.js';
+
+describe('AnalyticsService', () => {
+  const calendarYear = { startMonth: 0, weekPattern: null };
+  const year2025 = { startDate: '2025-01-01', endDate: '2025-12-31' };
+  const fixed = (id, startDate, endDate, extra = {}) => ({
+    id, title: id, type: 'division', location: 'London', startDate, endDate, isFixed: true, ...extra
+  });
+
+  describe('filterTrips', () => {
+    const events = [
+      fixed('a', '2025-03-03', '2025-03-05'),
+      fixed('b', '2025-04-07', '2025-04-09', { type: 'gts', location: 'Paris' }),
+      fixed('c', '2025-05-05', '2025-05-09', { location: 'Berlin', legs: [{ location: 'Berlin', days: 2 }, { location: 'paris ', days: 3 }] })
+    ];
+
+    it('should keep everything without filters', () => {
+      expect(filterTrips(events)).toHaveLength(3);
+      expect(filterTrips(events, { type: '', location: '' })).toHaveLength(3);
+    });
+
+    it('should filter by type', () => {
+      expect(filterTrips(events, { type: 'gts' }).map(e => e.id)).toEqual(['b']);
+    });
+
+    it('should filter by any leg location, ignoring case and spacing', () => {
+      expect(filterTrips(events, { location: 'Paris' }).map(e => e.id)).toEqual(['b', 'c']);
+      expect(filterTrips(events, { type: 'division', location: 'PARIS' }).map(e => e.id)).toEqual(['c']);
+    });
+  });
+
+  describe('getPeriodStats', () => {
+    it('should count trips by start month and days away by the days in each month', () => {
+      const months = getFiscalMonths(2025, calendarYear);
+      const stats = getPeriodStats([fixed('a', '2025-01-30', '2025-02-02')], months);
+
+      expect(stats[0]).toMatchObject({ month: 0, trips: 1, daysAway: 2 });
+      expect(stats[1]).toMatchObject({ month: 1, trips: 0, daysAway: 2 });
+      expect(stats[2]).toMatchObject({ trips: 0, daysAway: 0 });
+    });
+
+    it('should work on quarters and skip archived trips', () => {
+      const events = [fixed('a', '2025-04-07', '2025-04-09'), fixed('b', '2025-05-05', '2025-05-06', { archived: true })];
+      const stats = getPeriodStats(events, getFiscalQuarters(2025, calendarYear));
+
+      expect(stats.map(q => q.trips)).toEqual([0, 1, 0, 0]);
+      expect(stats[1]).toMatchObject({ name: 'Q2', daysAway: 3 });
+    });
+  });
+
+  describe('getBreakdown', () => {
+    const events = [
+      fixed('a', '2025-03-03', '2025-03-05'),
+      fixed('b', '2025-04-07', '2025-04-13', { type: 'gts', location: 'Paris' }),
+      fixed('c', '2025-05-05', '2025-05-09', { legs: [{ location: 'London', days: 2 }, { location: 'Paris', days: 3 }] })
+    ];
+
+    it('should break days away down by type', () => {
+      expect(getBreakdown(events, year2025, 'type')).toEqual([
+        { key: 'division', trips: 2, daysAway: 8 },
+        { key: 'gts', trips: 1, daysAway: 7 }
+      ]);
+    });
+
+    it('should break days away down by leg location', () => {
+      expect(getBreakdown(events, year2025, 'location')).toEqual([
+        { key: 'Paris', trips: 2, daysAway: 10 },
+        { key: 'London', trips: 2, daysAway: 5 }
+      ]);
+    });
+  });
+
+  describe('getConsolidationRate', () => {
+    it('should count trips sharing a week and location with another trip', () => {
+      const events = [
+        fixed('a', '2025-03-03', '2025-03-04'),
+        fixed('b', '2025-03-06', '2025-03-07', { type: 'gts' }),
+        fixed('c', '2025-03-05', '2025-03-05', { location: 'Paris' }),
+        fixed('d', '2025-06-02', '2025-06-03')
+      ];
+
+      expect(getConsolidationRate(events, year2025)).toEqual({ trips: 4, consolidated: 2, rate: 0.5 });
+    });
+
+    it('should be 0 without trips', () => {
+      expect(getConsolidationRate([], year2025)).toEqual({ trips: 0, consolidated: 0, rate: 0 });
+    });
+  });
+
+  describe('getConflictTrend', () => {
+    it('should count conflicts by the month their trip starts in', () => {
+      const conflicts = [
+        { event: fixed('a', '2025-02-03', '2025-02-04') },
+        { event1: fixed('b', '2025-02-10', '2025-02-11'), event2: fixed('c', '2025-02-10', '2025-02-12') },
+        { event: fixed('d', '2025-07-07', '2025-07-08') }
+      ];
+      const trend = getConflictTrend(conflicts, getFiscalMonths(2025, calendarYear));
+
+      expect(trend.map(month => month.conflicts)).toEqual([0, 2, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('getLongestHomeStretch', () => {
+    it('should find the longest run of days without travel', () => {
+      const events = [fixed('a', '2025-01-10', '2025-01-12'), fixed('b', '2025-06-01', '2025-06-30')];
+
+      expect(getLongestHomeStretch(events, year2025)).toEqual({ days: 184, startDate: '2025-07-01', endDate: '2025-12-31' });
+    });
+
+    it('should cover the whole period without trips and nothing when always away', () => {
+      const month = { startDate: '2025-02-01', endDate: '2025-02-28' };
+
+      expect(getLongestHomeStretch([], month)).toEqual({ days: 28, startDate: '2025-02-01', endDate: '2025-02-28' });
+      expect(getLongestHomeStretch([fixed('a', '2025-01-20', '2025-03-05')], month)).toEqual({ days: 0, startDate: null, endDate: null });
+    });
+  });
+
+  describe('year over year', () => {
+    const events = [
+      fixed('a', '2023-05-05', '2023-05-07'),
+      fixed('b', '2025-03-03', '2025-03-07'),
+      fixed('c', '2025-09-01', '2025-09-02'),
+      fixed('d', '2026-01-05', '2026-01-06', { status: 'cancelled' })
+    ];
+
+    it('should list every fiscal year from the first to the last trip', () => {
+      expect(getTripYears(events, calendarYear)).toEqual([2023, 2024, 2025]);
+      expect(getTripYears(events, { startMonth: 6, weekPattern: null })).toEqual([2023, 2024, 2025, 2026]);
+      expect(getTripYears([], calendarYear)).toEqual([]);
+    });
+
+    it('should compare trips, days away and travel weeks per year', () => {
+      expect(getYearOverYear(events, [2023, 2024, 2025], calendarYear)).toEqual([
+        { year: 2023, startDate: '2023-01-01', endDate: '2023-12-31', trips: 1, daysAway: 3, weeksTraveling: 1 },
+        { year: 2024, startDate: '2024-01-01', endDate: '2024-12-31', trips: 0, daysAway: 0, weeksTraveling: 0 },
+        { year: 2025, startDate: '2025-01-01', endDate: '2025-12-31', trips: 2, daysAway: 7, weeksTraveling: 2 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimateTripCost,
+  getPlannedSpend,
+  getBudgetStatus,
+  formatMoney
+} from '../../../js/services/BudgetService.js';
+
+describe('BudgetService', () => {
+  const trip = (title, startDate, extra = {}) => ({
+    id: title.toLowerCase(), title, type: 'division', location: title, startDate, isFixed: false, duration: 1, ...extra
+  });
+  const defaults = {
+    London: { airfare: 900, hotelNightly: 200, perDiem: 50, currency: 'USD' },
+    Berlin: { airfare: 700, hotelNightly: 100, perDiem: 40, currency: null },
+    Tokyo: { airfare: 150000, hotelNightly: 20000, perDiem: 8000, currency: 'JPY' }
+  };
+  const getDefaultCost = (location) => defaults[location] || null;
+
+  describe('estimateTripCost', () => {
+    it('should price a week-long trip from location defaults', () => {
+      // Mon-Fri: 5 days, 4 nights
+      expect(estimateTripCost(trip('London', '2025-03-03'), getDefaultCost))
+        .toEqual({ airfare: 900, hotel: 800, perDiem: 250, total: 1950, currency: 'USD' });
+    });
+
+    it("should prefer the trip's own amounts and nights", () => {
+      const cost = { airfare: 1200, hotelNightly: 250, nights: 2, perDiem: null, currency: null };
+
+      expect(estimateTripCost(trip('London', '2025-03-03', { cost }), getDefaultCost))
+        .toMatchObject({ airfare: 1200, hotel: 500, perDiem: 250, total: 1950 });
+    });
+
+    it('should price each leg of a multi-city trip at its own location', () => {
+      const event = trip('London', '2025-03-03', { legs: [{ location: 'London', days: 2 }, { location: 'Berlin', days: 3 }] });
+
+      // Hotel: 2 London nights + 2 Berlin nights; per diem: 2 London days + 3 Berlin days
+      expect(estimateTripCost(event, getDefaultCost))
+        .toMatchObject({ airfare: 900, hotel: 600, perDiem: 220, total: 1720, currency: 'USD' });
+    });
+
+    it('should skip defaults in another currency and unpriced trips', () => {
+      const cost = { airfare: 800, currency: 'EUR' };
+
+      expect(estimateTripCost(trip('London', '2025-03-03', { cost }), getDefaultCost))
+        .toEqual({ airfare: 800, hotel: null, perDiem: null, total: 800, currency: 'EUR' });
+      expect(estimateTripCost(trip('Austin', '2025-03-03'), getDefaultCost)).toBeNull();
+    });
+  });
+
+  describe('getPlannedSpend', () => {
+    it('should total spend by quarter and type in the budget currency', () => {
+      const events = [
+        trip('London', '2025-03-03'),
+        trip('Berlin', '2025-03-31', { type: 'conference' }),
+        trip('Tokyo', '2025-05-05'),
+        trip('Austin', '2025-08-04'),
+        trip('London', '2025-09-01', { archived: true })
+      ];
+
+      const spend = getPlannedSpend(events, 2025, { currency: 'USD', getDefaultCost });
+
+      expect(spend.quarters).toEqual({ 1: 1950 + 1300, 2: 0, 3: 0, 4: 0 });
+      expect(spend.total).toBe(3250);
+      expect(spend.byType).toEqual({
+        division: { total: 1950, quarters: { 1: 1950, 2: 0, 3: 0, 4: 0 } },
+        conference: { total: 1300, quarters: { 1: 1300, 2: 0, 3: 0, 4: 0 } }
+      });
+      expect(spend.otherCurrency.map(t => t.title)).toEqual(['Tokyo']);
+      expect(spend.unpriced.map(t => t.title)).toEqual(['Austin']);
+    });
+
+    it('should count recurring trips in the quarter each occurrence starts', () => {
+      const series = trip('Berlin', '2025-03-24', { recurrence: { freq: 'weekly', interval: 4, count: 3 } });
+
+      expect(getPlannedSpend([series], 2025, { getDefaultCost }).quarters).toEqual({ 1: 1300, 2: 2600, 3: 0, 4: 0 });
+      expect(getPlannedSpend([series], 2026, { getDefaultCost }).total).toBe(0);
+    });
+  });
+
+  describe('getPlannedSpend with a fiscal calendar', () => {
+    it('should total the fiscal year by fiscal quarter', () => {
+      const events = [trip('Berlin', '2024-10-07'), trip('Berlin', '2025-02-03'), trip('Berlin', '2025-10-06')];
+      const fiscalCalendar = { startMonth: 9, weekPattern: null };
+
+      const spend = getPlannedSpend(events, 2025, { getDefaultCost, fiscalCalendar });
+
+      expect(spend.quarters).toEqual({ 1: 1300, 2: 1300, 3: 0, 4: 0 });
+      expect(spend.total).toBe(2600);
+    });
+  });
+
+  describe('getBudgetStatus', () => {
+    it('should compare spend with quarter and year budgets', () => {
+      const spend = { total: 30000, quarters: { 1: 26400, 2: 3600, 3: 0, 4: 0 } };
+      const budget = { total: 100000, quarters: { 1: 25000, 2: 25000, 3: null, 4: null } };
+
+      const status = getBudgetStatus(spend, budget);
+
+      expect(status.quarters[0]).toEqual({ id: 1, label: 'Q1', planned: 26400, budget: 25000, remaining: -1400, isOver: true });
+      expect(status.quarters[2]).toMatchObject({ budget: null, remaining: null, isOver: false });
+      expect(status.year).toEqual({ planned: 30000, budget: 100000, remaining: 70000, isOver: false });
+      expect(getBudgetStatus(spend, null).year.budget).toBeNull();
+    });
+  });
+
+  describe('formatMoney', () => {
+    it('should format whole amounts in a currency', () => {
+      expect(formatMoney(26400)).toBe('$26,400');
+      expect(formatMoney(1200.4, 'EUR')).toBe('€1,200');
+    });
+  });
+});
@@ -0,0 +1,585 @@
+import { describe, it, expect } from 'vitest';
+import DataService from '../../../js/services/DataService.js';
+import { Event } from '../../../js/models/Event.js';
+import { Constraint } from '../../../js/models/Constraint.js';
+import { DEFAULT_EVENT_TYPE_CONFIGS, DEFAULT_CONSTRAINT_TYPE_CONFIGS } from '../../../js/config/calendarConfig.js';
+
+function buildState(events = [], constraints = []) {
+  return {
+    events,
+    constraints,
+    eventTypeConfigs: { ...DEFAULT_EVENT_TYPE_CONFIGS },
+    constraintTypeConfigs: { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS }
+  };
+}
+
+function getVEvents(ics) {
+  return ics.split('BEGIN:VEVENT').slice(1).map(block => block.split('END:VEVENT')[0]);
+}
+
+describe('DataService', () => {
+  describe('exportToJSON / importFromJSON', () => {
+    it('should round-trip events and constraints', () => {
+      const state = buildState(
+        [new Event({ id: 'e1', title: 'London', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false })],
+        [new Constraint({ id: 'c1', title: 'Holiday', type: 'holiday', startDate: '2025-12-25' })]
+      );
+
+      const data = DataService.importFromJSON(DataService.exportToJSON(state));
+
+      expect(data.events).toHaveLength(1);
+      expect(data.constraints).toHaveLength(1);
+    });
+
+    it('should round-trip booking segments', () => {
+      const segments = [
+        { id: 's1', kind: 'lodging', name: 'Hotel Aurora', address: null, checkIn: '2025-03-17', checkOut: '2025-03-19', confirmation: null },
+        { id: 's2', kind: 'flight', carrier: 'LH', number: '901', departAirport: 'FRA', arriveAirport: 'LHR', departAt: '2025-03-17T07:10', arriveAt: '2025-03-17T07:55', confirmation: 'X7K2PQ' }
+      ];
+      const state = buildState([
+        new Event({ id: 'e1', title: 'London', type: 'division', location: 'London', startDate: '2025-03-17', endDate: '2025-03-19', isFixed: true, segments })
+      ]);
+
+      const data = DataService.importFromJSON(DataService.exportToJSON(state));
+
+      expect(data.events[0].segments).toEqual(segments);
+      expect(Event.fromJSON(data.events[0]).toJSON().segments).toEqual(segments);
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => DataService.importFromJSON('not json')).toThrow('Failed to import JSON');
+    });
+  });
+
+  describe('exportToICS', () => {
+    it('should wrap entries in a VCALENDAR with CRLF line endings', () => {
+      const ics = DataService.exportToICS(buildState());
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    it('should span flexible trips over their Monday-Friday week', () => {
+      const state = buildState([
+        new Event({ id: 'flex-1', title: 'Division Visit', type: 'division', location: 'London', startDate: '2025-03-19', isFixed: false })
+      ]);
+
+      const [vevent] = getVEvents(DataService.exportToICS(state));
+
+      expect(vevent).toContain('DTSTART;VALUE=DATE:20250317');
+      expect(vevent).toContain('DTEND;VALUE=DATE:20250322'); // exclusive, day after Friday
+    });
+
+    it('should span every week of a multi-week flexible trip', () => {
+      const state = buildState([
+        new Event({ id: 'flex-2', title: 'Long Visit', type: 'division', location: 'London', startDate: '2025-03-17', duration: 2, isFixed: false })
+      ]);
+
+      const [vevent] = getVEvents(DataService.exportToICS(state));
+
+      expect(vevent).toContain('DTEND;VALUE=DATE:20250329');
+    });
+
+    it('should use actual dates for fixed trips', () => {
+      const state = buildState([
+        new Event({ id: 'fixed-1', title: 'Conference', type: 'conference', location: 'Berlin', startDate: '2025-12-30', endDate: '2025-12-31', isFixed: true })
+      ]);
+
+      const [vevent] = getVEvents(DataService.exportToICS(state));
+
+      expect(vevent).toContain('DTSTART;VALUE=DATE:20251230');
+      expect(vevent).toContain('DTEND;VALUE=DATE:20260101');
+    });
+
+    it('should carry a stable UID, type label and location', () => {
+      const state = buildState([
+        new Event({ id: 'abc-123', title: 'Visit', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false })
+      ]);
+
+      const first = DataService.exportToICS(state);
+      const second = DataService.exportToICS(state);
+      const [vevent] = getVEvents(first);
+
+      expect(vevent).toContain('UID:abc-123@travel-planner');
+      expect(vevent).toContain('CATEGORIES:Division Visit');
+      expect(vevent).toContain('LOCATION:London');
+      expect(getVEvents(second)[0]).toContain('UID:abc-123@travel-planner');
+    });
+
+    it('should skip archived events', () => {
+      const state = buildState([
+        new Event({ id: 'a1', title: 'Old', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false, archived: true })
+      ]);
+
+      expect(getVEvents(DataService.exportToICS(state))).toHaveLength(0);
+    });
+
+    it('should escape special characters in text', () => {
+      const state = buildState([
+        new Event({ id: 'e1', title: 'Offsite; planning, review', type: 'division', location: 'Paris', startDate: '2025-03-17', isFixed: false })
+      ]);
+
+      const [vevent] = getVEvents(DataService.exportToICS(state));
+
+      expect(vevent).toContain('SUMMARY:Offsite\\; planning\\, review');
+    });
+
+    it('should fold long lines', () => {
+      const state = buildState([
+        new Event({ id: 'e1', title: 'A'.repeat(120), type: 'division', location: 'Paris', startDate: '2025-03-17', isFixed: false })
+      ]);
+
+      const ics = DataService.exportToICS(state);
+
+      ics.split('\r\n').forEach(line => expect(line.length).toBeLessThanOrEqual(75));
+      expect(ics).toContain('\r\n ' + 'A'.repeat(10));
+    });
+
+    it('should filter by year', () => {
+      const state = buildState([
+        new Event({ id: 'e2024', title: '2024 Trip', type: 'division', location: 'London', startDate: '2024-06-03', isFixed: false }),
+        new Event({ id: 'e2025', title: '2025 Trip', type: 'division', location: 'London', startDate: '2025-06-02', isFixed: false })
+      ]);
+
+      const ics = DataService.exportToICS(state, { year: 2025 });
+
+      expect(ics).toContain('UID:e2025@travel-planner');
+      expect(ics).not.toContain('UID:e2024@travel-planner');
+    });
+
+    it('should filter by fiscal year', () => {
+      const state = buildState([
+        new Event({ id: 'sep', title: 'September Trip', type: 'division', location: 'London', startDate: '2024-09-02', isFixed: false }),
+        new Event({ id: 'oct', title: 'October Trip', type: 'division', location: 'London', startDate: '2024-10-07', isFixed: false })
+      ]);
+
+      // FY2025 runs Oct 2024 - Sep 2025
+      const ics = DataService.exportToICS(state, { year: 2025, fiscal: { startMonth: 9, weekPattern: null } });
+
+      expect(ics).toContain('UID:oct@travel-planner');
+      expect(ics).not.toContain('UID:sep@travel-planner');
+    });
+
+    it('should filter by event type', () => {
+      const state = buildState([
+        new Event({ id: 'div', title: 'Division', type: 'division', location: 'London', startDate: '2025-06-02', isFixed: false }),
+        new Event({ id: 'conf', title: 'Conference', type: 'conference', location: 'Berlin', startDate: '2025-06-09', isFixed: false })
+      ]);
+
+      const ics = DataService.exportToICS(state, { eventTypes: ['conference'] });
+
+      expect(ics).toContain('UID:conf@travel-planner');
+      expect(ics).not.toContain('UID:div@travel-planner');
+    });
+
+    it('should include constraints unless disabled', () => {
+      const state = buildState([], [
+        new Constraint({ id: 'c1', title: 'Christmas', type: 'holiday', startDate: '2025-12-25' })
+      ]);
+
+      const withConstraints = DataService.exportToICS(state);
+      const [vevent] = getVEvents(withConstraints);
+
+      expect(vevent).toContain('UID:constraint-c1@travel-planner');
+      expect(vevent).toContain('DTSTART;VALUE=DATE:20251225');
+      expect(vevent).toContain('DTEND;VALUE=DATE:20251226');
+      expect(vevent).toContain('CATEGORIES:Public Holiday');
+      expect(vevent).toContain('TRANSP:TRANSPARENT');
+
+      const withoutConstraints = DataService.exportToICS(state, { includeConstraints: false });
+      expect(getVEvents(withoutConstraints)).toHaveLength(0);
+    });
+  });
+
+  describe('parseICS', () => {
+    const wrap = (...vevents) => [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      ...vevents.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('should reject text that is not a calendar', () => {
+      expect(() => DataService.parseICS('hello')).toThrow('not an iCalendar file');
+    });
+
+    it('should parse all-day events with exclusive DTEND', () => {
+      const [entry] = DataService.parseICS(wrap([
+        'UID:xmas-2025',
+        'SUMMARY:Christmas\\, office closed',
+        'DTSTART;VALUE=DATE:20251225',
+        'DTEND;VALUE=DATE:20251227',
+        'CATEGORIES:Holiday,Company'
+      ]));
+
+      expect(entry).toEqual({
+        uid: 'xmas-2025',
+        title: 'Christmas, office closed',
+        location: '',
+        categories: ['Holiday', 'Company'],
+        allDay: true,
+        startDate: '2025-12-25',
+        endDate: '2025-12-26'
+      });
+    });
+
+    it('should default all-day events without DTEND to one day', () => {
+      const [entry] = DataService.parseICS(wrap(['UID:a', 'SUMMARY:Day', 'DTSTART;VALUE=DATE:20250704']));
+
+      expect(entry.startDate).toBe('2025-07-04');
+      expect(entry.endDate).toBe('2025-07-04');
+    });
+
+    it('should parse timed events with location', () => {
+      const [entry] = DataService.parseICS(wrap([
+        'UID:conf-1',
+        'SUMMARY:Keynote',
+        'LOCATION:Berlin',
+        'DTSTART:20250603T090000',
+        'DTEND:20250605T170000'
+      ]));
+
+      expect(entry.allDay).toBe(false);
+      expect(entry.location).toBe('Berlin');
+      expect(entry.startDate).toBe('2025-06-03');
+      expect(entry.endDate).toBe('2025-06-05');
+    });
+
+    it('should not extend timed events ending at midnight', () => {
+      const [entry] = DataService.parseICS(wrap([
+        'UID:late',
+        'SUMMARY:Late',
+        'DTSTART:20250603T200000',
+        'DTEND:20250604T000000'
+      ]));
+
+      expect(entry.endDate).toBe('2025-06-03');
+    });
+
+    it('should use DURATION when DTEND is missing', () => {
+      const [entry] = DataService.parseICS(wrap([
+        'UID:d',
+        'SUMMARY:Offsite',
+        'DTSTART;VALUE=DATE:20250310',
+        'DURATION:P3D'
+      ]));
+
+      expect(entry.endDate).toBe('2025-03-12');
+    });
+
+    it('should convert TZID times to the local date', () => {
+      // 23:00 in New York is 04:00 UTC the next day
+      const [entry] = DataService.parseICS(wrap([
+        'UID:tz',
+        'SUMMARY:Call',
+        'DTSTART;TZID=America/New_York:20250303T230000',
+        'DTEND;TZID=America/New_York:20250303T233000'
+      ]));
+
+      const expected = new Date(Date.UTC(2025, 2, 4, 4, 0, 0));
+      const localISO = `${expected.getFullYear()}-${String(expected.getMonth() + 1).padStart(2, '0')}-${String(expected.getDate()).padStart(2, '0')}`;
+      expect(entry.startDate).toBe(localISO);
+    });
+
+    it('should unfold continuation lines', () => {
+      const ics = wrap(['UID:f', 'SUMMARY:Quarterly business', '  review', 'DTSTART;VALUE=DATE:20250310']);
+
+      expect(DataService.parseICS(ics)[0].title).toBe('Quarterly business review');
+    });
+
+    it('should ignore nested alarm properties', () => {
+      const [entry] = DataService.parseICS(wrap([
+        'UID:alarm',
+        'SUMMARY:Trip',
+        'DTSTART;VALUE=DATE:20250310',
+        'BEGIN:VALARM',
+        'SUMMARY:Reminder',
+        'END:VALARM'
+      ]));
+
+      expect(entry.title).toBe('Trip');
+    });
+
+    it('should skip cancelled events', () => {
+      const entries = DataService.parseICS(wrap(['UID:c', 'SUMMARY:Gone', 'STATUS:CANCELLED', 'DTSTART;VALUE=DATE:20250310']));
+
+      expect(entries).toHaveLength(0);
+    });
+
+    it('should round-trip exported calendars', () => {
+      const state = buildState([
+        new Event({ id: 'e1', title: 'Visit; London', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false })
+      ]);
+
+      const [entry] = DataService.parseICS(DataService.exportToICS(state));
+
+      expect(entry.uid).toBe('e1@travel-planner');
+      expect(entry.title).toBe('Visit; London');
+      expect(entry.startDate).toBe('2025-03-17');
+      expect(entry.endDate).toBe('2025-03-21');
+      expect(entry.categories).toEqual(['Division Visit']);
+    });
+
+    describe('RRULE expansion', () => {
+      it('should expand weekly rules with BYDAY and COUNT', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:standup',
+          'SUMMARY:Standup',
+          'DTSTART:20250303T090000',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'
+        ]));
+
+        expect(entries.map(e => e.startDate)).toEqual(['2025-03-03', '2025-03-05', '2025-03-10', '2025-03-12']);
+        expect(entries.map(e => e.uid)).toEqual([
+          'standup/2025-03-03', 'standup/2025-03-05', 'standup/2025-03-10', 'standup/2025-03-12'
+        ]);
+      });
+
+      it('should honor INTERVAL and UNTIL', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:biweekly',
+          'SUMMARY:Sync',
+          'DTSTART;VALUE=DATE:20250106',
+          'RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20250217'
+        ]));
+
+        expect(entries.map(e => e.startDate)).toEqual(['2025-01-06', '2025-01-20', '2025-02-03', '2025-02-17']);
+      });
+
+      it('should expand yearly rules up to the horizon', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:newyear',
+          'SUMMARY:New Year',
+          'DTSTART;VALUE=DATE:20240101',
+          'RRULE:FREQ=YEARLY'
+        ]), { expandUntil: '2026-12-31' });
+
+        expect(entries.map(e => e.startDate)).toEqual(['2024-01-01', '2025-01-01', '2026-01-01']);
+      });
+
+      it('should skip monthly occurrences that fall on missing days', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:eom',
+          'SUMMARY:Month end',
+          'DTSTART;VALUE=DATE:20250131',
+          'RRULE:FREQ=MONTHLY;COUNT=3'
+        ]));
+
+        expect(entries.map(e => e.startDate)).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+      });
+
+      it('should expand monthly rules on the nth weekday', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:board',
+          'SUMMARY:Board',
+          'DTSTART:20250114T100000',
+          'RRULE:FREQ=MONTHLY;BYDAY=2TU;COUNT=3'
+        ]));
+
+        expect(entries.map(e => e.startDate)).toEqual(['2025-01-14', '2025-02-11', '2025-03-11']);
+      });
+
+      it('should count negative BYDAY ordinals from the end of the month', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:close',
+          'SUMMARY:Month close',
+          'DTSTART;VALUE=DATE:20250131',
+          'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20250430'
+        ]));
+
+        expect(entries.map(e => e.startDate)).toEqual(['2025-01-31', '2025-02-28', '2025-03-28', '2025-04-25']);
+      });
+
+      it('should expand yearly rules on the nth weekday of BYMONTH', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:thanksgiving',
+          'SUMMARY:Thanksgiving',
+          'DTSTART;VALUE=DATE:20241128',
+          'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH'
+        ]), { expandUntil: '2026-12-31' });
+
+        expect(entries.map(e => e.startDate)).toEqual(['2024-11-28', '2025-11-27', '2026-11-26']);
+      });
+
+      it('should keep multi-day spans for each occurrence', () => {
+        const entries = DataService.parseICS(wrap([
+          'UID:camp',
+          'SUMMARY:School break',
+          'DTSTART;VALUE=DATE:20250414',
+          'DTEND;VALUE=DATE:20250419',
+          'RRULE:FREQ=YEARLY;COUNT=2'
+        ]));
+
+        expect(entries[1].startDate).toBe('2026-04-14');
+        expect(entries[1].endDate).toBe('2026-04-18');
+      });
+
+      it('should apply EXDATE and RECURRENCE-ID overrides', () => {
+        const entries = DataService.parseICS(wrap(
+          [
+            'UID:weekly',
+            'SUMMARY:Review',
+            'DTSTART;VALUE=DATE:20250303',
+            'RRULE:FREQ=WEEKLY;COUNT=4',
+            'EXDATE;VALUE=DATE:20250310'
+          ],
+          [
+            'UID:weekly',
+            'RECURRENCE-ID;VALUE=DATE:20250317',
+            'SUMMARY:Review (moved)',
+            'DTSTART;VALUE=DATE:20250318'
+          ]
+        ));
+
+        expect(entries.map(e => [e.startDate, e.title])).toEqual([
+          ['2025-03-03', 'Review'],
+          ['2025-03-18', 'Review (moved)'],
+          ['2025-03-24', 'Review']
+        ]);
+        expect(entries[1].uid).toBe('weekly/2025-03-17');
+      });
+    });
+  });
+
+  describe('exportToCSV', () => {
+    it('should write a header and one row per event and constraint', () => {
+      const state = buildState(
+        [
+          new Event({ id: 'e1', title: 'Flex Visit', type: 'division', location: 'London', startDate: '2025-03-17', duration: 2, isFixed: false }),
+          new Event({ id: 'e2', title: 'Conference', type: 'conference', location: 'Berlin', startDate: '2025-06-03', endDate: '2025-06-05', isFixed: true, archived: true })
+        ],
+        [new Constraint({ id: 'c1', title: 'Christmas', type: 'holiday', startDate: '2025-12-25' })]
+      );
+
+      const lines = DataService.exportToCSV(state).trimEnd().split('\r\n');
+
+      expect(lines).toEqual([
+        'Kind,Title,Type,Location,Start,End,Scheduling,Archived',
+        'Trip,Flex Visit,Division Visit,London,2025-03-17,2025-03-28,Flexible,No',
+        'Trip,Conference,Conference,Berlin,2025-06-03,2025-06-05,Fixed,Yes',
+        'Constraint,Christmas,Public Holiday,,2025-12-25,2025-12-25,Fixed,No'
+      ]);
+    });
+
+    it('should quote values with commas, quotes and newlines', () => {
+      const state = buildState([
+        new Event({ id: 'e1', title: 'Visit "HQ", part 1', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false })
+      ]);
+
+      const csv = DataService.exportToCSV(state, { includeConstraints: false });
+
+      expect(csv).toContain('"Visit ""HQ"", part 1"');
+    });
+  });
+
+  describe('parseCSV', () => {
+    it('should split headers and rows with quoted fields', () => {
+      const { headers, rows } = DataService.parseCSV('\uFEFFTitle,Notes\r\n"A, b","line 1\nline 2"\r\n\r\nC,"say ""hi"""\n');
+
+      expect(headers).toEqual(['Title', 'Notes']);
+      expect(rows).toEqual([
+        ['A, b', 'line 1\nline 2'],
+        ['C', 'say "hi"']
+      ]);
+    });
+
+    it('should reject empty files', () => {
+      expect(() => DataService.parseCSV('\n\n')).toThrow('file is empty');
+    });
+  });
+
+  describe('guessCSVMapping', () => {
+    it('should map common header names to fields', () => {
+      const mapping = DataService.guessCSVMapping(['Name', 'City', 'Start Date', 'End Date', 'Trip Type', 'Notes']);
+
+      expect(mapping).toEqual({
+        kind: null,
+        title: 0,
+        type: 4,
+        location: 1,
+        startDate: 2,
+        endDate: 3,
+        isFixed: null,
+        archived: null
+      });
+    });
+  });
+
+  describe('convertCSVRows', () => {
+    const options = {
+      eventTypeConfigs: { ...DEFAULT_EVENT_TYPE_CONFIGS },
+      constraintTypeConfigs: { ...DEFAULT_CONSTRAINT_TYPE_CONFIGS }
+    };
+
+    it('should round-trip exported CSV', () => {
+      const state = buildState(
+        [
+          new Event({ id: 'e1', title: 'Flex Visit', type: 'division', location: 'London', startDate: '2025-03-17', duration: 2, isFixed: false }),
+          new Event({ id: 'e2', title: 'Conference', type: 'conference', location: 'Berlin', startDate: '2025-06-03', endDate: '2025-06-05', isFixed: true })
+        ],
+        [new Constraint({ id: 'c1', title: 'Christmas', type: 'holiday', startDate: '2025-12-25' })]
+      );
+
+      const { headers, rows } = DataService.parseCSV(DataService.exportToCSV(state));
+      const result = DataService.convertCSVRows(rows, DataService.guessCSVMapping(headers), options);
+
+      expect(result.errors).toEqual([]);
+      expect(result.events.map(e => [e.title, e.type, e.startDate, e.isFixed, e.duration])).toEqual([
+        ['Flex Visit', 'division', '2025-03-17', false, 2],
+        ['Conference', 'conference', '2025-06-03', true, 1]
+      ]);
+      expect(result.events[1].endDate).toBe('2025-06-05');
+      expect(result.constraints[0].type).toBe('holiday');
+    });
+
+    it('should use the default kind when no kind column is mapped', () => {
+      const mapping = { title: 0, type: 1, startDate: 2, endDate: 3 };
+      const rows = [['Summer', 'Personal Vacation', '7/14/2025', '7/18/2025']];
+
+      const result = DataService.convertCSVRows(rows, mapping, { ...options, defaultKind: 'constraint' });
+
+      expect(result.constraints).toHaveLength(1);
+      expect(result.constraints[0].startDate).toBe('2025-07-14');
+      expect(result.constraints[0].type).toBe('vacation');
+    });
+
+    it('should report errors per row and keep valid rows', () => {
+      const mapping = { kind: 0, title: 1, type: 2, location: 3, startDate: 4, endDate: 5 };
+      const rows = [
+        ['Trip', 'Good', 'division', 'London', '2025-03-17', ''],
+        ['Trip', '', 'division', 'London', '2025-03-17', ''],
+        ['Trip', 'No location', 'division', '', '2025-03-17', ''],
+        ['Trip', 'Bad type', 'safari', 'Paris', '2025-03-17', ''],
+        ['Constraint', 'Bad date', 'holiday', '', '2025-02-30', ''],
+        ['Constraint', 'Backwards', 'holiday', '', '2025-03-20', '2025-03-10'],
+        ['Meeting', 'Bad kind', 'holiday', '', '2025-03-20', '']
+      ];
+
+      const result = DataService.convertCSVRows(rows, mapping, options);
+
+      expect(result.events).toHaveLength(1);
+      expect(result.constraints).toHaveLength(0);
+      expect(result.errors.map(e => e.row)).toEqual([3, 4, 5, 6, 7, 8]);
+      expect(result.errors[0].message).toBe('Event title is required');
+      expect(result.errors[1].message).toBe('Event location is required');
+      expect(result.errors[2].message).toContain('Unknown trip type');
+      expect(result.errors[3].message).toContain('Invalid start date');
+      expect(result.errors[5].message).toContain('Unknown kind');
+    });
+
+    it('should treat trips with an end date as fixed unless marked flexible', () => {
+      const mapping = { title: 0, type: 1, location: 2, startDate: 3, endDate: 4, isFixed: 5 };
+      const rows = [
+        ['Fixed', 'division', 'London', '2025-03-18', '2025-03-20', ''],
+        ['Flexible', 'division', 'London', '2025-03-18', '', ''],
+        ['Forced flexible', 'division', 'London', '2025-03-18', '2025-04-02', 'Flexible']
+      ];
+
+      const { events } = DataService.convertCSVRows(rows, mapping, options);
+
+      expect(events.map(e => e.isFixed)).toEqual([true, false, false]);
+      expect(events[2].startDate).toBe('2025-03-17');
+      expect(events[2].duration).toBe(3);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import {
   getMonday,
   getFriday,
@@ -7,11 +7,31 @@ import {
   formatDate,
   formatDateWithOrdinal,
   getMondaysInMonth,
+  getMondaysInRange,
   isSameWeek,
   getWeekNumber,
   getDaysInMonth,
   getCalendarGrid,
-  overlapsWithWeek
+  overlapsWithWeek,
+  addWeeks,
+  daysBetween,
+  addDays,
+  mapToSameWeekdayInYear,
+  getFiscalYear,
+  getFiscalYearRange,
+  getFiscalMonths,
+  getFiscalQuarters,
+  getFiscalQuarter,
+  formatFiscalYear,
+  getCurrentQuarter,
+  getTimeRangeDates,
+  getEventDateRange,
+  getEventWeeks,
+  getEventLegs,
+  setWorkWeek,
+  getWorkWeek,
+  getWeekdayOrder,
+  isWorkingDay
 } from '../../../js/services/DateService.js';
 
 describe('DateService', () => {
@@ -462,4 +482,220 @@ describe('DateService', () => {
       expect(overlapsWithWeek(startDate, endDate, weekDate)).toBe(true);
     });
   });
+
+  describe('addWeeks', () => {
+    it('should add weeks to ISO strings in local time', () => {
+      expect(dateToISO(addWeeks('2025-01-06', 2))).toBe('2025-01-20');
+    });
+
+    it('should subtract weeks', () => {
+      expect(dateToISO(addWeeks(new Date(2025, 0, 6), -1))).toBe('2024-12-30');
+    });
+  });
+
+  describe('daysBetween', () => {
+    it('should count whole days across month ends and DST changes', () => {
+      expect(daysBetween('2025-01-30', '2025-02-02')).toBe(3);
+      expect(daysBetween('2025-03-28', '2025-04-01')).toBe(4);
+      expect(daysBetween('2025-03-03', '2025-03-02')).toBe(-1);
+    });
+  });
+
+  describe('getEventDateRange', () => {
+    it('should span Mon-Fri of every week for flexible trips', () => {
+      const range = getEventDateRange({ startDate: '2025-03-17', endDate: null, isFixed: false, duration: 2 });
+      expect(range).toEqual({ startDate: '2025-03-17', endDate: '2025-03-28' });
+    });
+
+    it('should default to one week', () => {
+      const range = getEventDateRange({ startDate: '2025-03-17', isFixed: false });
+      expect(range).toEqual({ startDate: '2025-03-17', endDate: '2025-03-21' });
+    });
+
+    it('should use actual dates for fixed trips', () => {
+      const range = getEventDateRange({ startDate: '2025-03-18', endDate: '2025-03-20', isFixed: true, duration: 1 });
+      expect(range).toEqual({ startDate: '2025-03-18', endDate: '2025-03-20' });
+    });
+  });
+
+  describe('getEventWeeks', () => {
+    it('should list every week of a multi-week flexible trip', () => {
+      const weeks = getEventWeeks({ startDate: '2025-03-17', isFixed: false, duration: 3 });
+      expect(weeks).toEqual(['2025-03-17', '2025-03-24', '2025-03-31']);
+    });
+
+    it('should list weeks a fixed trip overlaps on weekdays', () => {
+      const weeks = getEventWeeks({ startDate: '2025-03-20', endDate: '2025-03-29', isFixed: true });
+      expect(weeks).toEqual(['2025-03-17', '2025-03-24']);
+    });
+  });
+
+  describe('addDays', () => {
+    it('should add days across month ends', () => {
+      expect(dateToISO(addDays('2025-01-30', 3))).toBe('2025-02-02');
+      expect(dateToISO(addDays('2025-03-03', -1))).toBe('2025-03-02');
+    });
+  });
+
+  describe('mapToSameWeekdayInYear', () => {
+    it('should keep the weekday and week of the month', () => {
+      expect(dateToISO(mapToSameWeekdayInYear('2025-03-11', 2026))).toBe('2026-03-10'); // 2nd Tuesday
+      expect(dateToISO(mapToSameWeekdayInYear('2025-12-01', 2026))).toBe('2026-12-07'); // 1st Monday
+    });
+
+    it('should use the last weekday of the month when the target has no 5th one', () => {
+      expect(dateToISO(mapToSameWeekdayInYear('2025-01-29', 2026))).toBe('2026-01-28'); // 5th Wednesday
+      expect(dateToISO(mapToSameWeekdayInYear('2024-02-29', 2025))).toBe('2025-02-27'); // 5th Thursday
+    });
+  });
+
+  describe('fiscal calendar', () => {
+    const october = { startMonth: 9, weekPattern: null };
+    const weeks445 = { startMonth: 0, weekPattern: '4-4-5' };
+
+    it('should keep the calendar year by default', () => {
+      expect(getFiscalYearRange(2025)).toEqual({ startDate: '2025-01-01', endDate: '2025-12-31' });
+      expect(getFiscalQuarters(2025).map(q => q.label)).toEqual(['Jan - Mar', 'Apr - Jun', 'Jul - Sep', 'Oct - Dec']);
+      expect(getFiscalYear('2025-12-31')).toBe(2025);
+      expect(getCurrentQuarter(new Date(2025, 4, 15))).toBe(2);
+      expect(formatFiscalYear(2025)).toBe('2025');
+    });
+
+    it('should name a fiscal year after the calendar year it ends in', () => {
+      expect(getFiscalYearRange(2026, october)).toEqual({ startDate: '2025-10-01', endDate: '2026-09-30' });
+      expect(getFiscalYear('2025-09-30', october)).toBe(2025);
+      expect(getFiscalYear('2025-10-01', october)).toBe(2026);
+      expect(formatFiscalYear(2026, october)).toBe('FY2026');
+    });
+
+    it('should lay out month quarters from the start month', () => {
+      const quarters = getFiscalQuarters(2026, october);
+
+      expect(quarters.map(q => q.label)).toEqual(['Oct - Dec', 'Jan - Mar', 'Apr - Jun', 'Jul - Sep']);
+      expect(quarters[1]).toMatchObject({ id: 2, name: 'Q2', startDate: '2026-01-01', endDate: '2026-03-31' });
+      expect(getFiscalQuarter('2025-11-15', october)).toMatchObject({ fiscalYear: 2026, id: 1 });
+      expect(getCurrentQuarter(new Date(2026, 0, 5), october)).toBe(2);
+    });
+
+    it('should build week-based years from the Monday nearest the start', () => {
+      // Jan 1 2026 is a Thursday: FY2026 starts on Mon Dec 29 and has 53 weeks
+      expect(getFiscalYearRange(2026, weeks445)).toEqual({ startDate: '2025-12-29', endDate: '2027-01-03' });
+      expect(getFiscalYear('2025-12-30', weeks445)).toBe(2026);
+      expect(getFiscalYear('2027-01-03', weeks445)).toBe(2026);
+
+      const months = getFiscalMonths(2026, weeks445);
+      expect(months.slice(0, 3).map(m => [m.startDate, m.endDate])).toEqual([
+        ['2025-12-29', '2026-01-25'],
+        ['2026-01-26', '2026-02-22'],
+        ['2026-02-23', '2026-03-29']
+      ]);
+      expect(months[0]).toMatchObject({ year: 2026, month: 0 });
+
+      const quarters = getFiscalQuarters(2026, weeks445);
+      expect(quarters[0].label).toBe('Dec 29 - Mar 29');
+      expect(quarters[3]).toMatchObject({ startDate: '2026-09-28', endDate: '2027-01-03' });
+    });
+
+    it('should give time ranges in the fiscal calendar', () => {
+      const year = getTimeRangeDates('current-year', 2026, october);
+      expect([dateToISO(year.startDate), dateToISO(year.endDate)]).toEqual(['2025-10-01', '2026-09-30']);
+
+      const quarter = getTimeRangeDates('current-quarter', new Date(2025, 10, 20), october);
+      expect([dateToISO(quarter.startDate), dateToISO(quarter.endDate)]).toEqual(['2025-10-01', '2025-12-31']);
+
+      const fromDate = getTimeRangeDates('current-year', new Date(2025, 10, 20), october);
+      expect(dateToISO(fromDate.endDate)).toBe('2026-09-30');
+    });
+  });
+
+  describe('work week', () => {
+    const sundayToThursday = { firstDay: 0, workingDays: [0, 1, 2, 3, 4] };
+
+    afterEach(() => setWorkWeek());
+
+    it('should default to Monday-Friday', () => {
+      expect(getWorkWeek()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+      expect(getWeekdayOrder()).toEqual([1, 2, 3, 4, 5, 6, 0]);
+      expect(dateToISO(getCalendarGrid(2025, 0)[0])).toBe('2024-12-30'); // Monday
+    });
+
+    it('should start weeks on the first working day', () => {
+      setWorkWeek(sundayToThursday);
+
+      expect(dateToISO(getMonday('2025-01-08'))).toBe('2025-01-05'); // Wed -> Sun
+      expect(dateToISO(getMonday('2025-01-11'))).toBe('2025-01-05'); // Sat -> Sun
+      expect(dateToISO(getFriday('2025-01-08'))).toBe('2025-01-09'); // Thu
+      expect(getWeekdayOrder()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(getMondaysInMonth(2025, 0).map(dateToISO)).toEqual(['2025-01-05', '2025-01-12', '2025-01-19', '2025-01-26']);
+      expect(getMondaysInRange(new Date(2025, 0, 1), new Date(2025, 0, 14)).map(dateToISO)).toEqual(['2025-01-05', '2025-01-12']);
+    });
+
+    it('should lay out the calendar grid from the first working day', () => {
+      setWorkWeek(sundayToThursday);
+      const grid = getCalendarGrid(2025, 0);
+
+      expect(dateToISO(grid[0])).toBe('2024-12-29'); // Sunday
+      expect(dateToISO(grid[grid.length - 1])).toBe('2025-02-01'); // Saturday
+      expect(grid.length % 7).toBe(0);
+    });
+
+    it('should only count working days when checking overlap', () => {
+      setWorkWeek(sundayToThursday);
+
+      expect(overlapsWithWeek('2025-01-10', '2025-01-11', '2025-01-08')).toBe(false); // Fri-Sat
+      expect(overlapsWithWeek('2025-01-05', '2025-01-05', '2025-01-08')).toBe(true); // Sunday
+
+      // A Wednesday off in the middle of the week
+      setWorkWeek({ firstDay: 1, workingDays: [1, 2, 4, 5] });
+      expect(isWorkingDay('2025-01-08')).toBe(false);
+      expect(overlapsWithWeek('2025-01-08', '2025-01-08', '2025-01-06')).toBe(false);
+      expect(overlapsWithWeek('2025-01-08', '2025-01-09', '2025-01-06')).toBe(true);
+    });
+
+    it('should span flexible trips over the working days', () => {
+      setWorkWeek(sundayToThursday);
+      const trip = { startDate: '2025-01-08', isFixed: false, duration: 2 };
+
+      expect(getEventDateRange(trip)).toEqual({ startDate: '2025-01-05', endDate: '2025-01-16' });
+      expect(getEventWeeks(trip)).toEqual(['2025-01-05', '2025-01-12']);
+      expect(getEventWeeks({ startDate: '2025-01-10', endDate: '2025-01-11', isFixed: true })).toEqual([]);
+    });
+  });
+
+  describe('getEventLegs', () => {
+    it('should return one leg for single-location trips', () => {
+      const legs = getEventLegs({ location: 'London', startDate: '2025-03-17', isFixed: false, duration: 1 });
+      expect(legs).toEqual([{ location: 'London', startDate: '2025-03-17', endDate: '2025-03-21', days: 5 }]);
+    });
+
+    it('should lay legs back to back with the last leg running to the end', () => {
+      const legs = getEventLegs({
+        location: 'London',
+        startDate: '2025-03-17',
+        endDate: '2025-03-21',
+        isFixed: true,
+        legs: [{ location: 'London', days: 2 }, { location: 'Berlin', days: 1 }]
+      });
+
+      expect(legs).toEqual([
+        { location: 'London', startDate: '2025-03-17', endDate: '2025-03-18', days: 2 },
+        { location: 'Berlin', startDate: '2025-03-19', endDate: '2025-03-21', days: 3 }
+      ]);
+    });
+
+    it('should clamp legs to a shortened trip', () => {
+      const legs = getEventLegs({
+        location: 'London',
+        startDate: '2025-03-17',
+        endDate: '2025-03-18',
+        isFixed: true,
+        legs: [{ location: 'London', days: 3 }, { location: 'Berlin', days: 2 }]
+      });
+
+      expect(legs.map(leg => [leg.location, leg.startDate, leg.endDate])).toEqual([
+        ['London', '2025-03-17', '2025-03-18'],
+        ['Berlin', '2025-03-18', '2025-03-18']
+      ]);
+    });
+  });
 });
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { getDistanceKm, estimateTravelHours, getUtcOffsetHours, getTimezoneShiftHours } from '../../../js/services/GeoService.js';
+
+describe('GeoService', () => {
+  const london = { lat: 51.5074, lon: -0.1278, timezone: 'Europe/London' };
+  const singapore = { lat: 1.3521, lon: 103.8198, timezone: 'Asia/Singapore' };
+  const auckland = { lat: -36.8485, lon: 174.7633, timezone: 'Pacific/Auckland' };
+
+  describe('getDistanceKm', () => {
+    it('should compute great-circle distances', () => {
+      expect(getDistanceKm(london, singapore)).toBeCloseTo(10860, -2);
+      expect(getDistanceKm(london, london)).toBe(0);
+    });
+
+    it('should return null without coordinates', () => {
+      expect(getDistanceKm(london, { timezone: 'Asia/Tokyo' })).toBeNull();
+      expect(getDistanceKm(null, london)).toBeNull();
+    });
+  });
+
+  describe('estimateTravelHours', () => {
+    it('should fly long distances and drive short ones', () => {
+      // ~10,860 km: 14.5h flight plus 2h at airports
+      expect(estimateTravelHours(london, singapore)).toBeCloseTo(16.5, 0);
+      // 80 km: an hour by road beats the airport
+      expect(estimateTravelHours({ lat: 0, lon: 0 }, { lat: 0, lon: 0.7195 })).toBeCloseTo(1, 1);
+    });
+
+    it('should return null without coordinates', () => {
+      expect(estimateTravelHours(london, { timezone: 'Asia/Tokyo' })).toBeNull();
+    });
+  });
+
+  describe('getUtcOffsetHours', () => {
+    it('should follow daylight saving time', () => {
+      expect(getUtcOffsetHours('Europe/London', '2025-01-15')).toBe(0);
+      expect(getUtcOffsetHours('Europe/London', '2025-07-15')).toBe(1);
+      expect(getUtcOffsetHours('America/New_York', '2025-07-15')).toBe(-4);
+    });
+
+    it('should support half-hour offsets', () => {
+      expect(getUtcOffsetHours('Asia/Kolkata', '2025-03-01')).toBe(5.5);
+    });
+  });
+
+  describe('getTimezoneShiftHours', () => {
+    it('should take the shorter way around the clock', () => {
+      expect(getTimezoneShiftHours(london, singapore, '2025-01-15')).toBe(8);
+      // Auckland is UTC+13 in January: 13h ahead is an 11h body clock shift
+      expect(getTimezoneShiftHours(london, auckland, '2025-01-15')).toBe(11);
+    });
+
+    it('should return null without timezones', () => {
+      expect(getTimezoneShiftHours(london, { lat: 0, lon: 0 }, '2025-01-15')).toBeNull();
+    });
+  });
+});
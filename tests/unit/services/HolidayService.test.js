@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEasterSunday,
+  getHolidayCountries,
+  hasHolidayCalendar,
+  getHolidays,
+  getHolidaysInRange,
+  buildHolidayConstraints
+} from '../../../js/services/HolidayService.js';
+import { dateToISO } from '../../../js/services/DateService.js';
+
+const datesOf = (holidays) => holidays.map(h => h.date);
+const find = (holidays, name) => holidays.find(h => h.name === name)?.date;
+
+describe('HolidayService', () => {
+  describe('getEasterSunday', () => {
+    it('should compute Easter Sunday', () => {
+      expect(dateToISO(getEasterSunday(2024))).toBe('2024-03-31');
+      expect(dateToISO(getEasterSunday(2025))).toBe('2025-04-20');
+      expect(dateToISO(getEasterSunday(2026))).toBe('2026-04-05');
+    });
+  });
+
+  describe('countries', () => {
+    it('should list supported countries and check codes case-insensitively', () => {
+      expect(getHolidayCountries().map(c => c.code)).toEqual(expect.arrayContaining(['US', 'GB', 'DE']));
+      expect(hasHolidayCalendar('gb')).toBe(true);
+      expect(hasHolidayCalendar('ZZ')).toBe(false);
+      expect(hasHolidayCalendar(null)).toBe(false);
+      expect(getHolidays('ZZ', 2025)).toEqual([]);
+    });
+  });
+
+  describe('getHolidays', () => {
+    it('should apply fixed, nth-weekday and last-weekday rules', () => {
+      const us = getHolidays('US', 2025);
+
+      expect(find(us, 'Martin Luther King Jr. Day')).toBe('2025-01-20');
+      expect(find(us, 'Memorial Day')).toBe('2025-05-26');
+      expect(find(us, 'Independence Day')).toBe('2025-07-04');
+      expect(find(us, 'Thanksgiving Day')).toBe('2025-11-27');
+    });
+
+    it('should apply Easter-relative and on-or-after rules', () => {
+      const de = getHolidays('DE', 2025);
+      expect(find(de, 'Good Friday')).toBe('2025-04-18');
+      expect(find(de, 'Ascension Day')).toBe('2025-05-29');
+      expect(find(de, 'Whit Monday')).toBe('2025-06-09');
+
+      expect(find(getHolidays('CA', 2025), 'Victoria Day')).toBe('2025-05-19');
+    });
+
+    it('should observe weekend holidays on the next free weekday', () => {
+      const gb = getHolidays('GB', 2021);
+
+      expect(find(gb, 'Christmas Day (observed)')).toBe('2021-12-27');
+      expect(find(gb, 'Boxing Day (observed)')).toBe('2021-12-28');
+      expect(find(getHolidays('GB', 2022), 'Christmas Day (observed)')).toBe('2022-12-27');
+    });
+
+    it('should observe weekend holidays on the nearest weekday, across years', () => {
+      expect(find(getHolidays('US', 2026), 'Independence Day (observed)')).toBe('2026-07-03');
+      expect(find(getHolidays('US', 2021), "New Year's Day (observed)")).toBe('2021-12-31');
+      expect(getHolidays('US', 2022).some(h => h.name === "New Year's Day (observed)")).toBe(false);
+    });
+
+    it('should only apply rules from their first year', () => {
+      expect(find(getHolidays('US', 2020), 'Juneteenth')).toBeUndefined();
+      expect(find(getHolidays('US', 2021), 'Juneteenth')).toBe('2021-06-19');
+    });
+
+    it('should not observe holidays a rule opts out of', () => {
+      // Anzac Day 2026 is a Saturday
+      expect(getHolidays('AU', 2026).some(h => h.name === 'Anzac Day (observed)')).toBe(false);
+    });
+  });
+
+  describe('getHolidaysInRange', () => {
+    it('should return holidays between two dates', () => {
+      const range = getHolidaysInRange('GB', '2021-12-20', '2022-01-07');
+
+      expect(datesOf(range)).toEqual(['2021-12-25', '2021-12-26', '2021-12-27', '2021-12-28', '2022-01-01', '2022-01-03']);
+    });
+  });
+
+  describe('buildHolidayConstraints', () => {
+    it('should build one-day holiday constraints with stable source UIDs', () => {
+      const constraints = buildHolidayConstraints('GB', 2025);
+
+      expect(constraints).toHaveLength(8);
+      expect(constraints[0]).toEqual({
+        title: "New Year's Day (GB)",
+        type: 'holiday',
+        startDate: '2025-01-01',
+        endDate: '2025-01-01',
+        sourceUid: 'holiday:GB:2025-01-01'
+      });
+    });
+  });
+});
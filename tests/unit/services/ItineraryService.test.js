@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getItinerary } from '../../../js/services/ItineraryService.js';
+import { Event } from '../../../js/models/Event.js';
+
+describe('ItineraryService', () => {
+  const trip = {
+    id: 't1',
+    title: 'Europe Tour',
+    type: 'division',
+    location: 'London',
+    legs: [{ location: 'London', days: 2 }, { location: 'Berlin', days: 1 }],
+    startDate: '2025-03-17',
+    endDate: '2025-03-19',
+    isFixed: true
+  };
+
+  const segments = [
+    { id: 'out', kind: 'flight', carrier: 'LH', number: '900', departAirport: 'FRA', arriveAirport: 'LHR', departAt: '2025-03-16T21:30', arriveAt: '2025-03-16T22:10', confirmation: 'OUT1' },
+    { id: 'h1', kind: 'lodging', name: 'Hotel Aurora', checkIn: '2025-03-16', checkOut: '2025-03-18' },
+    { id: 'train', kind: 'ground', mode: 'Train', from: 'London', to: 'Berlin', departAt: '2025-03-18T08:00', arriveAt: '2025-03-18T18:30' },
+    { id: 'h2', kind: 'lodging', name: 'Berlin Inn', checkIn: '2025-03-18', checkOut: '2025-03-19' },
+    { id: 'home', kind: 'flight', carrier: 'LH', number: '901', departAirport: 'BER', arriveAirport: 'JFK', departAt: '2025-03-19T23:00', arriveAt: '2025-03-20T02:15' }
+  ];
+
+  it('should cover the trip days and any segment days around them', () => {
+    const days = getItinerary(new Event({ ...trip, segments }));
+
+    expect(days.map(d => d.date)).toEqual(['2025-03-16', '2025-03-17', '2025-03-18', '2025-03-19', '2025-03-20']);
+    expect(days.map(d => d.location)).toEqual([null, 'London', 'London', 'Berlin', null]);
+  });
+
+  it('should show where each night is spent', () => {
+    const days = getItinerary(new Event({ ...trip, segments }));
+
+    expect(days.map(d => d.stay?.name ?? null)).toEqual(['Hotel Aurora', 'Hotel Aurora', 'Berlin Inn', null, null]);
+  });
+
+  it('should order check-outs, timed bookings and check-ins within a day', () => {
+    const day = getItinerary(new Event({ ...trip, segments }))[2];
+
+    expect(day.items.map(i => i.title)).toEqual(['Check out: Hotel Aurora', 'Train London → Berlin', 'Check in: Berlin Inn']);
+    expect(day.items[1]).toMatchObject({ kind: 'ground', time: '08:00', detail: '08:00–18:30' });
+  });
+
+  it('should list overnight bookings on departure and arrival days', () => {
+    const days = getItinerary(new Event({ ...trip, segments }));
+
+    expect(days[0].items[0]).toMatchObject({ title: 'LH 900 FRA → LHR', confirmation: 'OUT1', icon: 'fa-plane' });
+    expect(days[3].items.find(i => i.kind === 'flight').detail).toMatch(/^23:00–02:15 \(arrives /);
+    expect(days[4].items.map(i => i.title)).toEqual(['Arrive: LH 901 BER → JFK']);
+  });
+
+  it('should accept plain events and give empty days without segments', () => {
+    const days = getItinerary(new Event(trip).toJSON());
+
+    expect(days).toHaveLength(3);
+    expect(days.every(d => d.items.length === 0 && d.stay === null)).toBe(true);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyRule } from '../../../js/models/PolicyRule.js';
+import {
+  getPeriodKey,
+  getPeriodWeeks,
+  formatPeriod,
+  evaluatePolicies,
+  getNewViolations
+} from '../../../js/services/PolicyService.js';
+
+describe('PolicyService', () => {
+  const trip = (title, startDate, extra = {}) => ({
+    id: title.toLowerCase(), title, type: 'division', location: title, startDate, isFixed: false, duration: 1, ...extra
+  });
+  const rule = (type, params = {}, extra = {}) => new PolicyRule({ id: type, type, params, ...extra }).toJSON();
+
+  describe('periods', () => {
+    it('should key dates by month, quarter and year', () => {
+      expect(getPeriodKey('2025-03-17', 'month')).toBe('2025-03');
+      expect(getPeriodKey('2025-03-17', 'quarter')).toBe('2025-Q1');
+      expect(getPeriodKey('2025-03-17', 'year')).toBe('2025');
+    });
+
+    it('should list the Mondays of a period', () => {
+      expect(getPeriodWeeks('2025-03', 'month')).toEqual(['2025-03-03', '2025-03-10', '2025-03-17', '2025-03-24', '2025-03-31']);
+      expect(getPeriodWeeks('2025-Q2', 'quarter')).toHaveLength(13);
+      expect(getPeriodWeeks('2025', 'year')).toHaveLength(52);
+    });
+
+    it('should format period labels', () => {
+      expect(formatPeriod('2025-03', 'month')).toBe('Mar 2025');
+      expect(formatPeriod('2025-Q1', 'quarter')).toBe('Q1 2025');
+    });
+  });
+
+  describe('fiscal periods', () => {
+    const october = { startMonth: 9, weekPattern: null };
+    const weeks445 = { startMonth: 0, weekPattern: '4-4-5' };
+
+    it('should key quarters and years by fiscal year', () => {
+      expect(getPeriodKey('2025-11-17', 'quarter', october)).toBe('2026-Q1');
+      expect(getPeriodKey('2025-11-17', 'year', october)).toBe('2026');
+      expect(getPeriodKey('2025-11-17', 'month', october)).toBe('2025-11');
+      expect(formatPeriod('2026-Q1', 'quarter', october)).toBe('Q1 FY2026');
+      expect(formatPeriod('2026', 'year', october)).toBe('FY2026');
+    });
+
+    it('should use week-based periods for months and quarters', () => {
+      // Jan 26 2026 starts the second 4-week period of FY2026
+      expect(getPeriodKey('2026-01-26', 'month', weeks445)).toBe('2026-02');
+      expect(getPeriodKey('2025-12-29', 'quarter', weeks445)).toBe('2026-Q1');
+      expect(getPeriodWeeks('2026-03', 'month', weeks445)).toHaveLength(5);
+      expect(getPeriodWeeks('2026-Q4', 'quarter', weeks445)).toHaveLength(14);
+      expect(getPeriodWeeks('2026', 'year', weeks445)).toHaveLength(53);
+    });
+
+    it('should count trips per fiscal quarter', () => {
+      const events = [trip('Paris', '2025-03-03'), trip('Berlin', '2025-04-07')];
+      const rules = [rule('max-trips', { period: 'quarter', maxTrips: 1 })];
+
+      expect(evaluatePolicies(events, rules)).toEqual([]);
+
+      // A February start puts March and April in the same quarter
+      const violations = evaluatePolicies(events, rules, { fiscalCalendar: { startMonth: 1, weekPattern: null } });
+      expect(violations).toHaveLength(1);
+      expect(violations[0].message).toBe('2 trips in Q1 FY2026 (max 1)');
+    });
+  });
+
+  describe('evaluatePolicies', () => {
+    it('should report runs of travel weeks over the cap', () => {
+      const events = [trip('Paris', '2025-03-03', { duration: 2 }), trip('Berlin', '2025-03-17', { duration: 2 })];
+
+      const violations = evaluatePolicies(events, [rule('max-consecutive-weeks', { maxWeeks: 3 })]);
+
+      expect(violations).toHaveLength(1);
+      expect(violations[0]).toMatchObject({
+        type: 'policy',
+        ruleId: 'max-consecutive-weeks',
+        severity: 'soft',
+        key: 'max-consecutive-weeks:2025-03-03',
+        excess: 1,
+        message: '4 consecutive travel weeks from Mar 3 (max 3)',
+        weeks: ['2025-03-03', '2025-03-10', '2025-03-17', '2025-03-24']
+      });
+      expect(violations[0].events.map(e => e.title)).toEqual(['Paris', 'Berlin']);
+    });
+
+    it('should cap international trips per period', () => {
+      const events = [trip('Paris', '2025-01-06'), trip('Austin', '2025-02-03'), trip('Tokyo', '2025-03-03')];
+      const isInternational = (event) => event.location !== 'Austin';
+
+      const violations = evaluatePolicies(events, [rule('max-trips', { period: 'quarter', maxTrips: 1, scope: 'international' })], { isInternational });
+
+      expect(violations.map(v => v.message)).toEqual(['2 international trips in Q1 2025 (max 1)']);
+      expect(violations[0].events.map(e => e.title)).toEqual(['Paris', 'Tokyo']);
+    });
+
+    it('should require home weeks in periods with travel', () => {
+      const events = [trip('Paris', '2025-03-03', { duration: 4 })];
+
+      const violations = evaluatePolicies(events, [rule('min-home-weeks', { period: 'month', minWeeks: 2 })]);
+
+      expect(violations.map(v => [v.key, v.excess, v.message])).toEqual([
+        ['min-home-weeks:2025-03', 1, 'Only 1 home week in Mar 2025 (min 2)']
+      ]);
+    });
+
+    it('should block travel at a calendar position', () => {
+      const events = [trip('Paris', '2025-03-24'), trip('Berlin', '2025-03-31')];
+
+      const violations = evaluatePolicies(events, [rule('blackout-position', { period: 'quarter', position: 'last', weeks: 1 })]);
+
+      expect(violations.map(v => v.message)).toEqual(['Berlin in the last week of Q1 2025']);
+    });
+
+    it('should skip disabled rules, archived trips and expand recurring trips', () => {
+      const capAtOne = rule('max-trips', { period: 'month', maxTrips: 1 });
+      const monthly = trip('Sync', '2025-01-06', { recurrence: { freq: 'weekly', interval: 2, count: 3 } });
+
+      expect(evaluatePolicies([monthly], [{ ...capAtOne, enabled: false }])).toEqual([]);
+      expect(evaluatePolicies([trip('Paris', '2025-01-06'), trip('Rome', '2025-01-13', { archived: true })], [capAtOne])).toEqual([]);
+      expect(evaluatePolicies([monthly], [capAtOne]).map(v => v.message)).toEqual(['2 trips in Jan 2025 (max 1)']);
+    });
+  });
+
+  describe('getNewViolations', () => {
+    it('should keep violations that are new or worse', () => {
+      const before = [{ key: 'a', excess: 1 }, { key: 'b', excess: 2 }];
+      const after = [{ key: 'a', excess: 1 }, { key: 'b', excess: 3 }, { key: 'c', excess: 1 }];
+
+      expect(getNewViolations(before, after).map(v => v.key)).toEqual(['b', 'c']);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { Event } from '../../../js/models/Event.js';
+import { Constraint } from '../../../js/models/Constraint.js';
+import {
+  expandEvents,
+  expandConstraints,
+  getOccurrence,
+  getOccurrenceId,
+  parseOccurrenceId
+} from '../../../js/services/RecurrenceService.js';
+
+describe('RecurrenceService', () => {
+  const boardPrep = () => new Constraint({
+    id: 'board',
+    title: 'Board Prep',
+    type: 'blackout',
+    startDate: '2025-01-06',
+    endDate: '2025-01-10',
+    recurrence: { freq: 'monthly', byNthWeekday: { nth: 1, weekday: 1 } }
+  });
+
+  describe('occurrence IDs', () => {
+    it('should build and parse occurrence IDs', () => {
+      const id = getOccurrenceId('123-4', '2025-03-03');
+
+      expect(parseOccurrenceId(id)).toEqual({ seriesId: '123-4', occurrenceDate: '2025-03-03' });
+      expect(parseOccurrenceId('123-4')).toBeNull();
+    });
+  });
+
+  describe('expandConstraints', () => {
+    it('should pass non-recurring constraints through unchanged', () => {
+      const single = new Constraint({ title: 'Vacation', type: 'vacation', startDate: '2025-07-14', endDate: '2025-07-18' });
+
+      const expanded = expandConstraints([single], '2025-01-01', '2025-12-31');
+
+      expect(expanded).toEqual([single]);
+    });
+
+    it('should expand occurrences in range keeping the span', () => {
+      const occurrences = expandConstraints([boardPrep()], '2025-02-01', '2025-04-30');
+
+      expect(occurrences.map(o => [o.startDate, o.endDate])).toEqual([
+        ['2025-02-03', '2025-02-07'],
+        ['2025-03-03', '2025-03-07'],
+        ['2025-04-07', '2025-04-11']
+      ]);
+      expect(occurrences[0]).toMatchObject({ id: 'board::2025-02-03', seriesId: 'board', occurrenceDate: '2025-02-03' });
+      expect(occurrences[0].recurrence).toBeUndefined();
+    });
+
+    it('should include occurrences that start before the range but overlap it', () => {
+      const occurrences = expandConstraints([boardPrep()], '2025-02-05', '2025-02-20');
+
+      expect(occurrences.map(o => o.startDate)).toEqual(['2025-02-03']);
+    });
+
+    it('should drop skipped occurrences and apply overrides', () => {
+      const constraint = boardPrep();
+      constraint.exceptions = {
+        '2025-02-03': { skipped: true },
+        '2025-03-03': { title: 'Board Prep (short)', endDate: '2025-03-04' }
+      };
+
+      const occurrences = expandConstraints([constraint], '2025-02-01', '2025-03-31');
+
+      expect(occurrences).toHaveLength(1);
+      expect(occurrences[0]).toMatchObject({
+        title: 'Board Prep (short)',
+        startDate: '2025-03-03',
+        endDate: '2025-03-04',
+        occurrenceDate: '2025-03-03',
+        isModified: true
+      });
+    });
+
+    it('should include occurrences moved into the range from outside it', () => {
+      const constraint = boardPrep();
+      constraint.exceptions = { '2025-05-05': { startDate: '2025-04-22', endDate: '2025-04-25' } };
+
+      const occurrences = expandConstraints([constraint], '2025-04-20', '2025-04-30');
+
+      expect(occurrences.map(o => o.occurrenceDate)).toEqual(['2025-05-05']);
+      expect(occurrences[0].startDate).toBe('2025-04-22');
+    });
+
+    it('should expand to a default horizon without a range', () => {
+      const constraint = new Constraint({
+        title: 'Quarterly',
+        type: 'blackout',
+        startDate: '2025-01-06',
+        recurrence: { freq: 'monthly', interval: 3, count: 4 }
+      });
+
+      expect(expandConstraints([constraint]).map(o => o.startDate))
+        .toEqual(['2025-01-06', '2025-04-06', '2025-07-06', '2025-10-06']);
+    });
+  });
+
+  describe('expandEvents', () => {
+    it('should expand fixed trips with their date span', () => {
+      const event = new Event({
+        id: 'pi',
+        title: 'PI Planning',
+        type: 'division',
+        location: 'Berlin',
+        startDate: '2025-01-14',
+        endDate: '2025-01-16',
+        recurrence: { freq: 'monthly', interval: 3 }
+      });
+
+      const occurrences = expandEvents([event], '2025-01-01', '2025-12-31');
+
+      expect(occurrences.map(o => [o.startDate, o.endDate])).toEqual([
+        ['2025-01-14', '2025-01-16'],
+        ['2025-04-14', '2025-04-16'],
+        ['2025-07-14', '2025-07-16'],
+        ['2025-10-14', '2025-10-16']
+      ]);
+    });
+
+    it('should normalize flexible trip occurrences to Monday', () => {
+      const event = new Event({
+        title: 'Division Visit',
+        type: 'division',
+        location: 'Paris',
+        startDate: '2025-01-06',
+        isFixed: false,
+        duration: 2,
+        recurrence: { freq: 'monthly', interval: 2, byMonthDay: 15 }
+      });
+
+      const occurrences = expandEvents([event], '2025-01-01', '2025-05-31');
+
+      // 15th of Jan/Mar/May 2025: Wednesday, Saturday, Thursday
+      expect(occurrences.map(o => o.startDate)).toEqual(['2025-01-13', '2025-03-10', '2025-05-12']);
+      expect(occurrences.every(o => o.endDate === null && o.duration === 2 && o.isFixed === false)).toBe(true);
+    });
+
+    it('should work on plain objects from state', () => {
+      const event = new Event({
+        id: 'weekly',
+        title: 'Site Visit',
+        type: 'division',
+        location: 'Austin',
+        startDate: '2025-01-06',
+        endDate: '2025-01-07',
+        recurrence: { freq: 'weekly', count: 2 }
+      }).toJSON();
+
+      expect(expandEvents([event], '2025-01-01', '2025-12-31').map(o => o.id))
+        .toEqual(['weekly::2025-01-06', 'weekly::2025-01-13']);
+    });
+  });
+
+  describe('getOccurrence', () => {
+    it('should return a single occurrence with its overrides', () => {
+      const constraint = boardPrep();
+      constraint.exceptions = { '2025-03-03': { title: 'Moved' } };
+
+      expect(getOccurrence(constraint, '2025-03-03').title).toBe('Moved');
+      expect(getOccurrence(constraint, '2025-03-04')).toBeNull();
+    });
+
+    it('should return null for skipped occurrences', () => {
+      const constraint = boardPrep();
+      constraint.exceptions = { '2025-03-03': { skipped: true } };
+
+      expect(getOccurrence(constraint, '2025-03-03')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { getMovedDates, scoreMove } from '../../../js/services/RescheduleService.js';
+import { Event } from '../../../js/models/Event.js';
+import { Constraint } from '../../../js/models/Constraint.js';
+import { expandEvents } from '../../../js/services/RecurrenceService.js';
+
+describe('RescheduleService', () => {
+  const fixed = new Event({ id: 'fixed', title: 'Summit', type: 'division', location: 'London', startDate: '2025-03-05', endDate: '2025-03-10', isFixed: true });
+  const flexible = new Event({ id: 'flex', title: 'Visit', type: 'division', location: 'Paris', startDate: '2025-03-03', isFixed: false, duration: 2 });
+
+  describe('getMovedDates', () => {
+    it('should shift fixed trips by whole days, keeping their length', () => {
+      expect(getMovedDates(fixed, '2025-04-16')).toEqual({ startDate: '2025-04-16', endDate: '2025-04-21' });
+      expect(getMovedDates(fixed, '2025-02-27')).toEqual({ startDate: '2025-02-27', endDate: '2025-03-04' });
+    });
+
+    it('should move flexible trips to the work week of the date', () => {
+      expect(getMovedDates(flexible, '2025-05-08')).toEqual({ startDate: '2025-05-05', endDate: null });
+    });
+  });
+
+  describe('scoreMove', () => {
+    it('should score the new dates without the trip itself', () => {
+      const result = scoreMove(fixed, '2025-03-06', [fixed], []);
+
+      expect(result).toMatchObject({ startDate: '2025-03-06', endDate: '2025-03-11', weeks: ['2025-03-03', '2025-03-10'], isBlocked: false });
+      expect(result.reasons.some(reason => reason.includes('Summit'))).toBe(false);
+    });
+
+    it('should report hard-blocked weeks', () => {
+      const vacation = new Constraint({ id: 'c1', title: 'Vacation', type: 'vacation', startDate: '2025-06-10', endDate: '2025-06-10' });
+      const result = scoreMove(flexible, '2025-06-02', [flexible], [vacation]);
+
+      expect(result.isBlocked).toBe(true);
+      expect(result.reasons).toContain('Blocked: Vacation');
+      expect(result.weeks).toEqual(['2025-06-02', '2025-06-09']);
+    });
+
+    it('should see other trips in the target week', () => {
+      const other = new Event({ id: 'other', title: 'Offsite', type: 'division', location: 'Berlin', startDate: '2025-04-14', endDate: '2025-04-16', isFixed: true });
+      const result = scoreMove(fixed, '2025-04-14', [fixed, other], []);
+
+      expect(result.reasons).toContain('Already in Berlin');
+    });
+
+    it('should keep the other occurrences of a recurring trip', () => {
+      const series = new Event({
+        id: 'series', title: 'Monthly', type: 'division', location: 'Berlin', startDate: '2025-01-06', endDate: '2025-01-07', isFixed: true,
+        recurrence: { freq: 'monthly', count: 3 }
+      });
+      const [january, february] = expandEvents([series], '2025-01-01', '2025-12-31');
+
+      // January's occurrence onto February's week clashes with February's occurrence...
+      expect(scoreMove(january, '2025-02-06', [series], []).reasons).toContain('Existing trip to Berlin (Monthly). Consolidate here!');
+      // ...but not with itself
+      expect(scoreMove(february, '2025-02-06', [series], []).reasons).not.toContain('Existing trip to Berlin (Monthly). Consolidate here!');
+    });
+  });
+});
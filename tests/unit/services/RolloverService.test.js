@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { rollTripToYear, planRollover, ROLLOVER_STATUS } from '../../../js/services/RolloverService.js';
+import { Event } from '../../../js/models/Event.js';
+
+describe('RolloverService', () => {
+  describe('rollTripToYear', () => {
+    it('should move a fixed trip to the work week of the same weekday and week of the month, as a flexible trip', () => {
+      // Tue 2nd week of March to Thu
+      const trip = new Event({ id: 'a', title: 'London Visit', type: 'division', location: 'London', startDate: '2025-03-11', endDate: '2025-03-13', status: 'booked' });
+
+      const copy = rollTripToYear(trip, 2026);
+
+      expect(copy).toMatchObject({ title: 'London Visit', type: 'division', location: 'London', startDate: '2026-03-09', endDate: null, isFixed: false, duration: 1 });
+      expect(copy.status).toBe(ROLLOVER_STATUS);
+      expect(copy).not.toHaveProperty('id');
+    });
+
+    it('should keep legs and cost but not bookings or status history', () => {
+      const trip = new Event({
+        title: 'Tour', type: 'division', location: 'London', startDate: '2025-03-17', endDate: '2025-03-21',
+        legs: [{ location: 'London', days: 3 }, { location: 'Berlin', days: 2 }],
+        cost: { airfare: 900, currency: 'EUR' },
+        segments: [{ kind: 'lodging', name: 'Hotel Aurora', checkIn: '2025-03-17' }]
+      });
+      trip.transitionTo('approved');
+
+      const copy = new Event(rollTripToYear(trip, 2026));
+
+      expect(copy.legs).toEqual(trip.legs);
+      expect(copy.cost.toJSON()).toEqual(trip.cost.toJSON());
+      expect(copy.segments).toEqual([]);
+      expect(copy.statusHistory).toEqual([]);
+      expect(copy.startDate).toBe('2026-03-16');
+    });
+
+    it('should keep flexible trips flexible', () => {
+      const trip = new Event({ title: 'Flexible', type: 'division', location: 'Paris', startDate: '2025-06-02', isFixed: false, duration: 2 });
+
+      expect(rollTripToYear(trip, 2026)).toMatchObject({ startDate: '2026-06-01', endDate: null, isFixed: false, duration: 2 });
+    });
+  });
+
+  describe('planRollover', () => {
+    const events = [
+      new Event({ id: 'b', title: 'Second', type: 'division', location: 'Paris', startDate: '2025-05-06', endDate: '2025-05-07' }),
+      new Event({ id: 'a', title: 'First', type: 'division', location: 'London', startDate: '2025-02-04', endDate: '2025-02-05' }),
+      new Event({ id: 'old', title: 'Last Year', type: 'division', location: 'Rome', startDate: '2024-02-06', endDate: '2024-02-07' }),
+      new Event({ id: 'arch', title: 'Archived', type: 'division', location: 'Rome', startDate: '2025-03-04', endDate: '2025-03-05', archived: true }),
+      new Event({ id: 'cxl', title: 'Cancelled', type: 'division', location: 'Rome', startDate: '2025-03-11', endDate: '2025-03-12', status: 'cancelled' }),
+      new Event({ id: 'rep', title: 'PI Planning', type: 'division', location: 'Austin', startDate: '2025-01-14', endDate: '2025-01-15', recurrence: { freq: 'monthly', interval: 3 } })
+    ];
+
+    it('should copy the year\'s active one-off trips in date order into the next year', () => {
+      const plan = planRollover(events, 2025);
+
+      expect(plan.year).toBe(2026);
+      expect(plan.copies.map(c => c.source.id)).toEqual(['a', 'b']);
+      expect(plan.copies.map(c => c.copy.startDate)).toEqual(['2026-02-02', '2026-05-04']);
+    });
+
+    it('should copy the trips of a fiscal year into the next fiscal year', () => {
+      // FY2025 runs Feb 2024 - Jan 2025
+      const plan = planRollover(events, 2025, { startMonth: 1, weekPattern: null });
+
+      expect(plan.year).toBe(2026);
+      expect(plan.copies.map(c => [c.source.id, c.copy.startDate])).toEqual([['old', '2025-02-03']]);
+      expect(plan.repeating.map(t => t.id)).toEqual(['rep']);
+    });
+
+    it('should list repeating trips instead of copying them', () => {
+      expect(planRollover(events, 2025).repeating.map(t => t.id)).toEqual(['rep']);
+    });
+  });
+});
@@ -238,12 +238,12 @@ describe('ScoringEngine', () => {
       expect(result.score).toBe(600); // Consolidation bonus
     });
 
-    it('should match locations with substring', () => {
+    it('should not match locations by substring', () => {
       const events = [
         new Event({
           title: 'Trip',
           type: 'division',
-          location: 'London Office',
+          location: 'New London',
           startDate: '2025-05-12',
           isFixed: true
         })
@@ -251,7 +251,543 @@ describe('ScoringEngine', () => {
 
       const result = ScoringEngine.scoreWeek('2025-05-12', 'London', events, []);
 
-      expect(result.score).toBe(600); // Consolidation bonus
+      expect(result.score).toBe(-900); // Location conflict
+    });
+
+    describe('with registered locations', () => {
+      beforeEach(async () => {
+        // The registry ScoringEngine reads is the freshly imported StateManager
+        const { default: registry } = await import('../../../js/services/StateManager.js');
+        registry.addLocation({ name: 'New York', aliases: ['NYC'] });
+      });
+
+      it('should match aliases of the same location', () => {
+        const events = [
+          new Event({
+            title: 'Trip',
+            type: 'division',
+            location: 'New York',
+            startDate: '2025-05-12',
+            isFixed: true
+          })
+        ];
+
+        const result = ScoringEngine.scoreWeek('2025-05-12', 'NYC', events, []);
+
+        expect(result.score).toBe(600); // Consolidation bonus
+      });
+
+      it('should detect same-location events through aliases', () => {
+        const events = [
+          new Event({ title: 'Visit A', type: 'division', location: 'nyc', startDate: '2025-05-12', isFixed: false }),
+          new Event({ title: 'Visit B', type: 'division', location: 'New York', startDate: '2025-05-12', isFixed: false })
+        ];
+
+        const opportunities = ScoringEngine.findConsolidationOpportunities(events);
+
+        expect(opportunities).toHaveLength(1);
+      });
+    });
+  });
+
+  describe('travel penalties', () => {
+    const trip = (location, startDate, extra = {}) => new Event({
+      title: `${location} Visit`, type: 'division', location, startDate, isFixed: false, ...extra
+    });
+
+    beforeEach(async () => {
+      // The registry ScoringEngine reads is the freshly imported StateManager
+      const { default: registry } = await import('../../../js/services/StateManager.js');
+      registry.addLocation({ name: 'London', timezone: 'Europe/London', lat: 51.5074, lon: -0.1278, isHomeOffice: true });
+      registry.addLocation({ name: 'Singapore', timezone: 'Asia/Singapore', lat: 1.3521, lon: 103.8198 });
+      registry.addLocation({ name: 'Charlotte', timezone: 'America/New_York', lat: 35.2271, lon: -80.8431 });
+      registry.addLocation({ name: 'Paris', timezone: 'Europe/Paris', lat: 48.8566, lon: 2.3522 });
+    });
+
+    it('should add small distance and time shift penalties for nearby trips', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Paris', [trip('London', '2025-05-12')], []);
+
+      expect(result.reasons).toEqual([
+        'Adjacent to London trip (travel fatigue penalty)',
+        '344 km from London trip',
+        '1h time shift from London trip'
+      ]);
+      expect(result.score).toBe(-12); // 100 - 100 - 2 (distance) - 10 (1h shift)
+    });
+
+    it('should list each long-haul penalty on its own line', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Charlotte', [trip('Singapore', '2025-05-12')], []);
+
+      expect(result.reasons).toEqual([
+        'Adjacent to Singapore trip (travel fatigue penalty)',
+        '15,919 km from Singapore trip',
+        '12h time shift from Singapore trip',
+        'Only 2 home days after a 7h time shift (3 needed to recover)',
+        'Long-haul trip next to long-haul Singapore trip'
+      ]);
+      // 100 - 100 - 80 (distance) - 120 (12h shift) - 200 (recovery) - 150 (long-haul)
+      expect(result.score).toBe(-550);
+    });
+
+    it('should not require recovery when there are enough home days', () => {
+      const events = [trip('Singapore', '2025-05-12', { isFixed: true, endDate: '2025-05-14' })];
+
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Charlotte', events, []);
+
+      expect(result.reasons.some(reason => reason.includes('home day'))).toBe(false);
+      expect(result.score).toBe(-350);
+    });
+
+    it('should apply to planned batch selections', () => {
+      const selections = [{ week: '2025-05-12', location: 'Singapore', title: 'Singapore Visit' }];
+
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Charlotte', [], [], selections);
+
+      expect(result.reasons).toContain('Long-haul trip next to long-haul planned Singapore trip');
+      expect(result.reasons).toContain('12h time shift from planned Singapore trip');
+    });
+
+    it('should skip travel penalties for unregistered locations', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Tokyo', [trip('Singapore', '2025-05-12')], []);
+
+      expect(result.reasons).toEqual(['Adjacent to Singapore trip (travel fatigue penalty)']);
+      expect(result.score).toBe(0);
+    });
+  });
+
+  describe('multi-city chaining', () => {
+    const trip = (location, extra = {}) => new Event({
+      id: `${location.toLowerCase()}-trip`, title: `${location} Visit`, type: 'division', location,
+      startDate: '2025-05-12', isFixed: false, ...extra
+    });
+    let registry;
+
+    beforeEach(async () => {
+      registry = (await import('../../../js/services/StateManager.js')).default;
+      registry.addLocation({ name: 'London', timezone: 'Europe/London', lat: 51.5074, lon: -0.1278 });
+      registry.addLocation({ name: 'Berlin', timezone: 'Europe/Berlin', lat: 52.52, lon: 13.405 });
+      registry.addLocation({ name: 'Singapore', timezone: 'Asia/Singapore', lat: 1.3521, lon: 103.8198 });
+    });
+
+    it('should suggest extending a nearby same-week trip', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-12', 'Berlin', [trip('London')], []);
+
+      expect(result.action).toBe('chain');
+      expect(result.chainEventId).toBe('london-trip');
+      expect(result.reasons).toEqual(['Extend London Visit into a multi-city trip (London → Berlin, ~3.2h)']);
+      expect(result.score).toBe(300); // 100 base + 200 chain bonus
+    });
+
+    it('should keep the conflict for trips outside the radius', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-12', 'Singapore', [trip('London')], []);
+
+      expect(result.action).toBe('schedule');
+      expect(result.chainEventId).toBeUndefined();
+      expect(result.score).toBe(-900);
+    });
+
+    it('should not chain when the radius is 0', () => {
+      registry.setScoringProfile('no-chain', { name: 'No Chaining', weights: { chainRadiusHours: 0 } });
+      registry.setActiveScoringProfile('no-chain');
+
+      const result = ScoringEngine.scoreWeek('2025-05-12', 'Berlin', [trip('London')], []);
+
+      expect(result.action).toBe('schedule');
+      expect(result.score).toBe(-900);
+    });
+
+    it('should consolidate with any leg of a multi-city trip', () => {
+      const events = [trip('London', { legs: [{ location: 'London', days: 2 }, { location: 'Berlin', days: 3 }] })];
+
+      const result = ScoringEngine.scoreWeek('2025-05-12', 'Berlin', events, []);
+
+      expect(result.action).toBe('consolidate');
+      expect(result.score).toBe(600);
+    });
+  });
+
+  describe('travel policy rules', () => {
+    const trip = (location, startDate, extra = {}) => new Event({
+      title: `${location} Visit`, type: 'division', location, startDate, isFixed: false, ...extra
+    });
+    let registry;
+
+    beforeEach(async () => {
+      registry = (await import('../../../js/services/StateManager.js')).default;
+    });
+
+    it('should penalize each soft rule a new trip would break', () => {
+      registry.addPolicyRule({ type: 'max-consecutive-weeks', params: { maxWeeks: 2 } });
+      const events = [trip('Paris', '2025-05-05', { duration: 2 })];
+
+      const result = ScoringEngine.scoreWeek('2025-05-26', 'Rome', events, []);
+      const adjacent = ScoringEngine.scoreWeek('2025-05-19', 'Rome', events, []);
+
+      expect(result.score).toBe(100);
+      expect(adjacent.reasons).toContain('Policy: 3 consecutive travel weeks from May 5 (max 2)');
+      expect(adjacent.score).toBe(-300); // 100 - 100 (adjacent) - 300 (policy)
+    });
+
+    it('should only count violations the new trip adds', () => {
+      registry.addPolicyRule({ type: 'max-trips', params: { period: 'month', maxTrips: 1 } });
+      const events = [trip('Paris', '2025-05-05'), trip('Berlin', '2025-05-19')];
+
+      const sameMonth = ScoringEngine.scoreWeek('2025-05-26', 'Rome', events, []);
+      const nextMonth = ScoringEngine.scoreWeek('2025-06-09', 'Rome', events, []);
+
+      expect(sameMonth.reasons).toContain('Policy: 3 trips in May 2025 (max 1)');
+      expect(nextMonth.reasons.some(reason => reason.startsWith('Policy'))).toBe(false);
+    });
+
+    it('should disqualify weeks that break hard rules', () => {
+      registry.addPolicyRule({ type: 'blackout-position', params: { period: 'quarter', position: 'last' }, severity: 'hard' });
+
+      const result = ScoringEngine.scoreWeek('2025-06-30', 'Rome', [], []);
+
+      expect(result.reasons).toEqual(['Blocked by policy: Rome trip in the last week of Q2 2025']);
+      expect(result.score).toBe(-1000);
+    });
+
+    it('should count planned batch selections', () => {
+      registry.addPolicyRule({ type: 'max-trips', params: { period: 'month', maxTrips: 1 } });
+      const selections = [{ week: '2025-05-05', location: 'Paris', title: 'Paris Visit' }];
+
+      const result = ScoringEngine.scoreWeek('2025-05-19', 'Rome', [], [], selections);
+
+      expect(result.reasons).toContain('Policy: 2 trips in May 2025 (max 1)');
+    });
+
+    it('should not apply to consolidation', () => {
+      registry.addPolicyRule({ type: 'max-trips', params: { period: 'month', maxTrips: 1 }, severity: 'hard' });
+
+      const result = ScoringEngine.scoreWeek('2025-05-05', 'Paris', [trip('Paris', '2025-05-05')], []);
+
+      expect(result.action).toBe('consolidate');
+      expect(result.score).toBe(600);
+    });
+
+    it('should count international trips through the location registry', () => {
+      registry.addLocation({ name: 'London', countryCode: 'GB', isHomeOffice: true });
+      registry.addLocation({ name: 'Manchester', countryCode: 'GB' });
+      registry.addLocation({ name: 'Paris', countryCode: 'FR' });
+      registry.addPolicyRule({ type: 'max-trips', params: { period: 'year', maxTrips: 1, scope: 'international' } });
+
+      const events = [trip('Paris', '2025-03-03'), trip('Manchester', '2025-04-07'), trip('Paris', '2025-06-02')];
+
+      expect(ScoringEngine.detectPolicyViolations(events).map(v => v.message))
+        .toEqual(['2 international trips in 2025 (max 1)']);
+    });
+  });
+
+  describe('travel budget', () => {
+    const trip = (location, startDate) => new Event({
+      title: `${location} Visit`, type: 'division', location, startDate, isFixed: false
+    });
+    let registry;
+
+    beforeEach(async () => {
+      registry = (await import('../../../js/services/StateManager.js')).default;
+      // One week in London: 1000 + 4 × 200 + 5 × 40 = 2000
+      registry.addLocation({ name: 'London', defaultCost: { airfare: 1000, hotelNightly: 200, perDiem: 40 } });
+      registry.setBudget(2025, { quarters: { 2: 5000 } });
+    });
+
+    it('should penalize weeks that push a quarter over budget', () => {
+      const events = [trip('London', '2025-04-07'), trip('London', '2025-05-05')];
+
+      const overBudget = ScoringEngine.scoreWeek('2025-06-09', 'London', events, []);
+      const nextQuarter = ScoringEngine.scoreWeek('2025-07-14', 'London', events, []);
+
+      expect(overBudget.reasons).toContain('Q2 2025 over budget: $6,000 planned of $5,000');
+      expect(overBudget.score).toBe(-150);
+      expect(nextQuarter.score).toBe(100);
+    });
+
+    it('should count planned batch selections', () => {
+      const selections = [{ week: '2025-04-07', location: 'London' }, { week: '2025-05-05', location: 'London' }];
+
+      const result = ScoringEngine.scoreWeek('2025-06-09', 'London', [], [], selections);
+
+      expect(result.reasons).toContain('Q2 2025 over budget: $6,000 planned of $5,000');
+    });
+
+    it('should skip unpriced locations and a zero weight', () => {
+      const events = [trip('London', '2025-04-07'), trip('London', '2025-05-05')];
+
+      expect(ScoringEngine.scoreWeek('2025-06-09', 'Paris', events, []).score).toBe(100);
+
+      registry.setScoringProfile('no-budget', { name: 'No Budget', weights: { overBudget: 0 } });
+      registry.setActiveScoringProfile('no-budget');
+      expect(ScoringEngine.scoreWeek('2025-06-09', 'London', events, []).score).toBe(100);
+    });
+  });
+
+  describe('destination holidays', () => {
+    let registry;
+
+    beforeEach(async () => {
+      registry = (await import('../../../js/services/StateManager.js')).default;
+      registry.addLocation({ name: 'Munich', countryCode: 'DE' });
+    });
+
+    it('should penalize each weekday holiday in the destination country', () => {
+      const result = ScoringEngine.scoreWeek('2025-05-26', 'Munich', [], []);
+
+      expect(result.score).toBe(-50);
+      expect(result.reasons).toEqual([expect.stringMatching(/^Holiday in Munich: Ascension Day \(/)]);
+      expect(ScoringEngine.scoreWeek('2025-06-02', 'Munich', [], []).score).toBe(100);
+    });
+
+    it('should skip locations without a holiday calendar and a zero weight', () => {
+      expect(ScoringEngine.scoreWeek('2025-05-26', 'Nowhere', [], []).score).toBe(100);
+
+      registry.setScoringProfile('no-holidays', { name: 'No Holidays', weights: { destinationHoliday: 0 } });
+      registry.setActiveScoringProfile('no-holidays');
+      expect(ScoringEngine.scoreWeek('2025-05-26', 'Munich', [], []).score).toBe(100);
+    });
+  });
+
+  describe('multi-week trips', () => {
+    it('should reject a block if any week is hard-blocked', () => {
+      const constraints = [
+        new Constraint({ title: 'Holiday Week', type: 'holiday', startDate: '2025-03-24', endDate: '2025-03-28' })
+      ];
+
+      const oneWeek = ScoringEngine.scoreWeek('2025-03-17', 'London', [], constraints);
+      const twoWeeks = ScoringEngine.scoreWeek('2025-03-17', 'London', [], constraints, [], 2);
+
+      expect(oneWeek.score).toBe(100);
+      expect(twoWeeks.score).toBeLessThanOrEqual(-1000);
+      expect(twoWeeks.reasons).toContain('Blocked: Holiday Week');
+    });
+
+    it('should not let consolidation bonuses outweigh a hard block', () => {
+      const constraints = [
+        new Constraint({ title: 'Blackout', type: 'blackout', startDate: '2025-03-17', endDate: '2025-03-21' })
+      ];
+      const events = [
+        new Event({ title: 'London A', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false }),
+        new Event({ title: 'London B', type: 'gts', location: 'London', startDate: '2025-03-17', isFixed: false })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', events, constraints);
+
+      expect(result.score).toBeLessThanOrEqual(-1000);
+    });
+
+    it('should not let batch consolidation outweigh a hard block', async () => {
+      const registry = (await import('../../../js/services/StateManager.js')).default;
+      registry.setScoringProfile('big-consolidation', { name: 'Big Consolidation', weights: { consolidation: 1400 } });
+      registry.setActiveScoringProfile('big-consolidation');
+
+      const constraints = [
+        new Constraint({ title: 'Vacation', type: 'vacation', startDate: '2025-03-17', endDate: '2025-03-21' })
+      ];
+      const batchSelections = [{ week: '2025-03-17', location: 'London', title: 'London A', duration: 1 }];
+
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', [], constraints, batchSelections);
+
+      expect(result.isBlocked).toBe(true);
+      expect(result.score).toBeLessThanOrEqual(-1000);
+    });
+
+    it('should detect existing trips in later weeks of the block', () => {
+      const events = [
+        new Event({ title: 'Paris Trip', type: 'division', location: 'Paris', startDate: '2025-03-24', isFixed: false })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', events, [], [], 2);
+
+      expect(result.score).toBe(-900);
+      expect(result.reasons).toContain('Already in Paris');
+    });
+
+    it('should apply adjacency to the weeks around the block', () => {
+      const events = [
+        new Event({ title: 'Paris Trip', type: 'division', location: 'Paris', startDate: '2025-03-31', isFixed: false })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', events, [], [], 2);
+
+      expect(result.score).toBe(0); // 100 - 100 adjacency after week 2
+    });
+
+    it('should balance the days at home between trips, not their start weeks', () => {
+      // A 3-week trip, then a 1-week trip: 16 home days after each if the candidate starts Apr 28
+      const selections = [
+        { week: '2025-03-03', location: 'Berlin', title: 'Berlin', duration: 3 },
+        { week: '2025-04-07', location: 'Paris', title: 'Paris', duration: 1 }
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-04-28', 'London', [], [], selections);
+
+      expect(result.score).toBe(120); // 100 + full load balance bonus
+      expect(result.reasons).toContain('Good distribution (balanced spacing)');
+    });
+
+    it('should treat existing multi-week trips as occupying every week', () => {
+      const events = [
+        new Event({ title: 'Long Paris', type: 'division', location: 'Paris', startDate: '2025-03-10', duration: 3, isFixed: false })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-03-24', 'London', events, []);
+
+      expect(result.reasons).toContain('Already in Paris');
+    });
+
+    it('should pass duration through suggestions', () => {
+      const constraints = [
+        new Constraint({ title: 'Every Other', type: 'vacation', startDate: '2025-01-13', endDate: '2025-01-17' })
+      ];
+
+      const suggestions = ScoringEngine.getSuggestionsForTimeRange(
+        'current-quarter', new Date(2025, 0, 1), 'London', [], constraints, [], [], [], 2
+      );
+
+      suggestions.forEach(s => {
+        expect(['2025-01-06', '2025-01-13']).not.toContain(s.iso);
+      });
+    });
+
+    it('should detect conflicts in later weeks of a flexible trip', () => {
+      const events = [
+        new Event({ title: 'Two Week Trip', type: 'division', location: 'London', startDate: '2025-03-17', duration: 2, isFixed: false })
+      ];
+      const constraints = [
+        new Constraint({ title: 'Holiday', type: 'holiday', startDate: '2025-03-26', endDate: '2025-03-26' })
+      ];
+
+      const conflicts = ScoringEngine.detectConflicts(events, constraints);
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0].type).toBe('hard-constraint');
+    });
+
+    it('should keep multi-week batch trips from overlapping', () => {
+      const trips = [
+        { title: 'London Long', type: 'division', location: 'London', duration: 3 },
+        { title: 'Paris', type: 'division', location: 'Paris' }
+      ];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, { timeRangeId: 'current-year', referenceYear: 2025 }, [], []);
+      const london = plan.assignments[0];
+      const paris = plan.assignments[1];
+      const londonWeeks = [0, 1, 2].map(i => {
+        const d = new Date(london.week + 'T00:00:00');
+        d.setDate(d.getDate() + i * 7);
+        return d.toISOString().slice(0, 10);
+      });
+
+      expect(london.duration).toBe(3);
+      expect(londonWeeks).not.toContain(paris.week);
+    });
+  });
+
+  describe('recurring trips and constraints', () => {
+    // "No travel the first week of every month"
+    const firstWeekBlackout = () => new Constraint({
+      id: 'board',
+      title: 'Board Prep',
+      type: 'blackout',
+      startDate: '2025-01-06',
+      endDate: '2025-01-10',
+      recurrence: { freq: 'monthly', byNthWeekday: { nth: 1, weekday: 1 } }
+    });
+
+    it('should block weeks covered by any occurrence of a recurring constraint', () => {
+      const result = ScoringEngine.scoreWeek('2025-06-02', 'London', [], [firstWeekBlackout()]);
+
+      expect(result.score).toBeLessThanOrEqual(-1000);
+      expect(result.reasons).toContain('Blocked: Board Prep');
+    });
+
+    it('should not block weeks between occurrences', () => {
+      const result = ScoringEngine.scoreWeek('2025-06-09', 'London', [], [firstWeekBlackout()]);
+
+      expect(result.score).toBe(100);
+    });
+
+    it('should not block skipped occurrences', () => {
+      const constraint = firstWeekBlackout();
+      constraint.exceptions = { '2025-06-02': { skipped: true } };
+
+      const result = ScoringEngine.scoreWeek('2025-06-02', 'London', [], [constraint]);
+
+      expect(result.score).toBe(100);
+    });
+
+    it('should consolidate with an occurrence of a recurring trip', () => {
+      const events = [
+        new Event({
+          title: 'Division Visit',
+          type: 'division',
+          location: 'London',
+          startDate: '2025-01-13',
+          endDate: '2025-01-15',
+          recurrence: { freq: 'monthly', interval: 2 }
+        })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-05-12', 'London', events, []);
+
+      expect(result.action).toBe('consolidate');
+    });
+
+    it('should report conflicts per occurrence', () => {
+      const events = [
+        new Event({
+          id: 'visit',
+          title: 'Paris Visit',
+          type: 'division',
+          location: 'Paris',
+          startDate: '2025-01-07',
+          endDate: '2025-01-08',
+          recurrence: { freq: 'monthly', count: 3 }
+        })
+      ];
+
+      const conflicts = ScoringEngine.detectConflicts(events, [firstWeekBlackout()]);
+
+      // The 7th falls in the first-Monday week of Jan, Feb and Mar 2025
+      expect(conflicts.map(c => c.event.id)).toEqual(['visit::2025-01-07', 'visit::2025-02-07', 'visit::2025-03-07']);
+      expect(conflicts.every(c => c.type === 'hard-constraint')).toBe(true);
+    });
+
+    it('should report double-bookings between two series on each occurrence', () => {
+      const events = [
+        new Event({ id: 'a', title: 'A', type: 'division', location: 'Paris', startDate: '2025-01-14', endDate: '2025-01-15', recurrence: { freq: 'monthly', count: 3 } }),
+        new Event({ id: 'b', title: 'B', type: 'division', location: 'Berlin', startDate: '2025-01-15', endDate: '2025-01-16', recurrence: { freq: 'monthly', count: 3 } })
+      ];
+
+      const conflicts = ScoringEngine.detectConflicts(events, []);
+
+      expect(conflicts.filter(c => c.type === 'double-booking')).toHaveLength(3);
+    });
+  });
+
+  describe('findBlockedTrips', () => {
+    it('should list only trips on hard-blocked weeks with the blocking reasons', () => {
+      const trips = [
+        new Event({ id: 'free', title: 'Free Week', type: 'division', location: 'London', startDate: '2026-03-10', endDate: '2026-03-12' }),
+        new Event({ id: 'blocked', title: 'Holiday Week', type: 'division', location: 'Paris', startDate: '2026-04-07', endDate: '2026-04-08' })
+      ];
+      const constraints = [
+        new Constraint({ title: 'Easter Break', type: 'vacation', startDate: '2026-04-06', endDate: '2026-04-10' }),
+        new Constraint({ title: 'Quiet Week', type: 'preference', startDate: '2026-04-06', endDate: '2026-04-10' })
+      ];
+
+      const blocked = ScoringEngine.findBlockedTrips(trips, trips, constraints);
+
+      expect(blocked).toHaveLength(1);
+      expect(blocked[0].trip.id).toBe('blocked');
+      expect(blocked[0].reasons).toEqual(['Blocked: Easter Break']);
+    });
+
+    it('should report isBlocked from scoreWeek', () => {
+      const constraints = [new Constraint({ title: 'Shutdown', type: 'blackout', startDate: '2025-03-17', endDate: '2025-03-21' })];
+
+      expect(ScoringEngine.scoreWeek('2025-03-17', 'London', [], constraints).isBlocked).toBe(true);
+      expect(ScoringEngine.scoreWeek('2025-03-24', 'London', [], constraints).isBlocked).toBe(false);
     });
   });
 
@@ -287,6 +823,25 @@ describe('ScoringEngine', () => {
       expect(conflicts[0].constraint).toBe(constraints[0]);
     });
 
+    it('should ignore cancelled trips', () => {
+      const events = [
+        new Event({
+          title: 'London Trip',
+          type: 'division',
+          location: 'London',
+          startDate: '2025-07-14',
+          endDate: '2025-07-18',
+          isFixed: true,
+          status: 'cancelled'
+        })
+      ];
+      const constraints = [
+        new Constraint({ title: 'Summer Vacation', type: 'vacation', startDate: '2025-07-14', endDate: '2025-07-18' })
+      ];
+
+      expect(ScoringEngine.detectConflicts(events, constraints)).toEqual([]);
+    });
+
     it('should detect double-booking conflict', () => {
       const events = [
         new Event({
@@ -575,6 +1130,286 @@ describe('ScoringEngine', () => {
         expect(Array.isArray(suggestion.reasons)).toBe(true);
       });
     });
+
+    it('should search the quarters of the fiscal calendar', async () => {
+      // Modules are reset between tests, so use the StateManager instance ScoringEngine sees
+      const EngineStateManager = (await import('../../../js/services/StateManager.js')).default;
+      EngineStateManager.setFiscalCalendar({ startMonth: 9 });
+
+      try {
+        const suggestions = ScoringEngine.getSuggestionsForQuarter(1, 2026, 'Berlin', [], []);
+
+        expect(suggestions).toHaveLength(3);
+        suggestions.forEach(suggestion => {
+          expect(suggestion.iso >= '2025-10-01' && suggestion.iso <= '2025-12-31').toBe(true);
+        });
+      } finally {
+        EngineStateManager.setFiscalCalendar({});
+      }
+    });
+
+    it('should suggest weeks starting on the first working day', async () => {
+      const EngineStateManager = (await import('../../../js/services/StateManager.js')).default;
+      EngineStateManager.setWorkWeek({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] });
+
+      try {
+        const suggestions = ScoringEngine.getSuggestionsForQuarter(1, 2025, 'Dubai', [], []);
+
+        expect(suggestions.length).toBeGreaterThan(0);
+        suggestions.forEach(suggestion => {
+          expect(new Date(`${suggestion.iso}T12:00:00`).getDay()).toBe(0);
+        });
+      } finally {
+        EngineStateManager.setWorkWeek({});
+      }
+    });
+  });
+
+  describe('scoring profiles', () => {
+    // Modules are reset between tests, so use the StateManager instance ScoringEngine sees
+    let EngineStateManager;
+
+    beforeEach(async () => {
+      EngineStateManager = (await import('../../../js/services/StateManager.js')).default;
+    });
+
+    it('should include the active profile name in results', () => {
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', [], []);
+      expect(result.profile).toBe('Default');
+
+      const suggestions = ScoringEngine.getSuggestionsForTimeRange('current-year', 2025, 'London', [], []);
+      expect(suggestions[0].profile).toBe('Default');
+    });
+
+    it('should use weights from the active profile', () => {
+      EngineStateManager.setScoringProfile('test-weights', {
+        name: 'Test Weights',
+        weights: { base: 10, softConstraint: -5, adjacentDifferentLocation: -1 }
+      });
+      EngineStateManager.setActiveScoringProfile('test-weights');
+
+      const constraints = [
+        new Constraint({ title: 'Prefer Not', type: 'preference', startDate: '2025-03-17', endDate: '2025-03-21' })
+      ];
+      const events = [
+        new Event({ title: 'Paris', type: 'division', location: 'Paris', startDate: '2025-03-10', isFixed: false })
+      ];
+
+      const result = ScoringEngine.scoreWeek('2025-03-17', 'London', events, constraints);
+
+      expect(result.score).toBe(10 - 5 - 1);
+      expect(result.profile).toBe('Test Weights');
+    });
+
+    it('should use profile weights in optimizeBatch', () => {
+      EngineStateManager.setScoringProfile('no-consolidation', {
+        name: 'No Consolidation',
+        weights: { consolidation: -2000 }
+      });
+      EngineStateManager.setActiveScoringProfile('no-consolidation');
+
+      const trips = [
+        { title: 'London A', type: 'division', location: 'London' },
+        { title: 'London B', type: 'division', location: 'London' }
+      ];
+      const [plan] = ScoringEngine.optimizeBatch(trips, { timeRangeId: 'current-year', referenceYear: 2025 }, [], []);
+
+      expect(plan.profile).toBe('No Consolidation');
+      expect(plan.assignments[0].week).not.toBe(plan.assignments[1].week);
+    });
+
+    it('should not suggest blocked or taken weeks under a lenient profile', () => {
+      EngineStateManager.setScoringProfile('lenient', {
+        name: 'Lenient',
+        weights: { hardConstraint: 0, locationConflict: 0 }
+      });
+      EngineStateManager.setActiveScoringProfile('lenient');
+
+      const constraints = [
+        new Constraint({ title: 'Sabbatical', type: 'vacation', startDate: '2025-01-01', endDate: '2025-03-21' })
+      ];
+      const events = [
+        new Event({ title: 'Paris', type: 'division', location: 'Paris', startDate: '2025-03-24', isFixed: false })
+      ];
+
+      const blocked = ScoringEngine.scoreWeek('2025-03-17', 'London', events, constraints);
+      expect(blocked.isBlocked).toBe(true);
+      expect(blocked.score).toBeGreaterThan(-500);
+
+      const suggestions = ScoringEngine.getSuggestionsForQuarter(1, 2025, 'London', events, constraints);
+      expect(suggestions.map(s => s.iso)).toEqual(['2025-03-31']);
+
+      const trips = [{ title: 'Trip', type: 'division', location: 'London' }];
+      const [plan] = ScoringEngine.optimizeBatch(trips, { timeRangeId: 'current-year', referenceYear: 2025 }, events, constraints);
+      expect(plan.assignments[0].week > '2025-03-24').toBe(true);
+    });
+  });
+
+  describe('optimizeBatch', () => {
+    const timeRange = { timeRangeId: 'current-year', referenceYear: 2025 };
+
+    it('should return empty array for no trips', () => {
+      expect(ScoringEngine.optimizeBatch([], timeRange, [], [])).toEqual([]);
+    });
+
+    it('should return top N complete plans sorted by total score', () => {
+      const trips = [
+        { title: 'London Trip', type: 'division', location: 'London' },
+        { title: 'Paris Trip', type: 'division', location: 'Paris' }
+      ];
+
+      const plans = ScoringEngine.optimizeBatch(trips, timeRange, [], [], { topN: 2 });
+
+      expect(plans).toHaveLength(2);
+      expect(plans[0].totalScore).toBeGreaterThanOrEqual(plans[1].totalScore);
+      plans.forEach(plan => {
+        expect(plan.assignments).toHaveLength(2);
+        expect(plan.assignments[0].tripIndex).toBe(0);
+        expect(plan.assignments[1].tripIndex).toBe(1);
+        expect(plan.assignments[0].week).not.toBe(plan.assignments[1].week);
+      });
+    });
+
+    it('should make trip scores and balance add up to the plan total', () => {
+      const trips = [
+        { title: 'London Trip', type: 'division', location: 'London' },
+        { title: 'Paris Trip', type: 'division', location: 'Paris' },
+        { title: 'Berlin Trip', type: 'division', location: 'Berlin' }
+      ];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, timeRange, [], []);
+      const sum = plan.assignments.reduce((total, a) => total + a.score, 0);
+
+      expect(plan.totalScore).toBe(sum + plan.balanceScore);
+      plan.assignments.forEach(a => expect(Array.isArray(a.reasons)).toBe(true));
+    });
+
+    it('should avoid back-to-back weeks for different locations', () => {
+      const trips = [
+        { title: 'London Trip', type: 'division', location: 'London' },
+        { title: 'Paris Trip', type: 'division', location: 'Paris' },
+        { title: 'Berlin Trip', type: 'division', location: 'Berlin' }
+      ];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, timeRange, [], []);
+
+      plan.assignments.forEach(a => {
+        expect(a.reasons.some(r => r.includes('Adjacent'))).toBe(false);
+      });
+    });
+
+    it('should consolidate same-location trips into one week', () => {
+      const trips = [
+        { title: 'London Division', type: 'division', location: 'London' },
+        { title: 'London GTS', type: 'gts', location: 'London' }
+      ];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, timeRange, [], []);
+
+      expect(plan.assignments[0].week).toBe(plan.assignments[1].week);
+      const later = plan.assignments.find(a => a.action === 'consolidate');
+      expect(later).toBeDefined();
+      expect(later.reasons.some(r => r.includes('Consolidate'))).toBe(true);
+    });
+
+    it('should prefer consolidating with existing trips', () => {
+      const events = [
+        new Event({
+          title: 'Existing London',
+          type: 'division',
+          location: 'London',
+          startDate: '2025-06-09',
+          isFixed: false
+        })
+      ];
+      const trips = [{ title: 'London Trip', type: 'division', location: 'London' }];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, timeRange, events, []);
+
+      expect(plan.assignments[0].week).toBe('2025-06-09');
+    });
+
+    it('should ignore excluded events', () => {
+      const events = [
+        new Event({
+          id: 'evt-1',
+          title: 'Existing London',
+          type: 'division',
+          location: 'London',
+          startDate: '2025-06-09',
+          isFixed: false
+        })
+      ];
+      const trips = [{ title: 'London Trip', type: 'division', location: 'London', originalEventId: 'evt-1' }];
+
+      const [plan] = ScoringEngine.optimizeBatch(trips, timeRange, events, [], { excludeEventIds: ['evt-1'] });
+
+      expect(plan.assignments[0].score).toBeLessThan(500);
+      expect(plan.assignments[0].originalEventId).toBe('evt-1');
+    });
+
+    it('should avoid weeks blocked by hard constraints', () => {
+      const constraints = [
+        new Constraint({
+          title: 'Summer Vacation',
+          type: 'vacation',
+          startDate: '2025-06-01',
+          endDate: '2025-08-31'
+        })
+      ];
+      const trips = [{ title: 'Summer Trip', type: 'division', location: 'London' }];
+
+      const plans = ScoringEngine.optimizeBatch(trips, timeRange, [], constraints);
+
+      expect(plans.length).toBeGreaterThan(0);
+      plans.forEach(plan => {
+        const week = plan.assignments[0].week;
+        expect(week < '2025-06-01' || week > '2025-08-31').toBe(true);
+      });
+    });
+
+    it('should return no plans when a trip has no viable week', () => {
+      const constraints = [
+        new Constraint({
+          title: 'Sabbatical',
+          type: 'vacation',
+          startDate: '2024-12-01',
+          endDate: '2026-01-31'
+        })
+      ];
+      const trips = [{ title: 'Trip', type: 'division', location: 'London' }];
+
+      expect(ScoringEngine.optimizeBatch(trips, timeRange, [], constraints)).toEqual([]);
+    });
+
+    it('should keep booked trips in their week and plan around them', () => {
+      const events = [
+        new Event({
+          id: 'evt-booked',
+          title: 'Booked Berlin',
+          type: 'division',
+          location: 'Berlin',
+          startDate: '2025-06-10',
+          endDate: '2025-06-12',
+          status: 'booked'
+        })
+      ];
+      const trips = [
+        { title: 'Booked Berlin', type: 'division', location: 'Berlin', originalEventId: 'evt-booked' },
+        { title: 'London Trip', type: 'division', location: 'London' }
+      ];
+
+      const plans = ScoringEngine.optimizeBatch(trips, timeRange, events, [], { excludeEventIds: ['evt-booked'] });
+
+      expect(ScoringEngine.getPinnedWeek(trips[0], events)).toBe('2025-06-09');
+      expect(ScoringEngine.getPinnedWeek(trips[1], events)).toBeNull();
+      plans.forEach(plan => {
+        expect(plan.assignments[0]).toMatchObject({ week: '2025-06-09', isPinned: true });
+        expect(plan.assignments[0].reasons[0]).toBe('Booked: keeps its week');
+        expect(plan.assignments[1].isPinned).toBe(false);
+        expect(plan.assignments[1].week).not.toBe('2025-06-09');
+      });
+    });
   });
 
   describe('findConsolidationOpportunities', () => {
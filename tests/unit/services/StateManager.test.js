@@ -664,6 +664,632 @@ describe('StateManager', () => {
     });
   });
 
+  describe('Undo/Redo', () => {
+    const eventData = {
+      id: 'evt-1',
+      title: 'London Visit',
+      type: 'division',
+      location: 'London',
+      startDate: '2025-05-12',
+      isFixed: false
+    };
+
+    it('should start with empty history', () => {
+      expect(StateManager.canUndo()).toBe(false);
+      expect(StateManager.canRedo()).toBe(false);
+      expect(StateManager.undo()).toBe(false);
+      expect(StateManager.redo()).toBe(false);
+    });
+
+    it('should undo and redo addEvent', () => {
+      StateManager.addEvent(eventData);
+      expect(StateManager.canUndo()).toBe(true);
+
+      StateManager.undo();
+      expect(StateManager.getEvents()).toHaveLength(0);
+      expect(StateManager.canRedo()).toBe(true);
+
+      StateManager.redo();
+      expect(StateManager.getEvents()).toHaveLength(1);
+      expect(StateManager.getEvent('evt-1').title).toBe('London Visit');
+    });
+
+    it('should undo updateEvent back to previous values', () => {
+      StateManager.addEvent(eventData);
+      StateManager.updateEvent('evt-1', { title: 'Paris Visit', location: 'Paris' });
+
+      StateManager.undo();
+
+      const event = StateManager.getEvent('evt-1');
+      expect(event.title).toBe('London Visit');
+      expect(event.location).toBe('London');
+    });
+
+    it('should restore deleted event at its original position', () => {
+      StateManager.addEvent(eventData);
+      StateManager.addEvent({ ...eventData, id: 'evt-2', title: 'Second' });
+      StateManager.deleteEvent('evt-1');
+
+      StateManager.undo();
+
+      expect(StateManager.getEvents().map(e => e.id)).toEqual(['evt-1', 'evt-2']);
+    });
+
+    it('should undo constraint changes', () => {
+      StateManager.addConstraint({
+        id: 'c-1',
+        title: 'Vacation',
+        type: 'vacation',
+        startDate: '2025-07-01',
+        endDate: '2025-07-05'
+      });
+      StateManager.deleteConstraint('c-1');
+
+      StateManager.undo();
+      expect(StateManager.getConstraint('c-1')).not.toBeNull();
+
+      StateManager.undo();
+      expect(StateManager.getConstraints()).toHaveLength(0);
+    });
+
+    it('should undo archiveEvents', () => {
+      StateManager.addEvent(eventData);
+      StateManager.archiveEvents(['evt-1']);
+
+      StateManager.undo();
+      expect(StateManager.getEvent('evt-1').archived).toBe(false);
+
+      StateManager.redo();
+      expect(StateManager.getEvent('evt-1').archived).toBe(true);
+    });
+
+    it('should undo deleteEventType including its events', () => {
+      StateManager.setEventTypeConfig('custom', { label: 'Custom', color: '#000', colorDark: '#fff', isHardStop: false });
+      StateManager.addEvent({ ...eventData, type: 'custom' });
+      StateManager.deleteEventType('custom', 'delete');
+
+      StateManager.undo();
+
+      expect(StateManager.getEventTypeConfig('custom')).not.toBeNull();
+      expect(StateManager.getEvents()).toHaveLength(1);
+    });
+
+    it('should undo importState', () => {
+      StateManager.addEvent(eventData);
+      StateManager.importState({ events: [], constraints: [] });
+      expect(StateManager.getEvents()).toHaveLength(0);
+
+      StateManager.undo();
+
+      expect(StateManager.getEvents()).toHaveLength(1);
+    });
+
+    it('should treat a batch as a single undoable step', () => {
+      StateManager.batch('Apply batch plan', () => {
+        StateManager.addEvent(eventData);
+        StateManager.addEvent({ ...eventData, id: 'evt-2' });
+        StateManager.updateEvent('evt-1', { title: 'Renamed' });
+      });
+
+      expect(StateManager.getHistoryLabels().undo).toBe('Apply batch plan');
+
+      StateManager.undo();
+      expect(StateManager.getEvents()).toHaveLength(0);
+      expect(StateManager.canUndo()).toBe(false);
+
+      StateManager.redo();
+      expect(StateManager.getEvents()).toHaveLength(2);
+      expect(StateManager.getEvent('evt-1').title).toBe('Renamed');
+    });
+
+    it('should clear redo stack on new mutation', () => {
+      StateManager.addEvent(eventData);
+      StateManager.undo();
+      StateManager.addEvent({ ...eventData, id: 'evt-2' });
+
+      expect(StateManager.canRedo()).toBe(false);
+    });
+
+    it('should bound history size', () => {
+      for (let i = 0; i < 60; i++) {
+        StateManager.addCustomLocation(`City ${i}`);
+      }
+
+      let undoCount = 0;
+      while (StateManager.undo()) {
+        undoCount++;
+      }
+
+      expect(undoCount).toBe(50);
+      expect(StateManager.getAllLocations()).toHaveLength(10);
+    });
+
+    it('should emit state:changed and history:changed on undo', () => {
+      StateManager.addEvent(eventData);
+
+      const stateChangedCallback = vi.fn();
+      const historyChangedCallback = vi.fn();
+      EventBus.on('state:changed', stateChangedCallback);
+      EventBus.on('history:changed', historyChangedCallback);
+
+      StateManager.undo();
+
+      expect(stateChangedCallback).toHaveBeenCalledTimes(1);
+      expect(historyChangedCallback).toHaveBeenCalledWith(
+        expect.objectContaining({ canUndo: false, canRedo: true })
+      );
+    });
+
+    it('should persist undone state to localStorage', () => {
+      StateManager.addEvent(eventData);
+      StateManager.undo();
+
+      const stored = JSON.parse(global.localStorage.getItem('travelPlannerState'));
+      expect(stored.events).toEqual([]);
+    });
+  });
+
+  describe('Scoring Profiles', () => {
+    it('should start with the built-in default profile active', () => {
+      const profile = StateManager.getActiveScoringProfile();
+
+      expect(profile.id).toBe('default');
+      expect(profile.name).toBe('Default');
+      expect(profile.weights.consolidation).toBe(500);
+      expect(profile.isBuiltIn).toBe(true);
+    });
+
+    it('should add, switch and persist profiles', () => {
+      StateManager.setScoringProfile('relaxed', { name: 'Relaxed', weights: { adjacentDifferentLocation: -10 } });
+      StateManager.setActiveScoringProfile('relaxed');
+
+      expect(StateManager.getActiveScoringProfile().weights.adjacentDifferentLocation).toBe(-10);
+
+      const saved = JSON.parse(localStorage.getItem('travelPlannerState'));
+      expect(saved.activeScoringProfileId).toBe('relaxed');
+      expect(saved.scoringProfiles.relaxed.name).toBe('Relaxed');
+    });
+
+    it('should reject duplicate profile names', () => {
+      StateManager.setScoringProfile('relaxed', { name: 'Relaxed' });
+      expect(() => StateManager.setScoringProfile('other', { name: 'relaxed' })).toThrow('Scoring profile already exists');
+    });
+
+    it('should not allow deleting the built-in profile', () => {
+      expect(() => StateManager.deleteScoringProfile('default')).toThrow('Cannot delete built-in scoring profiles');
+    });
+
+    it('should fall back to default when deleting the active profile', () => {
+      StateManager.setScoringProfile('relaxed', { name: 'Relaxed' });
+      StateManager.setActiveScoringProfile('relaxed');
+
+      StateManager.deleteScoringProfile('relaxed');
+
+      expect(StateManager.getActiveScoringProfile().id).toBe('default');
+      expect(StateManager.getScoringProfile('relaxed')).toBeNull();
+    });
+
+    it('should throw when switching to unknown profile', () => {
+      expect(() => StateManager.setActiveScoringProfile('missing')).toThrow('Scoring profile not found');
+    });
+
+    it('should import profiles and ignore unknown active profile', () => {
+      StateManager.importState({
+        events: [],
+        constraints: [],
+        scoringProfiles: { team: { name: 'Team', weights: { base: 50 } } },
+        activeScoringProfileId: 'missing'
+      });
+
+      expect(StateManager.getScoringProfile('team').weights.base).toBe(50);
+      expect(StateManager.getScoringProfile('default')).not.toBeNull();
+      expect(StateManager.getActiveScoringProfile().id).toBe('default');
+    });
+
+    it('should undo profile edits', () => {
+      StateManager.setScoringProfile('default', { name: 'Default', weights: { base: 10 } });
+      expect(StateManager.getActiveScoringProfile().weights.base).toBe(10);
+
+      StateManager.undo();
+      expect(StateManager.getActiveScoringProfile().weights.base).toBe(100);
+    });
+  });
+
+  describe('Policy Rules', () => {
+    it('should add and persist rules', () => {
+      const rule = StateManager.addPolicyRule({ type: 'max-consecutive-weeks', params: { maxWeeks: '3' }, severity: 'hard' });
+
+      expect(rule).toMatchObject({ name: 'At most 3 consecutive travel weeks', params: { maxWeeks: 3 }, severity: 'hard', enabled: true });
+      expect(StateManager.getPolicyRules()).toHaveLength(1);
+
+      const saved = JSON.parse(localStorage.getItem('travelPlannerState'));
+      expect(saved.policyRules[0].id).toBe(rule.id);
+    });
+
+    it('should regenerate generated names when params change', () => {
+      const { id } = StateManager.addPolicyRule({ type: 'max-trips', params: { maxTrips: 12 } });
+      StateManager.addPolicyRule({ type: 'min-home-weeks', name: 'Home time' });
+
+      const updated = StateManager.updatePolicyRule(id, { params: { maxTrips: 10 }, name: 'At most 12 trips per year' });
+
+      expect(updated.name).toBe('At most 10 trips per year');
+      expect(updated.params).toEqual({ period: 'year', maxTrips: 10, scope: 'all' });
+      expect(StateManager.getPolicyRules()[1].name).toBe('Home time');
+    });
+
+    it('should replace params when the type changes', () => {
+      const { id } = StateManager.addPolicyRule({ type: 'max-trips' });
+
+      const updated = StateManager.updatePolicyRule(id, { type: 'blackout-position', params: { period: 'month' } });
+
+      expect(updated.params).toEqual({ period: 'month', position: 'last', weeks: 1 });
+    });
+
+    it('should undo adding, editing and deleting rules', () => {
+      const { id } = StateManager.addPolicyRule({ type: 'max-trips' });
+      StateManager.updatePolicyRule(id, { enabled: false });
+      StateManager.deletePolicyRule(id);
+
+      expect(StateManager.getPolicyRules()).toEqual([]);
+      StateManager.undo();
+      expect(StateManager.getPolicyRule(id).enabled).toBe(false);
+      StateManager.undo();
+      expect(StateManager.getPolicyRule(id).enabled).toBe(true);
+      StateManager.undo();
+      expect(StateManager.getPolicyRules()).toEqual([]);
+    });
+
+    it('should import valid rules and skip invalid ones', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      StateManager.importState({
+        events: [],
+        constraints: [],
+        policyRules: [{ id: 'cap', type: 'max-trips' }, { id: 'bad', type: 'max-spend' }]
+      });
+
+      expect(StateManager.getPolicyRules().map(rule => rule.id)).toEqual(['cap']);
+    });
+
+    it('should throw when editing an unknown rule', () => {
+      expect(() => StateManager.updatePolicyRule('missing', {})).toThrow('Policy rule not found');
+    });
+  });
+
+  describe('Trip Status', () => {
+    const eventData = {
+      id: 'evt-status',
+      title: 'London Visit',
+      type: 'division',
+      location: 'London',
+      startDate: '2025-05-12',
+      isFixed: false
+    };
+
+    it('should move a trip through its lifecycle and record the history', () => {
+      StateManager.addEvent(eventData);
+      StateManager.setEventStatus('evt-status', 'approved');
+      StateManager.updateEvent('evt-status', { title: 'London Visit (booked)', status: 'booked' });
+
+      const event = StateManager.getEvent('evt-status');
+      expect(event.status).toBe('booked');
+      expect(event.title).toBe('London Visit (booked)');
+      expect(event.statusHistory.map(change => [change.from, change.status])).toEqual([
+        ['tentative', 'approved'],
+        ['approved', 'booked']
+      ]);
+      expect(StateManager.getHistoryLabels().undo).toBe('Edit trip');
+    });
+
+    it('should reject transitions that are not allowed', () => {
+      StateManager.addEvent({ ...eventData, status: 'booked' });
+
+      expect(() => StateManager.setEventStatus('evt-status', 'idea'))
+        .toThrow('Cannot change trip status from booked to idea');
+      expect(StateManager.getEvent('evt-status').status).toBe('booked');
+    });
+
+    it('should undo a status change', () => {
+      StateManager.addEvent(eventData);
+      StateManager.setEventStatus('evt-status', 'cancelled');
+
+      expect(StateManager.getHistoryLabels().undo).toBe('Change trip status');
+      StateManager.undo();
+
+      const event = StateManager.getEvent('evt-status');
+      expect(event.status).toBe('tentative');
+      expect(event).not.toHaveProperty('statusHistory');
+    });
+  });
+
+  describe('Budgets', () => {
+    it('should set and persist a budget per year', () => {
+      const budget = StateManager.setBudget(2025, { currency: 'eur', total: '90000', quarters: { 1: 25000 } });
+
+      expect(budget).toEqual({ year: 2025, currency: 'EUR', total: 90000, quarters: { 1: 25000, 2: null, 3: null, 4: null } });
+      expect(StateManager.getBudget(2025)).toEqual(budget);
+      expect(StateManager.getBudget(2026)).toBeNull();
+
+      const saved = JSON.parse(localStorage.getItem('travelPlannerState'));
+      expect(saved.budgets).toEqual([budget]);
+    });
+
+    it('should replace a year and remove it when no amounts are left', () => {
+      StateManager.setBudget(2026, { total: 50000 });
+      StateManager.setBudget(2025, { total: 80000 });
+      StateManager.setBudget(2025, { quarters: { 2: 20000 } });
+
+      expect(StateManager.getBudgets().map(b => [b.year, b.total])).toEqual([[2025, null], [2026, 50000]]);
+
+      expect(StateManager.setBudget(2025, { total: '' })).toBeNull();
+      expect(StateManager.getBudgets().map(b => b.year)).toEqual([2026]);
+    });
+
+    it('should undo budget edits', () => {
+      StateManager.setBudget(2025, { total: 80000 });
+      StateManager.setBudget(2025, { total: 60000 });
+      StateManager.deleteBudget(2025);
+
+      StateManager.undo();
+      expect(StateManager.getBudget(2025).total).toBe(60000);
+      StateManager.undo();
+      expect(StateManager.getBudget(2025).total).toBe(80000);
+      StateManager.undo();
+      expect(StateManager.getBudget(2025)).toBeNull();
+    });
+
+    it('should import valid budgets and skip invalid ones', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      StateManager.importState({
+        events: [],
+        constraints: [],
+        budgets: [{ year: 2025, total: 1000 }, { year: 2026, currency: 'dollars' }]
+      });
+
+      expect(StateManager.getBudgets().map(b => b.year)).toEqual([2025]);
+    });
+  });
+
+  describe('Fiscal Calendar', () => {
+    it('should default to the calendar year', () => {
+      expect(StateManager.getFiscalCalendar()).toEqual({ startMonth: 0, weekPattern: null });
+    });
+
+    it('should set, persist and undo the fiscal calendar', () => {
+      const listener = vi.fn();
+      EventBus.on('fiscal:updated', listener);
+
+      StateManager.setFiscalCalendar({ startMonth: 9 });
+
+      expect(StateManager.getFiscalCalendar()).toEqual({ startMonth: 9, weekPattern: null });
+      expect(listener).toHaveBeenCalledWith({ startMonth: 9, weekPattern: null });
+      expect(JSON.parse(localStorage.getItem('travelPlannerState')).fiscalCalendar).toEqual({ startMonth: 9, weekPattern: null });
+
+      StateManager.undo();
+      expect(StateManager.getFiscalCalendar()).toEqual({ startMonth: 0, weekPattern: null });
+    });
+
+    it('should reject an invalid fiscal calendar', () => {
+      expect(() => StateManager.setFiscalCalendar({ weekPattern: '6-6-1' })).toThrow('Invalid fiscal week pattern');
+      expect(StateManager.getFiscalCalendar().weekPattern).toBeNull();
+    });
+
+    it('should import the fiscal calendar and view the fiscal year of the first trip', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      StateManager.importState({
+        events: [{ id: 'evt-1', title: 'Kickoff', type: 'division', location: 'London', startDate: '2025-11-03', isFixed: false }],
+        constraints: [],
+        fiscalCalendar: { startMonth: 9 }
+      });
+      expect(StateManager.getYear()).toBe(2026);
+
+      StateManager.importState({ events: [], constraints: [], fiscalCalendar: { startMonth: 13 } });
+      expect(StateManager.getFiscalCalendar()).toEqual({ startMonth: 0, weekPattern: null });
+    });
+  });
+
+  describe('Work Week', () => {
+    const flexibleTrip = { id: 'evt-1', title: 'Site Visit', type: 'division', location: 'Dubai', startDate: '2025-01-08', isFixed: false };
+
+    it('should default to Monday-Friday', () => {
+      expect(StateManager.getWorkWeek()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+    });
+
+    it('should set, persist and undo the work week', () => {
+      const listener = vi.fn();
+      EventBus.on('workweek:updated', listener);
+      const sundayToThursday = { firstDay: 0, workingDays: [0, 1, 2, 3, 4] };
+
+      StateManager.setWorkWeek(sundayToThursday);
+
+      expect(StateManager.getWorkWeek()).toEqual(sundayToThursday);
+      expect(listener).toHaveBeenCalledWith(sundayToThursday);
+      expect(JSON.parse(localStorage.getItem('travelPlannerState')).workWeek).toEqual(sundayToThursday);
+
+      StateManager.undo();
+      expect(StateManager.getWorkWeek()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+    });
+
+    it('should reject an invalid work week', () => {
+      expect(() => StateManager.setWorkWeek({ firstDay: 6, workingDays: [0, 1, 2, 3, 4] })).toThrow('The first working day must be one of the working days');
+      expect(StateManager.getWorkWeek().firstDay).toBe(1);
+    });
+
+    it('should normalize flexible trips to the start of the work week', async () => {
+      const { getEventDateRange } = await import('../../../js/services/DateService.js');
+
+      StateManager.setWorkWeek({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] });
+      StateManager.addEvent(flexibleTrip);
+
+      const trip = StateManager.getEvent('evt-1');
+      expect(trip.startDate).toBe('2025-01-05'); // Sunday
+      expect(getEventDateRange(trip)).toEqual({ startDate: '2025-01-05', endDate: '2025-01-09' });
+    });
+
+    it('should load the work week before the trips it normalizes', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      StateManager.importState({
+        events: [flexibleTrip],
+        constraints: [],
+        workWeek: { firstDay: 0, workingDays: [0, 1, 2, 3, 4] }
+      });
+      expect(StateManager.getEvent('evt-1').startDate).toBe('2025-01-05');
+
+      StateManager.importState({ events: [flexibleTrip], constraints: [], workWeek: { firstDay: 9, workingDays: [] } });
+      expect(StateManager.getWorkWeek()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+      expect(StateManager.getEvent('evt-1').startDate).toBe('2025-01-06');
+    });
+
+    it('should keep the current work week when an import has an invalid record', async () => {
+      const { getMonday, dateToISO } = await import('../../../js/services/DateService.js');
+      StateManager.addEvent(flexibleTrip);
+
+      expect(() => StateManager.importState({
+        events: [flexibleTrip, { ...flexibleTrip, id: 'evt-2', title: '' }],
+        constraints: [],
+        workWeek: { firstDay: 0, workingDays: [0, 1, 2, 3, 4] }
+      })).toThrow('Event title is required');
+
+      expect(StateManager.getWorkWeek()).toEqual({ firstDay: 1, workingDays: [1, 2, 3, 4, 5] });
+      expect(dateToISO(getMonday('2025-03-05'))).toBe('2025-03-03');
+      expect(StateManager.getState().events.map(e => e.id)).toEqual(['evt-1']);
+    });
+  });
+
+  describe('Scenarios', () => {
+    const eventData = {
+      id: 'evt-1',
+      title: 'London Visit',
+      type: 'division',
+      location: 'London',
+      startDate: '2025-05-12',
+      isFixed: false
+    };
+
+    it('should fork the current plan into a new scenario', () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+
+      const scenarios = StateManager.getScenarios();
+      expect(scenarios).toHaveLength(1);
+      expect(scenarios[0]).toMatchObject({ id, name: 'Plan B', eventCount: 1, constraintCount: 0 });
+      expect(StateManager.getActiveScenarioId()).toBeNull();
+    });
+
+    it('should reject empty and duplicate names', () => {
+      StateManager.createScenario('Plan B');
+      expect(() => StateManager.createScenario('  ')).toThrow('Scenario name is required');
+      expect(() => StateManager.createScenario('plan b')).toThrow('Scenario already exists');
+    });
+
+    it('should isolate scenario edits from the main plan', () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+
+      StateManager.updateEvent('evt-1', { location: 'Paris' });
+      StateManager.addEvent({ ...eventData, id: 'evt-2', startDate: '2025-06-09' });
+
+      expect(StateManager.getEvents()).toHaveLength(2);
+      expect(StateManager.getPlanState().events).toHaveLength(1);
+      expect(StateManager.getPlanState().events[0].location).toBe('London');
+
+      StateManager.switchScenario(null);
+      expect(StateManager.getEvents()).toHaveLength(1);
+      expect(StateManager.getEvent('evt-1').location).toBe('London');
+      expect(StateManager.getScenarioData(id).events).toHaveLength(2);
+    });
+
+    it('should never persist scenario edits to the main plan key', () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+      StateManager.deleteEvent('evt-1');
+
+      const saved = JSON.parse(localStorage.getItem('travelPlannerState'));
+      expect(saved.events).toHaveLength(1);
+
+      const scenarios = JSON.parse(localStorage.getItem('travelPlannerScenarios'));
+      expect(scenarios[0].events).toHaveLength(0);
+    });
+
+    it('should restore scenarios on load and start on the main plan', async () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+
+      vi.resetModules();
+      const fresh = (await import('../../../js/services/StateManager.js')).default;
+
+      expect(fresh.getActiveScenarioId()).toBeNull();
+      expect(fresh.getScenarios()).toHaveLength(1);
+      expect(fresh.getScenarios()[0].name).toBe('Plan B');
+    });
+
+    it('should clear undo history when switching', () => {
+      const id = StateManager.createScenario('Plan B');
+      StateManager.addEvent(eventData);
+      expect(StateManager.canUndo()).toBe(true);
+
+      StateManager.switchScenario(id);
+      expect(StateManager.canUndo()).toBe(false);
+    });
+
+    it('should promote a scenario to the main plan as an undoable step', () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+      StateManager.updateEvent('evt-1', { location: 'Paris' });
+
+      StateManager.promoteScenario(id);
+
+      expect(StateManager.getActiveScenarioId()).toBeNull();
+      expect(StateManager.getEvent('evt-1').location).toBe('Paris');
+      expect(StateManager.getPlanState().events[0].location).toBe('Paris');
+      expect(StateManager.getScenarios()).toHaveLength(1);
+
+      StateManager.undo();
+      expect(StateManager.getEvent('evt-1').location).toBe('London');
+    });
+
+    it('should switch to the main plan when deleting the active scenario', () => {
+      StateManager.addEvent(eventData);
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+      StateManager.deleteEvent('evt-1');
+
+      StateManager.deleteScenario(id);
+
+      expect(StateManager.getActiveScenarioId()).toBeNull();
+      expect(StateManager.getScenarios()).toHaveLength(0);
+      expect(StateManager.getEvents()).toHaveLength(1);
+    });
+
+    it('should leave the active scenario when importing state', () => {
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+
+      StateManager.importState({ events: [eventData], constraints: [] });
+
+      expect(StateManager.getActiveScenarioId()).toBeNull();
+      expect(StateManager.getPlanState().events).toHaveLength(1);
+      expect(StateManager.getScenarioData(id).events).toHaveLength(0);
+    });
+
+    it('should emit scenario:switched with scenario name', () => {
+      const callback = vi.fn();
+      EventBus.on('scenario:switched', callback);
+
+      const id = StateManager.createScenario('Plan B');
+      StateManager.switchScenario(id);
+
+      expect(callback).toHaveBeenCalledWith({ id, name: 'Plan B' });
+    });
+  });
+
   describe('State Immutability', () => {
     it('should return immutable copy from getState', () => {
       StateManager.addEvent({
@@ -689,4 +1315,337 @@ describe('StateManager', () => {
       expect(freshState.events).toHaveLength(0); // Original state unchanged
     });
   });
+
+  describe('Imported source UIDs', () => {
+    it('should collect source UIDs from events and constraints', () => {
+      StateManager.addEvent({
+        title: 'Conference', type: 'conference', location: 'Berlin',
+        startDate: '2025-06-03', endDate: '2025-06-05', isFixed: true, sourceUid: 'conf@example.com'
+      });
+      StateManager.addConstraint({
+        title: 'Holiday', type: 'holiday', startDate: '2025-12-25', sourceUid: 'xmas@example.com'
+      });
+      StateManager.addConstraint({ title: 'Manual', type: 'vacation', startDate: '2025-08-04' });
+
+      const uids = StateManager.getImportedSourceUids();
+
+      expect(uids.size).toBe(2);
+      expect(uids.has('conf@example.com')).toBe(true);
+      expect(uids.has('xmas@example.com')).toBe(true);
+    });
+
+    it('should keep source UIDs across persistence', async () => {
+      StateManager.addConstraint({ title: 'Holiday', type: 'holiday', startDate: '2025-12-25', sourceUid: 'xmas@example.com' });
+
+      vi.resetModules();
+      const { default: Reloaded } = await import('../../../js/services/StateManager.js');
+
+      expect(Reloaded.getImportedSourceUids().has('xmas@example.com')).toBe(true);
+    });
+  });
+
+  describe('Merge Import', () => {
+    const localEvent = { id: 'local-1', title: 'London Visit', type: 'division', location: 'London', startDate: '2025-03-17', isFixed: false };
+
+    beforeEach(() => {
+      StateManager.addEvent(localEvent);
+      StateManager.addConstraint({ id: 'local-c1', title: 'Holiday', type: 'holiday', startDate: '2025-12-25' });
+    });
+
+    it('should add new records and keep existing ones', () => {
+      StateManager.mergeState({
+        events: [{ id: 'remote-1', title: 'Berlin Conference', type: 'conference', location: 'Berlin', startDate: '2025-06-02', isFixed: false }],
+        constraints: []
+      });
+
+      const state = StateManager.getState();
+      expect(state.events.map(e => e.id)).toEqual(['local-1', 'remote-1']);
+      expect(state.constraints).toHaveLength(1);
+    });
+
+    it('should skip identical records matched by ID', () => {
+      const plan = StateManager.previewMerge({ events: [{ ...localEvent }] });
+
+      expect(plan.events.added).toHaveLength(0);
+      expect(plan.events.skipped).toHaveLength(1);
+      expect(plan.events.skipped[0].reason).toBe('Already exists');
+    });
+
+    it('should match by title, date and location when IDs differ', () => {
+      const plan = StateManager.previewMerge({
+        events: [{ ...localEvent, id: 'remote-9', duration: 2 }]
+      });
+
+      expect(plan.events.updated).toHaveLength(1);
+      expect(plan.events.updated[0].existing.id).toBe('local-1');
+
+      StateManager.mergeState({ events: [{ ...localEvent, id: 'remote-9', duration: 2 }] });
+      const events = StateManager.getState().events;
+      expect(events).toHaveLength(1);
+      expect(events[0].id).toBe('local-1');
+      expect(events[0].duration).toBe(2);
+    });
+
+    it('should match constraints by title, date and type', () => {
+      const plan = StateManager.previewMerge({
+        constraints: [{ id: 'remote-c', title: 'Holiday', type: 'holiday', startDate: '2025-12-25' }]
+      });
+
+      expect(plan.constraints.skipped).toHaveLength(1);
+    });
+
+    it('should skip invalid and duplicate records', () => {
+      const plan = StateManager.previewMerge({
+        events: [
+          { id: 'bad', title: '', type: 'division', location: 'Paris', startDate: '2025-04-07' },
+          { id: 'a', title: 'Paris', type: 'division', location: 'Paris', startDate: '2025-04-07', isFixed: false },
+          { id: 'b', title: 'Paris', type: 'division', location: 'Paris', startDate: '2025-04-07', isFixed: false }
+        ]
+      });
+
+      expect(plan.events.added.map(a => a.incoming.id)).toEqual(['a']);
+      expect(plan.events.skipped.map(s => s.reason)).toEqual(['Event title is required', 'Duplicate in import']);
+    });
+
+    it('should union type configs and flag conflicting definitions', () => {
+      const plan = StateManager.mergeState({
+        eventTypeConfigs: {
+          offsite: { label: 'Offsite', color: '#000000', colorDark: '#111111', isHardStop: false },
+          division: { label: 'Division Trip', color: '#000000', colorDark: '#111111', isHardStop: false }
+        },
+        constraintTypeConfigs: {}
+      });
+
+      expect(plan.eventTypes.added.map(t => t.typeId)).toEqual(['offsite']);
+      expect(plan.eventTypes.conflicts.map(c => c.typeId)).toEqual(['division']);
+      expect(StateManager.getEventTypeConfig('offsite').isBuiltIn).toBe(false);
+      expect(StateManager.getEventTypeConfig('division').label).toBe('Division Visit');
+    });
+
+    it('should union custom locations', () => {
+      StateManager.addCustomLocation('Austin');
+
+      const plan = StateManager.mergeState({ customLocations: ['Austin', 'Zurich', ' Denver '] });
+
+      expect(plan.locations.added).toEqual(['Zurich', 'Denver']);
+      expect(StateManager.getAllLocations()).toEqual(['Austin', 'Denver', 'Zurich']);
+    });
+
+    it('should not change state when previewing', () => {
+      StateManager.previewMerge({ events: [{ id: 'remote-1', title: 'New', type: 'division', location: 'Paris', startDate: '2025-04-07' }] });
+
+      expect(StateManager.getState().events).toHaveLength(1);
+    });
+
+    it('should undo a merge as a single step', () => {
+      StateManager.mergeState({
+        events: [{ id: 'remote-1', title: 'New', type: 'division', location: 'Paris', startDate: '2025-04-07' }],
+        customLocations: ['Zurich']
+      });
+
+      StateManager.undo();
+
+      expect(StateManager.getState().events.map(e => e.id)).toEqual(['local-1']);
+      expect(StateManager.getAllLocations()).not.toContain('Zurich');
+    });
+  });
+
+  describe('Location Registry', () => {
+    it('should add locations and resolve names and aliases to the same ID', () => {
+      const added = StateManager.addLocation({ name: 'New York', aliases: ['NYC'], countryCode: 'us', timezone: 'America/New_York' });
+
+      expect(added).toMatchObject({ id: 'new-york', countryCode: 'US' });
+      expect(StateManager.getLocationId('nyc')).toBe('new-york');
+      expect(StateManager.getLocationId('New York')).toBe('new-york');
+      expect(StateManager.getLocationId('York')).toBeNull();
+      expect(StateManager.resolveLocation('NYC').name).toBe('New York');
+    });
+
+    it('should reject names or aliases already used by another location', () => {
+      StateManager.addLocation({ name: 'New York', aliases: ['NYC'] });
+
+      expect(() => StateManager.addLocation({ name: 'Newark', aliases: ['nyc'] })).toThrow('already used by New York');
+      expect(StateManager.getLocations()).toHaveLength(1);
+    });
+
+    it('should keep the previous name as an alias when renaming', () => {
+      StateManager.addLocation({ name: 'NYC' });
+
+      const updated = StateManager.updateLocation('nyc', { name: 'New York', lat: 40.71, lon: -74.01 });
+
+      expect(updated).toMatchObject({ id: 'nyc', name: 'New York', aliases: ['NYC'], lat: 40.71 });
+      expect(StateManager.getLocationId('NYC')).toBe('nyc');
+    });
+
+    it('should undo location edits', () => {
+      StateManager.addLocation({ name: 'London' });
+      StateManager.updateLocation('london', { isHomeOffice: true });
+
+      StateManager.undo();
+      expect(StateManager.getLocation('london').isHomeOffice).toBe(false);
+
+      StateManager.deleteLocation('london');
+      StateManager.undo();
+      expect(StateManager.getAllLocations()).toEqual(['London']);
+    });
+
+    it('should give locations with the same slug distinct IDs', () => {
+      StateManager.addLocation({ name: 'Paris' });
+      const texas = StateManager.addLocation({ name: 'Paris!' });
+
+      expect(texas.id).toBe('paris-2');
+    });
+
+    it('should ignore addCustomLocation for registered aliases', () => {
+      StateManager.addLocation({ name: 'New York', aliases: ['NYC'] });
+
+      StateManager.addCustomLocation('nyc');
+
+      expect(StateManager.getAllLocations()).toEqual(['New York']);
+    });
+
+    it('should migrate legacy custom and trip locations on load', async () => {
+      global.localStorage.setItem('travelPlannerState', JSON.stringify({
+        events: [
+          { id: 'e1', title: 'Visit', type: 'division', location: 'Berlin', startDate: '2025-03-17', isFixed: false },
+          { id: 'e2', title: 'Visit', type: 'division', location: 'london', startDate: '2025-04-07', isFixed: false }
+        ],
+        constraints: [],
+        customLocations: ['London', 'Austin']
+      }));
+
+      vi.resetModules();
+      const SM = (await import('../../../js/services/StateManager.js')).default;
+
+      expect(SM.getAllLocations()).toEqual(['Austin', 'Berlin', 'London']);
+      const saved = JSON.parse(global.localStorage.getItem('travelPlannerState'));
+      expect(saved.locations.map(loc => loc.id).sort()).toEqual(['austin', 'berlin', 'london']);
+      expect(saved).not.toHaveProperty('customLocations');
+    });
+
+    it('should merge incoming locations by name or alias', () => {
+      StateManager.addLocation({ name: 'New York', aliases: ['NYC'] });
+
+      const plan = StateManager.mergeState({
+        locations: [
+          { id: 'nyc', name: 'NYC' },
+          { id: 'tokyo', name: 'Tokyo', timezone: 'Asia/Tokyo' }
+        ]
+      });
+
+      expect(plan.locations.added).toEqual(['Tokyo']);
+      expect(StateManager.getLocation('tokyo').timezone).toBe('Asia/Tokyo');
+    });
+  });
+
+  describe('Multi-city Trips', () => {
+    beforeEach(() => {
+      StateManager.addEvent({
+        id: 'london', title: 'London Visit', type: 'division', location: 'London',
+        startDate: '2025-03-17', isFixed: false, duration: 1
+      });
+    });
+
+    it('should split the last leg to add a city', () => {
+      StateManager.addTripLeg('london', ' Berlin ');
+
+      expect(StateManager.getEvent('london').legs).toEqual([
+        { location: 'London', days: 2 },
+        { location: 'Berlin', days: 3 }
+      ]);
+      expect(StateManager.getHistoryLabels().undo).toBe('Extend trip');
+    });
+
+    it('should undo adding a city', () => {
+      StateManager.addTripLeg('london', 'Berlin');
+      StateManager.undo();
+
+      expect(StateManager.getEvent('london').legs).toBeUndefined();
+    });
+
+    it('should reject repeating trips and trips without a spare day', () => {
+      StateManager.addEvent({
+        id: 'pi', title: 'PI Planning', type: 'division', location: 'Berlin',
+        startDate: '2025-01-14', endDate: '2025-01-16', isFixed: true,
+        recurrence: { freq: 'monthly', interval: 3 }
+      });
+      StateManager.addEvent({
+        id: 'day', title: 'Day Trip', type: 'division', location: 'Paris',
+        startDate: '2025-04-01', endDate: '2025-04-01', isFixed: true
+      });
+
+      expect(() => StateManager.addTripLeg('pi', 'Munich')).toThrow('Cannot add a city to a repeating trip');
+      expect(() => StateManager.addTripLeg('day', 'Lyon')).toThrow('No day left in Day Trip');
+      expect(() => StateManager.addTripLeg('london', '  ')).toThrow('Location is required');
+    });
+  });
+
+  describe('Recurring Occurrences', () => {
+    beforeEach(() => {
+      StateManager.addEvent({
+        id: 'pi', title: 'PI Planning', type: 'division', location: 'Berlin',
+        startDate: '2025-01-14', endDate: '2025-01-16', isFixed: true,
+        recurrence: { freq: 'monthly', interval: 3 }
+      });
+      StateManager.addConstraint({
+        id: 'board', title: 'Board Prep', type: 'blackout', startDate: '2025-01-06', endDate: '2025-01-10',
+        recurrence: { freq: 'monthly', byNthWeekday: { nth: 1, weekday: 1 } }
+      });
+    });
+
+    it('should skip a single occurrence', () => {
+      StateManager.skipOccurrence('constraint', 'board', '2025-02-03');
+
+      expect(StateManager.getConstraint('board').exceptions).toEqual({ '2025-02-03': { skipped: true } });
+    });
+
+    it('should store only fields that differ from the series', () => {
+      StateManager.updateOccurrence('event', 'pi', '2025-04-14', {
+        title: 'PI Planning', location: 'Munich', type: 'division', startDate: '2025-04-15', endDate: '2025-04-16'
+      });
+
+      expect(StateManager.getEvent('pi').exceptions).toEqual({
+        '2025-04-14': { location: 'Munich', startDate: '2025-04-15' }
+      });
+    });
+
+    it('should merge later edits into earlier overrides', () => {
+      StateManager.updateOccurrence('event', 'pi', '2025-04-14', { location: 'Munich' });
+      StateManager.updateOccurrence('event', 'pi', '2025-04-14', { title: 'PI Planning Q2' });
+
+      expect(StateManager.getEvent('pi').exceptions['2025-04-14']).toEqual({ location: 'Munich', title: 'PI Planning Q2' });
+    });
+
+    it('should restore an occurrence', () => {
+      StateManager.skipOccurrence('event', 'pi', '2025-04-14');
+      StateManager.restoreOccurrence('event', 'pi', '2025-04-14');
+
+      expect(StateManager.getEvent('pi').exceptions).toEqual({});
+    });
+
+    it('should undo an occurrence change as one labeled step', () => {
+      StateManager.skipOccurrence('event', 'pi', '2025-04-14');
+
+      expect(StateManager.getHistoryLabels().undo).toBe('Skip occurrence');
+      StateManager.undo();
+      expect(StateManager.getEvent('pi').exceptions).toEqual({});
+    });
+
+    it('should reject dates that are not occurrences', () => {
+      expect(() => StateManager.skipOccurrence('event', 'pi', '2025-04-15')).toThrow('not an occurrence');
+    });
+
+    it('should reject non-recurring items', () => {
+      StateManager.addConstraint({ id: 'single', title: 'Vacation', type: 'vacation', startDate: '2025-07-14' });
+
+      expect(() => StateManager.skipOccurrence('constraint', 'single', '2025-07-14')).toThrow('Not a recurring constraint');
+    });
+
+    it('should drop exceptions when the recurrence is removed', () => {
+      StateManager.skipOccurrence('event', 'pi', '2025-04-14');
+      StateManager.updateEvent('pi', { recurrence: null });
+
+      expect(StateManager.getEvent('pi')).not.toHaveProperty('exceptions');
+    });
+  });
 });
@@ -0,0 +1,97 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { getTravelSummary, getDaysBetweenTrips } from '../../../js/services/TravelAccountingService.js';
+import { setWorkWeek } from '../../../js/services/DateService.js';
+
+describe('TravelAccountingService', () => {
+  const year2025 = { startDate: '2025-01-01', endDate: '2025-12-31' };
+  const flexible = (id, startDate, extra = {}) => ({
+    id, title: id, type: 'division', location: 'London', startDate, isFixed: false, duration: 1, ...extra
+  });
+  const fixed = (id, startDate, endDate, extra = {}) => ({
+    id, title: id, type: 'division', location: 'London', startDate, endDate, isFixed: true, ...extra
+  });
+
+  describe('getTravelSummary', () => {
+    afterEach(() => setWorkWeek());
+
+    it('should count a flexible week as its working days', () => {
+      const summary = getTravelSummary([flexible('a', '2025-03-05')], year2025);
+
+      expect(summary).toMatchObject({ daysAway: 5, nightsAway: 4, workingDaysAway: 5, weekendDaysAway: 0 });
+      expect(summary.travelWeeks).toEqual(['2025-03-03']);
+      expect(summary.weeksInPeriod).toBe(52);
+      expect(summary.weeksHome).toBe(51);
+    });
+
+    it('should count fixed trips by their days, including weekends', () => {
+      // Thu-Mon over a weekend touches two work weeks
+      const summary = getTravelSummary([fixed('a', '2025-01-09', '2025-01-13')], year2025);
+
+      expect(summary).toMatchObject({ daysAway: 5, nightsAway: 4, workingDaysAway: 3, weekendDaysAway: 2 });
+      expect(summary.travelWeeks).toEqual(['2025-01-06', '2025-01-13']);
+
+      // A 2-day trip and a 3-week trip no longer count the same
+      expect(getTravelSummary([fixed('b', '2025-02-03', '2025-02-04')], year2025).daysAway).toBe(2);
+      expect(getTravelSummary([fixed('c', '2025-02-03', '2025-02-23')], year2025).daysAway).toBe(21);
+    });
+
+    it('should count overlapping trips once', () => {
+      const events = [fixed('a', '2025-05-05', '2025-05-08'), fixed('b', '2025-05-07', '2025-05-10')];
+
+      expect(getTravelSummary(events, year2025)).toMatchObject({ daysAway: 6, nightsAway: 5, weekendDaysAway: 1 });
+    });
+
+    it('should only count days and weeks within the period', () => {
+      const summary = getTravelSummary([fixed('a', '2024-12-30', '2025-01-02')], year2025);
+
+      expect(summary).toMatchObject({ daysAway: 2, nightsAway: 1 });
+      expect(summary.travelWeeks).toEqual([]);
+    });
+
+    it('should use the number of weeks in the period', () => {
+      const summary = getTravelSummary([flexible('a', '2024-06-03')], { startDate: '2024-01-01', endDate: '2024-12-31' });
+
+      expect(summary.weeksInPeriod).toBe(53);
+      expect(summary.weeksHome).toBe(52);
+    });
+
+    it('should ignore archived and cancelled trips and expand recurring ones', () => {
+      const events = [
+        flexible('archived', '2025-03-03', { archived: true }),
+        flexible('cancelled', '2025-03-10', { status: 'cancelled' }),
+        flexible('monthly', '2025-01-06', { recurrence: { freq: 'monthly', count: 3 } })
+      ];
+
+      expect(getTravelSummary(events, year2025).travelWeeks).toHaveLength(3);
+    });
+
+    it('should follow the work week', () => {
+      setWorkWeek({ firstDay: 0, workingDays: [0, 1, 2, 3, 4] });
+
+      const summary = getTravelSummary([fixed('a', '2025-01-09', '2025-01-13')], year2025);
+
+      expect(summary).toMatchObject({ workingDaysAway: 3, weekendDaysAway: 2 });
+      expect(summary.travelWeeks).toEqual(['2025-01-05', '2025-01-12']);
+    });
+  });
+
+  describe('getDaysBetweenTrips', () => {
+    it('should count home days between consecutive trips in start order', () => {
+      const ranges = [
+        { startDate: '2025-03-17', endDate: '2025-03-21' },
+        { startDate: '2025-03-03', endDate: '2025-03-07' },
+        { startDate: '2025-03-24', endDate: '2025-03-28' }
+      ];
+
+      expect(getDaysBetweenTrips(ranges)).toEqual([9, 2]);
+    });
+
+    it('should leave no days for overlapping or back-to-back trips', () => {
+      expect(getDaysBetweenTrips([
+        { startDate: '2025-03-03', endDate: '2025-03-07' },
+        { startDate: '2025-03-05', endDate: '2025-03-06' },
+        { startDate: '2025-03-07', endDate: '2025-03-08' }
+      ])).toEqual([0, 0]);
+    });
+  });
+});